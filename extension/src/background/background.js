@@ -1,20 +1,24 @@
+import { ThumbnailStore } from '../shared/thumbnail-store.js';
+import { SessionLibrary } from '../shared/session-library.js';
+import { STORAGE_KEYS } from '../shared/constants.js';
+
 chrome.runtime.onInstalled.addListener(() => {
     console.log("FlowCapture: Background Service Worker Loaded");
 });
 
 chrome.action.onClicked.addListener((tab) => {
     if (tab.id) {
-        chrome.tabs.sendMessage(tab.id, { action: "toggleOverlay" })
+        chrome.tabs.sendMessage(tab.id, { action: "toggleOverlay" }, { frameId: 0 })
             .then(() => console.log("FlowCapture: Toggle sent to tab", tab.id))
             .catch(err => {
                 console.warn("FlowCapture: Could not send toggleOverlay. Injecting content script...", err);
 
                 chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
+                    target: { tabId: tab.id, allFrames: true },
                     files: ['src/content/content.js']
                 }).then(() => {
                     setTimeout(() => {
-                        chrome.tabs.sendMessage(tab.id, { action: "toggleOverlay" });
+                        chrome.tabs.sendMessage(tab.id, { action: "toggleOverlay" }, { frameId: 0 });
                     }, 500);
                 }).catch(e => console.error("FlowCapture: Injection failed", e));
             });
@@ -26,6 +30,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         console.log('Log from content:', message.data);
     }
 
+    // Cross-frame recording: the top frame (frameId 0) owns the single StateManager.
+    // Action names mirror MESSAGE_ACTIONS.FRAME_STEP / FRAME_RECORDING / FRAME_COMMAND / TAB_ROLE (src/shared/constants.js)
+    if (message.action === 'frameStep' && sender.tab) {
+        routeFrameStep(message, sender);
+    }
+
+    if (message.action === 'frameRecording' && sender.tab && sender.frameId === 0) {
+        // Sem frameId: chega a todos os frames da aba (o top frame ignora)
+        chrome.tabs.sendMessage(sender.tab.id, message).catch(() => {});
+        queueTabUpdate(() => trackRecording(sender.tab.id, message.isRecording));
+    }
+
+    if (message.action === 'frameCommand' && sender.tab) {
+        routeFrameCommand(message, sender).then(sendResponse);
+        return true;
+    }
+
+    if (message.action === 'getTabRole' && sender.tab) {
+        getTabSession().then(session => sendResponse({ role: tabRole(session, sender.tab.id) }));
+        return true;
+    }
+
+    // Action names mirror MESSAGE_ACTIONS.CAPTURE_THUMBNAIL / GET_THUMBNAILS
+    if (message.action === 'captureThumbnail' && sender.tab) {
+        captureThumbnail(message.stepId, sender.tab)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => {
+                console.warn("FlowCapture: Thumbnail capture failed", error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (message.action === 'getThumbnails') {
+        getThumbnails(message.stepIds)
+            .then(thumbnails => sendResponse({ thumbnails }))
+            .catch(error => sendResponse({ thumbnails: {}, error: error.message }));
+        return true;
+    }
+
     if (message.type === 'SYNC_WORKFLOW') {
         fetch('http://localhost:3000/api/workflows/import', {
             method: 'POST',
@@ -38,3 +82,221 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true; // Keep message channel open for async response
     }
 });
+
+
+// ─── Multi-tab recording ───────────────────────────
+// A aba que iniciou a gravação é a "owner" (único StateManager). Abas abertas a
+// partir dela (target=_blank, window.open, popups OAuth) viram "followers": os
+// content scripts delas encaminham os steps para a owner, e o background grava
+// WAIT_FOR_POPUP / SWITCH_TAB quando uma aba abre ou ganha foco.
+// O estado vive em storage.session porque o service worker pode ser descarregado.
+
+const TAB_SESSION_KEY = 'fcTabSession'; // STORAGE_KEYS.TAB_SESSION
+
+/**
+ * @returns {Promise<{ownerTabId: number, tabs: number[], activeTabId: number}|null>}
+ *   tabs: ids na ordem de abertura (posição = tabIndex nos nodes)
+ */
+async function getTabSession() {
+    const result = await chrome.storage.session.get(TAB_SESSION_KEY);
+    return result[TAB_SESSION_KEY] || null;
+}
+
+/**
+ * Listeners de abas leem e regravam a sessão: roda um de cada vez
+ * (senão onCreated + onActivated do mesmo popup gravam SWITCH_TAB duas vezes)
+ */
+let tabUpdates = Promise.resolve();
+function queueTabUpdate(fn) {
+    tabUpdates = tabUpdates.then(fn).catch(err => console.warn("FlowCapture: Tab session update failed", err));
+    return tabUpdates;
+}
+
+function setTabSession(session) {
+    return session
+        ? chrome.storage.session.set({ [TAB_SESSION_KEY]: session })
+        : chrome.storage.session.remove(TAB_SESSION_KEY);
+}
+
+/**
+ * owner | follower | none (outra aba durante a gravação) | unknown (sem sessão)
+ */
+function tabRole(session, tabId) {
+    if (!session) return 'unknown';
+    if (session.ownerTabId === tabId) return 'owner';
+    return session.tabs.includes(tabId) ? 'follower' : 'none';
+}
+
+/**
+ * Start/stop broadcast by a top frame: the owner opens or closes the tab session
+ */
+async function trackRecording(tabId, isRecording) {
+    const session = await getTabSession();
+    const role = tabRole(session, tabId);
+    if (role === 'follower') return;
+
+    if (isRecording) {
+        await setTabSession({ ownerTabId: tabId, tabs: [tabId], activeTabId: tabId });
+        return;
+    }
+    if (role !== 'owner') return;
+
+    await setTabSession(null);
+    // Followers param de gravar junto com a owner
+    session.tabs.filter(id => id !== tabId).forEach(id => {
+        chrome.tabs.sendMessage(id, { action: 'frameRecording', isRecording: false }).catch(() => {});
+    });
+}
+
+/**
+ * Steps from iframes go to their tab's top frame; steps from follower tabs
+ * (any frame) go straight to the owner's top frame
+ */
+async function routeFrameStep(message, sender) {
+    const session = await getTabSession();
+    const targetTabId = tabRole(session, sender.tab.id) === 'follower' ? session.ownerTabId : sender.tab.id;
+    if (targetTabId === sender.tab.id && sender.frameId === 0) return;
+
+    chrome.tabs.sendMessage(targetTabId, message, { frameId: 0 })
+        .catch(err => console.warn("FlowCapture: Could not route frame step", err));
+}
+
+/**
+ * Commands (undo, pause) from iframes / follower tabs run on the owner's top frame,
+ * which answers with the outcome
+ */
+async function routeFrameCommand(message, sender) {
+    const session = await getTabSession();
+    const targetTabId = tabRole(session, sender.tab.id) === 'follower' ? session.ownerTabId : sender.tab.id;
+
+    return chrome.tabs.sendMessage(targetTabId, message, { frameId: 0 })
+        .catch(err => ({ status: 'error', error: err.message }));
+}
+
+/**
+ * Send a tab event (popup / switch_tab) to the owner, which records it as a step
+ */
+function sendTabEvent(session, event) {
+    chrome.tabs.sendMessage(session.ownerTabId, { action: 'tabEvent', event }, { frameId: 0 })
+        .catch(err => console.warn("FlowCapture: Could not record tab event", err));
+}
+
+async function switchToTab(tabId) {
+    const session = await getTabSession();
+    if (!session || !session.tabs.includes(tabId) || session.activeTabId === tabId) return;
+
+    session.activeTabId = tabId;
+    await setTabSession(session);
+
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    sendTabEvent(session, {
+        type: 'switch_tab',
+        tabIndex: session.tabs.indexOf(tabId),
+        url: tab?.url || tab?.pendingUrl || null
+    });
+}
+
+chrome.tabs.onCreated.addListener((tab) => queueTabUpdate(async () => {
+    const session = await getTabSession();
+    if (!session || tab.openerTabId === undefined || !session.tabs.includes(tab.openerTabId)) return;
+
+    session.tabs.push(tab.id);
+    await setTabSession(session);
+
+    sendTabEvent(session, {
+        type: 'popup',
+        tabIndex: session.tabs.length - 1,
+        openerIndex: session.tabs.indexOf(tab.openerTabId),
+        url: tab.pendingUrl || tab.url || null
+    });
+
+    // Popup já nasce ativo: onActivated pode ter chegado antes do push acima
+    if (tab.active) await switchToTab(tab.id);
+}));
+
+chrome.tabs.onActivated.addListener(({ tabId }) => queueTabUpdate(() => switchToTab(tabId)));
+
+// Popup em janela própria: trocar de janela não dispara tabs.onActivated
+chrome.windows.onFocusChanged.addListener((windowId) => queueTabUpdate(async () => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (tab) await switchToTab(tab.id);
+}));
+
+chrome.tabs.onRemoved.addListener((tabId) => queueTabUpdate(async () => {
+    const session = await getTabSession();
+    // Fechar a owner encerra a sessão; abas fechadas mantêm a posição (tabIndex estável)
+    if (session?.ownerTabId === tabId) await setTabSession(null);
+}));
+
+
+// ─── Thumbnails ────────────────────────────────────
+// A owner pede a miniatura quando um capture_point / checkpoint é finalizado.
+// O step pode ter vindo de uma aba follower: captura a aba ativa da sessão.
+
+/** captureVisibleTab aceita no máximo 2 chamadas por segundo (MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND) */
+const CAPTURE_INTERVAL_MS = 550;
+let captureQueue = Promise.resolve();
+let lastCaptureAt = 0;
+
+// step_ids das sessões salvas (o prune não apaga essas miniaturas): lidos uma vez
+// e descartados quando o índice da biblioteca muda
+let archivedStepIds = null;
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STORAGE_KEYS.SESSION_LIBRARY]) archivedStepIds = null;
+});
+
+function getArchivedStepIds() {
+    if (!archivedStepIds) {
+        archivedStepIds = SessionLibrary.stepIds().catch(error => {
+            archivedStepIds = null;
+            throw error;
+        });
+    }
+    return archivedStepIds;
+}
+
+/**
+ * @param {string} stepId
+ * @param {chrome.tabs.Tab} senderTab - Top frame da owner
+ */
+async function captureThumbnail(stepId, senderTab) {
+    const session = await getTabSession();
+    const tab = session?.activeTabId && session.activeTabId !== senderTab.id
+        ? await chrome.tabs.get(session.activeTabId).catch(() => senderTab)
+        : senderTab;
+
+    const dataUrl = await queueCapture(tab.windowId);
+    await ThumbnailStore.save(stepId, dataUrl, { url: tab.url || null, keep: getArchivedStepIds });
+}
+
+/**
+ * captureVisibleTab em fila, espaçado por CAPTURE_INTERVAL_MS
+ * (capture points em sequência rápida estourariam a cota e falhariam)
+ * @param {number} windowId
+ * @returns {Promise<string>} Screenshot data URL
+ */
+function queueCapture(windowId) {
+    const capture = captureQueue.then(async () => {
+        const wait = lastCaptureAt + CAPTURE_INTERVAL_MS - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        lastCaptureAt = Date.now();
+        return chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 90 });
+    });
+    captureQueue = capture.catch(() => {});
+    return capture;
+}
+
+/**
+ * Thumbnails as data URLs (Blobs don't survive runtime messaging)
+ * @param {string[]} stepIds
+ * @returns {Promise<Object>} stepId → data URL
+ */
+async function getThumbnails(stepIds) {
+    const records = await ThumbnailStore.getMany(stepIds || []);
+    const thumbnails = {};
+    for (const [stepId, record] of records) {
+        thumbnails[stepId] = await ThumbnailStore.toDataUrl(record.blob);
+    }
+    return thumbnails;
+}
@@ -12,6 +12,9 @@
  * - MutationTracker:  Optimized MutationObserver wrapper
  * - StateManager:     Centralized recording state
  * - OverlayUI:        Accessible recording overlay
+ * - FrameBridge:      Iframes forward their steps to the top frame
+ * - SelectorHealer:   Re-finds steps whose selectors broke (replay + HEAL_STEP message)
+ * - TimelinePanel:    Overlay editor for the recorded steps (delete, reorder, relabel, retime)
  */
 
 if (window.hasFlowCapture) {
@@ -65,6 +68,15 @@ if (window.hasFlowCapture) {
                     { ShortcutMatcher },
                     { VisualFeedback },
                     { ExpansionManager },
+                    { Redactor },
+                    { AssertionRecorder },
+                    { ExtractionRecorder },
+                    { FrameBridge },
+                    { DragRecorder },
+                    { UploadRecorder },
+                    { SelectRecorder },
+                    { DialogRecorder },
+                    { SelectorProfiles },
                     { CONFIG, MESSAGE_ACTIONS, DEFAULT_SETTINGS }
                 ] = await Promise.all([
                     import(resolveModule('src/content/core/selector-engine.js')),
@@ -75,21 +87,61 @@ if (window.hasFlowCapture) {
                     import(resolveModule('src/content/services/shortcut-matcher.js')),
                     import(resolveModule('src/content/ui/visual-feedback.js')),
                     import(resolveModule('src/content/services/expansion-manager.js')),
+                    import(resolveModule('src/shared/redactor.js')),
+                    import(resolveModule('src/content/services/assertion-recorder.js')),
+                    import(resolveModule('src/content/services/extraction-recorder.js')),
+                    import(resolveModule('src/content/services/frame-bridge.js')),
+                    import(resolveModule('src/content/services/drag-recorder.js')),
+                    import(resolveModule('src/content/services/upload-recorder.js')),
+                    import(resolveModule('src/content/services/select-recorder.js')),
+                    import(resolveModule('src/content/services/dialog-recorder.js')),
+                    import(resolveModule('src/shared/selector-profiles.js')),
                     import(resolveModule('src/shared/constants.js'))
                 ]);
 
                 this.MESSAGE_ACTIONS = MESSAGE_ACTIONS;
                 this.CONFIG = CONFIG;
                 this.ShortcutMatcher = ShortcutMatcher;
+                this.OverlayUI = OverlayUI;
+                this.SelectorEngine = SelectorEngine;
+                this.SelectorProfiles = SelectorProfiles;
 
-                this.selectorEngine = new SelectorEngine();
+                // Profile do site antes de qualquer seletor: a gravação pode ser retomada logo abaixo
+                let selectorProfile = null;
+                try {
+                    const { fcSettings } = await chrome.storage.local.get('fcSettings');
+                    selectorProfile = SelectorProfiles.forHost(
+                        fcSettings?.selectorProfiles || DEFAULT_SETTINGS.selectorProfiles,
+                        window.location.hostname
+                    );
+                } catch { /* sem profile: estratégias padrão */ }
+
+                this.selectorEngine = new SelectorEngine(selectorProfile);
                 this.stateManager = new StateManager();
+                this.frameBridge = new FrameBridge(this.selectorEngine);
+
+                this.redactor = new Redactor({
+                    enabled: DEFAULT_SETTINGS.redactInputs,
+                    rules: DEFAULT_SETTINGS.redactionRules
+                });
 
                 this.sessionManager = new SessionManager(
                     this.selectorEngine,
-                    (stepData) => this._onSessionComplete(stepData)
+                    (stepData) => this._onSessionComplete(stepData),
+                    this.redactor
                 );
 
+                this.assertionRecorder = new AssertionRecorder(this.selectorEngine, this.redactor);
+                this.assertMode = false;
+
+                this.extractionRecorder = new ExtractionRecorder(this.redactor);
+                this.extractMode = false;
+
+                this.dragRecorder = new DragRecorder(this.selectorEngine);
+                this.uploadRecorder = new UploadRecorder();
+                this.selectRecorder = new SelectRecorder();
+                this.dialogRecorder = new DialogRecorder((dialog) => this._recordDialog(dialog));
+
                 this.mutationTracker = new MutationTracker(
                     (mutation) => this.sessionManager.addMutation(mutation)
                 );
@@ -102,26 +154,46 @@ if (window.hasFlowCapture) {
                     this.sessionManager
                 );
 
-                this.overlay = new OverlayUI(this.stateManager);
-                window.overlay = this.overlay;
-
                 const state = await this.stateManager.initialize();
-                if (state.isRecording) {
+
+                // Gravação em andamento: esta aba pode ser a owner, uma aba aberta por
+                // ela (follower) ou uma aba sem relação, que não grava
+                const tabRole = state.isRecording ? await this.frameBridge.resolveTabRole() : 'unknown';
+                if (tabRole === 'none') this.stateManager.followRecording(false);
+                // Iframe / follower: o snapshot do storage pode estar pausado, mas quem pausa é a owner
+                else if (!this.frameBridge.ownsSession) this.stateManager.followRecording(state.isRecording);
+
+                // Iframes e abas follower gravam sem overlay: os steps vão para a owner (FrameBridge)
+                if (this.frameBridge.ownsSession) this._createOverlay();
+
+                if (this.stateManager.isRecording) {
                     this._startRecordingInternal();
                 }
-                await this.overlay.restoreState();
+                if (this.overlay && tabRole !== 'none') await this.overlay.restoreState();
 
                 try {
                     const result = await chrome.storage.local.get('fcSettings');
                     const settings = result.fcSettings || {};
                     this.captureShortcut = settings.captureShortcut || DEFAULT_SETTINGS.captureShortcut;
                     this.expandShortcut = settings.expandShortcut || DEFAULT_SETTINGS.expandShortcut;
+                    this.undoShortcut = settings.undoShortcut || DEFAULT_SETTINGS.undoShortcut;
+                    this.assertShortcut = settings.assertShortcut || DEFAULT_SETTINGS.assertShortcut;
+                    this.pauseShortcut = settings.pauseShortcut || DEFAULT_SETTINGS.pauseShortcut;
                     this.manualExpandStep = settings.manualExpandStep || DEFAULT_SETTINGS.manualExpandStep || 50;
-                    this.overlay.setAutoMinimize(settings.autoMinimizeOverlay ?? DEFAULT_SETTINGS.autoMinimizeOverlay);
-                    this.overlay.setRecordingIndicatorVisible(settings.showRecordingIndicator ?? DEFAULT_SETTINGS.showRecordingIndicator);
+                    if (this.overlay) {
+                        this.overlay.setAutoMinimize(settings.autoMinimizeOverlay ?? DEFAULT_SETTINGS.autoMinimizeOverlay);
+                        this.overlay.setRecordingIndicatorVisible(settings.showRecordingIndicator ?? DEFAULT_SETTINGS.showRecordingIndicator);
+                    }
+                    this.redactor.configure({
+                        enabled: settings.redactInputs ?? DEFAULT_SETTINGS.redactInputs,
+                        rules: settings.redactionRules || DEFAULT_SETTINGS.redactionRules
+                    });
                 } catch (e) {
                     this.captureShortcut = DEFAULT_SETTINGS.captureShortcut;
                     this.expandShortcut = DEFAULT_SETTINGS.expandShortcut;
+                    this.undoShortcut = DEFAULT_SETTINGS.undoShortcut;
+                    this.assertShortcut = DEFAULT_SETTINGS.assertShortcut;
+                    this.pauseShortcut = DEFAULT_SETTINGS.pauseShortcut;
                 }
 
                 chrome.storage.onChanged.addListener((changes, areaName) => {
@@ -129,6 +201,9 @@ if (window.hasFlowCapture) {
                         const s = changes.fcSettings.newValue || {};
                         if (s.captureShortcut) this.captureShortcut = s.captureShortcut;
                         if (s.expandShortcut) this.expandShortcut = s.expandShortcut;
+                        if (s.undoShortcut) this.undoShortcut = s.undoShortcut;
+                        if (s.assertShortcut) this.assertShortcut = s.assertShortcut;
+                        if (s.pauseShortcut) this.pauseShortcut = s.pauseShortcut;
                         if (s.manualExpandStep) this.manualExpandStep = s.manualExpandStep;
                         if (s.autoMinimizeOverlay !== undefined && this.overlay) {
                             this.overlay.setAutoMinimize(s.autoMinimizeOverlay);
@@ -136,6 +211,10 @@ if (window.hasFlowCapture) {
                         if (s.showRecordingIndicator !== undefined && this.overlay) {
                             this.overlay.setRecordingIndicatorVisible(s.showRecordingIndicator);
                         }
+                        this.redactor.configure({ enabled: s.redactInputs, rules: s.redactionRules });
+                        if (s.selectorProfiles) {
+                            this.selectorEngine.setProfile(this.SelectorProfiles.forHost(s.selectorProfiles, window.location.hostname));
+                        }
                     }
                 });
 
@@ -158,11 +237,35 @@ if (window.hasFlowCapture) {
          * @private
          */
         _setupEventListeners(CONFIG) {
+            const isOverlayEvent = (e) => e.target?.id === 'flow-capture-overlay-root' ||
+                e.target?.closest?.('#flow-capture-overlay-root');
+
+            // Web components: no document o e.target é o host (retargeting); o alvo real
+            // é composedPath()[0]. O overlay também é shadow root aberto, então eventos
+            // dele continuam com e.target (isOverlayEvent depende disso).
+            const shadowRoots = new WeakSet();
+            const deepTarget = (e) => {
+                const target = e.composedPath?.()[0];
+                if (!target || target.nodeType !== 1 || target === e.target || isOverlayEvent(e)) return e.target;
+
+                const root = target.getRootNode();
+                if (root instanceof ShadowRoot) {
+                    // Componentes que fizeram upgrade depois de inseridos não geram mutation
+                    this.mutationTracker?.observeShadowRoot(root);
+                    // 'change' não é composed: nunca chega ao document vindo de dentro do shadow root
+                    if (!shadowRoots.has(root)) {
+                        shadowRoots.add(root);
+                        root.addEventListener('change', onChange, true);
+                    }
+                }
+                return target;
+            };
+
             // Mouse position tracking for expand shortcut (passive, only during recording)
             this._mouseX = 0;
             this._mouseY = 0;
             document.addEventListener('mousemove', (e) => {
-                if (!this.stateManager.isRecording) return;
+                if (!this.stateManager.isCapturing) return;
                 this._mouseX = e.clientX;
                 this._mouseY = e.clientY;
             }, { passive: true, capture: true });
@@ -206,9 +309,9 @@ if (window.hasFlowCapture) {
             };
 
             document.addEventListener('pointerenter', (e) => {
-                if (!this.stateManager.isRecording) return;
+                if (!this.stateManager.isCapturing) return;
                 try {
-                    const target = e.target;
+                    const target = deepTarget(e);
                     if (!target || target.nodeType !== 1) return;
 
                     // Ignore our overlay
@@ -237,21 +340,60 @@ if (window.hasFlowCapture) {
                 }
             }, { capture: true, passive: true });
 
+            // Assert / extract mode: clicks escolhem elementos e não chegam à página.
+            // Listener na window (capture) roda antes dos handlers da página e do listener de click abaixo.
+            const isPicking = (e) => (this.assertMode || this.extractMode) &&
+                this.stateManager.isCapturing && !isOverlayEvent(e);
+
+            ['pointerdown', 'mousedown', 'pointerup', 'mouseup'].forEach(type => {
+                window.addEventListener(type, (e) => {
+                    if (!isPicking(e)) return;
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                }, true);
+            });
+
+            window.addEventListener('click', (e) => {
+                if (!isPicking(e)) return;
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                try {
+                    const target = deepTarget(e);
+                    if (this.extractMode) {
+                        this._pickExtraction(target);
+                    } else {
+                        this._recordAssertion(target, this.ShortcutMatcher.getAssertionKind(e));
+                    }
+                } catch (err) {
+                    console.error('FlowCapture: Pick error:', err);
+                }
+            }, true);
+
             document.addEventListener('click', (e) => {
-                if (!this.stateManager.isRecording) return;
+                if (!this.stateManager.isCapturing) return;
                 try {
-                    if (e.target.id === 'flow-capture-overlay-root' ||
-                        e.target.closest?.('#flow-capture-overlay-root')) return;
+                    if (isOverlayEvent(e)) return;
+
+                    // Click disparado pelo pointerup de um drag já gravado
+                    if (this.dragRecorder.isTrailingClick()) return;
+
+                    const target = deepTarget(e);
+
+                    // Click que só abre o seletor de arquivos: o UPLOAD grava o resultado
+                    if (this.uploadRecorder.handleClick(target, e)) return;
+
+                    // Click que só abre o picker nativo do <select>: o SELECT_OPTION grava a escolha
+                    if (this.selectRecorder.handleClick(target)) return;
 
                     // Validate if click should be recorded (filter wrappers)
-                    if (!this._shouldRecordClick(e.target)) {
-                        console.log(`⏭️ FlowCapture: Skipped non-interactive click on <${e.target.tagName}>`);
+                    if (!this._shouldRecordClick(target)) {
+                        console.log(`⏭️ FlowCapture: Skipped non-interactive click on <${target.tagName}>`);
                         return;
                     }
 
                     this.sessionManager.startSession({
                         type: 'click',
-                        target: e.target,
+                        target,
                         coordinates: { x: e.clientX, y: e.clientY },
                         modifiers: {
                             ctrl: e.ctrlKey,
@@ -259,16 +401,92 @@ if (window.hasFlowCapture) {
                             alt: e.altKey,
                             meta: e.metaKey
                         },
-                        button: e.button // 0=left, 1=middle, 2=right
+                        button: e.button, // 0=left, 1=middle, 2=right
+                        combobox: this.selectRecorder.describeClick(target)
                     });
                 } catch (err) {
                     console.error('FlowCapture: Click error:', err);
                 }
             }, true);
 
+            // Drag gestures: pointer drags (sliders, listas ordenáveis) e HTML5 drag-and-drop.
+            // Em assert/extract mode os pointer events já foram barrados na window.
+            const recordDrag = (gesture) => {
+                if (!gesture) return;
+                this.sessionManager.startSession({
+                    type: 'drag',
+                    target: gesture.source,
+                    candidates: gesture.candidates,
+                    coordinates: gesture.drag.from,
+                    drag: gesture.drag
+                });
+            };
+
+            document.addEventListener('pointerdown', (e) => {
+                if (!this.stateManager.isCapturing || e.button !== 0 || !e.isPrimary || isOverlayEvent(e)) return;
+                try {
+                    this.dragRecorder.begin(deepTarget(e), e);
+                } catch (err) {
+                    console.error('FlowCapture: Drag start error:', err);
+                }
+            }, true);
+
+            document.addEventListener('pointermove', (e) => {
+                if (this.stateManager.isCapturing && e.isPrimary) this.dragRecorder.move(e);
+            }, { capture: true, passive: true });
+
+            document.addEventListener('pointerup', (e) => {
+                if (!this.stateManager.isCapturing || !e.isPrimary) return;
+                try {
+                    recordDrag(this.dragRecorder.end(e));
+                } catch (err) {
+                    console.error('FlowCapture: Drag error:', err);
+                }
+            }, true);
+
+            document.addEventListener('pointercancel', () => this.dragRecorder.cancelPointer(), true);
+
+            document.addEventListener('dragstart', (e) => {
+                if (!this.stateManager.isCapturing || isOverlayEvent(e)) return;
+                this.dragRecorder.beginNative(deepTarget(e), e);
+            }, true);
+
+            document.addEventListener('dragover', (e) => {
+                if (this.stateManager.isCapturing) this.dragRecorder.move(e);
+            }, { capture: true, passive: true });
+
+            document.addEventListener('drop', (e) => {
+                if (!this.stateManager.isCapturing) return;
+                try {
+                    const gesture = this.dragRecorder.end(e, true);
+                    if (gesture) {
+                        recordDrag(gesture);
+                        return;
+                    }
+
+                    // Sem dragstart na página: arquivos vindos do sistema operacional
+                    const dropped = this.uploadRecorder.fromDrop(deepTarget(e), e);
+                    if (dropped) this.sessionManager.startSession({ type: 'upload', ...dropped });
+                } catch (err) {
+                    console.error('FlowCapture: Drop error:', err);
+                }
+            }, true);
+
+            // Drop fora de um alvo válido: nada mudou na página
+            document.addEventListener('dragend', () => this.dragRecorder.cancel(), true);
+
             document.addEventListener('keydown', (e) => {
                 if (!this.stateManager.isRecording) return;
                 try {
+                    // Pause toggle: único atalho que funciona com a gravação pausada
+                    if (this.ShortcutMatcher.isPauseToggle(e, this.pauseShortcut)) {
+                        e.preventDefault();
+                        if (this.frameBridge.ownsSession) this._setPaused(!this.stateManager.isPaused);
+                        else this._forwardCommand('togglePause');
+                        return;
+                    }
+                    if (this.stateManager.isPaused) return;
+
                     // Capture shortcut (configurable via Settings)
                     if (this.ShortcutMatcher.isCapture(e, this.captureShortcut)) {
                         e.preventDefault();
@@ -283,6 +501,20 @@ if (window.hasFlowCapture) {
                         return;
                     }
 
+                    // Undo last step
+                    if (this.ShortcutMatcher.isUndo(e, this.undoShortcut)) {
+                        e.preventDefault();
+                        this._undoLastStep();
+                        return;
+                    }
+
+                    // Assert mode toggle
+                    if (this.ShortcutMatcher.isAssertToggle(e, this.assertShortcut)) {
+                        e.preventDefault();
+                        this._setAssertMode(!this.assertMode);
+                        return;
+                    }
+
                     // Manual height adjustment (Ctrl+Shift+Up/Down)
                     if (this.ShortcutMatcher.isHeightAdjustment(e)) {
                         e.preventDefault();
@@ -292,12 +524,15 @@ if (window.hasFlowCapture) {
                         return;
                     }
 
+                    // Teclas digitadas nos painéis do overlay não são steps
+                    if (isOverlayEvent(e)) return;
+
                     const captureKeys = ['Enter', 'Escape', 'Tab', ' ', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
 
                     if (captureKeys.includes(e.key)) {
                         this.sessionManager.startSession({
                             type: 'keydown',
-                            target: e.target,
+                            target: deepTarget(e),
                             key: e.key,
                             modifiers: {
                                 ctrl: e.ctrlKey,
@@ -313,7 +548,7 @@ if (window.hasFlowCapture) {
             }, true);
 
             document.addEventListener('submit', (e) => {
-                if (!this.stateManager.isRecording) return;
+                if (!this.stateManager.isCapturing) return;
                 try {
                     this.sessionManager.startSession({ type: 'submit', target: e.target });
                 } catch (err) {
@@ -327,13 +562,16 @@ if (window.hasFlowCapture) {
             const lastInputValue = new WeakMap();
 
             document.addEventListener('input', (e) => {
-                if (!this.stateManager.isRecording) return;
+                if (!this.stateManager.isCapturing) return;
                 try {
-                    const target = e.target;
+                    const target = deepTarget(e);
                     if (target.tagName !== 'INPUT' &&
                         target.tagName !== 'TEXTAREA' &&
                         !target.isContentEditable) return;
 
+                    // File inputs: só o change (UPLOAD) interessa, o value é um caminho falso
+                    if (target.type === 'file') return;
+
                     // Skip autofill events (not trusted user input)
                     if (!e.isTrusted) return;
 
@@ -357,11 +595,28 @@ if (window.hasFlowCapture) {
                 }
             }, true);
 
-            document.addEventListener('change', (e) => {
-                if (!this.stateManager.isRecording) return;
+            // Também registrado nos shadow roots descobertos por deepTarget
+            const onChange = (e) => {
+                if (!this.stateManager.isCapturing) return;
                 try {
-                    const t = e.target;
-                    if (t.tagName === 'INPUT' || t.tagName === 'SELECT' || t.tagName === 'TEXTAREA') {
+                    const t = e.composedPath()[0];
+
+                    const upload = this.uploadRecorder.fromInput(t);
+                    if (upload) {
+                        this.sessionManager.startSession({ type: 'upload', ...upload });
+                        return;
+                    }
+
+                    const select = this.selectRecorder.fromChange(t);
+                    if (select) {
+                        // Datalist: o TYPE debounced com o mesmo valor ficaria depois do SELECT_OPTION
+                        clearTimeout(inputTimeout);
+                        lastInputValue.set(t, t.value);
+                        this.sessionManager.startSession({ type: 'select', ...select });
+                        return;
+                    }
+
+                    if (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA') {
                         let val = t.value;
                         if (t.type === 'checkbox' || t.type === 'radio') val = t.checked;
                         this.sessionManager.startSession({ type: 'input_change', target: t, value: val });
@@ -369,12 +624,13 @@ if (window.hasFlowCapture) {
                 } catch (err) {
                     console.error('FlowCapture: Change error:', err);
                 }
-            }, true);
+            };
+            document.addEventListener('change', onChange, true);
 
             document.addEventListener('focus', (e) => {
-                if (!this.stateManager.isRecording) return;
+                if (!this.stateManager.isCapturing) return;
                 try {
-                    const target = e.target;
+                    const target = deepTarget(e);
                     // Only track focus on interactive elements
                     if (target.tagName === 'INPUT' ||
                         target.tagName === 'TEXTAREA' ||
@@ -394,7 +650,8 @@ if (window.hasFlowCapture) {
             let scrollStart = null;
 
             document.addEventListener('scroll', (e) => {
-                if (!this.stateManager.isRecording) return;
+                // SCROLL nodes rolam a janela principal: scroll dentro de iframe não vira step
+                if (!this.stateManager.isCapturing || !this.frameBridge.isTopFrame) return;
                 try {
                     if (!scrollStart) {
                         scrollStart = {
@@ -445,7 +702,8 @@ if (window.hasFlowCapture) {
             const NAV_DEBOUNCE_MS = 150;
 
             const recordNavigation = (newUrl) => {
-                if (!this.stateManager.isRecording) return;
+                // Navegação de iframe não é navegação da página (viraria GOTO)
+                if (!this.stateManager.isCapturing || !this.frameBridge.isTopFrame) return;
                 if (newUrl === lastRecordedUrl) return;
 
                 clearTimeout(navDebounceTimer);
@@ -516,6 +774,13 @@ if (window.hasFlowCapture) {
         async _handleMessage(request, sendResponse) {
             const { MESSAGE_ACTIONS } = this;
 
+            // Iframes e abas follower só acompanham o start/stop repassado pelo top frame
+            if (!this.frameBridge.ownsSession) {
+                if (request.action === MESSAGE_ACTIONS.FRAME_RECORDING) this._followRecording(request.isRecording);
+                sendResponse({ status: 'ok' });
+                return;
+            }
+
             switch (request.action) {
                 case MESSAGE_ACTIONS.TOGGLE_OVERLAY:
                     if (this.overlay) this.overlay.toggle();
@@ -524,7 +789,10 @@ if (window.hasFlowCapture) {
 
                 case MESSAGE_ACTIONS.START_RECORDING:
                     await this.stateManager.startRecording();
+                    this.redactor.reset();
+                    this.extractionRecorder.reset();
                     this._startRecordingInternal();
+                    this.frameBridge.broadcastRecording(true);
                     this.overlay.updateUI(true, 0);
                     this.overlay.show();
                     this.overlay.startTimer(this.stateManager.startTime);
@@ -532,9 +800,12 @@ if (window.hasFlowCapture) {
                     break;
 
                 case MESSAGE_ACTIONS.STOP_RECORDING:
+                    this._setAssertMode(false);
+                    this._setExtractMode(false);
                     this.sessionManager.finalizeCurrentSession();
                     const count = await this.stateManager.stopRecording();
                     this.mutationTracker.stop();
+                    this.frameBridge.broadcastRecording(false);
                     this.overlay.updateUI(false, count);
                     this.overlay.stopTimer();
                     if (count > 0) {
@@ -545,6 +816,12 @@ if (window.hasFlowCapture) {
                     sendResponse({ status: 'stopped', count });
                     break;
 
+                case MESSAGE_ACTIONS.PAUSE_RECORDING:
+                case MESSAGE_ACTIONS.RESUME_RECORDING:
+                    await this._setPaused(request.action === MESSAGE_ACTIONS.PAUSE_RECORDING);
+                    sendResponse({ status: this.stateManager.isPaused ? 'paused' : 'resumed' });
+                    break;
+
                 case MESSAGE_ACTIONS.CAPTURE_STATE:
                     this.sessionManager.finalizeCurrentSession();
                     this.sessionManager.startSession({ type: 'checkpoint', target: document.body });
@@ -565,6 +842,50 @@ if (window.hasFlowCapture) {
                     sendResponse({ intent });
                     break;
 
+                case MESSAGE_ACTIONS.REPLAY_WORKFLOW:
+                    if (this.stateManager.isRecording) {
+                        sendResponse({ status: 'error', message: 'Stop recording before replaying' });
+                        break;
+                    }
+                    const report = await this._replayWorkflow(request.workflow);
+                    sendResponse({ status: 'completed', report });
+                    break;
+
+                case MESSAGE_ACTIONS.VALIDATE_SELECTORS:
+                    const healthReport = await this._validateSelectors(request.workflow);
+                    sendResponse({ status: 'completed', report: healthReport });
+                    break;
+
+                case MESSAGE_ACTIONS.HEAL_STEP:
+                    sendResponse(await this._healStep(request.stepId, { apply: !!request.apply }));
+                    break;
+
+                case MESSAGE_ACTIONS.DEBUG_WORKFLOW:
+                    if (this.stateManager.isRecording) {
+                        sendResponse({ status: 'error', message: 'Stop recording before debugging' });
+                        break;
+                    }
+                    await this._openDebugger(request.workflow, request.breakpoints);
+                    sendResponse({ status: 'debugging' });
+                    break;
+
+                case MESSAGE_ACTIONS.FRAME_STEP:
+                    // Step gravado num iframe ou numa aba follower, roteado pelo background.
+                    // Eles não sabem da pausa: o descarte é aqui
+                    if (this.stateManager.isCapturing) this._onSessionComplete(request.step);
+                    sendResponse({ status: 'ok' });
+                    break;
+
+                case MESSAGE_ACTIONS.TAB_EVENT:
+                    if (this.stateManager.isCapturing) this._recordTabEvent(request.event);
+                    sendResponse({ status: 'ok' });
+                    break;
+
+                case MESSAGE_ACTIONS.FRAME_COMMAND:
+                    // Atalho pressionado num iframe / aba follower, roteado pelo background
+                    sendResponse(await this._runFrameCommand(request.command));
+                    break;
+
                 default:
                     sendResponse({ status: 'unknown_action' });
             }
@@ -575,7 +896,126 @@ if (window.hasFlowCapture) {
          * @private
          */
         _startRecordingInternal() {
+            // Debugger playback and recording can't share the page
+            if (this.debuggerPanel) {
+                this.debuggerPanel.close();
+                this.debuggerPanel = null;
+            }
             this.mutationTracker.start();
+            this.dialogRecorder.install();
+        }
+
+        /**
+         * Pause or resume the recording (popup, overlay button, pause shortcut)
+         * @param {boolean} paused
+         * @returns {Promise<boolean>} Whether the state changed
+         * @private
+         */
+        async _setPaused(paused) {
+            // Iframes/followers não pausam: o atalho vira comando para a owner (_forwardCommand),
+            // que descarta o que eles repassarem enquanto pausada
+            if (!this.frameBridge.ownsSession) return false;
+            if (!this.stateManager.isRecording || this.stateManager.isPaused === paused) return false;
+
+            if (paused) {
+                // A interação em andamento ainda é do fluxo
+                this.sessionManager.finalizeCurrentSession();
+                this._setAssertMode(false);
+                this._setExtractMode(false);
+                await this.stateManager.pauseRecording();
+            } else {
+                const pause = await this.stateManager.resumeRecording();
+                // O setup mudou de página (ex.: login): o replay precisa chegar aqui também
+                if (pause?.url && pause.url !== window.location.href && this.frameBridge.isTopFrame) {
+                    this.sessionManager.startSession({ type: 'navigation', target: document.body, url: window.location.href });
+                }
+            }
+
+            if (this.overlay) {
+                this.overlay.setPaused(paused);
+                this.overlay.showToast(paused ? '⏸ Recording paused — interactions are ignored' : '⏺ Recording resumed', 'info', 2000);
+            }
+            console.log(`⏯️ FlowCapture: Recording ${paused ? 'paused' : 'resumed'}`);
+            return true;
+        }
+
+        /**
+         * Create the overlay (top frame of a tab that records on its own)
+         * @private
+         */
+        _createOverlay() {
+            this.overlay = new this.OverlayUI(this.stateManager);
+            window.overlay = this.overlay;
+        }
+
+        /**
+         * Iframe / follower tab: follow the owner's start/stop (relayed by the background)
+         * @param {boolean} isRecording
+         * @private
+         */
+        _followRecording(isRecording) {
+            if (this.stateManager.isRecording === isRecording) return;
+
+            this.stateManager.followRecording(isRecording);
+            if (isRecording) {
+                this.redactor.reset();
+                this._startRecordingInternal();
+            } else {
+                this._setAssertMode(false);
+                this.sessionManager.finalizeCurrentSession();
+                this.mutationTracker.stop();
+
+                // Fim da gravação: a aba follower volta a ser uma aba comum
+                if (this.frameBridge.isFollower) {
+                    this.frameBridge.leaveTabSession();
+                    if (this.frameBridge.isTopFrame) this._createOverlay();
+                }
+            }
+        }
+
+        /**
+         * Owner: record a tab opened / focused during the recording (sent by the background)
+         * @param {{type: 'popup'|'switch_tab', tabIndex: number, openerIndex?: number, url: string|null}} event
+         * @private
+         */
+        _recordTabEvent(event) {
+            // O step pendente (ex.: o click que abriu o popup) vem antes da troca de aba
+            this.sessionManager.finalizeCurrentSession();
+
+            const tab = { index: event.tabIndex, url: event.url || null };
+            if (event.openerIndex !== undefined) tab.openerIndex = event.openerIndex;
+
+            this._onSessionComplete({
+                step_id: Math.random().toString(36).substr(2, 9),
+                trigger: { type: event.type, tab, timestamp: Date.now() },
+                effects: {},
+                duration_ms: 0
+            });
+        }
+
+        /**
+         * Dialog answered by the user (DialogRecorder) → 'handle_dialog' step.
+         * Gravado na hora, sem finalizar a sessão da ação que abriu o dialog:
+         * o compiler usa dialog.openedAt para pôr o HANDLE_DIALOG antes dela.
+         * @param {Object} dialog - trigger.dialog
+         * @private
+         */
+        _recordDialog(dialog) {
+            if (!this.stateManager.isCapturing) return;
+
+            const trigger = { type: 'handle_dialog', dialog, timestamp: dialog.openedAt };
+            if (dialog.promptText) {
+                const { value, redaction } = this.redactor.redactValue(null, dialog.promptText, 'prompt');
+                dialog.promptText = value;
+                if (redaction) trigger.redaction = redaction;
+            }
+
+            this._onSessionComplete({
+                step_id: Math.random().toString(36).substr(2, 9),
+                trigger,
+                effects: {},
+                duration_ms: 0
+            });
         }
 
         /**
@@ -583,7 +1023,10 @@ if (window.hasFlowCapture) {
          */
         async startRecording() {
             await this.stateManager.startRecording();
+            this.redactor.reset();
+            this.extractionRecorder.reset();
             this._startRecordingInternal();
+            this.frameBridge.broadcastRecording(true);
             this.overlay.updateUI(true, 0);
             this.overlay.show();
             this.overlay.startTimer(this.stateManager.startTime);
@@ -594,9 +1037,12 @@ if (window.hasFlowCapture) {
          * @returns {Promise<number>} step count
          */
         async stopRecording() {
+            this._setAssertMode(false);
+            this._setExtractMode(false);
             this.sessionManager.finalizeCurrentSession();
             const count = await this.stateManager.stopRecording();
             this.mutationTracker.stop();
+            this.frameBridge.broadcastRecording(false);
             this.overlay.updateUI(false, count);
             this.overlay.stopTimer();
             if (count > 0) {
@@ -657,12 +1103,193 @@ if (window.hasFlowCapture) {
             }
         }
 
+        /**
+         * Replay compiled workflow IR against the current page
+         * @param {Array} workflow - Compiled IR nodes
+         * @returns {Promise<Object>} Replay report ({ results, summary })
+         * @private
+         */
+        async _replayWorkflow(workflow) {
+            const replayer = await this._getReplayer();
+
+            if (this.overlay) this.overlay.showToast('Reproduzindo workflow...', 'info');
+
+            const report = await replayer.run(workflow);
+            const { passed, failed, total } = report.summary;
+
+            if (this.overlay) {
+                this.overlay.showToast(
+                    `Replay: ${passed}/${total} ok${failed ? `, ${failed} falharam` : ''}`,
+                    failed ? 'error' : 'success'
+                );
+            }
+
+            return report;
+        }
+
+        /**
+         * Check the workflow's CLICK/TYPE/EXPAND selectors against the current page
+         * (no actions run — problem nodes are outlined)
+         * @param {Array} workflow - Compiled IR nodes
+         * @returns {Promise<Object>} Health report ({ results, summary })
+         * @private
+         */
+        async _validateSelectors(workflow) {
+            const [replayer, { SelectorHealthCheck }] = await Promise.all([
+                this._getReplayer(),
+                import(resolveModule('src/content/services/selector-health-check.js'))
+            ]);
+
+            const report = new SelectorHealthCheck({ replayer, visualFeedback: this.visualFeedback }).run(workflow);
+            const { ok, total } = report.summary;
+
+            if (this.overlay) {
+                this.overlay.showToast(`Seletores: ${ok}/${total} ok`, ok === total ? 'success' : 'warning');
+            }
+
+            return report;
+        }
+
+        /**
+         * Open the step-through debugger panel for a compiled workflow
+         * Starts paused on the first node
+         * @param {Array} workflow - Compiled IR nodes
+         * @param {number[]} breakpoints - Node indexes to pause on
+         * @private
+         */
+        async _openDebugger(workflow, breakpoints = []) {
+            const [replayer, { WorkflowDebugger }, { DebuggerPanel }] = await Promise.all([
+                this._getReplayer(),
+                import(resolveModule('src/content/services/workflow-debugger.js')),
+                import(resolveModule('src/content/ui/debugger-panel.js'))
+            ]);
+
+            if (this.debuggerPanel) this.debuggerPanel.close();
+            if (this.timelinePanel) this.timelinePanel.close();
+
+            const workflowDebugger = new WorkflowDebugger(replayer, this.visualFeedback);
+            this.debuggerPanel = new DebuggerPanel(this.overlay, workflowDebugger);
+            this.debuggerPanel.open();
+            workflowDebugger.load(workflow, { breakpoints });
+        }
+
+        /**
+         * Open the timeline panel to edit the recorded steps (overlay "Timeline" button)
+         * @private
+         */
+        async _openTimeline() {
+            if (!this.timelinePanel) {
+                const { TimelinePanel } = await import(resolveModule('src/content/ui/timeline-panel.js'));
+                this.timelinePanel = new TimelinePanel(this.overlay, this.stateManager, {
+                    onEdit: (count) => this._onStepsEdited(count)
+                });
+            }
+
+            // Debugger playback works on a compiled copy: edits wouldn't reach it
+            if (this.debuggerPanel) {
+                this.debuggerPanel.close();
+                this.debuggerPanel = null;
+            }
+            this._setExtractMode(false);
+            this.timelinePanel.open();
+        }
+
+        /**
+         * Keep the download reference, overlay and popup in sync after a timeline edit
+         * @param {number} count - Step count after the edit
+         * @private
+         */
+        _onStepsEdited(count) {
+            this.recordedSteps = this.stateManager.getSteps();
+            this.overlay.updateCount(count);
+            if (!this.stateManager.isRecording && count > 0) this.overlay.showDownloadButton(count);
+            this.stateManager.notifyPopup(count);
+        }
+
+        /**
+         * Lazily create the shared workflow replayer
+         * @returns {Promise<WorkflowReplayer>}
+         * @private
+         */
+        async _getReplayer() {
+            if (!this.workflowReplayer) {
+                const [{ WorkflowReplayer }, healer] = await Promise.all([
+                    import(resolveModule('src/content/services/workflow-replayer.js')),
+                    this._getHealer()
+                ]);
+                this.workflowReplayer = new WorkflowReplayer({
+                    expansionManager: this.expansionManager,
+                    visualFeedback: this.visualFeedback,
+                    dialogRecorder: this.dialogRecorder,
+                    healer
+                });
+            }
+            return this.workflowReplayer;
+        }
+
+        /**
+         * Lazily create the selector healer (shared by replay and HEAL_STEP)
+         * @returns {Promise<SelectorHealer>}
+         * @private
+         */
+        async _getHealer() {
+            if (!this.selectorHealer) {
+                const { SelectorHealer } = await import(resolveModule('src/content/services/selector-healer.js'));
+                this.selectorHealer = new SelectorHealer({ selectorEngine: this.selectorEngine });
+            }
+            return this.selectorHealer;
+        }
+
+        /**
+         * Find a recorded step's element on the current page and propose new selectors
+         * @param {string} stepId - step_id in recordedSteps
+         * @param {Object} options
+         * @param {boolean} [options.apply] - Write the proposal back into recordedSteps
+         * @returns {Promise<Object>} { status: 'intact' | 'healed' | 'not_found' | 'error', proposal?, applied? }
+         * @private
+         */
+        async _healStep(stepId, { apply = false } = {}) {
+            const step = this.stateManager.getSteps().find(s => s.step_id === stepId);
+            if (!step?.trigger?.selector) return { status: 'error', message: `Step ${stepId} has no selector` };
+
+            const [healer, replayer] = await Promise.all([this._getHealer(), this._getReplayer()]);
+
+            let root;
+            try {
+                root = replayer.frameDocument(step.trigger.framePath ? { path: step.trigger.framePath } : null);
+            } catch (error) {
+                return { status: 'error', message: error.message };
+            }
+            if (!root) return { status: 'not_found' };
+
+            // Primary ainda único: nada a curar
+            if (this.SelectorEngine.getElements(step.trigger.selector, root).length === 1) return { status: 'intact' };
+
+            const proposal = healer.heal(step, root);
+            if (!proposal) return { status: 'not_found' };
+
+            const { element, ...serializable } = proposal;
+            this.visualFeedback?.showElementOutline(element, 'success');
+
+            if (apply) {
+                this.stateManager.updateStepTrigger(stepId, {
+                    selector: proposal.selector,
+                    selectorFallbacks: proposal.selectorFallbacks,
+                    selectorStrategies: proposal.selectorStrategies,
+                    healedFrom: proposal.healedFrom
+                });
+                this.recordedSteps = this.stateManager.getSteps();
+            }
+
+            return { status: 'healed', proposal: serializable, applied: apply };
+        }
+
         /**
          * Trigger mark capture (via keyboard shortcut or popup button)
          * @private
          */
         _triggerMarkCapture() {
-            if (!this.stateManager.isRecording) {
+            if (!this.stateManager.isCapturing) {
                 console.warn('FlowCapture: Cannot mark capture - not recording');
                 return;
             }
@@ -687,6 +1314,218 @@ if (window.hasFlowCapture) {
             this.visualFeedback.showActionIcon('capture');
         }
 
+        /**
+         * Remove the most recent step (undo shortcut / overlay "Undo" button).
+         * An 'expand' step also has its expansion reverted on the page.
+         * @returns {Object|null} Removed step (null in iframes / followers, which forward it)
+         * @private
+         */
+        _undoLastStep() {
+            // Iframe / aba follower: o StateManager daqui é só um snapshot — quem desfaz é a owner
+            if (!this.frameBridge.ownsSession) {
+                if (this.stateManager.isRecording) this._forwardCommand('undo');
+                return null;
+            }
+
+            if (!this.stateManager.isCapturing) {
+                console.warn('FlowCapture: Cannot undo - not recording');
+                return null;
+            }
+
+            // O click de agora ainda pode estar na sessão aberta: ele é o "último step"
+            this.sessionManager.finalizeCurrentSession();
+
+            const step = this.stateManager.getLastStep();
+            if (!step) {
+                this.overlay?.showToast('Nothing to undo', 'info');
+                return null;
+            }
+
+            this.stateManager.deleteStep(step.step_id);
+            const reverted = step.trigger?.type === 'expand' && this.expansionManager.revertStep(step);
+            this._onStepsEdited(this.stateManager.getStepCount());
+
+            this.overlay?.showToast(`↩ Removed ${this._describeStep(step)}${reverted ? ' · expansion reverted' : ''}`, 'info', 2500);
+            console.log(`↩️ FlowCapture: Undid step ${step.step_id}`);
+            return step;
+        }
+
+        /**
+         * Owner: run a command forwarded by an iframe / follower tab (FrameBridge.forwardCommand)
+         * @param {string} command
+         * @returns {Promise<{status: string}>}
+         * @private
+         */
+        async _runFrameCommand(command) {
+            switch (command) {
+                case 'undo':
+                    return { status: this._undoLastStep() ? 'undone' : 'nothing' };
+                case 'togglePause':
+                    if (!this.stateManager.isRecording) return { status: 'not_recording' };
+                    await this._setPaused(!this.stateManager.isPaused);
+                    return { status: this.stateManager.isPaused ? 'paused' : 'resumed' };
+                default:
+                    return { status: 'unknown_command' };
+            }
+        }
+
+        /**
+         * Iframe / follower tab: send a command to the owner and show the outcome here
+         * (the owner's overlay toast may be in another window)
+         * @param {string} command
+         * @private
+         */
+        async _forwardCommand(command) {
+            const response = await this.frameBridge.forwardCommand(command);
+            const icons = { undone: 'undo', paused: 'pause', resumed: 'resume' };
+            if (icons[response?.status]) {
+                this.visualFeedback.showActionIcon(icons[response.status]);
+            } else {
+                console.warn(`FlowCapture: Command "${command}" not applied by the recording tab:`, response?.status || 'unreachable');
+            }
+        }
+
+        /**
+         * Short description of a step for toasts: CLICK "Submit"
+         * @param {Object} step
+         * @returns {string}
+         * @private
+         */
+        _describeStep(step) {
+            const trigger = step.trigger || {};
+            const meta = trigger.metadata || {};
+            const type = (trigger.type || 'step').toUpperCase();
+            const what = step.label || meta.ariaLabel || meta.text || trigger.captureLabel || trigger.selector || '';
+            return what ? `${type} "${String(what).substring(0, 40)}"` : type;
+        }
+
+        /**
+         * Turn assert mode on/off (toggled via assert shortcut while recording)
+         * @param {boolean} enabled
+         * @private
+         */
+        _setAssertMode(enabled) {
+            if (this.assertMode === enabled) return;
+            if (enabled) this._setExtractMode(false);
+            this.assertMode = enabled;
+
+            if (this.overlay) {
+                this.overlay.showToast(
+                    enabled
+                        ? 'Assert mode ON — click: text · Alt: visible · Shift: count · Ctrl: attribute'
+                        : 'Assert mode OFF',
+                    'info',
+                    enabled ? 4000 : 1500
+                );
+            }
+            console.log(`✔️ FlowCapture: Assert mode ${enabled ? 'ON' : 'OFF'}`);
+        }
+
+        /**
+         * Record an assertion on the clicked element
+         * @param {Element} target
+         * @param {'text'|'visible'|'count'|'attribute'} kind
+         * @private
+         */
+        _recordAssertion(target, kind) {
+            const built = this.assertionRecorder.build(target, kind);
+            if (!built) {
+                this.visualFeedback.showElementOutline(target, 'error');
+                this.overlay?.showToast(`Cannot assert ${kind} on this element`, 'error');
+                return;
+            }
+
+            const { assertion } = built;
+            this.sessionManager.startSession({ type: 'assert', target: built.target, assertion });
+
+            this.visualFeedback.showElementOutline(built.target, 'success');
+            this.visualFeedback.showActionIcon('assert');
+
+            const summary = assertion.kind === 'count' ? `${assertion.expected} items`
+                : assertion.kind === 'visible' ? 'visible'
+                    : `${assertion.attribute ? `${assertion.attribute} = ` : ''}"${String(assertion.expected).substring(0, 40)}"`;
+            this.overlay?.showToast(`Assert ${assertion.kind}: ${summary}`, 'success');
+        }
+
+        /**
+         * Toggle extract mode (overlay "Extract" button)
+         * @private
+         */
+        _toggleExtractMode() {
+            if (!this.stateManager.isCapturing) {
+                console.warn('FlowCapture: Cannot extract - not recording');
+                return;
+            }
+            this._setExtractMode(!this.extractMode);
+        }
+
+        /**
+         * Turn extract mode on/off
+         * @param {boolean} enabled
+         * @private
+         */
+        _setExtractMode(enabled) {
+            if (this.extractMode === enabled) return;
+            if (enabled) this._setAssertMode(false);
+            this.extractMode = enabled;
+
+            if (this.overlay) {
+                this.overlay.setExtractMode(enabled);
+                if (!enabled && this.extractPanel) this.extractPanel.close();
+                this.overlay.showToast(
+                    enabled ? 'Extract mode ON — click an element to extract its data' : 'Extract mode OFF',
+                    'info',
+                    enabled ? 3000 : 1500
+                );
+            }
+            console.log(`🧲 FlowCapture: Extract mode ${enabled ? 'ON' : 'OFF'}`);
+        }
+
+        /**
+         * Open the field form for an element picked in extract mode
+         * @param {Element} picked
+         * @private
+         */
+        async _pickExtraction(picked) {
+            const suggestion = this.extractionRecorder.suggest(picked);
+            if (!suggestion) {
+                this.overlay.showToast('Cannot extract from this element', 'error');
+                return;
+            }
+
+            if (!this.extractPanel) {
+                const { ExtractPanel } = await import(resolveModule('src/content/ui/extract-panel.js'));
+                this.extractPanel = new ExtractPanel(this.overlay);
+            }
+
+            const { target } = suggestion;
+            this.visualFeedback.showElementOutline(target, 'success', 3000);
+            this.extractPanel.open(suggestion, {
+                preview: (type, attribute) => this.extractionRecorder.preview(target, type, attribute),
+                onSave: (choice) => this._recordExtraction(target, choice)
+            });
+        }
+
+        /**
+         * Record an EXTRACT step for the picked element
+         * @param {Element} target
+         * @param {{field: string, type: string, attribute: string|null}} choice
+         * @private
+         */
+        _recordExtraction(target, choice) {
+            if (!this.stateManager.isRecording) return;
+
+            const extraction = this.extractionRecorder.build(target, choice);
+            if (!extraction) {
+                this.overlay.showToast('Invalid field name', 'error');
+                return;
+            }
+
+            this.sessionManager.startSession({ type: 'extract', target, extraction });
+            this.visualFeedback.showActionIcon('extract');
+            this.overlay.showToast(`Extract ${extraction.field} (${extraction.type})`, 'success');
+        }
+
         /**
          * Expand the constrained container under the cursor.
          * If the element was already expanded, undo the expansion (toggle).
@@ -732,7 +1571,7 @@ if (window.hasFlowCapture) {
 
             // Show visual feedback
             this.visualFeedback.showElementOutline(container, 'success');
-            this.overlay.showToast(`Expanded: ${Math.round(container.getBoundingClientRect().height)}px`, 'success');
+            this.overlay?.showToast(`Expanded: ${Math.round(container.getBoundingClientRect().height)}px`, 'success');
             this.visualFeedback.showActionIcon('expand');
 
             const selector = this.selectorEngine.getUniqueSelector(container);
@@ -748,7 +1587,7 @@ if (window.hasFlowCapture) {
             const success = this.expansionManager.adjustHeight(null, delta);
 
             if (!success) {
-                this.overlay.showToast('Select an element to expand first (Ctrl+Shift+E)', 'error');
+                this.overlay?.showToast('Select an element to expand first (Ctrl+Shift+E)', 'error');
                 return;
             }
 
@@ -756,7 +1595,7 @@ if (window.hasFlowCapture) {
             const newHeight = el.getBoundingClientRect().height;
 
             // Show toast with new height
-            this.overlay.showToast(`Height: ${Math.round(newHeight)}px`, 'info', 1000);
+            this.overlay?.showToast(`Height: ${Math.round(newHeight)}px`, 'info', 1000);
             this.visualFeedback.showElementOutline(el, 'success');
             this.visualFeedback.showActionIcon(delta > 0 ? 'adjust-up' : 'adjust-down');
         }
@@ -827,6 +1666,12 @@ if (window.hasFlowCapture) {
          * @private
          */
         _onSessionComplete(stepData) {
+            // Iframe / aba follower: o step vai para o StateManager da owner
+            if (!this.frameBridge.ownsSession) {
+                this.frameBridge.forwardStep(stepData);
+                return;
+            }
+
             const count = this.stateManager.addStep(stepData);
 
             // Keep local reference for downloads
@@ -835,13 +1680,54 @@ if (window.hasFlowCapture) {
             // Update overlay
             if (this.overlay) {
                 this.overlay.updateCount(count);
+                this._warnFragileSelector(stepData);
             }
 
             // Notify popup
             this.stateManager.notifyPopup(count);
 
+            const type = stepData.trigger?.type;
+            if (type === 'capture_point' || type === 'checkpoint') this._captureThumbnail(stepData.step_id);
+
             console.log('FlowCapture: Step captured', stepData.step_id);
         }
+
+        /**
+         * Ask the background for a thumbnail of the page at a capture point / checkpoint
+         * (stored in IndexedDB under the step_id). The overlay leaves the frame meanwhile.
+         * @param {string} stepId
+         * @private
+         */
+        async _captureThumbnail(stepId) {
+            try {
+                this.overlay?.setCaptureHidden(true);
+                // Dois frames: o overlay escondido precisa chegar na tela antes do captureVisibleTab
+                await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+                const response = await chrome.runtime.sendMessage({ action: this.MESSAGE_ACTIONS.CAPTURE_THUMBNAIL, stepId });
+                if (!response?.success) {
+                    console.warn('FlowCapture: Thumbnail not captured:', response?.error);
+                    return;
+                }
+                this.timelinePanel?.render();
+            } catch (error) {
+                console.warn('FlowCapture: Thumbnail request failed:', error);
+            } finally {
+                this.overlay?.setCaptureHidden(false);
+            }
+        }
+
+        /**
+         * Toast when the best selector of a step scored as fragile (SelectorEngine.scoreSelector)
+         */
+        _warnFragileSelector(stepData) {
+            const trigger = stepData.trigger || {};
+            const best = trigger.selectorStrategies?.[0];
+            if (!best?.fragile || best.selector !== trigger.selector) return;
+
+            const reasons = best.reasons?.length ? `: ${best.reasons.join(', ')}` : '';
+            this.overlay.showToast(`⚠ Fragile selector (score ${best.score})${reasons}`, 'warning', 3000);
+        }
     }
 
     // Initialize FlowCapture
@@ -7,6 +7,7 @@
  * - Observer scoped to body (not document)
  * - Proper cleanup and disconnect
  * - Configurable via constants
+ * - Open shadow roots (Lit, Stencil, Shoelace...) observed with the same options
  */
 
 import { CONFIG } from '../../shared/constants.js';
@@ -23,6 +24,9 @@ export class MutationTracker {
         this.observer = null;
         this.isActive = false;
 
+        // Shadow roots já observados (o observer.disconnect() solta todos de uma vez)
+        this._observedRoots = new WeakSet();
+
         // RAF batching for performance
         this.mutationQueue = [];
         this.processingRAF = null;
@@ -38,6 +42,11 @@ export class MutationTracker {
         this.observer = new MutationObserver((mutations) => {
             if (!this.isActive) return;
 
+            // Componentes inseridos depois do start trazem seus próprios shadow roots
+            mutations.forEach(m => {
+                if (m.type === 'childList') m.addedNodes.forEach(node => this._observeShadowRoots(node));
+            });
+
             if (CONFIG.MUTATION_OBSERVER.THROTTLE_RAF) {
                 // PERFORMANCE: Queue mutations and batch-process in RAF
                 this.mutationQueue.push(...mutations);
@@ -56,17 +65,10 @@ export class MutationTracker {
         // PERFORMANCE: More targeted observation than original
         const target = document.body || document.documentElement;
 
-        this.observer.observe(target, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeOldValue: true,
-            // PERFORMANCE: Only observe relevant attribute changes
-            attributeFilter: CONFIG.MUTATION_OBSERVER.OBSERVE_ATTRIBUTES,
-            // PERFORMANCE: Disable character data observation (rarely needed for UI flow)
-            characterData: CONFIG.MUTATION_OBSERVER.OBSERVE_CHARACTER_DATA,
-            characterDataOldValue: CONFIG.MUTATION_OBSERVER.OBSERVE_CHARACTER_DATA
-        });
+        this.observer.observe(target, this._observeOptions());
+
+        // subtree não atravessa shadow roots: cada root aberto é observado à parte
+        this._observeShadowRoots(target);
 
         this.isActive = true;
         console.log('MutationTracker: Started observing');
@@ -82,6 +84,7 @@ export class MutationTracker {
             this.observer.disconnect();
             this.observer = null;
         }
+        this._observedRoots = new WeakSet();
 
         // Cancel pending RAF
         if (this.processingRAF) {
@@ -93,6 +96,57 @@ export class MutationTracker {
         this.mutationQueue = [];
     }
 
+    /**
+     * Observe an open shadow root (no-op if already observed or not tracking).
+     * Also called by content.js for roots discovered through event paths —
+     * components upgraded after insertion attach their root without a mutation.
+     * @param {ShadowRoot} root
+     */
+    observeShadowRoot(root) {
+        if (!this.observer || !(root instanceof ShadowRoot)) return;
+        if (this._observedRoots.has(root) || root.host.id === 'flow-capture-overlay-root') return;
+
+        this._observedRoots.add(root);
+        this.observer.observe(root, this._observeOptions());
+        this._observeShadowRoots(root);
+
+        // Roots aninhados: o host também pode estar dentro de outro shadow root
+        const outer = root.host.getRootNode();
+        if (outer instanceof ShadowRoot) this.observeShadowRoot(outer);
+    }
+
+    /**
+     * @private
+     */
+    _observeOptions() {
+        return {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeOldValue: true,
+            // PERFORMANCE: Only observe relevant attribute changes
+            attributeFilter: CONFIG.MUTATION_OBSERVER.OBSERVE_ATTRIBUTES,
+            // PERFORMANCE: Disable character data observation (rarely needed for UI flow)
+            characterData: CONFIG.MUTATION_OBSERVER.OBSERVE_CHARACTER_DATA,
+            characterDataOldValue: CONFIG.MUTATION_OBSERVER.OBSERVE_CHARACTER_DATA
+        };
+    }
+
+    /**
+     * Observe every open shadow root under node (node itself included)
+     * @private
+     */
+    _observeShadowRoots(node) {
+        if (node.nodeType !== 1 && node.nodeType !== 11) return;
+        if (node.shadowRoot) this.observeShadowRoot(node.shadowRoot);
+
+        const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+        while (walker.nextNode()) {
+            const root = walker.currentNode.shadowRoot;
+            if (root) this.observeShadowRoot(root);
+        }
+    }
+
     /**
      * Process queued mutations in batch
      * @private
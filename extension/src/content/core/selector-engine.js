@@ -3,6 +3,7 @@
  * Robust CSS selector generation with multiple fallback strategies
  *
  * Strategy order:
+ * 0. Site profile test-id attributes (data-qa, data-cy...)
  * 1. ID
  * 2. XPath with predicates (tag + aria-label/text/name/title/role — combines when needed)
  * 3. Aria label → aria/Label (Puppeteer-native, simple fallback)
@@ -15,13 +16,51 @@
  * 10. Closest heading context (fallback)
  *
  * Also generates fallback candidates for robustness.
+ *
+ * Scoring: every candidate from getMultipleCandidates gets a 0-100 stability
+ * score (strategy base minus penalties: not unique, long, positional nth-of-type,
+ * CSS-in-JS hash classes, volatile text, depth). Candidates are returned best
+ * first and the scores/reasons travel in strategies[] → trigger.selectorStrategies.
+ *
+ * Shadow DOM: elements inside open shadow roots get chains "host >>> inner"
+ * (CSS strategies only — XPath and text:: don't cross shadow boundaries).
+ *
+ * Site profile (settings.selectorProfiles → SelectorProfiles.forHost):
+ * - attributes: test-id attributes tried before everything else ('preferred-attribute')
+ * - ignoreClasses: extra class patterns filtered like utility/state classes
+ * - bannedStrategies: strategies that never produce a selector
  */
 
 import { CONFIG } from '../../shared/constants.js';
 import { INTERACTIVE_ELEMENTS } from '../../shared/interactive-elements.js';
+import { DEFAULT_TEST_ID_ATTRIBUTES } from '../../shared/selector-profiles.js';
+
+/** Starting score per strategy: how stable the notation tends to be across deploys */
+const STRATEGY_BASE_SCORES = {
+    'preferred-attribute': 100,
+    'id': 95,
+    'attribute': 90,
+    'aria': 85,
+    'xpath': 85,
+    'class': 75,
+    'modal-scope': 75,
+    'img-alt': 70,
+    'text': 65,
+    'heading-context': 65,
+    'path': 60,
+    'path-short': 60,
+    'nth-of-type': 50,
+    'tag': 40
+};
+
+/** Levels of nesting a selector can have before it starts losing points */
+const MAX_FREE_DEPTH = 2;
 
 export class SelectorEngine {
-    constructor() {
+    /**
+     * @param {Object|null} profile - Active site profile (see SelectorProfiles)
+     */
+    constructor(profile = null) {
         this.cache = new WeakMap();
         this.utilityPattern = CONFIG.SELECTOR.UTILITY_CLASS_PATTERN;
 
@@ -30,8 +69,75 @@ export class SelectorEngine {
         this._scHashPattern = /^[a-zA-Z]{4,8}$/;
         this._scPrefixPattern = /(-sc-|__.*-sc-|^sc-|^css-|^styled-|^emotion-)/;
 
+        // Root used by uniqueness checks (document, or the ShadowRoot being scoped)
+        this._scope = null;
+
         // Dynamic state classes that change at runtime (break selectors on replay)
         this._stateClassPattern = /^(active|selected|focused|focus|hover|open|opened|closed|collapsed|expanded|disabled|hidden|visible|show|hide|checked|current|is-active|is-open|is-selected|is-visible|is-hidden|is-disabled|is-expanded|is-collapsed|toggled|highlighted|pressed|dragging|loading|loaded|entering|leaving|entered|exited)$/;
+
+        this.setProfile(profile);
+    }
+
+    /**
+     * Apply a site profile (null = defaults). Cached selectors are dropped,
+     * since they may use attributes/classes/strategies the profile changes.
+     * @param {Object|null} profile
+     */
+    setProfile(profile) {
+        this.profile = profile || null;
+        this._preferredAttrs = (profile?.attributes || []).filter(Boolean);
+        this._bannedStrategies = new Set(profile?.bannedStrategies || []);
+        this._ignoreClassPatterns = (profile?.ignoreClasses || []).map(pattern => {
+            try {
+                return new RegExp(pattern);
+            } catch {
+                console.warn(`[SelectorEngine] Invalid ignore pattern in profile: ${pattern}`);
+                return null;
+            }
+        }).filter(Boolean);
+        this.clearCache();
+    }
+
+    /**
+     * Test id of an element: profile attributes first, then the usual data-testid family
+     * @param {Element} el
+     * @returns {string|null}
+     */
+    getTestId(el) {
+        if (!el || el.nodeType !== 1) return null;
+        for (const attr of [...this._preferredAttrs, ...DEFAULT_TEST_ID_ATTRIBUTES]) {
+            const val = el.getAttribute(attr);
+            if (val?.trim()) return val.trim();
+        }
+        return null;
+    }
+
+    /**
+     * Label of an element: aria-label, the text of the aria-labelledby elements
+     * (o atributo guarda IDs, não o texto), title, then name
+     * @param {Element} el
+     * @returns {string|null}
+     */
+    getAriaLabel(el) {
+        if (!el || el.nodeType !== 1) return null;
+
+        const root = el.getRootNode();
+        const labelledBy = (el.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .map(id => id && root.getElementById?.(id)?.textContent?.trim())
+            .filter(Boolean)
+            .join(' ');
+
+        const label = el.getAttribute('aria-label') || labelledBy || el.title || el.name;
+        return typeof label === 'string' && label.trim() ? label.trim() : null;
+    }
+
+    /**
+     * Strategy not banned by the active profile
+     * @private
+     */
+    _allows(strategy) {
+        return !this._bannedStrategies.has(strategy);
     }
 
     /**
@@ -43,7 +149,7 @@ export class SelectorEngine {
      */
     _isIdUnique(id) {
         try {
-            return document.querySelectorAll(`#${CSS.escape(id)}`).length === 1;
+            return (this._scope || document).querySelectorAll(`#${CSS.escape(id)}`).length === 1;
         } catch {
             return false;
         }
@@ -92,21 +198,29 @@ export class SelectorEngine {
             el = resolvedEl;
         }
 
+        // Inside a web component: host >>> inner chains
+        const shadowRoot = this._shadowRootOf(el);
+        if (shadowRoot) {
+            const candidates = this._getShadowCandidates(el, shadowRoot);
+            if (candidates.length === 0) return { primary: null, fallbacks: [] };
+
+            return this._rankCandidates(candidates);
+        }
+
         const candidates = [];
 
         const tryAdd = (fn, strategy) => {
+            if (!this._allows(strategy)) return;
             try {
                 const sel = fn();
-                if (sel) candidates.push({ selector: sel, strategy });
+                if (sel && !candidates.some(c => c.selector === sel)) candidates.push({ selector: sel, strategy });
             } catch (e) {
                 console.warn(`SelectorEngine: Strategy "${strategy}" failed:`, e.message);
             }
         };
 
-        if (el.id && !this._isBogusValue(el.id) && this._isIdUnique(el.id)) {
-            candidates.push({ selector: `#${CSS.escape(el.id)}`, strategy: 'id' });
-        }
-
+        tryAdd(() => this._getPreferredAttributeSelector(el), 'preferred-attribute');
+        tryAdd(() => this._getIdSelector(el), 'id');
         tryAdd(() => this._getXPathSelector(el), 'xpath');
         tryAdd(() => this._getAriaSelector(el), 'aria');
         tryAdd(() => this._getAttributeSelector(el), 'attribute');
@@ -130,13 +244,96 @@ export class SelectorEngine {
 
         if (candidates.length === 0) return { primary: null, fallbacks: [] };
 
+        return this._rankCandidates(candidates);
+    }
+
+    /**
+     * Stability score of a selector (0-100, higher = more likely to survive a redeploy)
+     * @param {string} selector
+     * @param {string} strategy - Strategy that produced it ('shadow-*' uses the inner strategy)
+     * @returns {{score: number, reasons: string[], matches: number, fragile: boolean}}
+     */
+    scoreSelector(selector, strategy) {
+        const reasons = [];
+        let score = STRATEGY_BASE_SCORES[String(strategy).replace(/^shadow-(host-)?/, '')] ?? 60;
+        const penalize = (points, reason) => {
+            score -= points;
+            reasons.push(reason);
+        };
+
+        // Uniqueness: 0 matches nunca funciona no replay; N matches pega o primeiro
+        const matches = SelectorEngine.getElements(selector).length;
+        if (matches === 0) penalize(60, 'matches nothing');
+        else if (matches > 1) penalize(10 + 10 * Math.min(matches - 1, 4), `not unique (${matches} matches)`);
+
+        if (selector.length > CONFIG.SELECTOR.MAX_SELECTOR_LENGTH) penalize(15, 'long selector');
+        else if (selector.length > 60) penalize(5, 'long selector');
+
+        if (/:nth-(of-type|child)\(|\)\[\d+\]$/.test(selector)) penalize(20, 'positional (nth-of-type)');
+
+        const classes = [...selector.replace(/\[[^\]]*\]/g, '').matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)].map(m => m[1]);
+        if (classes.some(c => this._isHashClass(c))) penalize(30, 'CSS-in-JS hash class');
+
+        const text = this._selectorText(selector);
+        if (text !== null) {
+            // Números (contadores, preços, datas) mudam entre execuções
+            if (/\d/.test(text)) penalize(20, 'volatile text');
+            else if (text.length > 40) penalize(10, 'long text match');
+        }
+
+        const depth = this._selectorDepth(selector);
+        if (depth > MAX_FREE_DEPTH) penalize(5 * (depth - MAX_FREE_DEPTH), `deep (${depth} levels)`);
+
+        score = Math.max(0, Math.min(100, score));
+        return { score, reasons, matches, fragile: score < CONFIG.SELECTOR.FRAGILE_SCORE };
+    }
+
+    /**
+     * Score candidates and sort best first (ties keep strategy order)
+     * @param {Array<{selector: string, strategy: string}>} candidates
+     * @returns {{primary: string, fallbacks: string[], strategies: Array}}
+     * @private
+     */
+    _rankCandidates(candidates) {
+        const ranked = candidates
+            .map((c, order) => ({ ...c, ...this.scoreSelector(c.selector, c.strategy), order }))
+            .sort((a, b) => b.score - a.score || a.order - b.order);
+
         return {
-            primary: candidates[0].selector,
-            fallbacks: candidates.slice(1).map(c => c.selector),
-            strategies: candidates.map(c => c.strategy)
+            primary: ranked[0].selector,
+            fallbacks: ranked.slice(1).map(c => c.selector),
+            strategies: ranked.map(({ selector, strategy, score, reasons, matches, fragile }) => ({ selector, strategy, score, reasons, matches, fragile }))
         };
     }
 
+    /**
+     * Text a selector matches on (text::, aria/, XPath text predicates), or null
+     * @private
+     */
+    _selectorText(selector) {
+        if (selector.startsWith('text::')) return selector.slice(6);
+        const xpathText = selector.match(/normalize-space\(\.\)\s*[=,]\s*(["'])(.*?)\1/);
+        if (xpathText) return xpathText[2];
+        return null;
+    }
+
+    /**
+     * Nesting levels of a selector (CSS combinators, XPath steps, shadow hops)
+     * @private
+     */
+    _selectorDepth(selector) {
+        return selector
+            .split(CONFIG.SELECTOR.SHADOW_PIERCE.trim())
+            .reduce((total, part) => {
+                const trimmed = part.trim();
+                if (trimmed.startsWith('//') || trimmed.startsWith('(//')) {
+                    return total + trimmed.replace(/\[[^\]]*\]/g, '').split(/\/+/).filter(Boolean).length;
+                }
+                if (/^(aria|text)\//.test(trimmed) || trimmed.startsWith('text::')) return total + 1;
+                return total + trimmed.replace(/\[[^\]]*\]/g, '').split(/\s*[>+~]\s*|\s+/).filter(Boolean).length;
+            }, 0);
+    }
+
     /**
      * Compute best selector - tries strategies in order until one is unique
      * @param {Element} el
@@ -147,54 +344,93 @@ export class SelectorEngine {
         // Bubble up to nearest interactive ancestor before applying strategies
         el = INTERACTIVE_ELEMENTS.findInteractiveAncestor(el);
 
-        if (el.id && !this._isBogusValue(el.id) && this._isIdUnique(el.id)) {
-            return `#${CSS.escape(el.id)}`;
+        const shadowRoot = this._shadowRootOf(el);
+        if (shadowRoot) {
+            return this._getShadowCandidates(el, shadowRoot)[0]?.selector || null;
+        }
+
+        const preferredSelector = this._allows('preferred-attribute') && this._getPreferredAttributeSelector(el);
+        if (preferredSelector) {
+            return preferredSelector;
         }
 
-        const xpathSelector = this._getXPathSelector(el);
+        const idSelector = this._allows('id') && this._getIdSelector(el);
+        if (idSelector) {
+            return idSelector;
+        }
+
+        const xpathSelector = this._allows('xpath') && this._getXPathSelector(el);
         if (xpathSelector) {
             return xpathSelector;
         }
 
-        const ariaSelector = this._getAriaSelector(el);
+        const ariaSelector = this._allows('aria') && this._getAriaSelector(el);
         if (ariaSelector) {
             return ariaSelector;
         }
 
-        const attrSelector = this._getAttributeSelector(el);
+        const attrSelector = this._allows('attribute') && this._getAttributeSelector(el);
         if (attrSelector && this._isUniqueSafe(attrSelector)) {
             return attrSelector;
         }
 
-        const classSelector = this._getClassSelector(el);
+        const classSelector = this._allows('class') && this._getClassSelector(el);
         if (classSelector && this._isUniqueSafe(classSelector)) {
             return classSelector;
         }
 
-        const pathSelector = this._getPathSelector(el, 4);
+        const pathSelector = this._allows('path') && this._getPathSelector(el, 4);
         if (pathSelector && this._isUniqueSafe(pathSelector)) {
             return pathSelector;
         }
 
-        const nthSelector = this._getNthWithContext(el);
+        const nthSelector = this._allows('nth-of-type') && this._getNthWithContext(el);
         if (nthSelector) {
             return nthSelector;
         }
 
-        const textSelector = this._getTextBasedSelector(el);
+        const textSelector = this._allows('text') && this._getTextBasedSelector(el);
         if (textSelector) return textSelector;
 
-        const imgSelector = this._getImgAltSelector(el);
+        const imgSelector = this._allows('img-alt') && this._getImgAltSelector(el);
         if (imgSelector && this._isUniqueSafe(imgSelector)) return imgSelector;
 
-        const headingSelector = this._getClosestHeadingSelector(el);
+        const headingSelector = this._allows('heading-context') && this._getClosestHeadingSelector(el);
         if (headingSelector && this._isUniqueSafe(headingSelector)) return headingSelector;
 
-        return nthSelector || el.tagName.toLowerCase();
+        // Sem match (ou estratégias banidas pelo profile): path não-único ainda é melhor que só a tag
+        return pathSelector || el.tagName.toLowerCase();
     }
 
     // ─── Strategy Implementations ────────────────────────
 
+    /**
+     * Strategy 0: test-id attributes from the site profile, in priority order
+     * @private
+     */
+    _getPreferredAttributeSelector(el) {
+        const tag = el.tagName.toLowerCase();
+        for (const attr of this._preferredAttrs) {
+            const val = el.getAttribute(attr);
+            if (!val || !val.trim() || this._isBogusValue(val)) continue;
+
+            const selector = `${tag}[${attr}="${val.replace(/"/g, '\\"').substring(0, 80)}"]`;
+            if (this._isUniqueSafe(selector)) return selector;
+        }
+        return null;
+    }
+
+    /**
+     * Strategy 1: ID (only when really unique on the page)
+     * @private
+     */
+    _getIdSelector(el) {
+        if (el.id && !this._isBogusValue(el.id) && this._isIdUnique(el.id)) {
+            return `#${CSS.escape(el.id)}`;
+        }
+        return null;
+    }
+
     /**
      * Strategy 2: XPath with predicates
      * Generates //tag[@attr="val"] format with automatic predicate combining
@@ -391,6 +627,7 @@ export class SelectorEngine {
      */
     _getAttributeSelector(el) {
         const stableAttrs = [
+            ...this._preferredAttrs,
             'data-testid',
             'data-test-id',
             'data-automation-id',
@@ -746,6 +983,103 @@ export class SelectorEngine {
         return needsNth ? `${tag}:nth-of-type(${index})` : tag;
     }
 
+    // ─── Shadow DOM ──────────────────────────────────────
+
+    /**
+     * Open shadow root containing the element (null in the light DOM)
+     * @param {Element} el
+     * @returns {ShadowRoot|null}
+     * @private
+     */
+    _shadowRootOf(el) {
+        const root = el.getRootNode?.();
+        return root instanceof ShadowRoot ? root : null;
+    }
+
+    /**
+     * Candidates for an element inside a shadow root: host chain >>> inner selector.
+     * Recurses through nested roots (host of a host...). Order: best host with each
+     * inner candidate, then the remaining hosts with the best inner one.
+     * @param {Element} el
+     * @param {ShadowRoot} root
+     * @returns {Array<{selector: string, strategy: string}>}
+     * @private
+     */
+    _getShadowCandidates(el, root) {
+        const host = root.host;
+        if (host.id === 'flow-capture-overlay-root') return [];
+
+        const inner = this._inScope(root, () => this._getCssCandidates(el));
+        const hostRoot = this._shadowRootOf(host);
+        const outer = hostRoot
+            ? this._getShadowCandidates(host, hostRoot)
+            : this._inScope(document, () => this._getCssCandidates(host));
+
+        if (inner.length === 0 || outer.length === 0) return [];
+
+        const pierce = CONFIG.SELECTOR.SHADOW_PIERCE;
+        const chains = [
+            ...inner.map(c => ({ selector: `${outer[0].selector}${pierce}${c.selector}`, strategy: `shadow-${c.strategy}` })),
+            ...outer.slice(1, 3).map(c => ({ selector: `${c.selector}${pierce}${inner[0].selector}`, strategy: `shadow-host-${c.strategy}` }))
+        ];
+
+        const seen = new Set();
+        return chains.filter(c => !seen.has(c.selector) && seen.add(c.selector));
+    }
+
+    /**
+     * CSS-only candidates, validated against the current scope (document or shadow root)
+     * @param {Element} el
+     * @returns {Array<{selector: string, strategy: string}>}
+     * @private
+     */
+    _getCssCandidates(el) {
+        const candidates = [];
+        const tryAdd = (fn, strategy) => {
+            if (!this._allows(strategy)) return;
+            try {
+                const sel = fn();
+                if (sel && this._isUniqueSafe(sel) && !candidates.some(c => c.selector === sel)) {
+                    candidates.push({ selector: sel, strategy });
+                }
+            } catch (e) {
+                console.warn(`SelectorEngine: Strategy "${strategy}" failed:`, e.message);
+            }
+        };
+
+        tryAdd(() => this._getPreferredAttributeSelector(el), 'preferred-attribute');
+        tryAdd(() => this._getIdSelector(el), 'id');
+        tryAdd(() => this._getAttributeSelector(el), 'attribute');
+        tryAdd(() => this._getClassSelector(el), 'class');
+        tryAdd(() => this._getPathSelector(el, 4), 'path');
+        tryAdd(() => this._getPathSelector(el, 2), 'path-short');
+        tryAdd(() => this._getNthWithContext(el), 'nth-of-type');
+
+        // Custom elements costumam ser únicos pela tag (<sl-dialog>, <my-app>)
+        if (candidates.length === 0) tryAdd(() => el.tagName.toLowerCase(), 'tag');
+
+        // Como no _computeSelector: nth-of-type mesmo sem ser único é melhor que nada
+        if (candidates.length === 0) {
+            candidates.push({ selector: this._getNthWithContext(el), strategy: 'nth-of-type' });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Run fn with uniqueness checks scoped to root
+     * @private
+     */
+    _inScope(root, fn) {
+        const previous = this._scope;
+        this._scope = root;
+        try {
+            return fn();
+        } finally {
+            this._scope = previous;
+        }
+    }
+
     // ─── Helper Methods ──────────────────────────────────
 
     /**
@@ -769,7 +1103,7 @@ export class SelectorEngine {
     _isTextUnique(text, tagName) {
         const normalizedText = text.trim().toLowerCase();
         try {
-            const allSameTag = document.querySelectorAll(tagName.toLowerCase());
+            const allSameTag = (this._scope || document).querySelectorAll(tagName.toLowerCase());
             let count = 0;
             for (const el of allSameTag) {
                 const elText = (el.innerText || el.textContent || '').trim().toLowerCase();
@@ -788,6 +1122,7 @@ export class SelectorEngine {
      * Filter meaningful classes, excluding:
      * - Dynamic state classes (active, open, selected, etc.)
      * - Bootstrap utility classes
+     * - Site profile ignoreClasses
      * - Styled-component hash classes (eKWknK, gYfNos)
      * - CSS-in-JS prefixed classes (sc-*, css-*, emotion-*)
      * @private
@@ -805,20 +1140,29 @@ export class SelectorEngine {
                 // Filter Bootstrap/utility classes
                 if (this.utilityPattern.test(c)) return false;
 
-                // Filter styled-component prefixed classes
-                if (this._scPrefixPattern.test(c)) return false;
-
-                // Filter random hash classes (4-8 chars, mixed case, no hyphens/underscores)
-                // These are typically styled-component generated: eKWknK, gYfNos, MdiYe, etc.
-                if (this._scHashPattern.test(c) && /[A-Z]/.test(c) && /[a-z]/.test(c)) return false;
+                // Filter classes the site profile marks as unstable
+                if (this._ignoreClassPatterns.some(pattern => pattern.test(c))) return false;
 
-                // Filter classes that look like generated hashes with numbers
-                if (/^[a-zA-Z0-9]{6,}$/.test(c) && !/^[a-z]+(-[a-z]+)*$/.test(c)) return false;
+                // Filter styled-component / CSS-in-JS generated classes
+                if (this._isHashClass(c)) return false;
 
                 return true;
             });
     }
 
+    /**
+     * Styled-component / CSS-in-JS generated class:
+     * - prefixed (sc-*, css-*, emotion-*)
+     * - random hash (4-8 chars, mixed case, no hyphens/underscores): eKWknK, gYfNos, MdiYe
+     * - generated hash with numbers
+     * @private
+     */
+    _isHashClass(c) {
+        if (this._scPrefixPattern.test(c)) return true;
+        if (this._scHashPattern.test(c) && /[A-Z]/.test(c) && /[a-z]/.test(c)) return true;
+        return /^[a-zA-Z0-9]{6,}$/.test(c) && !/^[a-z]+(-[a-z]+)*$/.test(c);
+    }
+
     /**
      * Get the single best class from an element (for parent context)
      * Prefers semantic classes over generated ones
@@ -865,7 +1209,7 @@ export class SelectorEngine {
         if (selector.startsWith('text::')) return true;
         if (selector.startsWith('aria/')) return true;
         try {
-            const matches = document.querySelectorAll(selector);
+            const matches = (this._scope || document).querySelectorAll(selector);
             return matches.length === 1;
         } catch {
             return false;
@@ -1000,14 +1344,106 @@ export class SelectorEngine {
         return results;
     }
 
-    static getElement(selector) {
+    /**
+     * Resolve a selector produced by this engine to the first matching element.
+     * Understands every notation the engine emits (CSS, XPath, aria/, text::,
+     * shadow chains host >>> inner).
+     * @param {string} selector
+     * @param {ParentNode} root - Scope for the lookup (default: document)
+     * @returns {Element|null}
+     */
+    static getElement(selector, root = document) {
+        return SelectorEngine.getElements(selector, root)[0] || null;
+    }
+
+    /**
+     * Resolve a selector to all matching elements (used to check ambiguity)
+     * @param {string} selector
+     * @param {ParentNode} root - Scope for the lookup (default: document)
+     * @returns {Element[]}
+     */
+    static getElements(selector, root = document) {
+        if (!selector || typeof selector !== 'string') return [];
+        const trimmed = selector.trim();
+
+        const parts = trimmed.split(CONFIG.SELECTOR.SHADOW_PIERCE.trim()).map(part => part.trim());
+        if (parts.length > 1) return SelectorEngine._getChainElements(parts, root);
+
         try {
-            return document.querySelector(selector);
+            // XPath: //tag[...] or (//tag[...])[n]
+            if (trimmed.startsWith('//') || trimmed.startsWith('(//')) {
+                // root pode ser o document de um iframe (replay com params.frame)
+                const result = (root.ownerDocument || root).evaluate(
+                    trimmed, root, null,
+                    XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null
+                );
+                const nodes = [];
+                for (let i = 0; i < result.snapshotLength; i++) {
+                    const node = result.snapshotItem(i);
+                    if (node?.nodeType === 1) nodes.push(node);
+                }
+                return nodes;
+            }
+
+            // aria/Label → exact aria-label match
+            if (trimmed.startsWith('aria/')) {
+                const label = trimmed.slice(5).replace(/"/g, '\\"');
+                return Array.from(root.querySelectorAll(`[aria-label="${label}"]`));
+            }
+
+            // text::"Label" → innermost text-bearing element whose text matches
+            if (trimmed.startsWith('text::')) {
+                const match = trimmed.match(/^text::"(.*)"$/);
+                if (!match) return [];
+                return SelectorEngine._findByText(match[1].replace(/\\"/g, '"'), root);
+            }
+
+            return Array.from(root.querySelectorAll(trimmed));
         } catch {
-            return null;
+            return [];
         }
     }
 
+    /**
+     * Resolve host >>> inner chains: each part is looked up inside the
+     * (open) shadow roots of the previous part's matches
+     * @private
+     */
+    static _getChainElements(parts, root = document) {
+        let matches = [];
+        let scopes = [root];
+
+        parts.forEach((part, i) => {
+            matches = scopes.flatMap(scope => SelectorEngine.getElements(part, scope));
+            if (i < parts.length - 1) scopes = matches.map(el => el.shadowRoot).filter(Boolean);
+        });
+
+        return [...new Set(matches)];
+    }
+
+    /**
+     * Find innermost elements whose visible text equals (or, for the 40-char
+     * truncated text:: form, starts with) the given text. Case-insensitive,
+     * mirrors _isTextUnique.
+     * @private
+     */
+    static _findByText(text, root = document) {
+        const wanted = text.trim().toLowerCase();
+        if (!wanted) return [];
+
+        const textTags = 'button, a, label, span, h1, h2, h3, h4, h5, h6, li, th, td, p, ' +
+            'summary, legend, caption, dt, dd, option, figcaption';
+        const truncated = wanted.length >= 40;
+
+        const matches = Array.from(root.querySelectorAll(textTags)).filter(el => {
+            const elText = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim().toLowerCase();
+            return truncated ? elText.startsWith(wanted) : elText === wanted;
+        });
+
+        // Keep the innermost match (a <li> wrapping a matching <a> would otherwise win)
+        return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+    }
+
     static matches(el, selector) {
         try {
             return el && el.matches && el.matches(selector);
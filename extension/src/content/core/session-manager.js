@@ -19,9 +19,15 @@ import { LayoutStabilizer } from './layout-stabilizer.js';
 import { NetworkMonitor } from './network-monitor.js';
 
 export class SessionManager {
-    constructor(selectorEngine, onSessionComplete) {
+    /**
+     * @param {SelectorEngine} selectorEngine
+     * @param {Function} onSessionComplete
+     * @param {Redactor|null} redactor - Mascara valores digitados (PII/segredos)
+     */
+    constructor(selectorEngine, onSessionComplete, redactor = null) {
         this.selectorEngine = selectorEngine;
         this.onSessionComplete = onSessionComplete;
+        this.redactor = redactor;
         this.currentSession = null;
         this.lastEvent = null; // For deduplication
         this.networkMonitor = new NetworkMonitor();
@@ -42,6 +48,7 @@ export class SessionManager {
             triggerEvent,
             this.selectorEngine,
             this.networkMonitor,
+            this.redactor,
             (stepData) => {
                 if (this.onSessionComplete) this.onSessionComplete(stepData);
                 if (this.currentSession?.id === stepData.step_id) {
@@ -113,10 +120,11 @@ export class SessionManager {
  * Uma única interação: trigger + observação de efeitos + estabilização
  */
 class InteractionSession {
-    constructor(triggerEvent, selectorEngine, networkMonitor, onComplete) {
+    constructor(triggerEvent, selectorEngine, networkMonitor, redactor, onComplete) {
         this.id = Math.random().toString(36).substr(2, 9);
         this.selectorEngine = selectorEngine;
         this.networkMonitor = networkMonitor;
+        this.redactor = redactor;
         this.onComplete = onComplete;
         this.isFinalized = false;
 
@@ -136,7 +144,8 @@ class InteractionSession {
     _buildTrigger(triggerEvent) {
         const target = triggerEvent.target;
 
-        const candidates = this.selectorEngine.getMultipleCandidates(target);
+        // Drag: selectors capturados no início do gesto (a origem pode ter mudado de lugar)
+        const candidates = triggerEvent.candidates || this.selectorEngine.getMultipleCandidates(target);
 
         const trigger = {
             type: triggerEvent.type,
@@ -155,10 +164,18 @@ class InteractionSession {
         if (triggerEvent.coordinates) trigger.coordinates = triggerEvent.coordinates;
         if (triggerEvent.modifiers) trigger.modifiers = triggerEvent.modifiers;
         if (triggerEvent.button !== undefined) trigger.button = triggerEvent.button;
+        if (triggerEvent.combobox) trigger.combobox = triggerEvent.combobox;
         if (triggerEvent.key) trigger.key = triggerEvent.key;
 
         if (triggerEvent.type === 'input_change' || triggerEvent.type === 'input') {
             trigger.value = triggerEvent.value;
+
+            // Nunca guarda senha/cartão/PII em claro: vira {{variável}}
+            if (this.redactor) {
+                const { value, redaction } = this.redactor.redactValue(target, triggerEvent.value, trigger.selector);
+                trigger.value = value;
+                if (redaction) trigger.redaction = redaction;
+            }
         }
         if (triggerEvent.type === 'scroll') trigger.scroll = triggerEvent.scrollData;
 
@@ -174,6 +191,21 @@ class InteractionSession {
         if (triggerEvent.type === 'capture_point') {
             trigger.captureLabel = triggerEvent.captureLabel;
         }
+        if (triggerEvent.type === 'assert') {
+            trigger.assertion = triggerEvent.assertion;
+        }
+        if (triggerEvent.type === 'extract') {
+            trigger.extraction = triggerEvent.extraction;
+        }
+        if (triggerEvent.type === 'drag') {
+            trigger.drag = triggerEvent.drag;
+        }
+        if (triggerEvent.type === 'upload') {
+            trigger.upload = triggerEvent.upload;
+        }
+        if (triggerEvent.type === 'select') {
+            trigger.select = triggerEvent.select;
+        }
 
         if (triggerEvent.type === 'navigation') {
             trigger.url = triggerEvent.url;
@@ -193,20 +225,19 @@ class InteractionSession {
         // Text content (increased limit to 100 chars)
         let text = '';
         if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
-            text = el.value || el.placeholder || '';
+            const sensitive = this.redactor?.isSensitive(el, el.value);
+            text = (!sensitive && el.value) || el.placeholder || '';
         } else {
             text = el.innerText || el.textContent || '';
         }
         meta.text = text.trim().substring(0, 100);
 
-        const ariaLabel = el.getAttribute('aria-label')
-            || el.getAttribute('aria-labelledby')
-            || el.title
-            || el.name;
-        if (ariaLabel) meta.ariaLabel = ariaLabel.trim();
+        const ariaLabel = this.selectorEngine.getAriaLabel(el);
+        if (ariaLabel) meta.ariaLabel = ariaLabel;
 
         if (el.placeholder) meta.placeholder = el.placeholder;
-        if (el.getAttribute('data-testid')) meta.testId = el.getAttribute('data-testid');
+        const testId = this.selectorEngine.getTestId(el);
+        if (testId) meta.testId = testId;
 
         if (el.href) meta.href = el.href;
         if (el.src) meta.src = el.src;
@@ -3,9 +3,13 @@
  * NEW MODULE: Centralizes recording state management
  * Eliminates 25+ scattered state locations across content.js and popup.js
  * Single source of truth for isRecording, recordedSteps, startTime
+ *
+ * Pausa: isRecording continua true e isPaused liga; os listeners de gravação
+ * checam isCapturing. Sobrevive a reload via StorageManager (recordingPause).
  */
 
 import { StorageManager } from '../../shared/storage.js';
+import { SessionLibrary } from '../../shared/session-library.js';
 import { MESSAGE_ACTIONS } from '../../shared/constants.js';
 
 /**
@@ -15,8 +19,12 @@ export class StateManager {
     constructor() {
         // Core state
         this.isRecording = false;
+        this.isPaused = false;
+        this.pause = null; // { at, url } enquanto pausado
         this.recordedSteps = [];
         this.startTime = null;
+        this.startUrl = null;
+        this.lastSessionId = null;
 
         // Change listeners
         this._listeners = new Map();
@@ -33,6 +41,9 @@ export class StateManager {
 
             this.isRecording = stored.isRecording;
             this.startTime = stored.startTime;
+            this.startUrl = stored.startUrl;
+            this.pause = stored.pause;
+            this.isPaused = !!stored.pause;
 
             // Restaura passos do storage para sobrevivência ao reload
             this.recordedSteps = stored.recordedSteps || [];
@@ -52,10 +63,13 @@ export class StateManager {
      */
     async startRecording() {
         this.isRecording = true;
+        this.isPaused = false;
+        this.pause = null;
         this.recordedSteps = [];
         this.startTime = Date.now();
+        this.startUrl = window.location.href;
 
-        await StorageManager.setRecordingState(true, this.startTime, 0);
+        await StorageManager.setRecordingState(true, this.startTime, 0, this.startUrl);
         await StorageManager.saveRecordedSteps([]); // Limpa storage ao iniciar
 
         this._notifyListeners('recordingStarted', this.getState());
@@ -67,16 +81,101 @@ export class StateManager {
      */
     async stopRecording() {
         this.isRecording = false;
+        this.isPaused = false;
+        this.pause = null;
         const count = this.recordedSteps.length;
 
         // Mantém os steps no storage caso o popup queira baixar depois
         await StorageManager.setRecordingState(false, null, count);
 
+        // Arquiva na biblioteca: o próximo startRecording() limpa recordedSteps
+        if (count > 0) await this._archiveSession();
+
         this._notifyListeners('recordingStopped', this.getState());
 
         return count;
     }
 
+    /**
+     * Whether interactions should become steps (recording and not paused)
+     * @returns {boolean}
+     */
+    get isCapturing() {
+        return this.isRecording && !this.isPaused;
+    }
+
+    /**
+     * Pause the recording: events are ignored until resumeRecording()
+     * @returns {Promise<boolean>} Whether the state changed
+     */
+    async pauseRecording() {
+        if (!this.isRecording || this.isPaused) return false;
+
+        this.isPaused = true;
+        this.pause = { at: Date.now(), url: window.location.href };
+        await StorageManager.setRecordingPause(this.pause, this.startTime);
+
+        this._notifyListeners('recordingPaused', this.getState());
+        return true;
+    }
+
+    /**
+     * Resume a paused recording.
+     * startTime e os steps já gravados avançam o tempo da pausa: o timer não conta
+     * a pausa e o compiler não a transforma numa espera entre os steps.
+     * @returns {Promise<Object|null>} The pause that ended ({ at, url, durationMs }), or null when not paused
+     */
+    async resumeRecording() {
+        if (!this.isRecording || !this.isPaused) return null;
+
+        const pause = { ...this.pause, durationMs: Math.max(0, Date.now() - (this.pause?.at || Date.now())) };
+        this.isPaused = false;
+        this.pause = null;
+
+        if (this.startTime) this.startTime += pause.durationMs;
+        this.recordedSteps.forEach(step => this._shiftTimestamp(step, pause.durationMs));
+        this._persistSteps();
+        await StorageManager.setRecordingPause(null, this.startTime);
+
+        this._notifyListeners('recordingResumed', this.getState());
+        return pause;
+    }
+
+    /**
+     * Mirror the top frame's recording flag (iframes only).
+     * Iframe steps are forwarded to the top frame's StateManager, so nothing
+     * is stored or archived here. A pausa também é só da owner: ela descarta
+     * o que chegar enquanto pausada.
+     * @param {boolean} isRecording
+     */
+    followRecording(isRecording) {
+        this.isRecording = isRecording;
+        this.isPaused = false;
+        this.pause = null;
+        this.startTime = isRecording ? Date.now() : null;
+
+        this._notifyListeners(isRecording ? 'recordingStarted' : 'recordingStopped', this.getState());
+    }
+
+    /**
+     * Save the just-stopped recording to the SessionLibrary.
+     * Falha de storage não interrompe o stop.
+     * @private
+     */
+    async _archiveSession() {
+        try {
+            const settings = await StorageManager.getSettings();
+            const session = await SessionLibrary.save({
+                url: this.startUrl,
+                steps: this.recordedSteps,
+                settings
+            });
+            this.lastSessionId = session.id;
+        } catch (error) {
+            console.warn('StateManager: Failed to archive session:', error);
+        }
+    }
+
     /**
      * Add a recorded step
      * @param {Object} step - Step data from InteractionSession
@@ -101,6 +200,142 @@ export class StateManager {
         return count;
     }
 
+    /**
+     * Patch the trigger of a recorded step (e.g. selectors healed by SelectorHealer)
+     * @param {string} stepId - step_id of the step
+     * @param {Object} patch - Trigger fields to overwrite
+     * @returns {Object|null} Updated step, or null when the step doesn't exist
+     */
+    updateStepTrigger(stepId, patch) {
+        const step = this.recordedSteps.find(s => s.step_id === stepId);
+        if (!step) return null;
+
+        step.trigger = { ...step.trigger, ...patch };
+        this._persistSteps();
+
+        this._notifyListeners('stepUpdated', { step });
+        return step;
+    }
+
+    // ─── Timeline editing (TimelinePanel) ───────────────
+
+    /**
+     * Remove a recorded step
+     * @param {string} stepId - step_id of the step
+     * @returns {boolean} Whether the step existed
+     */
+    deleteStep(stepId) {
+        const index = this._indexOf(stepId);
+        if (index === -1) return false;
+
+        this.recordedSteps.splice(index, 1);
+        this._persistSteps(true);
+
+        this._notifyListeners('stepsEdited', { count: this.recordedSteps.length });
+        return true;
+    }
+
+    /**
+     * Move a recorded step to another position.
+     * Timestamps stay in position order (o compiler calcula waits pelos deltas):
+     * o step movido assume o horário do lugar para onde foi.
+     * @param {string} stepId - step_id of the step
+     * @param {number} toIndex - New position (clamped to the list)
+     * @returns {boolean} Whether the step moved
+     */
+    moveStep(stepId, toIndex) {
+        const from = this._indexOf(stepId);
+        const to = Math.max(0, Math.min(toIndex, this.recordedSteps.length - 1));
+        if (from === -1 || from === to) return false;
+
+        const slots = this.recordedSteps.map(s => s.trigger?.timestamp || 0);
+        const [step] = this.recordedSteps.splice(from, 1);
+        this.recordedSteps.splice(to, 0, step);
+        this.recordedSteps.forEach((s, i) => this._shiftTimestamp(s, slots[i] - (s.trigger?.timestamp || 0)));
+        this._persistSteps();
+
+        this._notifyListeners('stepsEdited', { count: this.recordedSteps.length });
+        return true;
+    }
+
+    /**
+     * Set the label the compiler uses for the step's node (empty string restores the generated one)
+     * @param {string} stepId - step_id of the step
+     * @param {string} label
+     * @returns {Object|null} Updated step, or null when the step doesn't exist
+     */
+    relabelStep(stepId, label) {
+        const step = this.recordedSteps[this._indexOf(stepId)];
+        if (!step) return null;
+
+        const trimmed = String(label || '').trim();
+        if (trimmed) {
+            step.label = trimmed;
+        } else {
+            delete step.label;
+        }
+        this._persistSteps();
+
+        this._notifyListeners('stepsEdited', { count: this.recordedSteps.length });
+        return step;
+    }
+
+    /**
+     * Change the pause before a step. This step and the following ones shift
+     * together, so the gaps between later steps are kept.
+     * @param {string} stepId - step_id of the step
+     * @param {number} delayMs - New gap from the previous step
+     * @returns {Object|null} Updated step, or null when the step doesn't exist / is the first
+     */
+    retimeStep(stepId, delayMs) {
+        const index = this._indexOf(stepId);
+        if (index < 1 || !Number.isFinite(delayMs) || delayMs < 0) return null;
+
+        const prevTs = this.recordedSteps[index - 1].trigger?.timestamp || 0;
+        const delta = prevTs + Math.round(delayMs) - (this.recordedSteps[index].trigger?.timestamp || 0);
+        for (let i = index; i < this.recordedSteps.length; i++) {
+            this._shiftTimestamp(this.recordedSteps[i], delta);
+        }
+        this._persistSteps();
+
+        this._notifyListeners('stepsEdited', { count: this.recordedSteps.length });
+        return this.recordedSteps[index];
+    }
+
+    /**
+     * @private
+     */
+    _indexOf(stepId) {
+        return this.recordedSteps.findIndex(s => s.step_id === stepId);
+    }
+
+    /**
+     * Shift a step's timestamps (dialog.openedAt acompanha: o compiler compara os dois)
+     * @private
+     */
+    _shiftTimestamp(step, delta) {
+        if (!delta || !step.trigger) return;
+        if (step.trigger.timestamp) step.trigger.timestamp += delta;
+        if (step.trigger.dialog?.openedAt) step.trigger.dialog.openedAt += delta;
+    }
+
+    /**
+     * Save recordedSteps in background
+     * @param {boolean} countChanged - Also update the event count shown by the popup
+     * @private
+     */
+    _persistSteps(countChanged = false) {
+        StorageManager.saveRecordedSteps(this.recordedSteps).catch(err => {
+            console.warn('StateManager: Failed to save steps to storage:', err);
+        });
+
+        if (countChanged) {
+            StorageManager.updateEventCount(this.recordedSteps.length).catch(err => {
+                console.warn('StateManager: Failed to update count in storage:', err);
+            });
+        }
+    }
+
     /**
      * Get all recorded steps
      * @returns {Array} Recorded steps
@@ -124,6 +359,7 @@ export class StateManager {
     getState() {
         return {
             isRecording: this.isRecording,
+            isPaused: this.isPaused,
             stepCount: this.recordedSteps.length,
             startTime: this.startTime,
             hasSteps: this.recordedSteps.length > 0
@@ -197,6 +433,8 @@ export class StateManager {
      */
     async reset() {
         this.isRecording = false;
+        this.isPaused = false;
+        this.pause = null;
         this.recordedSteps = [];
         this.startTime = null;
 
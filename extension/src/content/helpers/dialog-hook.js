@@ -0,0 +1,89 @@
+/**
+ * FlowCapture - Dialog Hook (page main world)
+ *
+ * Injetado como <script> clássico pelo DialogRecorder: o content script roda num
+ * isolated world e não enxerga o window.alert/confirm/prompt da página.
+ *
+ * Canal privado: o próprio <script> (document.currentScript). O DialogRecorder o
+ * remove do DOM depois do load e os dois lados trocam CustomEvents nele, com detail
+ * em JSON (objetos não atravessam os worlds). window.postMessage seria visível —
+ * e forjável — por qualquer script da página.
+ *
+ * - Cada alert/confirm/prompt é repassado ao nativo; depois da resposta do
+ *   usuário dispara 'flowcapture:dialog' { dialogType, message, accepted, promptText?, openedAt }
+ * - beforeunload fica com o DialogRecorder (isolated world): o evento é o mesmo
+ *   nos dois worlds e uma mensagem feita no pagehide não chega a ser entregue
+ * - Replay: 'flowcapture:dialog-arm' enfileira uma resposta; o próximo dialog do
+ *   mesmo tipo é respondido sem abrir a janela nativa
+ */
+(() => {
+    const channel = document.currentScript;
+    if (!channel || window.__fcDialogHook) return;
+    window.__fcDialogHook = true;
+
+    const DIALOG = 'flowcapture:dialog';
+    const ARM = 'flowcapture:dialog-arm';
+
+    const armed = []; // [{ dialogType, accept, promptText }]
+    const report = (detail) => channel.dispatchEvent(new CustomEvent(DIALOG, { detail: JSON.stringify(detail) }));
+
+    const takeArmed = (dialogType) => {
+        const index = armed.findIndex(response => response.dialogType === dialogType);
+        return index === -1 ? null : armed.splice(index, 1)[0];
+    };
+
+    const native = {
+        alert: window.alert,
+        confirm: window.confirm,
+        prompt: window.prompt
+    };
+
+    window.alert = function (message) {
+        const openedAt = Date.now();
+        const text = message === undefined ? '' : String(message);
+        if (takeArmed('alert')) {
+            report({ dialogType: 'alert', message: text, accepted: true, openedAt, replayed: true });
+            return;
+        }
+        native.alert.call(window, message);
+        report({ dialogType: 'alert', message: text, accepted: true, openedAt });
+    };
+
+    window.confirm = function (message) {
+        const openedAt = Date.now();
+        const text = message === undefined ? '' : String(message);
+        const response = takeArmed('confirm');
+        const accepted = response ? !!response.accept : native.confirm.call(window, message);
+        report({ dialogType: 'confirm', message: text, accepted, openedAt, replayed: !!response });
+        return accepted;
+    };
+
+    window.prompt = function (message, defaultValue) {
+        const openedAt = Date.now();
+        const text = message === undefined ? '' : String(message);
+        const response = takeArmed('prompt');
+        const value = response
+            ? (response.accept ? String(response.promptText ?? defaultValue ?? '') : null)
+            : native.prompt.call(window, message, defaultValue);
+        report({
+            dialogType: 'prompt',
+            message: text,
+            accepted: value !== null,
+            promptText: value,
+            defaultValue: defaultValue === undefined ? null : String(defaultValue),
+            openedAt,
+            replayed: !!response
+        });
+        return value;
+    };
+
+    channel.addEventListener(ARM, (e) => {
+        let response;
+        try {
+            response = JSON.parse(e.detail);
+        } catch {
+            return;
+        }
+        armed.push({ dialogType: response.dialogType, accept: response.accept, promptText: response.promptText });
+    });
+})();
@@ -0,0 +1,176 @@
+/**
+ * Assertion Recorder Service
+ * Builds assertion triggers from clicks made while assert mode is on
+ *
+ * Kinds (escolhido pelos modificadores do clique — ShortcutMatcher.getAssertionKind):
+ * - text      → texto visível normalizado (sem texto → visible)
+ * - visible   → elemento visível
+ * - count     → quantidade de irmãos com a mesma tag/classe
+ * - attribute → primeiro estado relevante (checked, value, aria-*, href...)
+ *
+ * Used by: content.js → SessionManager.startSession({ type: 'assert', target, assertion })
+ */
+
+import { INTERACTIVE_ELEMENTS } from '../../shared/interactive-elements.js';
+
+/** Longer texts are asserted with "contains" on the first chars */
+const MAX_TEXT_LENGTH = 200;
+
+/** Attributes checked in order for the 'attribute' kind */
+const STATE_ATTRIBUTES = [
+    'aria-checked', 'aria-expanded', 'aria-selected', 'aria-pressed', 'aria-current',
+    'data-state', 'href', 'src', 'alt', 'title', 'disabled'
+];
+
+/** Classes that describe state, not structure (never used for count selectors) */
+const STATE_CLASS_PATTERN = /^(active|show|selected|open|current|is-|has-)|\d{3,}/;
+
+/** How far up to look for a repeated item when counting */
+const MAX_COUNT_DEPTH = 5;
+
+export class AssertionRecorder {
+    /**
+     * @param {SelectorEngine} selectorEngine
+     * @param {Redactor|null} redactor - Evita gravar valores sensíveis como expected
+     */
+    constructor(selectorEngine, redactor = null) {
+        this.selectorEngine = selectorEngine;
+        this.redactor = redactor;
+    }
+
+    /**
+     * Build the assertion for a clicked element
+     * @param {Element} clicked
+     * @param {'text'|'visible'|'count'|'attribute'} kind
+     * @returns {{target: Element, assertion: Object}|null}
+     *   target: elemento que o selector gravado vai apontar
+     *   assertion: { kind, expected, match?, attribute?, selector? } — null se não dá para asserir
+     */
+    build(clicked, kind) {
+        if (!clicked || clicked.nodeType !== 1) return null;
+
+        if (kind === 'count') {
+            const item = this._repeatedItem(clicked);
+            const assertion = item && this._count(item);
+            return assertion ? { target: item, assertion } : null;
+        }
+
+        // Mesmo alvo que o SelectorEngine usa (sobe até o ancestral interativo)
+        const target = INTERACTIVE_ELEMENTS.findInteractiveAncestor(clicked);
+        let assertion;
+
+        switch (kind) {
+            case 'attribute':
+                assertion = this._attribute(target) || { kind: 'visible', expected: true };
+                break;
+            case 'visible':
+                assertion = { kind: 'visible', expected: true };
+                break;
+            case 'text':
+            default:
+                assertion = this._isFormField(target)
+                    ? this._attribute(target)
+                    : this._text(target) || { kind: 'visible', expected: true };
+        }
+
+        return assertion ? { target, assertion } : null;
+    }
+
+    /**
+     * @private
+     */
+    _text(el) {
+        const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+
+        if (text.length > MAX_TEXT_LENGTH) {
+            return { kind: 'text', expected: text.substring(0, MAX_TEXT_LENGTH).trim(), match: 'contains' };
+        }
+        return { kind: 'text', expected: text, match: 'equals' };
+    }
+
+    /**
+     * @private
+     */
+    _attribute(el) {
+        if (this._isFormField(el)) {
+            if (el.type === 'checkbox' || el.type === 'radio') {
+                return { kind: 'attribute', attribute: 'checked', expected: String(el.checked) };
+            }
+            // Senha / cartão / PII nunca viram expected
+            if (this.redactor?.isSensitive(el, el.value)) return null;
+            return { kind: 'attribute', attribute: 'value', expected: el.value ?? '' };
+        }
+
+        const attribute = STATE_ATTRIBUTES.find(name => el.hasAttribute(name));
+        if (!attribute) return null;
+
+        return { kind: 'attribute', attribute, expected: el.getAttribute(attribute) };
+    }
+
+    /**
+     * Closest element (self or ancestor) that has siblings with the same tag
+     * @private
+     */
+    _repeatedItem(el) {
+        let current = el;
+        for (let depth = 0; current && depth <= MAX_COUNT_DEPTH; depth++) {
+            const parent = current.parentElement;
+            if (!parent || parent === document.body) return null;
+
+            const sameTag = [...parent.children].filter(child => child.tagName === current.tagName);
+            if (sameTag.length > 1) return current;
+            current = parent;
+        }
+        return null;
+    }
+
+    /**
+     * Siblings with the same tag (+ shared structural class) under the parent
+     * @private
+     */
+    _count(el) {
+        const parent = el.parentElement;
+        if (!parent || parent === document.documentElement) return null;
+
+        const tag = el.tagName.toLowerCase();
+        const sameTag = [...parent.children].filter(child => child.tagName === el.tagName);
+        const sharedClass = [...el.classList].find(cls =>
+            !STATE_CLASS_PATTERN.test(cls) && sameTag.every(sibling => sibling.classList.contains(cls))
+        );
+        const itemSelector = sharedClass ? `${tag}.${CSS.escape(sharedClass)}` : tag;
+
+        const parentSelector = this._cssSelector(parent);
+        if (!parentSelector) return null;
+
+        const selector = `${parentSelector} > ${itemSelector}`;
+        // Contado no próprio pai: o selector pode ser uma cadeia host >>> inner (shadow DOM)
+        let expected;
+        try {
+            expected = parent.querySelectorAll(`:scope > ${itemSelector}`).length;
+        } catch {
+            return null;
+        }
+
+        return { kind: 'count', selector, expected };
+    }
+
+    /**
+     * Plain CSS selector for the parent (XPath / aria/ / text:: não compõem com ">")
+     * @private
+     */
+    _cssSelector(el) {
+        const selector = this.selectorEngine.getUniqueSelector(el);
+        const isNotation = !selector || selector.startsWith('//') || selector.startsWith('(//') ||
+            selector.startsWith('aria/') || selector.includes('text::');
+
+        return isNotation ? this.selectorEngine.getPathSelector(el, 3) : selector;
+    }
+
+    /**
+     * @private
+     */
+    _isFormField(el) {
+        return el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT';
+    }
+}
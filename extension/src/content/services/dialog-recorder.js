@@ -0,0 +1,145 @@
+/**
+ * Dialog Recorder Service
+ * Instruments native JavaScript dialogs (alert / confirm / prompt / beforeunload)
+ * through a hook injected in the page's main world and builds 'handle_dialog' triggers
+ *
+ * trigger.dialog:
+ * { dialogType, message, accepted, promptText?, defaultValue?, openedAt }
+ * - accepted: OK/Leave (true) ou Cancel/Stay (false); alert é sempre true
+ * - promptText: texto confirmado no prompt (null quando cancelado)
+ * - openedAt: quando o dialog abriu — o compiler usa para achar a ação que o disparou
+ *
+ * O hook só é injetado quando a gravação (ou um replay) começa; depois disso
+ * fica na página e os dialogs fora da gravação são ignorados aqui.
+ *
+ * beforeunload é observado aqui mesmo (o evento é compartilhado entre os worlds):
+ * se a página pediu confirmação, o timer só roda quando o usuário ficou (Stay) e o
+ * pagehide marca o Leave — gravado na hora, antes do documento ir embora.
+ *
+ * As mensagens vão como CustomEvents no <script> do hook, já fora do DOM (ver
+ * dialog-hook.js): a página não consegue forjar steps nem armar respostas.
+ *
+ * Used by: content.js (gravação) e WorkflowReplayer (HANDLE_DIALOG → arm)
+ */
+
+/** Event types (main world → content script, content script → main world) */
+const DIALOG_MESSAGE = 'flowcapture:dialog';
+const ARM_MESSAGE = 'flowcapture:dialog-arm';
+
+const HOOK_PATH = 'src/content/helpers/dialog-hook.js';
+
+export class DialogRecorder {
+    /**
+     * @param {Function} onDialog - Called with trigger.dialog for each dialog the user answered
+     */
+    constructor(onDialog = null) {
+        this.onDialog = onDialog;
+        this._ready = null;
+        this._channel = null; // <script> do hook: canal privado com o main world
+        this._pendingUnload = null; // { event, openedAt } do beforeunload em andamento
+    }
+
+    /**
+     * Inject the main-world hook (once per document) and start listening
+     * @returns {Promise<void>} Resolves once the hook is running in the page
+     */
+    install() {
+        if (this._ready) return this._ready;
+
+        window.addEventListener('beforeunload', (e) => this._onBeforeUnload(e));
+        window.addEventListener('pagehide', () => this._onPageHide());
+
+        // <script src> de recurso da extensão: roda no main world e não passa pela CSP da página
+        this._ready = new Promise((resolve) => {
+            const script = document.createElement('script');
+            script.src = chrome.runtime.getURL(HOOK_PATH);
+            script.addEventListener(DIALOG_MESSAGE, (e) => this._onHookEvent(e));
+            this._channel = script;
+            script.onload = script.onerror = () => {
+                script.remove();
+                resolve();
+            };
+            (document.head || document.documentElement).appendChild(script);
+        });
+        return this._ready;
+    }
+
+    /**
+     * Queue the response for the next dialog of a type (replay): it is answered
+     * without opening the native window
+     * @param {{dialogType: string, accept: boolean, promptText?: string}} response
+     */
+    async arm({ dialogType, accept, promptText }) {
+        await this.install();
+        const detail = JSON.stringify({ dialogType, accept: !!accept, promptText: promptText ?? null });
+        this._channel.dispatchEvent(new CustomEvent(ARM_MESSAGE, { detail }));
+    }
+
+    /**
+     * Timers só rodam se a página sobreviveu: dialog mostrado e usuário ficou
+     * @private
+     */
+    _onBeforeUnload(e) {
+        this._pendingUnload = { event: e, openedAt: Date.now() };
+        setTimeout(() => {
+            const pending = this._takePendingUnload();
+            if (pending) this._report({ dialogType: 'beforeunload', message: '', accepted: false, openedAt: pending.openedAt });
+        }, 0);
+    }
+
+    /**
+     * Página saindo depois do prompt → Leave (síncrono: não há próxima task)
+     * @private
+     */
+    _onPageHide() {
+        const pending = this._takePendingUnload();
+        if (pending) this._report({ dialogType: 'beforeunload', message: '', accepted: true, openedAt: pending.openedAt });
+    }
+
+    /**
+     * Pending beforeunload, only when the page asked for confirmation. Lido depois do
+     * dispatch: aí os handlers da página (antes ou depois do nosso) já rodaram.
+     * @private
+     */
+    _takePendingUnload() {
+        const pending = this._pendingUnload;
+        this._pendingUnload = null;
+        if (!pending) return null;
+        return pending.event.defaultPrevented || pending.event.returnValue ? pending : null;
+    }
+
+    /**
+     * @private
+     */
+    _onHookEvent(e) {
+        let data;
+        try {
+            data = JSON.parse(e.detail);
+        } catch {
+            return;
+        }
+        // Dialogs respondidos por um arm() são do replay, não do usuário
+        if (!data?.dialogType || data.replayed) return;
+        this._report(data);
+    }
+
+    /**
+     * Raw dialog answer → trigger.dialog for onDialog
+     * @private
+     */
+    _report(data) {
+        if (!this.onDialog) return;
+
+        const dialog = {
+            dialogType: data.dialogType,
+            message: String(data.message || '').substring(0, 500),
+            accepted: !!data.accepted,
+            openedAt: data.openedAt || Date.now()
+        };
+        if (dialog.dialogType === 'prompt') {
+            dialog.promptText = data.promptText ?? null;
+            if (data.defaultValue !== null && data.defaultValue !== undefined) dialog.defaultValue = data.defaultValue;
+        }
+        this.onDialog(dialog);
+    }
+}
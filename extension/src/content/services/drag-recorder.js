@@ -0,0 +1,186 @@
+/**
+ * Drag Recorder Service
+ * Turns pointer drags (sortable lists, custom sliders, kanban cards) and
+ * HTML5 drag-and-drop (dragstart → drop) into a single 'drag' trigger
+ *
+ * trigger.drag:
+ * { native, from: {x, y}, to: {x, y}, offset: {x, y}, path: [{x, y, t}],
+ *   targetSelector?, targetFallbacks? }
+ * - from/to: coordenadas de viewport do início e do fim do gesto
+ * - path: amostra do trajeto relativa a "from" (t em ms), no máximo MAX_PATH_POINTS
+ * - targetSelector: elemento sob o ponteiro no drop que não é a origem nem
+ *   ancestral dela (coluna/card de destino). Sem ele o replay usa o offset
+ *   (sliders, reordenação dentro da mesma lista)
+ *
+ * Used by: content.js → SessionManager.startSession({ type: 'drag', target, candidates, drag })
+ */
+
+/** Below this distance a press + release is a click, not a drag */
+const DRAG_THRESHOLD_PX = 8;
+
+/** Path sample kept in the step */
+const MAX_PATH_POINTS = 20;
+const SAMPLE_INTERVAL_MS = 30;
+
+/** The click the browser fires right after a pointer drag is part of the gesture */
+const TRAILING_CLICK_MS = 300;
+
+export class DragRecorder {
+    /**
+     * @param {SelectorEngine} selectorEngine
+     */
+    constructor(selectorEngine) {
+        this.selectorEngine = selectorEngine;
+        this._gesture = null;
+        this._lastDragEnd = 0;
+    }
+
+    /**
+     * Pointer pressed: a drag may start here
+     * @param {Element} source
+     * @param {PointerEvent} e
+     */
+    begin(source, e) {
+        if (!source || source.nodeType !== 1 || this._ignoresSource(source)) {
+            this._gesture = null;
+            return;
+        }
+
+        this._gesture = {
+            source,
+            // Selectors de antes do gesto: listas ordenáveis movem a origem no DOM
+            candidates: this.selectorEngine.getMultipleCandidates(source),
+            native: false,
+            from: { x: e.clientX, y: e.clientY },
+            path: [{ x: 0, y: 0, t: 0 }],
+            startedAt: Date.now()
+        };
+    }
+
+    /**
+     * HTML5 dragstart: o ponteiro é cancelado a seguir, o gesto continua por drag events
+     * @param {Element} source - Elemento draggable
+     * @param {DragEvent} e
+     */
+    beginNative(source, e) {
+        if (!this._gesture || !this._gesture.source.isConnected ||
+            !(source.contains(this._gesture.source) || this._gesture.source.contains(source))) {
+            this.begin(source, e);
+        }
+        if (this._gesture) this._gesture.native = true;
+    }
+
+    /**
+     * Sample the pointer position (pointermove / dragover)
+     * @param {MouseEvent} e
+     */
+    move(e) {
+        const gesture = this._gesture;
+        if (!gesture) return;
+        // dragover repete a última posição mesmo parado
+        if (!gesture.native && !(e.buttons & 1)) return;
+
+        const t = Date.now() - gesture.startedAt;
+        const last = gesture.path[gesture.path.length - 1];
+        if (t - last.t < SAMPLE_INTERVAL_MS) return;
+
+        const point = { x: e.clientX - gesture.from.x, y: e.clientY - gesture.from.y, t };
+        if (point.x !== last.x || point.y !== last.y) gesture.path.push(point);
+    }
+
+    /**
+     * Pointer released (pointerup) or dropped (drop)
+     * @param {MouseEvent} e
+     * @param {boolean} [isDrop] - HTML5 drop (gestos nativos só terminam assim)
+     * @returns {{source: Element, candidates: Object, drag: Object}|null} null for clicks and text selection
+     */
+    end(e, isDrop = false) {
+        const gesture = this._gesture;
+        if (!gesture || gesture.native !== isDrop) return null;
+        this._gesture = null;
+
+        const to = { x: e.clientX, y: e.clientY };
+        const offset = { x: to.x - gesture.from.x, y: to.y - gesture.from.y };
+        if (!gesture.native && Math.hypot(offset.x, offset.y) < DRAG_THRESHOLD_PX) return null;
+
+        // Arrastar sobre texto seleciona, não move nada
+        if (!gesture.native && String(window.getSelection?.() || '').trim()) return null;
+
+        this._lastDragEnd = Date.now();
+
+        const path = [...gesture.path, { x: offset.x, y: offset.y, t: this._lastDragEnd - gesture.startedAt }];
+        const drag = {
+            native: gesture.native,
+            from: gesture.from,
+            to,
+            offset,
+            path: this._downsample(path)
+        };
+
+        const target = this._dropTarget(to, gesture.source);
+        if (target) {
+            const candidates = this.selectorEngine.getMultipleCandidates(target);
+            drag.targetSelector = candidates.primary || this.selectorEngine.getUniqueSelector(target);
+            drag.targetFallbacks = candidates.fallbacks || [];
+        }
+
+        return { source: gesture.source, candidates: gesture.candidates, drag };
+    }
+
+    /**
+     * Gesture aborted (dragend without drop)
+     */
+    cancel() {
+        this._gesture = null;
+    }
+
+    /**
+     * pointercancel: aborts pointer gestures only — dragstart also cancels the
+     * pointer, and the native gesture goes on with drag events
+     */
+    cancelPointer() {
+        if (this._gesture && !this._gesture.native) this._gesture = null;
+    }
+
+    /**
+     * True for the click fired right after a recorded drag
+     * @returns {boolean}
+     */
+    isTrailingClick() {
+        return Date.now() - this._lastDragEnd < TRAILING_CLICK_MS;
+    }
+
+    /**
+     * Topmost element at the drop point unrelated to the source.
+     * Ancestrais da origem (trilho do slider, a própria lista) não contam: viram offset.
+     * @private
+     */
+    _dropTarget(point, source) {
+        if (!source.isConnected) return null;
+        const ignored = (el) => el === document.documentElement || el === document.body ||
+            el.id === 'flow-capture-overlay-root';
+
+        return document.elementsFromPoint(point.x, point.y)
+            .find(el => !ignored(el) && !el.contains(source) && !source.contains(el)) || null;
+    }
+
+    /**
+     * Range inputs já gravam o valor via change; campos de texto arrastam seleção
+     * @private
+     */
+    _ignoresSource(el) {
+        if (el.id === 'flow-capture-overlay-root') return true;
+        if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable) return true;
+        return el.tagName === 'INPUT' && el.type !== 'button' && el.type !== 'submit';
+    }
+
+    /**
+     * Keep first/last points and evenly spaced ones in between
+     * @private
+     */
+    _downsample(path) {
+        if (path.length <= MAX_PATH_POINTS) return path;
+        const step = (path.length - 1) / (MAX_PATH_POINTS - 1);
+        return Array.from({ length: MAX_PATH_POINTS }, (_, i) => path[Math.round(i * step)]);
+    }
+}
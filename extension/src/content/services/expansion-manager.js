@@ -7,12 +7,14 @@
  * - Find constrained containers
  * - Apply/undo CSS expansions
  * - Handle height adjustments
+ * - Revert the page effect of an undone 'expand' step
  *
  * Usage:
  * const manager = new ExpansionManager(selectorEngine, sessionManager);
  * manager.expandElement(el);
  * manager.adjustHeight(el, 50);
  * manager.undo(el);
+ * manager.revertStep(step); // undo last step
  */
 
 export class ExpansionManager {
@@ -22,6 +24,10 @@ export class ExpansionManager {
         this._expandedElements = new WeakMap();
         this._lastExpandedElement = null;
         this._heightAdjustmentTimeout = null;
+        this._pendingAdjustFrom = null;
+        // Um registro por step 'expand' gravado: { selector, element, previousHeight }
+        // previousHeight null = expansão inteira (desfaz com undo), string = ajuste manual
+        this._history = [];
     }
 
     /**
@@ -317,6 +323,8 @@ export class ExpansionManager {
             fallbackCount: fallbacks?.length || 0
         });
 
+        this._history.push({ selector, element: container, previousHeight: null });
+
         this.sessionManager.startSession({
             type: 'expand',
             target: container,
@@ -346,6 +354,8 @@ export class ExpansionManager {
         const currentHeight = currentRect.height;
         const newHeight = Math.max(50, currentHeight + delta); // Min 50px
 
+        // Altura antes da sequência de ajustes (vira um único step no debounce)
+        if (this._pendingAdjustFrom === null) this._pendingAdjustFrom = finalEl.style.getPropertyValue('height');
         finalEl.style.setProperty('height', `${newHeight}px`, 'important');
 
         // Debounce recording
@@ -367,6 +377,9 @@ export class ExpansionManager {
             const { primary, fallbacks } = this.selectorEngine.getMultipleCandidates(el);
             const selector = primary || this.selectorEngine.getUniqueSelector(el);
 
+            this._history.push({ selector, element: el, previousHeight: this._pendingAdjustFrom || '' });
+            this._pendingAdjustFrom = null;
+
             this.sessionManager.startSession({
                 type: 'expand',
                 target: el,
@@ -381,6 +394,29 @@ export class ExpansionManager {
         }, 600);
     }
 
+    /**
+     * Revert what a recorded 'expand' step did to the page (undo last step):
+     * the whole expansion, or just the height adjustment
+     * @param {Object} step - Step with trigger.expandParams
+     * @returns {boolean} true if the page was reverted
+     */
+    revertStep(step) {
+        const selector = step?.trigger?.expandParams?.selector;
+        const index = this._history.findLastIndex(entry => entry.selector === selector);
+        if (!selector || index === -1) return false;
+
+        const [entry] = this._history.splice(index, 1);
+        if (!entry.element.isConnected) return false;
+
+        if (entry.previousHeight === null) {
+            this.undo(entry.element);
+            if (this._lastExpandedElement === entry.element) this._lastExpandedElement = null;
+        } else {
+            entry.element.style.setProperty('height', entry.previousHeight, 'important');
+        }
+        return true;
+    }
+
     /**
      * Get last expanded element
      * @returns {Element|null}
@@ -398,5 +434,7 @@ export class ExpansionManager {
         }
         this._expandedElements = new WeakMap();
         this._lastExpandedElement = null;
+        this._pendingAdjustFrom = null;
+        this._history = [];
     }
 }
@@ -0,0 +1,198 @@
+/**
+ * Extraction Recorder Service
+ * Suggests and reads data extractions for elements picked in extract mode
+ *
+ * Types:
+ * - text      → texto visível normalizado
+ * - attribute → valor de um atributo (href, src, value, data-*...)
+ * - html      → innerHTML
+ * - table     → linhas da <table> (objetos por cabeçalho, ou arrays sem cabeçalho)
+ *
+ * Used by: content.js (extract mode) → SessionManager.startSession({ type: 'extract', target, extraction })
+ *          WorkflowReplayer (EXTRACT nodes) → ExtractionRecorder.read
+ */
+
+import { INTERACTIVE_ELEMENTS } from '../../shared/interactive-elements.js';
+import { WorkflowVariables } from '../../shared/workflow-variables.js';
+
+/** Attribute suggested per tag when "attribute" is picked */
+const DEFAULT_ATTRIBUTES = { A: 'href', IMG: 'src', INPUT: 'value', SELECT: 'value', TEXTAREA: 'value' };
+
+/** Preview/sample size kept in the step (the real value is read on replay) */
+const MAX_SAMPLE_LENGTH = 200;
+
+export class ExtractionRecorder {
+    /**
+     * @param {Redactor|null} redactor - Campos sensíveis nunca viram sample
+     */
+    constructor(redactor = null) {
+        this.redactor = redactor;
+        this._fieldNames = new Set();
+        this._last = null; // { signature, field, type, attribute } da última extração
+    }
+
+    /**
+     * Esquece os nomes de campo usados (nova gravação)
+     */
+    reset() {
+        this._fieldNames.clear();
+        this._last = null;
+    }
+
+    /**
+     * Suggest an extraction for the picked element
+     * @param {Element} picked
+     * @returns {{target: Element, field: string, type: string, attribute: string|null}|null}
+     *   target: elemento que o selector gravado vai apontar (<table> para type "table")
+     */
+    suggest(picked) {
+        if (!picked || picked.nodeType !== 1) return null;
+
+        const table = picked.closest('table');
+        if (table) {
+            return { target: table, field: this._uniqueField(this._fieldName(table) || 'table'), type: 'table', attribute: null };
+        }
+
+        // Mesmo alvo que o SelectorEngine usa (sobe até o ancestral interativo)
+        const target = INTERACTIVE_ELEMENTS.findInteractiveAncestor(picked);
+
+        // Irmão do último elemento extraído → mesmo campo (o compiler junta em loop → array)
+        if (this._last && this._last.signature === this._signature(target)) {
+            const { field, type, attribute } = this._last;
+            return { target, field, type, attribute };
+        }
+
+        const attribute = DEFAULT_ATTRIBUTES[target.tagName] || null;
+        const type = target.tagName === 'IMG' || this._isFormField(target) ? 'attribute' : 'text';
+
+        return { target, field: this._uniqueField(this._fieldName(target) || 'value'), type, attribute };
+    }
+
+    /**
+     * Build the trigger extraction for a confirmed pick
+     * @param {Element} target
+     * @param {{field: string, type: string, attribute?: string}} choice
+     * @returns {Object|null} { field, type, attribute?, sample } — null when the field name is empty
+     */
+    build(target, { field, type, attribute }) {
+        const name = WorkflowVariables.sanitizeName(field);
+        if (!name) return null;
+        this._fieldNames.add(name);
+
+        const extraction = { field: name, type };
+        if (type === 'attribute') extraction.attribute = attribute || DEFAULT_ATTRIBUTES[target.tagName] || 'title';
+        extraction.sample = this.preview(target, type, extraction.attribute);
+
+        this._last = { signature: this._signature(target), field: name, type, attribute: extraction.attribute || null };
+        return extraction;
+    }
+
+    /**
+     * Short preview of what the extraction would return right now
+     * @param {Element} target
+     * @param {string} type
+     * @param {string} [attribute]
+     * @returns {string}
+     */
+    preview(target, type, attribute) {
+        if (this._isFormField(target) && this.redactor?.isSensitive(target, target.value)) {
+            return '[redacted]';
+        }
+
+        const value = ExtractionRecorder.read(target, type, attribute);
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > MAX_SAMPLE_LENGTH ? `${text.substring(0, MAX_SAMPLE_LENGTH - 1)}…` : text;
+    }
+
+    /**
+     * Read an extraction from a live element
+     * @param {Element} el
+     * @param {'text'|'attribute'|'html'|'table'} type
+     * @param {string} [attribute]
+     * @returns {string|Array|null}
+     */
+    static read(el, type, attribute) {
+        switch (type) {
+            case 'attribute':
+                if (attribute === 'value' && 'value' in el) return String(el.value ?? '');
+                return el.getAttribute(attribute);
+            case 'html':
+                return el.innerHTML.trim();
+            case 'table':
+                return this.readTable(el);
+            case 'text':
+            default:
+                return (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    /**
+     * <table> → rows. Com cabeçalho (thead ou 1ª linha só de <th>) cada linha vira
+     * objeto { coluna: texto }; sem cabeçalho, array de células.
+     * Listas (ul/ol/outros) viram o texto de cada filho.
+     * @param {Element} el
+     * @returns {Array}
+     */
+    static readTable(el) {
+        const cellText = (cell) => (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+        const table = el.tagName === 'TABLE' ? el : el.querySelector('table');
+        if (!table) return [...el.children].map(cellText).filter(Boolean);
+
+        const rows = [...table.rows];
+        const headerRow = table.tHead?.rows[0] ||
+            (rows[0] && [...rows[0].cells].every(cell => cell.tagName === 'TH') ? rows[0] : null);
+
+        const keys = [];
+        if (headerRow) {
+            [...headerRow.cells].forEach((cell, i) => {
+                let key = WorkflowVariables.sanitizeName(cellText(cell)) || `col${i + 1}`;
+                while (keys.includes(key)) key = `${key}_${i + 1}`;
+                keys.push(key);
+            });
+        }
+
+        return rows
+            .filter(row => row !== headerRow && row.parentElement?.tagName !== 'THEAD')
+            .map(row => {
+                const cells = [...row.cells].map(cellText);
+                if (!headerRow) return cells;
+                return Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? '']));
+            });
+    }
+
+    /**
+     * Nome sugerido: aria-label, name, id, placeholder ou 1ª classe
+     * @private
+     */
+    _fieldName(el) {
+        const source = el.getAttribute('aria-label') || el.getAttribute('name') || el.id ||
+            el.getAttribute('placeholder') || el.classList[0] || '';
+        return WorkflowVariables.sanitizeName(source.replace(/[-\s]+/g, '_').toLowerCase()).substring(0, 40);
+    }
+
+    /**
+     * tag + classes + tag do pai: elementos irmãos de uma lista têm a mesma assinatura
+     * @private
+     */
+    _signature(el) {
+        return `${el.parentElement?.parentElement?.tagName}>${el.parentElement?.tagName}>${el.tagName}.${[...el.classList].sort().join('.')}`;
+    }
+
+    /**
+     * price, price_2, price_3... (mesmo campo extraído de novo vira outro nome)
+     * @private
+     */
+    _uniqueField(name) {
+        let candidate = name;
+        let n = 1;
+        while (this._fieldNames.has(candidate)) candidate = `${name}_${++n}`;
+        return candidate;
+    }
+
+    /**
+     * @private
+     */
+    _isFormField(el) {
+        return el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT';
+    }
+}
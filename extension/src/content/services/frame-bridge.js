@@ -0,0 +1,188 @@
+/**
+ * FlowCapture - Frame Bridge
+ * Links the content scripts of every frame in a tab — and of every tab opened
+ * from the recording tab — to one recording, owned by the recording tab's top frame.
+ *
+ * - Iframes não têm overlay nem StateManager próprio: cada step gravado num
+ *   iframe é encaminhado (background → top frame) com trigger.framePath
+ * - framePath: selectors dos <iframe>, do frame principal até o frame do
+ *   elemento. Cada pai resolve o selector do seu <iframe> via postMessage
+ *   (funciona também cross-origin: o pai compara iframe.contentWindow com e.source)
+ * - Start/stop do top frame é repassado a todos os frames pelo background
+ * - Atalhos que mexem na gravação (undo, pause) viram comandos executados pela owner
+ * - Abas "follower" (popups / target=_blank abertos durante a gravação) se
+ *   comportam como iframes: o background roteia os steps para a aba owner
+ *
+ * Used by: content.js
+ */
+
+import { MESSAGE_ACTIONS } from '../../shared/constants.js';
+
+/** postMessage types (child → parent request, parent → child response) */
+const PATH_REQUEST = 'flowcapture:frame-path-request';
+const PATH_RESPONSE = 'flowcapture:frame-path';
+
+/** The parent's content script may still be loading: ask again a few times */
+const PATH_RETRY_MS = 300;
+const PATH_MAX_ATTEMPTS = 10;
+
+export class FrameBridge {
+    /**
+     * @param {SelectorEngine} selectorEngine - Gera o selector dos <iframe> deste documento
+     */
+    constructor(selectorEngine) {
+        this.selectorEngine = selectorEngine;
+        this.isTopFrame = window === window.top;
+        this.isFollower = false; // aba aberta a partir da aba que grava
+        this._pathPromise = null;
+
+        // Todo frame responde pelos seus iframes filhos
+        window.addEventListener('message', (e) => this._onPathRequest(e));
+    }
+
+    /**
+     * Top frame of the tab that owns the recording (holds the StateManager + overlay)
+     * @returns {boolean}
+     */
+    get ownsSession() {
+        return this.isTopFrame && !this.isFollower;
+    }
+
+    /**
+     * Ask the background how this tab takes part in the running recording
+     * @returns {Promise<'owner'|'follower'|'none'|'unknown'>}
+     *   none: outra aba qualquer; unknown: background sem sessão de abas
+     */
+    async resolveTabRole() {
+        let role = 'unknown';
+        try {
+            ({ role } = await chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.TAB_ROLE }));
+        } catch (err) {
+            console.warn('FlowCapture: Tab role unavailable:', err);
+        }
+        this.isFollower = role === 'follower';
+        return role;
+    }
+
+    /**
+     * Recording ended: a follower tab records on its own again
+     */
+    leaveTabSession() {
+        this.isFollower = false;
+    }
+
+    /**
+     * Selector chain from the top document down to this frame
+     * @returns {Promise<string[]|null>} [] no top frame, null se o pai não respondeu
+     */
+    getFramePath() {
+        if (this.isTopFrame) return Promise.resolve([]);
+
+        if (!this._pathPromise) {
+            this._pathPromise = this._requestFramePath().then(path => {
+                if (!path) this._pathPromise = null; // tenta de novo no próximo step
+                return path;
+            });
+        }
+        return this._pathPromise;
+    }
+
+    /**
+     * Send a step recorded in this iframe / follower tab to the owner's StateManager
+     * @param {Object} step - Captured step (trigger ganha framePath + frameUrl)
+     */
+    async forwardStep(step) {
+        let path = await this.getFramePath();
+        if (!path) {
+            // Pai sem content script (ou lento demais): melhor palpite pelo src
+            path = [`iframe[src*="${(location.host + location.pathname).replace(/"/g, '\\"')}"]`];
+            console.warn(`FlowCapture: Frame path unresolved, using ${path[0]}`);
+        }
+
+        step.trigger.framePath = path;
+        step.trigger.frameUrl = location.href;
+
+        chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.FRAME_STEP, step }).catch(err => {
+            console.warn('FlowCapture: Failed to forward frame step:', err);
+        });
+    }
+
+    /**
+     * Run a recording command on the owner (shortcut pressed in an iframe / follower tab)
+     * @param {string} command - 'undo' | 'togglePause'
+     * @returns {Promise<Object|null>} Owner's response ({ status }), null if unreachable
+     */
+    async forwardCommand(command) {
+        try {
+            return await chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.FRAME_COMMAND, command });
+        } catch (err) {
+            console.warn('FlowCapture: Failed to forward command:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Top frame: tell every iframe of the tab that recording started/stopped
+     * @param {boolean} isRecording
+     */
+    broadcastRecording(isRecording) {
+        if (!this.ownsSession) return;
+        chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.FRAME_RECORDING, isRecording }).catch(() => {
+            // Sem iframes / service worker dormindo: nada a repassar
+        });
+    }
+
+    /**
+     * Ask the parent frame for its path + the selector of our <iframe>
+     * @returns {Promise<string[]|null>}
+     * @private
+     */
+    _requestFramePath() {
+        return new Promise((resolve) => {
+            const id = Math.random().toString(36).substr(2, 9);
+            let attempts = 0;
+            let timer = null;
+
+            const finish = (path) => {
+                clearInterval(timer);
+                window.removeEventListener('message', onResponse);
+                resolve(path);
+            };
+
+            const onResponse = (e) => {
+                if (e.source !== window.parent || e.data?.type !== PATH_RESPONSE || e.data.id !== id) return;
+                finish(Array.isArray(e.data.path) ? e.data.path : null);
+            };
+
+            const ask = () => {
+                if (++attempts > PATH_MAX_ATTEMPTS) {
+                    finish(null);
+                    return;
+                }
+                window.parent.postMessage({ type: PATH_REQUEST, id }, '*');
+            };
+
+            window.addEventListener('message', onResponse);
+            timer = setInterval(ask, PATH_RETRY_MS);
+            ask();
+        });
+    }
+
+    /**
+     * Parent side: answer a child frame with the selector of its <iframe>
+     * @private
+     */
+    async _onPathRequest(e) {
+        if (e.data?.type !== PATH_REQUEST || !e.source) return;
+
+        const frameEl = [...document.querySelectorAll('iframe, frame')]
+            .find(el => el.contentWindow === e.source);
+        if (!frameEl) return;
+
+        const selector = this.selectorEngine.getUniqueSelector(frameEl);
+        const ownPath = await this.getFramePath();
+        const path = selector && ownPath ? [...ownPath, selector] : null;
+
+        e.source.postMessage({ type: PATH_RESPONSE, id: e.data.id, path }, '*');
+    }
+}
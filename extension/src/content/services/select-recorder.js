@@ -0,0 +1,139 @@
+/**
+ * Select Recorder Service
+ * Detects option picks in native <select>, <input list> backed by a <datalist>
+ * and ARIA comboboxes/listboxes (react-select, MUI Autocomplete & cia)
+ *
+ * trigger.select (native / datalist — via SessionManager):
+ * { mode, value, label, index, multiple?, values? }
+ * - mode: 'native' (<select>) | 'datalist' (valor do input bate com um <option> da datalist)
+ * - multiple: <select multiple> — values/labels trazem todas as opções marcadas
+ *
+ * trigger.combobox (clicks dentro de widgets ARIA):
+ * - { role: 'combobox', expanded? }        — click que abre o popup
+ * - { role: 'option', value, label, index } — click que escolhe a opção
+ * O TraceInterpreter junta abrir → digitar → escolher num único step 'select' (mode 'combobox').
+ *
+ * Used by: content.js → SessionManager.startSession({ type: 'select', target, select })
+ */
+
+/** How far up from a click to look for the control wrapping a combobox input */
+const MAX_CONTROL_DEPTH = 3;
+
+/** Labels longer than this are truncated (options with rich content) */
+const MAX_LABEL_LENGTH = 100;
+
+export class SelectRecorder {
+    /**
+     * Clicks on a native <select>/<option> only open the browser's picker.
+     * O SELECT_OPTION (selectOption) substitui esses clicks, então eles não viram step.
+     * @param {Element} target
+     * @returns {boolean} true when the click must not be recorded
+     */
+    handleClick(target) {
+        return target?.tagName === 'SELECT' || (target?.tagName === 'OPTION' && !!target.closest('select'));
+    }
+
+    /**
+     * change on a <select> or on an input bound to a <datalist> → select trigger
+     * @param {Element} el
+     * @returns {{target: Element, select: Object}|null} null for other fields / free text
+     */
+    fromChange(el) {
+        if (el?.tagName === 'SELECT') return { target: el, select: this._describeSelect(el) };
+
+        const datalist = el?.tagName === 'INPUT' && el.list;
+        if (!datalist) return null;
+
+        const options = [...datalist.options];
+        const index = options.findIndex(option => option.value === el.value);
+        if (index === -1) return null; // Texto livre: continua sendo TYPE
+
+        const option = options[index];
+        return {
+            target: el,
+            select: {
+                mode: 'datalist',
+                value: option.value,
+                label: this._labelOf(option),
+                index
+            }
+        };
+    }
+
+    /**
+     * ARIA combobox context of a click (opener or option), for the TraceInterpreter fold
+     * @param {Element} target
+     * @returns {Object|null} trigger.combobox, or null outside comboboxes/listboxes
+     */
+    describeClick(target) {
+        if (!target || target.nodeType !== 1) return null;
+
+        const option = target.closest('[role="option"]');
+        const listbox = option?.closest('[role="listbox"]');
+        if (option && listbox) {
+            const options = [...listbox.querySelectorAll('[role="option"]')];
+            const label = this._labelOf(option);
+            return {
+                role: 'option',
+                value: option.getAttribute('data-value') || option.getAttribute('value') || label,
+                label,
+                index: options.indexOf(option)
+            };
+        }
+
+        const combobox = this._comboboxAt(target);
+        if (!combobox) return null;
+
+        const context = { role: 'combobox' };
+        const expanded = combobox.getAttribute('aria-expanded');
+        if (expanded !== null) context.expanded = expanded === 'true';
+        return context;
+    }
+
+    /**
+     * @private
+     */
+    _describeSelect(select) {
+        const chosen = [...select.selectedOptions];
+        const first = chosen[0];
+
+        const description = {
+            mode: 'native',
+            value: first ? first.value : '',
+            label: first ? this._labelOf(first) : '',
+            index: select.selectedIndex
+        };
+        if (select.multiple) {
+            description.multiple = true;
+            description.values = chosen.map(option => option.value);
+            description.labels = chosen.map(option => this._labelOf(option));
+        }
+        return description;
+    }
+
+    /**
+     * The combobox itself, or the control wrapping its input (react-select's
+     * click lands on the control <div>, the role is on the inner <input>)
+     * @private
+     */
+    _comboboxAt(el) {
+        const own = el.closest('[role="combobox"]');
+        if (own) return own;
+
+        let node = el;
+        for (let depth = 0; node && node.nodeType === 1 && depth < MAX_CONTROL_DEPTH; depth++) {
+            const inner = node.querySelector('[role="combobox"]');
+            if (inner) return inner;
+            node = node.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _labelOf(option) {
+        const text = option.label || option.getAttribute('aria-label') || option.textContent || '';
+        return text.replace(/\s+/g, ' ').trim().substring(0, MAX_LABEL_LENGTH);
+    }
+}
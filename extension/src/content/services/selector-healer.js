@@ -0,0 +1,225 @@
+/**
+ * Selector Healer Service
+ * Finds the element of a recorded step on the current page when its recorded
+ * selectors stopped matching (class renamed, wrapper added after a deploy)
+ *
+ * Page elements are scored against what was recorded about the target:
+ * - trigger.metadata: tagName, role, text, ariaLabel, testId, href
+ * - trigger.selectorFallbacks: an element a fallback still finds earns points
+ * - trigger.coordinates: the element under the recorded click point earns points
+ * Only signals present in the recording count, so a step with just text + tag is
+ * judged on those two. The best match wins if it clears HEAL_THRESHOLD and is
+ * clearly ahead of the runner-up.
+ *
+ * Result (proposal):
+ * { element, confidence, reasons, selector, selectorFallbacks, selectorStrategies, healedFrom }
+ * — selector/fallbacks/strategies come from SelectorEngine.getMultipleCandidates and
+ * can be written back into recordedSteps (StateManager.updateStepTrigger).
+ *
+ * Used by: WorkflowReplayer (resolveTarget, before coordinates) e content.js (HEAL_STEP)
+ */
+
+import { SelectorEngine } from '../core/selector-engine.js';
+import { INTERACTIVE_ELEMENTS } from '../../shared/interactive-elements.js';
+
+/** Minimum confidence (0-1) to accept a healed element */
+const HEAL_THRESHOLD = 0.6;
+
+/** Best match must beat the runner-up by this much (otherwise it's a guess) */
+const MIN_MARGIN = 0.1;
+
+/** Upper bound of same-tag elements scored per step (huge lists/tables) */
+const MAX_SCANNED = 500;
+
+/** Weight of each signal in the confidence score */
+const SIGNAL_WEIGHTS = {
+    testId: 4,
+    ariaLabel: 3,
+    text: 3,
+    href: 2,
+    fallback: 2,
+    coordinates: 1.5,
+    tagName: 1,
+    role: 1
+};
+
+export class SelectorHealer {
+    /**
+     * @param {Object} deps
+     * @param {SelectorEngine} deps.selectorEngine - Builds the proposed selectors for the healed element
+     */
+    constructor({ selectorEngine }) {
+        this.selectorEngine = selectorEngine;
+    }
+
+    /**
+     * Find the element of a recorded step on the current page
+     * @param {Object} step - Recorded step ({ trigger: { selector, selectorFallbacks, metadata, coordinates } })
+     * @param {Document} [root] - Document to search (iframe document when the step has a frame)
+     * @returns {Object|null} Proposal, or null when nothing clears the threshold
+     */
+    heal(step, root = document) {
+        const trigger = step?.trigger || {};
+        const meta = trigger.metadata || {};
+        const signals = this._signalsOf(trigger, meta);
+        if (signals.length === 0) return null;
+
+        const fallbackHits = new Set();
+        (trigger.selectorFallbacks || []).forEach(selector => {
+            SelectorEngine.getElements(selector, root).forEach(el => fallbackHits.add(el));
+        });
+
+        const pointHit = this._elementAtPoint(trigger.coordinates, root);
+
+        const ranked = this._candidateElements(meta, fallbackHits, pointHit, root)
+            .map(element => ({ element, ...this._score(element, meta, signals, fallbackHits, pointHit) }))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        const [best, runnerUp] = ranked;
+        if (!best || best.confidence < HEAL_THRESHOLD) return null;
+        if (runnerUp && best.confidence - runnerUp.confidence < MIN_MARGIN) {
+            console.debug(`[SelectorHealer] Ambiguous match for ${trigger.selector} (${best.confidence} vs ${runnerUp.confidence})`);
+            return null;
+        }
+
+        const candidates = this.selectorEngine.getMultipleCandidates(best.element);
+        if (!candidates.primary) return null;
+
+        return {
+            element: best.element,
+            confidence: best.confidence,
+            reasons: best.reasons,
+            selector: candidates.primary,
+            selectorFallbacks: candidates.fallbacks,
+            selectorStrategies: candidates.strategies || [],
+            healedFrom: trigger.selector || null
+        };
+    }
+
+    /**
+     * Signals recorded for the step (only these count towards the confidence)
+     * @private
+     */
+    _signalsOf(trigger, meta) {
+        const signals = [];
+        if (meta.testId) signals.push('testId');
+        if (meta.ariaLabel) signals.push('ariaLabel');
+        if (meta.text) signals.push('text');
+        if (meta.href) signals.push('href');
+        if (meta.tagName) signals.push('tagName');
+        if (meta.role && meta.role !== meta.tagName) signals.push('role');
+        if (trigger.selectorFallbacks?.length) signals.push('fallback');
+        if (trigger.coordinates) signals.push('coordinates');
+        return signals;
+    }
+
+    /**
+     * Elements worth scoring: fallback hits, the element under the point, same-tag elements
+     * @private
+     */
+    _candidateElements(meta, fallbackHits, pointHit, root) {
+        const pool = new Set(fallbackHits);
+        if (pointHit) pool.add(pointHit);
+
+        if (meta.tagName) {
+            try {
+                const sameTag = root.querySelectorAll(meta.tagName);
+                for (let i = 0; i < sameTag.length && i < MAX_SCANNED; i++) pool.add(sameTag[i]);
+            } catch { /* invalid tag name */ }
+        }
+        return [...pool].filter(el => !el.closest?.('#flow-capture-overlay-root'));
+    }
+
+    /**
+     * @returns {{confidence: number, reasons: string[]}}
+     * @private
+     */
+    _score(el, meta, signals, fallbackHits, pointHit) {
+        let earned = 0;
+        let possible = 0;
+        const reasons = [];
+
+        const award = (signal, ratio) => {
+            if (ratio > 0) {
+                earned += SIGNAL_WEIGHTS[signal] * ratio;
+                reasons.push(ratio === 1 ? signal : `${signal}~`);
+            }
+        };
+
+        for (const signal of signals) {
+            possible += SIGNAL_WEIGHTS[signal];
+            switch (signal) {
+                case 'testId':
+                    award(signal, this.selectorEngine.getTestId(el) === meta.testId ? 1 : 0);
+                    break;
+                case 'ariaLabel': {
+                    award(signal, this._textSimilarity(this.selectorEngine.getAriaLabel(el), meta.ariaLabel));
+                    break;
+                }
+                case 'text':
+                    award(signal, this._textSimilarity(this._textOf(el), meta.text));
+                    break;
+                case 'href':
+                    award(signal, el.href === meta.href ? 1 : (el.href && this._samePath(el.href, meta.href) ? 0.7 : 0));
+                    break;
+                case 'tagName':
+                    award(signal, el.tagName.toLowerCase() === meta.tagName ? 1 : 0);
+                    break;
+                case 'role':
+                    award(signal, (el.getAttribute('role') || el.tagName.toLowerCase()) === meta.role ? 1 : 0);
+                    break;
+                case 'fallback':
+                    award(signal, fallbackHits.has(el) ? 1 : 0);
+                    break;
+                case 'coordinates':
+                    award(signal, pointHit && (pointHit === el || el.contains(pointHit)) ? 1 : 0);
+                    break;
+            }
+        }
+
+        return { confidence: possible ? Math.round((earned / possible) * 100) / 100 : 0, reasons };
+    }
+
+    /**
+     * Same text as recorded by SessionManager._extractMetadata (value for fields, innerText otherwise)
+     * @private
+     */
+    _textOf(el) {
+        if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') return el.value || el.placeholder || '';
+        return (el.innerText || el.textContent || '').substring(0, 100);
+    }
+
+    /**
+     * 1 = same text, 0.6 = one contains the other, 0 otherwise (case/space-insensitive)
+     * @private
+     */
+    _textSimilarity(actual, recorded) {
+        const a = String(actual || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const b = String(recorded || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        return a.includes(b) || b.includes(a) ? 0.6 : 0;
+    }
+
+    /**
+     * @private
+     */
+    _samePath(a, b) {
+        try {
+            return new URL(a).pathname === new URL(b).pathname;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Interactive element under the recorded viewport point (same bubbling as the SelectorEngine)
+     * @private
+     */
+    _elementAtPoint(coordinates, root) {
+        if (!coordinates || typeof root.elementFromPoint !== 'function') return null;
+        const hit = root.elementFromPoint(coordinates.x, coordinates.y);
+        if (!hit || hit === root.body || hit === root.documentElement) return null;
+        return INTERACTIVE_ELEMENTS.findInteractiveAncestor(hit);
+    }
+}
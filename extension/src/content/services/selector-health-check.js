@@ -0,0 +1,159 @@
+/**
+ * Selector Health Check Service
+ * Checks, without acting, whether the selectors of a compiled workflow still
+ * resolve on the current page — run it before syncing a workflow
+ *
+ * Per CLICK / TYPE / EXPAND node, each candidate (primary + fallbacks) gets its
+ * match count on the live page. The actions of a data-driven FOR_EACH_ELEMENT
+ * (where attachDataTable puts the whole recording) are checked too, bound to the
+ * first row like the in-page replay, and reported as "<loop>.<action>" (e.g. 2.5):
+ * - ok:        primary matches exactly one element
+ * - degraded:  primary is gone/ambiguous, but a fallback matches exactly one
+ * - ambiguous: nothing unique, some candidate matches several elements
+ * - broken:    no candidate matches (or the node's iframe is unreachable)
+ *
+ * Problem nodes are outlined on the page: yellow on the element a degraded node
+ * still finds, red on every element an ambiguous node could hit. Broken nodes
+ * have nothing to outline — they only show up in the report.
+ *
+ * Usage:
+ * const check = new SelectorHealthCheck({ replayer, visualFeedback });
+ * const report = check.run(workflowNodes); // { results, summary }
+ */
+
+import { SelectorEngine } from '../core/selector-engine.js';
+
+/** Node types whose selectors are checked */
+const CHECKED_NODES = new Set(['CLICK', 'TYPE', 'EXPAND']);
+
+/** How long problem elements stay outlined */
+const HIGHLIGHT_MS = 6000;
+
+/** Max elements outlined per ambiguous candidate */
+const MAX_HIGHLIGHTS_PER_NODE = 5;
+
+export class SelectorHealthCheck {
+    /**
+     * @param {Object} deps
+     * @param {WorkflowReplayer} deps.replayer - Binds {{variables}} and resolves frames like a replay would
+     * @param {VisualFeedback} [deps.visualFeedback] - Outlines problem elements
+     */
+    constructor({ replayer, visualFeedback = null }) {
+        this.replayer = replayer;
+        this.visualFeedback = visualFeedback;
+    }
+
+    /**
+     * Evaluate every checked node of a workflow against the current page
+     * @param {Array} workflow - Compiled IR nodes
+     * @returns {{results: Array, summary: Object}}
+     */
+    run(workflow) {
+        const nodes = Array.isArray(workflow) ? workflow : [];
+        this.replayer.setVariables(nodes);
+
+        const results = [];
+        nodes.forEach((node, index) => {
+            if (node?.type === 'FOR_EACH_ELEMENT' && node.params?.mode === 'data-driven') {
+                const rows = nodes.find(n => n.type === 'DATA_TABLE' && n.id === node.params.source)?.params?.rows || [];
+                this.replayer.setVariables(nodes, {}, rows[0] || null);
+                (node.params.actions || []).forEach((action, k) => this._checkInto(results, action, `${index}.${k}`));
+                this.replayer.setVariables(nodes);
+                return;
+            }
+            this._checkInto(results, node, index);
+        });
+
+        const summary = { total: results.length, ok: 0, degraded: 0, ambiguous: 0, broken: 0 };
+        results.forEach(result => summary[result.status]++);
+
+        console.log('🩺 SelectorHealthCheck:', summary);
+        return { results, summary };
+    }
+
+    /**
+     * Check one node (if it is a checked type with a selector) and outline its problems
+     * @param {Array} results
+     * @param {Object} node
+     * @param {number|string} index - Workflow position, "<loop>.<action>" for nested actions
+     * @private
+     */
+    _checkInto(results, node, index) {
+        if (!CHECKED_NODES.has(node?.type)) return;
+        const target = this.replayer.targetParamsFor(node);
+        if (!target?.selector) return;
+
+        const { result, elements } = this._checkNode(node, index, target);
+        results.push(result);
+        if (result.status !== 'ok') this._highlight(result, elements);
+    }
+
+    /**
+     * @returns {{result: Object, elements: Element[]}} elements = what to outline
+     * @private
+     */
+    _checkNode(node, index, target) {
+        const result = {
+            index,
+            type: node.type,
+            label: node.label || node.type,
+            status: 'broken',
+            candidates: []
+        };
+
+        let root;
+        try {
+            root = this.replayer.frameDocument(target.frame);
+        } catch (error) {
+            result.detail = error.message;
+            return { result, elements: [] };
+        }
+        if (!root) {
+            result.detail = `Frame ${target.frame.path.join(' → ')} not found`;
+            return { result, elements: [] };
+        }
+
+        const selectors = [target.selector, ...(target.selectorFallbacks || [])].filter(Boolean);
+        const elements = new Map(); // selector → Element[]
+
+        result.candidates = selectors.map((selector, i) => {
+            const matches = SelectorEngine.getElements(selector, root);
+            elements.set(selector, matches);
+            return { selector, source: i === 0 ? 'primary' : `fallback ${i}`, matchCount: matches.length };
+        });
+
+        const [primary, ...fallbacks] = result.candidates;
+        const uniqueFallback = fallbacks.find(c => c.matchCount === 1);
+        const ambiguous = result.candidates.find(c => c.matchCount > 1);
+
+        if (primary.matchCount === 1) {
+            result.status = 'ok';
+            result.matchedSelector = primary.selector;
+        } else if (uniqueFallback) {
+            result.status = 'degraded';
+            result.matchedSelector = uniqueFallback.selector;
+            result.detail = `Primary matches ${primary.matchCount} — ${uniqueFallback.source} still unique`;
+        } else if (ambiguous) {
+            result.status = 'ambiguous';
+            result.detail = `${ambiguous.source} matches ${ambiguous.matchCount} elements`;
+        } else {
+            result.detail = `No candidate matched (${selectors.length} tried)`;
+        }
+
+        if (result.matchedSelector) {
+            return { result, elements: elements.get(result.matchedSelector).slice(0, 1) };
+        }
+        return { result, elements: ambiguous ? elements.get(ambiguous.selector).slice(0, MAX_HIGHLIGHTS_PER_NODE) : [] };
+    }
+
+    /**
+     * Outline the elements behind a problem node
+     * @private
+     */
+    _highlight(result, elements) {
+        if (!this.visualFeedback) return;
+
+        const state = result.status === 'degraded' ? 'warning' : 'error';
+        elements.forEach(el => this.visualFeedback.showElementOutline(el, state, HIGHLIGHT_MS));
+    }
+}
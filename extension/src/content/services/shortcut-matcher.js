@@ -43,6 +43,49 @@ export class ShortcutMatcher {
         return this.matches(event, expandShortcut);
     }
 
+    /**
+     * Check if event matches undo last step shortcut
+     * @param {KeyboardEvent} event
+     * @param {Object} undoShortcut
+     * @returns {boolean}
+     */
+    static isUndo(event, undoShortcut) {
+        return this.matches(event, undoShortcut);
+    }
+
+    /**
+     * Check if event matches the assert mode toggle shortcut
+     * @param {KeyboardEvent} event
+     * @param {Object} assertShortcut
+     * @returns {boolean}
+     */
+    static isAssertToggle(event, assertShortcut) {
+        return this.matches(event, assertShortcut);
+    }
+
+    /**
+     * Check if event matches the pause/resume recording shortcut
+     * @param {KeyboardEvent} event
+     * @param {Object} pauseShortcut
+     * @returns {boolean}
+     */
+    static isPauseToggle(event, pauseShortcut) {
+        return this.matches(event, pauseShortcut);
+    }
+
+    /**
+     * Assertion kind for a click made while assert mode is on
+     * (click: text · Alt: visible · Shift: count · Ctrl/Meta: attribute)
+     * @param {MouseEvent} event
+     * @returns {'text'|'visible'|'count'|'attribute'}
+     */
+    static getAssertionKind(event) {
+        if (event.altKey) return 'visible';
+        if (event.shiftKey) return 'count';
+        if (event.ctrlKey || event.metaKey) return 'attribute';
+        return 'text';
+    }
+
     /**
      * Check if event is manual height adjustment (Ctrl+Shift+Up/Down)
      * @param {KeyboardEvent} event
@@ -0,0 +1,121 @@
+/**
+ * Upload Recorder Service
+ * Detects file selection (file inputs, hidden inputs behind custom dropzones,
+ * files dropped from the OS) and builds 'upload' triggers
+ *
+ * trigger.upload:
+ * { files: [{ name, size, mimeType }], multiple, accept?, via, openedBy? }
+ * - Só metadados: o conteúdo dos arquivos nunca é lido
+ * - via: 'input' (change num input[type=file]) | 'drop' (arquivos soltos numa
+ *   dropzone sem input associado — o replay dispara o drop no próprio elemento)
+ * - openedBy: 'page' quando o seletor de arquivos foi aberto por script (dropzone
+ *   custom chamando input.click()): o click gravado na dropzone vira redundante
+ *
+ * Used by: content.js → SessionManager.startSession({ type: 'upload', target, upload })
+ */
+
+/** A label click re-dispatches a synthetic click on its input right away */
+const LABEL_CLICK_MS = 100;
+
+/** How far up from a drop point to look for the dropzone's file input */
+const MAX_DROPZONE_DEPTH = 5;
+
+export class UploadRecorder {
+    constructor() {
+        this._chooserClick = null; // { at, byPage } último click que abriu o seletor
+    }
+
+    /**
+     * Click that only opens the file chooser (file input or its <label>).
+     * O UPLOAD (setInputFiles) substitui esse click, então ele não vira step.
+     * @param {Element} target
+     * @param {MouseEvent} e
+     * @returns {boolean} true when the click must not be recorded
+     */
+    handleClick(target, e) {
+        const isInput = this._isFileInput(target);
+        const label = !isInput && target.closest?.('label');
+        if (!isInput && !this._isFileInput(label?.control)) return false;
+
+        const now = Date.now();
+        if (!e.isTrusted && isInput) {
+            // Click sintético: vindo de um <label> já tratado ou do JS de uma dropzone
+            const fromLabel = this._chooserClick && !this._chooserClick.byPage && now - this._chooserClick.at < LABEL_CLICK_MS;
+            if (!fromLabel) this._chooserClick = { at: now, byPage: true };
+        } else {
+            this._chooserClick = { at: now, byPage: false };
+        }
+        return true;
+    }
+
+    /**
+     * change on a file input → upload trigger
+     * @param {HTMLInputElement} input
+     * @returns {{target: Element, upload: Object}|null} null for non-file inputs
+     */
+    fromInput(input) {
+        if (!this._isFileInput(input)) return null;
+
+        const upload = this._describe(input.files, 'input');
+        upload.multiple = input.multiple;
+        if (input.accept) upload.accept = input.accept;
+        if (this._chooserClick?.byPage) upload.openedBy = 'page';
+        this._chooserClick = null;
+
+        return { target: input, upload };
+    }
+
+    /**
+     * Files dropped from the OS (no dragstart in the page).
+     * Dropzones com input interno (react-dropzone & cia) gravam no input — o
+     * replay via setInputFiles passa pelo mesmo onChange.
+     * @param {Element} dropTarget
+     * @param {DragEvent} e
+     * @returns {{target: Element, upload: Object}|null} null when no files were dropped
+     */
+    fromDrop(dropTarget, e) {
+        const files = e.dataTransfer?.files;
+        if (!files || files.length === 0 || !dropTarget || dropTarget.nodeType !== 1) return null;
+
+        const input = this._fileInputNear(dropTarget);
+        const upload = this._describe(files, input ? 'input' : 'drop');
+        upload.multiple = input ? input.multiple : files.length > 1;
+        if (input?.accept) upload.accept = input.accept;
+
+        return { target: input || dropTarget, upload };
+    }
+
+    /**
+     * Name, size and MIME type of each file (never the content)
+     * @private
+     */
+    _describe(fileList, via) {
+        const files = [...(fileList || [])].map(file => ({
+            name: file.name,
+            size: file.size,
+            mimeType: file.type || 'application/octet-stream'
+        }));
+        return { files, via };
+    }
+
+    /**
+     * @private
+     */
+    _fileInputNear(el) {
+        let node = el;
+        for (let depth = 0; node && node.nodeType === 1 && depth < MAX_DROPZONE_DEPTH; depth++) {
+            if (this._isFileInput(node)) return node;
+            const inner = node.querySelector('input[type="file"]');
+            if (inner) return inner;
+            node = node.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _isFileInput(el) {
+        return el?.tagName === 'INPUT' && el.type === 'file';
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * Workflow Debugger Service
+ * Step-through playback of compiled workflow IR with breakpoints
+ *
+ * Responsibilities:
+ * - Pause before a node (entry + breakpoints), run one node per step
+ * - Inspect the paused node: which candidate from selectorFallbacks matches
+ * - Highlight the resolved element on the page
+ * - Allow editing a node's params before it runs
+ *
+ * Builds on WorkflowReplayer for node execution — the debugger only owns
+ * the cursor, breakpoints and per-node results.
+ *
+ * Usage:
+ * const dbg = new WorkflowDebugger(replayer, visualFeedback);
+ * dbg.onChange((state) => panel.render(state));
+ * dbg.load(workflowNodes);
+ * await dbg.step();
+ */
+
+import { SelectorEngine } from '../core/selector-engine.js';
+
+/** How long the paused node's target stays outlined */
+const INSPECT_OUTLINE_MS = 4000;
+
+export class WorkflowDebugger {
+    /**
+     * @param {WorkflowReplayer} replayer - Executes individual nodes
+     * @param {VisualFeedback} visualFeedback - Highlights the inspected element
+     */
+    constructor(replayer, visualFeedback) {
+        this.replayer = replayer;
+        this.visualFeedback = visualFeedback;
+
+        this.nodes = [];
+        this.breakpoints = new Set();
+        this.results = [];
+        this.currentIndex = 0;
+        this.status = 'idle'; // 'idle' | 'paused' | 'running' | 'finished' | 'stopped'
+        this.inspection = null;
+
+        this._stopRequested = false;
+        this._listeners = new Map();
+        this._listenerIdCounter = 0;
+    }
+
+    /**
+     * Load a workflow and pause on its first node
+     * @param {Array} workflow - Compiled IR nodes (cloned, original is untouched)
+     * @param {Object} options - { breakpoints: number[] }
+     */
+    load(workflow, { breakpoints = [] } = {}) {
+        this.nodes = JSON.parse(JSON.stringify(Array.isArray(workflow) ? workflow : []));
+        this.breakpoints = new Set(breakpoints.filter(i => i >= 0 && i < this.nodes.length));
+        this.results = [];
+        this.currentIndex = 0;
+        this._stopRequested = false;
+        this.replayer.reset();
+        this.replayer.setVariables(this.nodes);
+
+        if (this.nodes.length === 0) {
+            this.status = 'finished';
+            this.inspection = null;
+        } else {
+            this.status = 'paused';
+            this._inspect(0);
+        }
+
+        console.log(`🐞 WorkflowDebugger: Loaded ${this.nodes.length} nodes`);
+        this._notify();
+    }
+
+    /**
+     * Toggle a breakpoint on a node
+     * @param {number} index
+     */
+    toggleBreakpoint(index) {
+        if (index < 0 || index >= this.nodes.length) return;
+
+        if (this.breakpoints.has(index)) {
+            this.breakpoints.delete(index);
+        } else {
+            this.breakpoints.add(index);
+        }
+        this._notify();
+    }
+
+    /**
+     * Run the paused node and pause on the next one
+     * @returns {Promise<Object|null>} Result of the executed node
+     */
+    async step() {
+        if (this.status !== 'paused') return null;
+
+        this.status = 'running';
+        this._notify();
+
+        const result = await this._runCurrent();
+
+        if (this.status === 'running') {
+            this._pauseOrFinish();
+        }
+        this._notify();
+        return result;
+    }
+
+    /**
+     * Run from the paused node until the next breakpoint or the end
+     * @returns {Promise<void>}
+     */
+    async continue() {
+        if (this.status !== 'paused') return;
+
+        this.status = 'running';
+        this._stopRequested = false;
+        this._notify();
+
+        do {
+            await this._runCurrent();
+            this._notify();
+        } while (
+            !this._stopRequested &&
+            this.currentIndex < this.nodes.length &&
+            !this.breakpoints.has(this.currentIndex)
+        );
+
+        if (this.status === 'running') {
+            this._pauseOrFinish();
+        }
+        this._notify();
+    }
+
+    /**
+     * Stop the session (a running loop stops after its current node)
+     */
+    stop() {
+        this._stopRequested = true;
+        this.replayer.abort();
+        this.status = 'stopped';
+        this.inspection = null;
+        this._notify();
+    }
+
+    /**
+     * Replace a node's params (only nodes that haven't run yet)
+     * @param {number} index
+     * @param {Object} params
+     * @returns {boolean} true if applied
+     */
+    updateNodeParams(index, params) {
+        const node = this.nodes[index];
+        if (!node || index < this.currentIndex || !params || typeof params !== 'object') {
+            return false;
+        }
+
+        node.params = params;
+        console.log(`✏️ WorkflowDebugger: Params updated on node #${index} (${node.type})`);
+
+        if (index === this.currentIndex && this.status === 'paused') {
+            this._inspect(index);
+        }
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Get the (possibly edited) workflow
+     * @returns {Array}
+     */
+    getWorkflow() {
+        return this.nodes;
+    }
+
+    /**
+     * Get current state snapshot
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            status: this.status,
+            currentIndex: this.currentIndex,
+            nodes: this.nodes,
+            breakpoints: Array.from(this.breakpoints),
+            results: this.results,
+            inspection: this.inspection
+        };
+    }
+
+    /**
+     * Subscribe to state changes
+     * @param {Function} callback - Called with state snapshot
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        const id = ++this._listenerIdCounter;
+        this._listeners.set(id, callback);
+        return () => {
+            this._listeners.delete(id);
+        };
+    }
+
+    // ─── Internals ──────────────────────────────────────
+
+    /**
+     * Execute the node under the cursor and advance
+     * @private
+     */
+    async _runCurrent() {
+        const index = this.currentIndex;
+        const result = await this.replayer.runNode(this.nodes[index], index);
+        this.results[index] = result;
+        this.currentIndex = index + 1;
+
+        const icon = result.status === 'passed' ? '✅' : result.status === 'failed' ? '❌' : '⏭️';
+        console.log(`${icon} WorkflowDebugger: #${index} ${result.type}`, result.error || result.matchedSelector || '');
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _pauseOrFinish() {
+        if (this.currentIndex >= this.nodes.length) {
+            this.status = 'finished';
+            this.inspection = null;
+        } else {
+            this.status = 'paused';
+            this._inspect(this.currentIndex);
+        }
+    }
+
+    /**
+     * Resolve the paused node's target without acting on it:
+     * counts matches per candidate (inside the node's iframe, when it has one)
+     * and outlines the first matching element
+     * @private
+     */
+    _inspect(index) {
+        const node = this.nodes[index];
+        const target = this.replayer.targetParamsFor(node);
+
+        if (!target?.selector) {
+            this.inspection = { index, hasTarget: false, candidates: [], matchedSelector: null };
+            return;
+        }
+
+        const selectors = [target.selector, ...(target.selectorFallbacks || [])].filter(Boolean);
+        let element = null;
+        let matchedSelector = null;
+
+        // Frame ausente ou cross-origin: nenhum candidato é contado (como no SelectorHealthCheck)
+        let root = null;
+        let detail = null;
+        try {
+            root = this.replayer.frameDocument(target.frame);
+            if (!root) detail = `Frame ${target.frame.path.join(' → ')} not found`;
+        } catch (error) {
+            detail = error.message;
+        }
+
+        const candidates = selectors.map((selector, i) => {
+            const matches = root ? SelectorEngine.getElements(selector, root) : [];
+            if (!element && matches.length > 0) {
+                element = matches[0];
+                matchedSelector = selector;
+            }
+            return { selector, source: i === 0 ? 'primary' : `fallback ${i}`, matchCount: matches.length };
+        });
+
+        if (element) {
+            element.scrollIntoView({ block: 'center', inline: 'nearest' });
+            this.visualFeedback?.showElementOutline(element, 'success', INSPECT_OUTLINE_MS);
+        }
+
+        this.inspection = { index, hasTarget: true, candidates, matchedSelector, detail };
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        const state = this.getState();
+        this._listeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (error) {
+                console.error('WorkflowDebugger: Listener error:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,1009 @@
+/**
+ * Workflow Replayer Service
+ * Executes compiled workflow IR nodes against the current tab
+ *
+ * Responsibilities:
+ * - Resolve node selectors trying selectorFallbacks in compiler order
+ * - Heal targets whose selectors stopped matching (SelectorHealer: recorded text/label/tag)
+ * - Perform DOM actions (click, type, select, scroll, hover, drag, expand, set style)
+ * - Run ELEMENT_SCAN / FOR_EACH_ELEMENT loops in-page
+ * - Check ASSERT_TEXT / ASSERT_VISIBLE / ASSERT_COUNT against the live page
+ * - Read EXTRACT fields (arrays inside FOR_EACH loops) into report.extracted
+ * - Resolve nodes recorded inside same-origin iframes (params.frame.path)
+ * - Answer alert/confirm/prompt with the HANDLE_DIALOG response (main-world hook)
+ * - Bind {{variables}} from the START header (and data table rows) into node params
+ * - Produce a pass/fail report per node
+ *
+ * Nodes that need a real browser driver (SCREENSHOT, OUTPUT, cross-page GOTO,
+ * SWITCH_TAB / WAIT_FOR_POPUP) are reported but not executed — the replayer only
+ * checks the page side. Nodes recorded in another tab are skipped until the
+ * flow switches back to the first tab.
+ *
+ * Usage:
+ * const replayer = new WorkflowReplayer({ expansionManager, visualFeedback });
+ * const report = await replayer.run(workflowNodes);
+ */
+
+import { SelectorEngine } from '../core/selector-engine.js';
+import { WorkflowVariables } from '../../shared/workflow-variables.js';
+import { ExtractionRecorder } from './extraction-recorder.js';
+
+/** Max time to wait for a selector to appear before declaring failure */
+const RESOLVE_TIMEOUT_MS = 3000;
+const RESOLVE_POLL_MS = 100;
+
+/** Intermediate pointer moves dispatched for DRAG nodes */
+const DRAG_MOVE_STEPS = 10;
+
+/** Upper bound for WAIT nodes during replay (recorded waits can be long) */
+const MAX_WAIT_MS = 10000;
+
+/** Nodes that still run while the flow is in another tab (SWITCH_TAB) */
+const TAB_INDEPENDENT_NODES = new Set(['WAIT', 'SWITCH_TAB', 'WAIT_FOR_POPUP', 'PRINT', 'OUTPUT']);
+
+export class WorkflowReplayer {
+    /**
+     * @param {Object} deps
+     * @param {ExpansionManager} [deps.expansionManager] - Used for EXPAND nodes
+     * @param {VisualFeedback} [deps.visualFeedback] - Used to outline resolved elements
+     * @param {DialogRecorder} [deps.dialogRecorder] - Used for HANDLE_DIALOG nodes
+     * @param {SelectorHealer} [deps.healer] - Finds targets whose recorded selectors no longer match
+     * @param {number} [deps.resolveTimeoutMs]
+     */
+    constructor({ expansionManager = null, visualFeedback = null, dialogRecorder = null, healer = null, resolveTimeoutMs = RESOLVE_TIMEOUT_MS } = {}) {
+        this.expansionManager = expansionManager;
+        this.visualFeedback = visualFeedback;
+        this.dialogRecorder = dialogRecorder;
+        this.healer = healer;
+        this.resolveTimeoutMs = resolveTimeoutMs;
+
+        this._scanResults = new Map(); // scanId → Element[]
+        this._dataTables = new Map(); // dataId → rows
+        this._variables = {};
+        this._extracted = {}; // field → value (array quando extraído em loop)
+        this._tabIndex = 0; // aba corrente do fluxo (SWITCH_TAB); só a 0 é esta página
+        this._aborted = false;
+    }
+
+    /**
+     * Run every node in order, continuing after failures
+     * @param {Array} workflow - Compiled IR nodes
+     * @param {Object} [variables] - Overrides for the START header defaults
+     * @returns {Promise<Object>} { results, summary, extracted }
+     */
+    async run(workflow, variables = {}) {
+        this.reset();
+
+        const results = [];
+        const nodes = Array.isArray(workflow) ? workflow : [];
+        this.setVariables(nodes, variables);
+
+        console.log(`▶️ WorkflowReplayer: Running ${nodes.length} nodes`);
+
+        for (let i = 0; i < nodes.length; i++) {
+            if (this._aborted) break;
+            results.push(await this.runNode(nodes[i], i));
+        }
+
+        const report = { results, summary: this._summarize(results), extracted: this.getExtractedData() };
+        console.log('🏁 WorkflowReplayer: Finished', report.summary);
+        return report;
+    }
+
+    /**
+     * Clear scan results and the abort flag before a new run
+     */
+    reset() {
+        this._scanResults.clear();
+        this._dataTables.clear();
+        this._extracted = {};
+        this._tabIndex = 0;
+        this._aborted = false;
+    }
+
+    /**
+     * Data read by EXTRACT nodes so far (same shape as the OUTPUT JSON)
+     * @returns {Object}
+     */
+    getExtractedData() {
+        return JSON.parse(JSON.stringify(this._extracted));
+    }
+
+    /**
+     * Set the variable scope used to bind {{templates}} in node params
+     * @param {Array} workflow - Source of the START header defaults
+     * @param {Object} [overrides] - Values that take precedence over the defaults
+     * @param {Object|null} [row] - Data table row (its columns plus {{row.*}} / {{rowIndex}} / {{rowNumber}})
+     */
+    setVariables(workflow, overrides = {}, row = null) {
+        this._variables = WorkflowVariables.scopeFor(workflow, overrides, row);
+    }
+
+    /**
+     * Stop a running replay after the current node
+     */
+    abort() {
+        this._aborted = true;
+    }
+
+    /**
+     * Execute a single node and return its result
+     * @param {Object} node - IR node
+     * @param {number} index - Position in the workflow
+     * @returns {Promise<Object>} { index, type, label, status, matchedSelector, detail, error, durationMs }
+     */
+    async runNode(node, index) {
+        const startedAt = performance.now();
+        const result = {
+            index,
+            type: node?.type || 'UNKNOWN',
+            label: node?.label || node?.type || '',
+            status: 'passed',
+            matchedSelector: null,
+            detail: null,
+            error: null,
+            durationMs: 0
+        };
+
+        try {
+            const outcome = await this._execute(WorkflowVariables.bindNode(node, this._variables), result);
+            if (outcome?.skipped) {
+                result.status = 'skipped';
+                result.detail = outcome.reason || null;
+            } else if (outcome?.detail) {
+                result.detail = outcome.detail;
+            }
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            console.warn(`❌ WorkflowReplayer: Node #${index} ${result.type} failed:`, error.message);
+        }
+
+        result.durationMs = Math.round(performance.now() - startedAt);
+        return result;
+    }
+
+    /**
+     * Dispatch a node to its handler
+     * @private
+     */
+    async _execute(node, result) {
+        const params = node?.params || {};
+
+        if (this._tabIndex !== 0 && !TAB_INDEPENDENT_NODES.has(node?.type)) {
+            return { skipped: true, reason: `Recorded in tab #${this._tabIndex}` };
+        }
+
+        switch (node?.type) {
+            case 'START':
+                return this._runStart(params);
+            case 'WAIT':
+                await this._sleep(Math.min(params.timeoutMs || 0, MAX_WAIT_MS));
+                return null;
+            case 'CLICK':
+                return this._runClick(params, result);
+            case 'TYPE':
+                return this._runType(params, result);
+            case 'SCROLL':
+                window.scrollTo({ left: params.x || 0, top: params.y || 0, behavior: 'auto' });
+                return null;
+            case 'HOVER':
+                return this._runHover(params, result);
+            case 'DRAG':
+                return this._runDrag(params, result);
+            case 'UPLOAD':
+                return this._runUpload(params, result);
+            case 'SELECT_OPTION':
+                return this._runSelectOption(params, result);
+            case 'HANDLE_DIALOG':
+                return this._runHandleDialog(params);
+            case 'EXPAND':
+                return this._runExpand(params, result);
+            case 'SET_STYLE':
+                return this._runSetStyle(params, result);
+            case 'ELEMENT_SCAN':
+                return this._runElementScan(node, params);
+            case 'DATA_TABLE':
+                this._dataTables.set(node.id, params.rows || []);
+                return { detail: `${(params.rows || []).length} row(s)` };
+            case 'FOR_EACH_ELEMENT':
+                return params.mode === 'data-driven' ? this._runDataDriven(params, result) : this._runForEach(params);
+            case 'SCREENSHOT':
+                return { detail: `Capture point reached (${params.filename || 'screenshot'})` };
+            case 'PRINT':
+                return { detail: params.message || null };
+            case 'EXTRACT':
+                return this._runExtract(params, result);
+            case 'OUTPUT': {
+                const fields = Object.keys(this._extracted).length;
+                return { detail: fields > 0 ? `End of workflow · ${fields} field(s) extracted` : 'End of workflow' };
+            }
+            case 'ASSERT_TEXT':
+                return this._runAssertText(params, result);
+            case 'ASSERT_VISIBLE':
+                return this._runAssertVisible(params, result);
+            case 'ASSERT_COUNT':
+                return this._runAssertCount(params, result);
+            case 'GOTO':
+                return this._runGoto(params);
+            case 'WAIT_FOR_NAVIGATION':
+                return { skipped: true, reason: 'Navigation waits are not replayed in-page' };
+            case 'WAIT_FOR_POPUP':
+                return { skipped: true, reason: 'New tabs are not replayed in-page' };
+            case 'SWITCH_TAB':
+                this._tabIndex = Number(params.tabIndex) || 0;
+                return { skipped: true, reason: `Switch to tab #${this._tabIndex} is not replayed in-page` };
+            default:
+                return { skipped: true, reason: `Unsupported node type: ${node?.type}` };
+        }
+    }
+
+    // ─── Node Handlers ─────────────────────────────────
+
+    /** @private */
+    _runStart(params) {
+        if (!params.url) return null;
+        try {
+            const expected = new URL(params.url);
+            const current = new URL(window.location.href);
+            if (expected.origin !== current.origin || expected.pathname !== current.pathname) {
+                return { skipped: true, reason: `Recorded on ${expected.origin}${expected.pathname}` };
+            }
+        } catch {
+            // Invalid URL in workflow — not fatal for an in-page replay
+        }
+        return null;
+    }
+
+    /** @private */
+    _runGoto(params) {
+        if (!params.url) return { skipped: true, reason: 'No URL' };
+        try {
+            const target = new URL(params.url, window.location.href);
+            const current = new URL(window.location.href);
+            const samePage = target.origin === current.origin &&
+                target.pathname === current.pathname &&
+                target.search === current.search;
+
+            if (samePage) {
+                if (target.hash !== current.hash) window.location.hash = target.hash;
+                return { detail: 'Same-page navigation' };
+            }
+        } catch {
+            // fall through
+        }
+        return { skipped: true, reason: 'Cross-page navigation is not replayed in-page' };
+    }
+
+    /** @private */
+    async _runClick(params, result) {
+        const el = await this._resolveInto(params, result);
+        el.scrollIntoView({ block: 'center', inline: 'nearest' });
+        this._outline(el, 'success');
+        this._dispatchClick(el, params);
+        return null;
+    }
+
+    /** @private */
+    async _runType(params, result) {
+        const el = await this._resolveInto(params, result);
+        el.scrollIntoView({ block: 'center', inline: 'nearest' });
+        this._outline(el, 'success');
+        el.focus();
+
+        const text = String(params.text ?? '');
+        const delayMs = Math.min(params.delayMs || 0, 200);
+
+        if (el.isContentEditable) {
+            if (params.clearFirst) el.textContent = '';
+            for (const char of text) {
+                el.textContent += char;
+                el.dispatchEvent(new InputEvent('input', { bubbles: true, data: char, inputType: 'insertText' }));
+                if (delayMs) await this._sleep(delayMs);
+            }
+        } else {
+            let value = params.clearFirst ? '' : (el.value || '');
+            this._setNativeValue(el, value);
+            for (const char of text) {
+                value += char;
+                this._setNativeValue(el, value);
+                el.dispatchEvent(new InputEvent('input', { bubbles: true, data: char, inputType: 'insertText' }));
+                if (delayMs) await this._sleep(delayMs);
+            }
+        }
+
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return null;
+    }
+
+    /** @private */
+    async _runHover(params, result) {
+        const el = await this._resolveInto(params, result);
+        const { clientX, clientY } = this._centerOf(el);
+        const init = { bubbles: true, cancelable: true, clientX, clientY, view: window };
+
+        el.dispatchEvent(new PointerEvent('pointerover', init));
+        el.dispatchEvent(new MouseEvent('mouseover', init));
+        el.dispatchEvent(new MouseEvent('mouseenter', { ...init, bubbles: false }));
+        el.dispatchEvent(new MouseEvent('mousemove', init));
+
+        if (params.delayMs) await this._sleep(Math.min(params.delayMs, 1500));
+        return null;
+    }
+
+    /**
+     * DRAG: element-to-element (mode "element") ou pelo offset gravado.
+     * Gestos HTML5 (params.native) viram dragstart → dragover → drop; os demais
+     * pointer/mouse events ao longo do trajeto.
+     * @private
+     */
+    async _runDrag(params, result) {
+        const source = await this._resolveInto(params, result);
+        source.scrollIntoView({ block: 'center', inline: 'nearest' });
+        const start = this._centerOf(source);
+
+        let end;
+        if (params.mode === 'element' && params.target) {
+            const resolved = await this.resolveTarget({ selector: params.target, selectorFallbacks: params.targetFallbacks, frame: params.frame });
+            if (!resolved) throw new Error(`No drop target matched ${params.target}`);
+            this._outline(resolved.element, 'success');
+            end = this._centerOf(resolved.element);
+        } else {
+            end = { clientX: start.clientX + (params.offset?.x || 0), clientY: start.clientY + (params.offset?.y || 0) };
+        }
+
+        this._outline(source, 'success');
+        if (params.native) {
+            this._dispatchNativeDrag(source, end);
+        } else {
+            await this._dispatchPointerDrag(source, start, end);
+        }
+        return { detail: `Dragged by (${end.clientX - start.clientX}, ${end.clientY - start.clientY})` };
+    }
+
+    /**
+     * UPLOAD: a página não lê o disco, então o replay usa Files vazios com o
+     * nome/MIME gravados (fileInfo) — suficiente para validação e previews de nome.
+     * @private
+     */
+    async _runUpload(params, result) {
+        const el = await this._resolveInto(params, result);
+        const dataTransfer = new DataTransfer();
+        (params.fileInfo || []).forEach(file => {
+            dataTransfer.items.add(new File([], file.name, { type: file.mimeType || '' }));
+        });
+        this._outline(el, 'success');
+
+        if (params.mode === 'drop') {
+            const init = { bubbles: true, cancelable: true, dataTransfer, ...this._centerOf(el) };
+            el.dispatchEvent(new DragEvent('dragenter', init));
+            el.dispatchEvent(new DragEvent('dragover', init));
+            el.dispatchEvent(new DragEvent('drop', init));
+        } else {
+            if (el.tagName !== 'INPUT' || el.type !== 'file') throw new Error(`${params.selector} is not a file input`);
+            el.files = dataTransfer.files;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        const count = dataTransfer.files.length;
+        return { detail: count === 0 ? 'Selection cleared' : `${count} placeholder file(s), content not replayed` };
+    }
+
+    /**
+     * SELECT_OPTION: opção achada por value, depois label, depois index.
+     * Comboboxes ARIA: clica no combobox, digita a query e clica na [role=option]
+     * com o label gravado (optionSelector como fallback — ids mudam com o filtro).
+     * @private
+     */
+    async _runSelectOption(params, result) {
+        const el = await this._resolveInto(params, result);
+        el.scrollIntoView({ block: 'center', inline: 'nearest' });
+        this._outline(el, 'success');
+
+        if (params.mode === 'combobox') return this._pickComboboxOption(el, params, result);
+
+        if (params.mode === 'datalist') {
+            el.focus();
+            this._setNativeValue(el, String(params.value ?? ''));
+            el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            return { detail: `Picked "${params.value}"` };
+        }
+
+        if (el.tagName !== 'SELECT') throw new Error(`${params.selector} is not a <select>`);
+        const options = [...el.options];
+
+        if (params.multiple) {
+            const wanted = params.values || [];
+            options.forEach(option => { option.selected = wanted.includes(option.value); });
+        } else {
+            const option = options.find(o => o.value === params.value)
+                || options.find(o => o.label.trim() === params.label)
+                || options[params.index];
+            if (!option) throw new Error(`No option matched "${params.label || params.value}"`);
+            this._setNativeValue(el, option.value);
+        }
+
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return { detail: params.multiple ? `${(params.values || []).length} option(s) selected` : `Selected "${el.selectedOptions[0]?.label.trim() ?? ''}"` };
+    }
+
+    /** @private */
+    async _pickComboboxOption(el, params, result) {
+        this._dispatchClick(el);
+        if (params.query) {
+            await this._runType({ ...params, text: params.query, clearFirst: true, delayMs: 30 }, result);
+        }
+
+        const root = this.frameDocument(params.frame) || document;
+        const byLabel = () => [...root.querySelectorAll('[role="option"]')]
+            .find(option => this._isVisible(option) && this._normalizeText(option.textContent) === params.label);
+
+        let option = await this._waitFor(byLabel);
+        if (!option && params.optionSelector) {
+            option = (await this.resolveTarget({
+                selector: params.optionSelector,
+                selectorFallbacks: params.optionFallbacks,
+                frame: params.frame
+            }))?.element;
+        }
+        if (!option) throw new Error(`Option "${params.label || params.value}" did not appear`);
+
+        option.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        this._dispatchClick(option);
+        return { detail: `Picked "${params.label || params.value}"` };
+    }
+
+    /**
+     * HANDLE_DIALOG: arma a resposta no hook do main world; o próximo dialog do
+     * tipo é respondido sem abrir. beforeunload não pode ser respondido pela página.
+     * @private
+     */
+    async _runHandleDialog(params) {
+        if (params.dialogType === 'beforeunload') {
+            return { skipped: true, reason: 'beforeunload dialogs are not replayed in-page' };
+        }
+        if (!this.dialogRecorder) return { skipped: true, reason: 'Dialog hook unavailable' };
+
+        const accept = params.action !== 'dismiss';
+        await this.dialogRecorder.arm({ dialogType: params.dialogType, accept, promptText: params.promptText });
+        return { detail: `Next ${params.dialogType} will be ${accept ? 'accepted' : 'dismissed'}` };
+    }
+
+    /** @private */
+    async _runExpand(params, result) {
+        const el = await this._resolveInto(this.targetParamsFor({ type: 'EXPAND', params }), result);
+
+        if (params.mode === 'absolute' && params.value) {
+            el.style.setProperty('height', `${params.value}px`, 'important');
+            el.style.setProperty('max-height', 'none', 'important');
+        } else if (this.expansionManager) {
+            this.expansionManager.apply(el);
+        } else {
+            el.style.setProperty('height', `${el.scrollHeight}px`, 'important');
+            el.style.setProperty('max-height', 'none', 'important');
+        }
+
+        this._outline(el, 'success');
+        return null;
+    }
+
+    /** @private */
+    async _runSetStyle(params, result) {
+        const el = await this._resolveInto(params, result);
+        el.style.setProperty(params.property, params.value, params.priority || '');
+        return null;
+    }
+
+    /** @private */
+    async _runElementScan(node, params) {
+        const root = await this._waitFor(() => SelectorEngine.getElement(params.rootSelector));
+        if (!root) throw new Error(`Scan root not found: ${params.rootSelector}`);
+
+        let items = [];
+        try {
+            items = Array.from(root.querySelectorAll(`:scope > ${params.itemSelector}`));
+            if (items.length === 0) items = Array.from(root.querySelectorAll(params.itemSelector));
+        } catch {
+            throw new Error(`Invalid item selector: ${params.itemSelector}`);
+        }
+
+        if (items.length === 0) throw new Error(`No items matched ${params.itemSelector}`);
+
+        this._scanResults.set(node.id, items);
+        return { detail: `${items.length} item(s) found` };
+    }
+
+    /** @private */
+    async _runForEach(params) {
+        const items = this._scanResults.get(params.source);
+        if (!items) throw new Error(`Scan source not available: ${params.source}`);
+
+        const limit = Math.min(items.length, params.maxIterations || items.length);
+        const failures = [];
+
+        for (let i = 0; i < limit; i++) {
+            if (this._aborted) break;
+            for (const action of params.actions || []) {
+                try {
+                    await this._runLoopAction(action, items[i]);
+                } catch (error) {
+                    failures.push(`item ${i + 1}: ${error.message}`);
+                }
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`${failures.length} loop action(s) failed — ${failures[0]}`);
+        }
+        return { detail: `${limit} iteration(s)` };
+    }
+
+    /**
+     * Data-driven loop: the actions are the whole flow, so only the first row
+     * can be replayed in-page — the others would need a fresh page load.
+     * @private
+     */
+    async _runDataDriven(params, result) {
+        const rows = this._dataTables.get(params.source);
+        if (!rows) throw new Error(`Data table not available: ${params.source}`);
+        if (rows.length === 0) return { skipped: true, reason: 'Data table is empty' };
+
+        const previous = this._variables;
+        this._variables = { ...previous, ...rows[0], row: { ...rows[0] }, rowIndex: 0, rowNumber: 1 };
+
+        try {
+            for (const action of params.actions || []) {
+                if (this._aborted) break;
+                await this._execute(WorkflowVariables.bindNode(action, this._variables), result);
+            }
+        } finally {
+            this._variables = previous;
+        }
+
+        const remaining = rows.length - 1;
+        return {
+            detail: remaining > 0
+                ? `Row 1 replayed; ${remaining} more row(s) need a fresh page and run only in exported scripts`
+                : 'Row 1 replayed'
+        };
+    }
+
+    /**
+     * Execute a nested FOR_EACH action against the current scanned item
+     * @private
+     */
+    async _runLoopAction(action, item) {
+        const params = action.params || {};
+
+        switch (action.type) {
+            case 'CLICK': {
+                const el = this._resolveRelative(params.selector, item);
+                if (!el) throw new Error(`No match for ${params.selector}`);
+                el.scrollIntoView({ block: 'center', inline: 'nearest' });
+                this._outline(el, 'success');
+                this._dispatchClick(el, params);
+                break;
+            }
+            case 'WAIT':
+                await this._sleep(Math.min(params.timeoutMs || 0, MAX_WAIT_MS));
+                break;
+            case 'EXTRACT': {
+                // Relativo ao item ({{current.selector}} ...) ou absoluto (ex: painel aberto pelo click)
+                const el = params.selector?.includes('{{current.selector}}')
+                    ? this._resolveRelative(params.selector, item)
+                    : (await this.resolveTarget(params))?.element;
+                if (!el) throw new Error(`No match for ${params.selector}`);
+                if (!Array.isArray(this._extracted[params.field])) this._extracted[params.field] = [];
+                this._extracted[params.field].push(ExtractionRecorder.read(el, params.extractType, params.attribute));
+                break;
+            }
+            default:
+                // SCREENSHOT and others have no in-page effect
+                break;
+        }
+    }
+
+    /** @private */
+    async _runExtract(params, result) {
+        const el = await this._resolveInto(params, result);
+        this._outline(el, 'success');
+
+        const value = ExtractionRecorder.read(el, params.extractType, params.attribute);
+        this._extracted[params.field] = value;
+
+        const preview = Array.isArray(value) ? `${value.length} row(s)` : value === null ? 'null' : `"${this._truncate(value)}"`;
+        return { detail: `${params.field} = ${preview}` };
+    }
+
+    // ─── Assertions ─────────────────────────────────────
+
+    /**
+     * Text (or attribute, when params.attribute is set) must match params.expected
+     * @private
+     */
+    async _runAssertText(params, result) {
+        const el = await this._resolveInto(params, result);
+        const expected = this._normalizeText(params.expected);
+        const matches = () => {
+            const actual = this._actualValue(el, params.attribute);
+            return params.match === 'contains' ? actual.includes(expected) : actual === expected;
+        };
+
+        const passed = await this._waitFor(matches);
+        const actual = this._actualValue(el, params.attribute);
+        this._outline(el, passed ? 'success' : 'error');
+
+        if (!passed) {
+            const what = params.attribute ? `[${params.attribute}]` : 'Text';
+            throw new Error(`${what} expected ${params.match === 'contains' ? 'to contain' : 'to be'} "${expected}", got "${actual}"`);
+        }
+        return { detail: `"${this._truncate(actual)}"` };
+    }
+
+    /** @private */
+    async _runAssertVisible(params, result) {
+        const el = await this._resolveInto(params, result);
+        const expected = params.visible !== false;
+
+        const passed = await this._waitFor(() => this._isVisible(el) === expected);
+        this._outline(el, passed ? 'success' : 'error');
+
+        if (!passed) throw new Error(`Element expected to be ${expected ? 'visible' : 'hidden'}`);
+        return null;
+    }
+
+    /** @private */
+    async _runAssertCount(params, result) {
+        // getElements resolve cadeias host >>> inner (itens dentro de web components)
+        const count = () => {
+            const root = this.frameDocument(params.frame);
+            return root ? SelectorEngine.getElements(params.selector, root).length : 0;
+        };
+
+        const passed = await this._waitFor(() => count() === params.expected);
+        const actual = count();
+        result.matchedSelector = params.selector;
+
+        if (!passed) throw new Error(`Expected ${params.expected} element(s), found ${actual}`);
+        return { detail: `${actual} element(s)` };
+    }
+
+    /**
+     * Value compared by ASSERT_TEXT: normalized innerText, form value/checked, or attribute
+     * @private
+     */
+    _actualValue(el, attribute) {
+        if (!attribute) return this._normalizeText(el.innerText || el.textContent);
+        if (attribute === 'checked') return String(!!el.checked);
+        if (attribute === 'value') return String(el.value ?? '');
+        if (attribute === 'disabled') return el.hasAttribute('disabled') ? el.getAttribute('disabled') : 'null';
+        return el.getAttribute(attribute) ?? 'null';
+    }
+
+    /** @private */
+    _normalizeText(text) {
+        return String(text ?? '').replace(/\s+/g, ' ').trim();
+    }
+
+    /** @private */
+    _truncate(text, max = 60) {
+        return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+    }
+
+    /** @private */
+    _isVisible(el) {
+        if (!el.isConnected) return false;
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return false;
+        const style = getComputedStyle(el);
+        return style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+    }
+
+    // ─── Element Resolution ─────────────────────────────
+
+    /**
+     * Normalize a node's target into { selector, selectorFallbacks, coordinates }
+     * EXPAND keeps its target in container/containerFallbacks, ELEMENT_SCAN in rootSelector
+     * @param {Object} node - IR node
+     * @returns {Object|null} Target params, or null when the node has no element target
+     */
+    targetParamsFor(node) {
+        const params = WorkflowVariables.bindNode(node, this._variables)?.params || {};
+
+        switch (node?.type) {
+            case 'EXPAND':
+                return { selector: params.container, selectorFallbacks: params.containerFallbacks, frame: params.frame };
+            case 'ELEMENT_SCAN':
+                return { selector: params.rootSelector };
+            case 'CLICK':
+            case 'TYPE':
+            case 'HOVER':
+            case 'DRAG':
+            case 'UPLOAD':
+            case 'SELECT_OPTION':
+            case 'SET_STYLE':
+            case 'ASSERT_TEXT':
+            case 'ASSERT_VISIBLE':
+            case 'EXTRACT':
+                return params.selector ? params : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Resolve a node target and store the matching selector in the result
+     * @private
+     */
+    async _resolveInto(params, result) {
+        const resolved = await this.resolveTarget(params);
+        if (!resolved) {
+            throw new Error(`No element matched ${params.selector || '(empty selector)'}`);
+        }
+        result.matchedSelector = resolved.selector;
+        if (resolved.healed) result.healed = resolved.healed;
+        return resolved.element;
+    }
+
+    /**
+     * Find a node's element trying the primary selector, then each fallback,
+     * then healing (recorded text/label/tag), and finally recorded coordinates.
+     * Polls until the timeout.
+     * @param {Object} params - Node params ({ selector, selectorFallbacks, coordinates, frame })
+     * @returns {Promise<{element: Element, selector: string, healed?: Object}|null>}
+     */
+    async resolveTarget(params) {
+        const candidates = [params.selector, ...(params.selectorFallbacks || [])].filter(Boolean);
+
+        const found = await this._waitFor(() => {
+            const root = this.frameDocument(params.frame);
+            if (!root) return null;
+
+            for (const selector of candidates) {
+                const element = SelectorEngine.getElement(selector, root);
+                if (element) return { element, selector };
+            }
+            return null;
+        });
+        if (found) return found;
+
+        const healed = this._heal(params);
+        if (healed) return healed;
+
+        // Last resort: recorded viewport coordinates (relativas ao iframe quando há frame)
+        if (params.coordinates && !params.frame) {
+            const element = document.elementFromPoint(params.coordinates.x, params.coordinates.y);
+            if (element && element !== document.body && element !== document.documentElement) {
+                return { element, selector: `@(${params.coordinates.x}, ${params.coordinates.y})` };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Selectors gravados não acham mais nada: reconhece o elemento pelos hints do node
+     * (elementRole / elementName / ariaLabel, fallbacks e coordenadas)
+     * @private
+     */
+    _heal(params) {
+        if (!this.healer || !params.selector) return null;
+
+        let root;
+        try {
+            root = this.frameDocument(params.frame);
+        } catch {
+            return null;
+        }
+        if (!root) return null;
+
+        const metadata = {};
+        if (params.elementRole) metadata.tagName = params.elementRole;
+        if (params.ariaLabel) metadata.ariaLabel = params.ariaLabel;
+        // elementName cai no aria-label quando não havia texto
+        if (params.elementName && params.elementName !== params.ariaLabel) metadata.text = params.elementName;
+
+        const proposal = this.healer.heal({
+            trigger: {
+                selector: params.selector,
+                selectorFallbacks: params.selectorFallbacks,
+                coordinates: params.frame ? null : params.coordinates,
+                metadata
+            }
+        }, root);
+        if (!proposal) return null;
+
+        console.log(`🩹 WorkflowReplayer: Healed ${params.selector} → ${proposal.selector} (${proposal.confidence})`);
+        return {
+            element: proposal.element,
+            selector: proposal.selector,
+            healed: { from: params.selector, selector: proposal.selector, confidence: proposal.confidence, reasons: proposal.reasons }
+        };
+    }
+
+    /**
+     * Document of the frame a node was recorded in (frame.path: outermost <iframe> first).
+     * Null while an iframe is missing/loading; cross-origin frames can't be reached from the page.
+     * @param {{path: string[]}|undefined} frame
+     * @returns {Document|null}
+     */
+    frameDocument(frame) {
+        let doc = document;
+        for (const selector of frame?.path || []) {
+            const frameEl = SelectorEngine.getElement(selector, doc);
+            if (!frameEl) return null;
+
+            let inner = null;
+            try {
+                inner = frameEl.contentDocument;
+            } catch { /* cross-origin */ }
+            if (!inner) throw new Error(`Frame ${selector} is cross-origin — replay it with an exported script`);
+            doc = inner;
+        }
+        return doc;
+    }
+
+    /**
+     * Resolve a "{{current.selector}} rest" template relative to a scanned item
+     * @private
+     */
+    _resolveRelative(template, item) {
+        const rest = (template || '').replace('{{current.selector}}', '').trim();
+        if (!rest) return item;
+        try {
+            return item.querySelector(`:scope > ${rest}`) || item.querySelector(rest);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Poll a lookup function until it returns a value or the timeout elapses
+     * @private
+     */
+    async _waitFor(lookup) {
+        const deadline = Date.now() + this.resolveTimeoutMs;
+        let value = lookup();
+        while (!value && Date.now() < deadline) {
+            await this._sleep(RESOLVE_POLL_MS);
+            value = lookup();
+        }
+        return value || null;
+    }
+
+    // ─── DOM Helpers ────────────────────────────────────
+
+    /** @private */
+    _dispatchClick(el, params = {}) {
+        const { clientX, clientY } = this._centerOf(el);
+        const mods = params.modifiers || {};
+        const button = params.button === 'middle' ? 1 : params.button === 'right' ? 2 : 0;
+        const init = {
+            bubbles: true,
+            cancelable: true,
+            view: window,
+            clientX,
+            clientY,
+            button,
+            ctrlKey: !!mods.ctrl,
+            shiftKey: !!mods.shift,
+            altKey: !!mods.alt,
+            metaKey: !!mods.meta
+        };
+
+        el.dispatchEvent(new PointerEvent('pointerdown', init));
+        el.dispatchEvent(new MouseEvent('mousedown', init));
+        el.dispatchEvent(new PointerEvent('pointerup', init));
+        el.dispatchEvent(new MouseEvent('mouseup', init));
+
+        if (button === 0) {
+            // Native click() keeps default actions (links, checkboxes, form submit)
+            if (mods.ctrl || mods.shift || mods.alt || mods.meta) {
+                el.dispatchEvent(new MouseEvent('click', init));
+            } else {
+                el.click();
+            }
+        } else if (button === 2) {
+            el.dispatchEvent(new MouseEvent('contextmenu', init));
+        } else {
+            el.dispatchEvent(new MouseEvent('auxclick', init));
+        }
+    }
+
+    /**
+     * Press on the source, move in steps (moves go to the element under the
+     * pointer, like a real drag) and release at the end point
+     * @private
+     */
+    async _dispatchPointerDrag(source, start, end) {
+        const doc = source.ownerDocument;
+        const at = (point) => doc.elementFromPoint(point.clientX, point.clientY) || doc.body;
+        const init = (point, buttons) => ({
+            bubbles: true, cancelable: true, view: doc.defaultView, button: 0, buttons,
+            pointerId: 1, pointerType: 'mouse', isPrimary: true, ...point
+        });
+
+        source.dispatchEvent(new PointerEvent('pointerdown', init(start, 1)));
+        source.dispatchEvent(new MouseEvent('mousedown', init(start, 1)));
+
+        for (let i = 1; i <= DRAG_MOVE_STEPS; i++) {
+            const point = {
+                clientX: Math.round(start.clientX + (end.clientX - start.clientX) * i / DRAG_MOVE_STEPS),
+                clientY: Math.round(start.clientY + (end.clientY - start.clientY) * i / DRAG_MOVE_STEPS)
+            };
+            const over = at(point);
+            over.dispatchEvent(new PointerEvent('pointermove', init(point, 1)));
+            over.dispatchEvent(new MouseEvent('mousemove', init(point, 1)));
+            await this._sleep(16);
+        }
+
+        const target = at(end);
+        target.dispatchEvent(new PointerEvent('pointerup', init(end, 0)));
+        target.dispatchEvent(new MouseEvent('mouseup', init(end, 0)));
+    }
+
+    /**
+     * HTML5 drag-and-drop with one DataTransfer shared by every event
+     * @private
+     */
+    _dispatchNativeDrag(source, end) {
+        const doc = source.ownerDocument;
+        const target = doc.elementFromPoint(end.clientX, end.clientY) || doc.body;
+        const dataTransfer = new DataTransfer();
+        const init = { bubbles: true, cancelable: true, dataTransfer, ...end };
+
+        source.dispatchEvent(new DragEvent('dragstart', { ...init, ...this._centerOf(source) }));
+        target.dispatchEvent(new DragEvent('dragenter', init));
+        target.dispatchEvent(new DragEvent('dragover', init));
+        target.dispatchEvent(new DragEvent('drop', init));
+        source.dispatchEvent(new DragEvent('dragend', init));
+    }
+
+    /**
+     * Set value through the native setter so framework-controlled inputs see it
+     * @private
+     */
+    _setNativeValue(el, value) {
+        const proto = el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype :
+            el instanceof HTMLSelectElement ? HTMLSelectElement.prototype :
+            HTMLInputElement.prototype;
+        const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+        if (setter && el instanceof proto.constructor) {
+            setter.call(el, value);
+        } else {
+            el.value = value;
+        }
+    }
+
+    /** @private */
+    _centerOf(el) {
+        const rect = el.getBoundingClientRect();
+        return {
+            clientX: Math.round(rect.left + rect.width / 2),
+            clientY: Math.round(rect.top + rect.height / 2)
+        };
+    }
+
+    /** @private */
+    _outline(el, state) {
+        if (this.visualFeedback) this.visualFeedback.showElementOutline(el, state);
+    }
+
+    /** @private */
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /** @private */
+    _summarize(results) {
+        return {
+            total: results.length,
+            passed: results.filter(r => r.status === 'passed').length,
+            failed: results.filter(r => r.status === 'failed').length,
+            skipped: results.filter(r => r.status === 'skipped').length
+        };
+    }
+}
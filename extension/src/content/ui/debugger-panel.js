@@ -0,0 +1,236 @@
+/**
+ * FlowCapture - Debugger Panel
+ * Step-through debugger view rendered inside the overlay Shadow DOM
+ *
+ * Shows the node list with breakpoint toggles, the paused node's selector
+ * candidates (which one matched) and a params editor.
+ *
+ * Usage:
+ * const panel = new DebuggerPanel(overlay, workflowDebugger);
+ * panel.open();
+ */
+
+export class DebuggerPanel {
+    /**
+     * @param {OverlayUI} overlay - Host overlay (provides mountView + toasts)
+     * @param {WorkflowDebugger} workflowDebugger
+     */
+    constructor(overlay, workflowDebugger) {
+        this.overlay = overlay;
+        this.debugger = workflowDebugger;
+        this.root = null;
+        this._unsubscribe = null;
+        this._editingIndex = null;
+    }
+
+    /**
+     * Mount the panel in the overlay and start listening to debugger state
+     */
+    open() {
+        if (!this.root) this._build();
+
+        this.overlay.mountView(this.root, { wide: true });
+        this._unsubscribe = this.debugger.onChange((state) => this.render(state));
+        this.render(this.debugger.getState());
+    }
+
+    /**
+     * Stop the session and restore the regular overlay view
+     */
+    close() {
+        this.debugger.stop();
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        this.overlay.unmountView();
+    }
+
+    /**
+     * Render debugger state
+     * @param {Object} state - WorkflowDebugger.getState()
+     */
+    render(state) {
+        if (!this.root) return;
+
+        const statusEl = this.root.querySelector('#dbg-status');
+        statusEl.textContent = this._statusText(state);
+        statusEl.className = `dbg-status ${state.status}`;
+
+        this._renderNodeList(state);
+        this._renderInspector(state);
+
+        const paused = state.status === 'paused';
+        this.root.querySelector('#dbg-step').disabled = !paused;
+        this.root.querySelector('#dbg-continue').disabled = !paused;
+        this.root.querySelector('#dbg-stop').disabled = state.status !== 'running' && !paused;
+    }
+
+    // ─── Rendering ──────────────────────────────────────
+
+    /**
+     * @private
+     */
+    _build() {
+        const root = document.createElement('div');
+        root.id = 'debug-view';
+        root.className = 'debug-view';
+        root.innerHTML = `
+            <div class="dbg-header">
+                <span class="dbg-title">🐞 Debugger</span>
+                <span class="dbg-status" id="dbg-status" role="status" aria-live="polite"></span>
+            </div>
+
+            <ol class="dbg-nodes" id="dbg-nodes" aria-label="Workflow nodes"></ol>
+
+            <div class="dbg-inspector" id="dbg-inspector">
+                <div class="dbg-section-label">Selector candidates</div>
+                <div class="dbg-candidates" id="dbg-candidates"></div>
+
+                <div class="dbg-section-label">Params</div>
+                <textarea class="dbg-params" id="dbg-params" spellcheck="false"
+                          aria-label="Edit params of the paused node"></textarea>
+                <button class="btn-secondary dbg-apply" id="dbg-apply">Apply params</button>
+            </div>
+
+            <div class="dbg-controls">
+                <button class="btn-primary" id="dbg-step" title="Run this node and pause on the next">⏭ Step</button>
+                <button class="btn-success" id="dbg-continue" title="Run until the next breakpoint">▶ Continue</button>
+                <button class="btn-danger" id="dbg-stop" title="Stop playback">■ Stop</button>
+            </div>
+            <button class="btn-secondary" id="dbg-close">Close debugger</button>
+        `;
+
+        root.querySelector('#dbg-step').onclick = () => this.debugger.step();
+        root.querySelector('#dbg-continue').onclick = () => this.debugger.continue();
+        root.querySelector('#dbg-stop').onclick = () => this.debugger.stop();
+        root.querySelector('#dbg-close').onclick = () => this.close();
+        root.querySelector('#dbg-apply').onclick = () => this._applyParams();
+
+        // Breakpoint toggles (event delegation — list is re-rendered on each change)
+        root.querySelector('#dbg-nodes').addEventListener('click', (e) => {
+            const toggle = e.target.closest('.dbg-bp');
+            if (toggle) this.debugger.toggleBreakpoint(Number(toggle.dataset.index));
+        });
+
+        this.root = root;
+    }
+
+    /**
+     * @private
+     */
+    _renderNodeList(state) {
+        const list = this.root.querySelector('#dbg-nodes');
+        const breakpoints = new Set(state.breakpoints);
+        const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+
+        list.innerHTML = '';
+        state.nodes.forEach((node, index) => {
+            const item = document.createElement('li');
+            const isCurrent = index === state.currentIndex && state.status !== 'finished' && state.status !== 'stopped';
+            item.className = `dbg-node${isCurrent ? ' current' : ''}`;
+
+            const bp = document.createElement('button');
+            bp.className = `dbg-bp${breakpoints.has(index) ? ' active' : ''}`;
+            bp.dataset.index = index;
+            bp.setAttribute('aria-label', `Toggle breakpoint on node ${index}`);
+            bp.setAttribute('aria-pressed', breakpoints.has(index));
+            item.appendChild(bp);
+
+            const text = document.createElement('span');
+            text.className = 'dbg-node-text';
+            text.textContent = `#${index} ${node.type} — ${node.label || ''}`;
+            text.title = node.label || node.type;
+            item.appendChild(text);
+
+            const result = state.results[index];
+            if (result) {
+                const status = document.createElement('span');
+                status.className = 'dbg-node-result';
+                status.textContent = icons[result.status] || '';
+                status.title = result.error || result.detail || result.matchedSelector || result.status;
+                item.appendChild(status);
+            }
+
+            list.appendChild(item);
+            if (isCurrent) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _renderInspector(state) {
+        const inspector = this.root.querySelector('#dbg-inspector');
+        const paused = state.status === 'paused';
+        inspector.style.display = paused ? 'block' : 'none';
+        if (!paused) {
+            this._editingIndex = null;
+            return;
+        }
+
+        const inspection = state.inspection || {};
+        const candidatesEl = this.root.querySelector('#dbg-candidates');
+        candidatesEl.innerHTML = '';
+
+        if (!inspection.hasTarget) {
+            candidatesEl.textContent = 'No element target for this node';
+        } else {
+            inspection.candidates.forEach(candidate => {
+                const row = document.createElement('div');
+                const matched = candidate.selector === inspection.matchedSelector;
+                row.className = `dbg-candidate${matched ? ' matched' : ''}${candidate.matchCount === 0 ? ' missing' : ''}`;
+                row.textContent = `${matched ? '➜ ' : ''}${candidate.source} (${candidate.matchCount}) ${candidate.selector}`;
+                row.title = candidate.selector;
+                candidatesEl.appendChild(row);
+            });
+            if (!inspection.matchedSelector) {
+                const miss = document.createElement('div');
+                miss.className = 'dbg-candidate missing';
+                miss.textContent = inspection.detail || 'No candidate matches — edit params before stepping';
+                candidatesEl.appendChild(miss);
+            }
+        }
+
+        // Only refresh the editor when the cursor moves, so edits in progress survive re-renders
+        if (this._editingIndex !== state.currentIndex) {
+            this._editingIndex = state.currentIndex;
+            const node = state.nodes[state.currentIndex];
+            this.root.querySelector('#dbg-params').value = JSON.stringify(node?.params || {}, null, 2);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _applyParams() {
+        const textarea = this.root.querySelector('#dbg-params');
+        let params;
+        try {
+            params = JSON.parse(textarea.value);
+        } catch (error) {
+            this.overlay.showToast('Invalid JSON in params', 'error');
+            return;
+        }
+
+        const applied = this.debugger.updateNodeParams(this.debugger.currentIndex, params);
+        this.overlay.showToast(applied ? 'Params updated' : 'Could not update params', applied ? 'success' : 'error');
+    }
+
+    /**
+     * @private
+     */
+    _statusText(state) {
+        const total = state.nodes.length;
+        switch (state.status) {
+            case 'paused': return `Paused at #${state.currentIndex} / ${total - 1}`;
+            case 'running': return `Running #${state.currentIndex}...`;
+            case 'finished': {
+                const failed = state.results.filter(r => r?.status === 'failed').length;
+                return failed ? `Finished · ${failed} failed` : 'Finished';
+            }
+            case 'stopped': return 'Stopped';
+            default: return '';
+        }
+    }
+}
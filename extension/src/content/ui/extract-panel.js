@@ -0,0 +1,151 @@
+/**
+ * FlowCapture - Extract Panel
+ * Field form shown inside the overlay Shadow DOM after an element is picked
+ * in extract mode: field name, extraction type, attribute and a live preview.
+ *
+ * Usage:
+ * const panel = new ExtractPanel(overlay);
+ * panel.open(suggestion, { preview, onSave, onCancel });
+ */
+
+/** Extraction types offered in the form */
+const EXTRACT_TYPES = [
+    { id: 'text', label: 'Text' },
+    { id: 'attribute', label: 'Attribute' },
+    { id: 'html', label: 'HTML' },
+    { id: 'table', label: 'Table rows' }
+];
+
+export class ExtractPanel {
+    /**
+     * @param {OverlayUI} overlay - Host overlay (provides mountView + toasts)
+     */
+    constructor(overlay) {
+        this.overlay = overlay;
+        this.root = null;
+        this._handlers = {};
+    }
+
+    /**
+     * Mount the form for a picked element
+     * @param {{field: string, type: string, attribute: string|null}} suggestion
+     * @param {Object} handlers
+     * @param {Function} handlers.preview - (type, attribute) → string
+     * @param {Function} handlers.onSave - ({ field, type, attribute }) → void
+     * @param {Function} handlers.onCancel
+     */
+    open(suggestion, handlers) {
+        if (!this.root) this._build();
+        this._handlers = handlers;
+
+        this.root.querySelector('#ext-field').value = suggestion.field || '';
+        this.root.querySelector('#ext-type').value = suggestion.type || 'text';
+        this.root.querySelector('#ext-attribute').value = suggestion.attribute || '';
+        this._refresh();
+
+        this.overlay.mountView(this.root);
+        this.root.querySelector('#ext-field').focus();
+        this.root.querySelector('#ext-field').select();
+    }
+
+    /**
+     * Restore the regular overlay view
+     */
+    close() {
+        this.overlay.unmountView();
+    }
+
+    // ─── Rendering ──────────────────────────────────────
+
+    /**
+     * @private
+     */
+    _build() {
+        const root = document.createElement('div');
+        root.id = 'extract-view';
+        root.className = 'extract-view';
+        root.innerHTML = `
+            <div class="ext-header">🧲 Extract data</div>
+
+            <label class="ext-label" for="ext-field">Field name</label>
+            <input class="ext-input" id="ext-field" type="text" spellcheck="false" autocomplete="off">
+
+            <label class="ext-label" for="ext-type">Extract</label>
+            <select class="ext-input" id="ext-type">
+                ${EXTRACT_TYPES.map(t => `<option value="${t.id}">${t.label}</option>`).join('')}
+            </select>
+
+            <div id="ext-attribute-row">
+                <label class="ext-label" for="ext-attribute">Attribute</label>
+                <input class="ext-input" id="ext-attribute" type="text" spellcheck="false" placeholder="href, src, data-id...">
+            </div>
+
+            <div class="ext-label">Preview</div>
+            <pre class="ext-preview" id="ext-preview" aria-live="polite"></pre>
+
+            <div class="ext-controls">
+                <button class="btn-primary" id="ext-save">Save field</button>
+                <button class="btn-secondary" id="ext-cancel">Cancel</button>
+            </div>
+        `;
+
+        root.querySelector('#ext-type').onchange = () => this._refresh();
+        root.querySelector('#ext-attribute').oninput = () => this._refresh();
+        root.querySelector('#ext-save').onclick = () => this._save();
+        root.querySelector('#ext-cancel').onclick = () => this._cancel();
+
+        // Enter salva, Esc cancela (sem deixar o Esc fechar o overlay inteiro)
+        root.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT') this._save();
+            if (e.key === 'Escape') this._cancel();
+        });
+
+        this.root = root;
+    }
+
+    /**
+     * Show the attribute row only for "attribute" and update the preview
+     * @private
+     */
+    _refresh() {
+        const type = this.root.querySelector('#ext-type').value;
+        const attribute = this.root.querySelector('#ext-attribute').value.trim();
+        this.root.querySelector('#ext-attribute-row').style.display = type === 'attribute' ? 'block' : 'none';
+
+        let preview = '';
+        try {
+            preview = this._handlers.preview?.(type, attribute) ?? '';
+        } catch (error) {
+            preview = `⚠️ ${error.message}`;
+        }
+        this.root.querySelector('#ext-preview').textContent = preview || '(empty)';
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        const field = this.root.querySelector('#ext-field').value.trim();
+        if (!field) {
+            this.overlay.showToast('Field name is required', 'error');
+            return;
+        }
+
+        const choice = {
+            field,
+            type: this.root.querySelector('#ext-type').value,
+            attribute: this.root.querySelector('#ext-attribute').value.trim() || null
+        };
+        this.close();
+        this._handlers.onSave?.(choice);
+    }
+
+    /**
+     * @private
+     */
+    _cancel() {
+        this.close();
+        this._handlers.onCancel?.();
+    }
+}
@@ -30,6 +30,7 @@ export class OverlayUI {
         this.timer = new Timer((formatted) => this._updateTimerDisplay(formatted));
         this.isVisible = false;
         this._isRecording = false;
+        this._isPaused = false;
         this._autoMinimize = true;
 
         this.container = document.createElement('div');
@@ -95,6 +96,11 @@ export class OverlayUI {
                                 aria-label="Copy workflow to clipboard">
                             <span class="btn-icon">📋</span> Copy Workflow
                         </button>
+                        <button class="btn-secondary btn-timeline"
+                                id="btn-timeline-idle"
+                                aria-label="Open the timeline to edit recorded steps">
+                            🕒 Edit Steps
+                        </button>
                         
                         <!-- More Options (Collapsible) -->
                         <div class="overlay-more-section">
@@ -121,7 +127,7 @@ export class OverlayUI {
                 <div id="rec-view" style="display:none" role="status" aria-live="polite">
                     <div class="recording-badge">
                         <span class="dot"></span>
-                        REC
+                        <span id="rec-badge-text">REC</span>
                     </div>
                     <div class="divider"></div>
                     <div class="stats">
@@ -134,18 +140,50 @@ export class OverlayUI {
                             <span class="stat-label">Steps</span>
                         </div>
                     </div>
+                    <button class="btn-capture btn-pause"
+                            id="btn-pause"
+                            aria-label="Pause recording (Ctrl+Shift+P)"
+                            aria-pressed="false"
+                            title="Ctrl+Shift+P">
+                        ⏸ Pause
+                    </button>
                     <button class="btn-capture"
                             id="btn-mark-capture"
                             aria-label="Mark screenshot capture point (Ctrl+Shift+C)"
                             title="Ctrl+Shift+C">
                         📸 Mark Capture
                     </button>
+                    <button class="btn-capture"
+                            id="btn-extract"
+                            aria-label="Toggle extract mode: click elements to extract their data"
+                            aria-pressed="false">
+                        🧲 Extract Data
+                    </button>
+                    <button class="btn-capture"
+                            id="btn-undo"
+                            aria-label="Remove the last recorded step (Ctrl+Shift+Backspace)"
+                            title="Ctrl+Shift+Backspace">
+                        ↩ Undo Last Step
+                    </button>
+                    <button class="btn-capture btn-timeline"
+                            id="btn-timeline"
+                            aria-label="Open the timeline to edit recorded steps">
+                        🕒 Timeline
+                    </button>
                 
                     <div class="shortcuts-info">
                         <div class="shortcut-row" title="Expand constrained element">
                             <span>Expand</span>
                             <span class="key-combo">Ctrl+Shift+E</span>
                         </div>
+                        <div class="shortcut-row" title="Pause/resume recording">
+                            <span>Pause</span>
+                            <span class="key-combo">Ctrl+Shift+P</span>
+                        </div>
+                        <div class="shortcut-row" title="Remove the last step">
+                            <span>Undo</span>
+                            <span class="key-combo">Ctrl+Shift+⌫</span>
+                        </div>
                         <div class="shortcut-row" title="Adjust expanded height">
                             <span>Height</span>
                             <span class="key-combo">Ctrl+Shift+↕</span>
@@ -224,6 +262,32 @@ export class OverlayUI {
             this.showToast('📸 Capture marked!', 'success');
         };
 
+        w.querySelector('#btn-pause').onclick = () => {
+            if (window.flowCapture && window.flowCapture._setPaused) {
+                window.flowCapture._setPaused(!this._isPaused);
+            }
+        };
+
+        w.querySelector('#btn-undo').onclick = () => {
+            if (window.flowCapture && window.flowCapture._undoLastStep) {
+                window.flowCapture._undoLastStep();
+            }
+        };
+
+        w.querySelector('#btn-extract').onclick = () => {
+            if (window.flowCapture && window.flowCapture._toggleExtractMode) {
+                window.flowCapture._toggleExtractMode();
+            }
+        };
+
+        w.querySelectorAll('.btn-timeline').forEach(btn => {
+            btn.onclick = () => {
+                if (window.flowCapture && window.flowCapture._openTimeline) {
+                    window.flowCapture._openTimeline();
+                }
+            };
+        });
+
         // Hover to expand/minimize
         w.addEventListener('mouseenter', () => {
             if (this._isRecording) {
@@ -232,7 +296,8 @@ export class OverlayUI {
         });
 
         w.addEventListener('mouseleave', () => {
-            if (this._isRecording && this._autoMinimize) {
+            // Painéis montados (ex: extract) ficam abertos até serem fechados
+            if (this._isRecording && this._autoMinimize && !this._mountedView) {
                 this.widget.classList.add('minimized');
             }
         });
@@ -245,7 +310,7 @@ export class OverlayUI {
         });
 
         document.addEventListener('click', (e) => {
-            if (this._isRecording && !this.container.contains(e.target)) {
+            if (this._isRecording && !this._mountedView && !this.container.contains(e.target)) {
                 this.widget.classList.add('minimized');
                 this.widget.classList.remove('expanded');
             }
@@ -291,6 +356,7 @@ export class OverlayUI {
             stopBtn.classList.remove('loading');
             stopBtn.textContent = 'Stop Recording';
         } else {
+            this.setPaused(false);
             idle.style.display = 'block';
             rec.style.display = 'none';
             this.widget.classList.remove('minimized');
@@ -306,6 +372,37 @@ export class OverlayUI {
         this.updateCount(count);
     }
 
+    /**
+     * Reflect the paused state: badge, Pause/Resume button, frozen timer.
+     * Mark Capture / Extract ficam desabilitados — nada é gravado pausado.
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (this._isPaused === paused) return;
+        this._isPaused = paused;
+
+        this.widget.classList.toggle('paused', paused);
+        const badge = this.shadow.querySelector('#rec-badge-text');
+        if (badge) badge.textContent = paused ? 'PAUSED' : 'REC';
+
+        const btn = this.shadow.querySelector('#btn-pause');
+        if (btn) {
+            btn.textContent = paused ? '▶ Resume' : '⏸ Pause';
+            btn.setAttribute('aria-pressed', String(paused));
+            btn.setAttribute('aria-label', `${paused ? 'Resume' : 'Pause'} recording (${btn.title})`);
+        }
+        ['#btn-mark-capture', '#btn-extract', '#btn-undo'].forEach(id => {
+            const el = this.shadow.querySelector(id);
+            if (el) el.disabled = paused;
+        });
+
+        if (paused) {
+            this.timer.pause();
+        } else {
+            this.timer.resume();
+        }
+    }
+
     /**
      * Update step count display
      * @param {number} n - Step count
@@ -466,10 +563,43 @@ export class OverlayUI {
         });
     }
 
+    /**
+     * Replace idle/rec views with a tool panel (debugger, editors)
+     * @param {Element} element - Panel root to show inside the widget
+     * @param {Object} options - { wide: boolean } widens the widget for list-heavy panels
+     */
+    mountView(element, { wide = false } = {}) {
+        this.unmountView();
+
+        const fullUI = this.shadow.querySelector('.full-ui');
+        if (!fullUI) return;
+
+        fullUI.querySelector('#idle-view').style.display = 'none';
+        fullUI.querySelector('#rec-view').style.display = 'none';
+        fullUI.appendChild(element);
+
+        this._mountedView = element;
+        this.widget.classList.remove('minimized', 'expanded');
+        this.widget.classList.toggle('wide', wide);
+        this.show();
+    }
+
+    /**
+     * Remove the mounted tool panel and restore the regular view
+     */
+    unmountView() {
+        if (!this._mountedView) return;
+
+        this._mountedView.remove();
+        this._mountedView = null;
+        this.widget.classList.remove('wide');
+        this.updateUI(this._isRecording, this.stateManager.getStepCount());
+    }
+
     /**
      * Show toast notification
      * @param {string} message - Message to show
-     * @param {string} type - 'success' | 'error' | 'info'
+     * @param {string} type - 'success' | 'error' | 'warning' | 'info'
      * @param {number} duration - Duration in ms (default: 2000)
      */
     showToast(message, type = 'info', duration = 2000) {
@@ -503,6 +633,15 @@ export class OverlayUI {
         this.isVisible = false;
     }
 
+    /**
+     * Keep the overlay out of a screenshot (thumbnail capture) without
+     * touching its shown/hidden state
+     * @param {boolean} hidden
+     */
+    setCaptureHidden(hidden) {
+        this.container.style.visibility = hidden ? 'hidden' : '';
+    }
+
     /**
      * Toggle overlay visibility
      */
@@ -525,8 +664,11 @@ export class OverlayUI {
                 this.updateUI(true, state.eventCount || 0);
 
                 if (state.startTime) {
-                    this.startTimer(state.startTime);
+                    // Pausado: o timer para no instante da pausa, não no reload
+                    const pausedFor = state.pause ? Date.now() - state.pause.at : 0;
+                    this.startTimer(state.startTime + pausedFor);
                 }
+                if (state.pause) this.setPaused(true);
 
                 this.show();
             }
@@ -565,6 +707,18 @@ export class OverlayUI {
         }
     }
 
+    /**
+     * Reflect extract mode on the Extract button
+     * @param {boolean} enabled
+     */
+    setExtractMode(enabled) {
+        const btn = this.shadow.querySelector('#btn-extract');
+        if (!btn) return;
+        btn.classList.toggle('active', enabled);
+        btn.setAttribute('aria-pressed', String(enabled));
+        btn.textContent = enabled ? '🧲 Stop Extracting' : '🧲 Extract Data';
+    }
+
     /**
      * Update the shortcut display on the Mark Capture button
      * @param {string} shortcutText - e.g. "Ctrl+Shift+C"
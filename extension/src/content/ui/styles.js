@@ -311,6 +311,7 @@ export class OverlayStyles {
             }
             .toast.success { border-color: rgba(34, 197, 94, 0.4); color: #22c55e; }
             .toast.error { border-color: rgba(239, 68, 68, 0.4); color: #ef4444; }
+            .toast.warning { border-color: rgba(234, 179, 8, 0.4); color: #eab308; }
 
             /* ─── DIVIDER ─────────────────────────────────────────── */
             .divider {
@@ -344,6 +345,29 @@ export class OverlayStyles {
                 50% { opacity: 0.4; }
             }
 
+            /* Pausado: amarelo e parado, inclusive minimizado */
+            .widget.paused .recording-badge {
+                background: rgba(234, 179, 8, 0.15);
+                color: #eab308;
+            }
+            .widget.paused .recording-badge .dot,
+            .widget.paused .recording-dot {
+                background: #eab308;
+                animation: none;
+                box-shadow: none;
+            }
+            .widget.minimized.paused { border-color: rgba(234, 179, 8, 0.5); }
+
+            .btn-pause[aria-pressed="true"] {
+                background: rgba(234, 179, 8, 0.2);
+                border-color: #eab308;
+                color: #fde047;
+            }
+            .btn-capture:disabled {
+                opacity: 0.45;
+                cursor: not-allowed;
+            }
+
             /* ─── SHORTCUTS INFO ──────────────────────────────────── */
             .shortcuts-info {
                 margin: 10px 0;
@@ -527,6 +551,342 @@ export class OverlayStyles {
                 font-size: 14px;
                 margin-right: 4px;
             }
+
+            /* ─── TOOL PANELS (mounted views) ─────────────────────── */
+            .widget.wide { width: 380px; }
+
+            /* ─── DEBUGGER ────────────────────────────────────────── */
+            .debug-view {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+            }
+
+            .dbg-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .dbg-title {
+                font-size: 13px;
+                font-weight: 600;
+                color: #e2e8f0;
+            }
+
+            .dbg-status {
+                font-size: 11px;
+                color: #94a3b8;
+                font-variant-numeric: tabular-nums;
+            }
+            .dbg-status.paused { color: #f59e0b; }
+            .dbg-status.running { color: #60a5fa; }
+            .dbg-status.finished { color: #22c55e; }
+
+            .dbg-nodes {
+                list-style: none;
+                max-height: 180px;
+                overflow-y: auto;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(255, 255, 255, 0.05);
+                border-radius: 8px;
+                padding: 4px;
+            }
+
+            .dbg-node {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 3px 4px;
+                border-radius: 4px;
+                font-size: 11px;
+                color: #cbd5e1;
+            }
+            .dbg-node.current {
+                background: rgba(245, 158, 11, 0.15);
+                color: #fbbf24;
+            }
+
+            .dbg-node-text {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .dbg-node-result { font-size: 10px; }
+
+            button.dbg-bp {
+                width: 10px;
+                height: 10px;
+                padding: 0;
+                margin: 0;
+                flex-shrink: 0;
+                border-radius: 50%;
+                border: 1px solid rgba(239, 68, 68, 0.5);
+                background: transparent;
+            }
+            button.dbg-bp.active { background: #ef4444; border-color: #ef4444; }
+            button.dbg-bp:hover { border-color: #ef4444; }
+
+            .dbg-section-label {
+                font-size: 10px;
+                color: #64748b;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                margin: 4px 0;
+            }
+
+            .dbg-candidates {
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+                font-size: 11px;
+                color: #94a3b8;
+            }
+
+            .dbg-candidate {
+                font-family: ui-monospace, monospace;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .dbg-candidate.matched { color: #22c55e; }
+            .dbg-candidate.missing { color: #ef4444; }
+
+            .dbg-params {
+                width: 100%;
+                height: 110px;
+                resize: vertical;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 6px;
+                color: #e2e8f0;
+                font-family: ui-monospace, monospace;
+                font-size: 11px;
+                padding: 6px;
+            }
+            .dbg-params:focus-visible {
+                outline: 2px solid #3b82f6;
+                outline-offset: 1px;
+            }
+
+            .dbg-controls {
+                display: flex;
+                gap: 6px;
+            }
+            .dbg-controls button {
+                flex: 1;
+                margin-top: 0;
+                padding: 8px 6px;
+            }
+
+            .debug-view button:disabled {
+                opacity: 0.45;
+                cursor: not-allowed;
+            }
+
+            /* ─── TIMELINE ────────────────────────────────────────── */
+            .timeline-view {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+            }
+
+            .tl-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .tl-title {
+                font-size: 13px;
+                font-weight: 600;
+                color: #e2e8f0;
+            }
+
+            .tl-summary {
+                font-size: 11px;
+                color: #94a3b8;
+                font-variant-numeric: tabular-nums;
+            }
+
+            .tl-steps {
+                list-style: none;
+                max-height: 300px;
+                overflow-y: auto;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(255, 255, 255, 0.05);
+                border-radius: 8px;
+                padding: 4px;
+            }
+
+            .tl-step {
+                padding: 4px;
+                border-radius: 4px;
+                font-size: 11px;
+                color: #cbd5e1;
+            }
+            .tl-step + .tl-step { border-top: 1px solid rgba(255, 255, 255, 0.05); }
+            .tl-step.relabeled .tl-label { color: #93c5fd; }
+
+            .tl-empty {
+                padding: 8px 4px;
+                font-size: 11px;
+                color: #64748b;
+            }
+
+            .tl-main {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            .tl-type {
+                flex-shrink: 0;
+                font-family: ui-monospace, monospace;
+                font-size: 10px;
+                color: #94a3b8;
+            }
+
+            .tl-label {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .tl-label-input,
+            .tl-delay {
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 4px;
+                color: #e2e8f0;
+                font-size: 11px;
+                padding: 2px 4px;
+            }
+            .tl-label-input {
+                flex: 1;
+                min-width: 0;
+            }
+            .tl-delay {
+                width: 52px;
+                font-variant-numeric: tabular-nums;
+            }
+            .tl-label-input:focus-visible,
+            .tl-delay:focus-visible {
+                outline: 2px solid #3b82f6;
+                outline-offset: 1px;
+            }
+
+            button.tl-action {
+                width: 20px;
+                height: 20px;
+                padding: 0;
+                margin: 0;
+                flex-shrink: 0;
+                border-radius: 4px;
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                background: transparent;
+                color: #94a3b8;
+                font-size: 11px;
+                line-height: 1;
+            }
+            button.tl-action:hover:not(:disabled) { border-color: #3b82f6; color: white; }
+            button.tl-action.danger:hover:not(:disabled) { border-color: #ef4444; color: #ef4444; }
+            button.tl-action:disabled {
+                opacity: 0.3;
+                cursor: not-allowed;
+            }
+
+            .tl-thumb {
+                display: block;
+                width: 100%;
+                max-height: 120px;
+                margin-top: 4px;
+                object-fit: cover;
+                object-position: top;
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 4px;
+            }
+
+            .tl-timing {
+                margin-top: 2px;
+                font-size: 10px;
+                color: #64748b;
+                font-variant-numeric: tabular-nums;
+            }
+
+            /* ─── EXTRACT ─────────────────────────────────────────── */
+            .btn-capture.active {
+                background: rgba(168, 85, 247, 0.35);
+                border-color: #a855f7;
+                color: white;
+            }
+
+            .extract-view {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            }
+
+            .ext-header {
+                font-size: 13px;
+                font-weight: 600;
+                color: white;
+                margin-bottom: 4px;
+            }
+
+            .ext-label {
+                font-size: 10px;
+                font-weight: 600;
+                color: #94a3b8;
+                text-transform: uppercase;
+                letter-spacing: 0.04em;
+                margin-top: 4px;
+            }
+
+            .ext-input {
+                width: 100%;
+                box-sizing: border-box;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 6px;
+                color: #e2e8f0;
+                font-size: 12px;
+                padding: 6px;
+            }
+            .ext-input:focus-visible {
+                outline: 2px solid #3b82f6;
+                outline-offset: 1px;
+            }
+
+            .ext-preview {
+                max-height: 90px;
+                overflow: auto;
+                margin: 0;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 6px;
+                color: #cbd5e1;
+                font-family: ui-monospace, monospace;
+                font-size: 11px;
+                padding: 6px;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            .ext-controls {
+                display: flex;
+                gap: 6px;
+            }
+            .ext-controls button {
+                flex: 1;
+                padding: 8px 6px;
+            }
         `;
     }
 }
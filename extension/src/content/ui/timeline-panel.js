@@ -0,0 +1,360 @@
+/**
+ * FlowCapture - Timeline Panel
+ * Editable list of the recorded steps rendered inside the overlay Shadow DOM
+ *
+ * Each row shows the trigger type, a readable label (same wording as the
+ * compiled node) and its timing: offset from the first step + the pause
+ * before it. Rows can be deleted, moved up/down, relabeled and retimed —
+ * every edit goes through StateManager, which persists recordedSteps.
+ * Capture points / checkpoints show their thumbnail (ThumbnailStore, via background).
+ *
+ * Usage:
+ * const panel = new TimelinePanel(overlay, stateManager, { onEdit });
+ * panel.open();
+ */
+
+import { WorkflowCompiler } from '../../shared/workflow-compiler.js';
+import { TimeUtils } from '../../shared/timer.js';
+import { MESSAGE_ACTIONS } from '../../shared/constants.js';
+
+/** StateManager events that change the list */
+const LIST_EVENTS = new Set(['stepAdded', 'stepUpdated', 'stepsEdited', 'stepsCleared', 'reset']);
+
+/** Trigger types that get a thumbnail when recorded */
+const THUMBNAIL_TYPES = new Set(['capture_point', 'checkpoint']);
+
+export class TimelinePanel {
+    /**
+     * @param {OverlayUI} overlay - Host overlay (provides mountView + toasts)
+     * @param {StateManager} stateManager - Owns recordedSteps
+     * @param {Object} [handlers]
+     * @param {Function} [handlers.onEdit] - Called with the new step count after each edit
+     */
+    constructor(overlay, stateManager, handlers = {}) {
+        this.overlay = overlay;
+        this.stateManager = stateManager;
+        this.onEdit = handlers.onEdit || null;
+        this.compiler = new WorkflowCompiler();
+        this.root = null;
+        this._unsubscribe = null;
+        this._editingId = null;
+        this._pendingRender = false;
+        this._thumbnails = new Map(); // step_id → data URL
+        this._loadingThumbnails = new Set();
+    }
+
+    /**
+     * Mount the panel in the overlay and follow the recorded steps
+     */
+    open() {
+        if (!this.root) this._build();
+
+        this.overlay.mountView(this.root, { wide: true });
+        this._unsubscribe = this.stateManager.onChange((eventName) => {
+            if (LIST_EVENTS.has(eventName)) this.render();
+        });
+        this.render();
+    }
+
+    /**
+     * Restore the regular overlay view
+     */
+    close() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        this._editingId = null;
+        this.overlay.unmountView();
+    }
+
+    /**
+     * Re-render the step list (postponed while a field is being edited)
+     */
+    render() {
+        // Outro painel tomou o overlay (extract, debugger): nada a desenhar
+        if (!this.root?.isConnected) return;
+        if (this._isEditing()) {
+            this._pendingRender = true;
+            return;
+        }
+        this._pendingRender = false;
+
+        const steps = this.stateManager.getSteps();
+        const first = steps[0]?.trigger?.timestamp || 0;
+        const total = steps.length > 1 ? (steps[steps.length - 1].trigger?.timestamp || 0) - first : 0;
+        this.root.querySelector('#tl-summary').textContent =
+            `${steps.length} step${steps.length === 1 ? '' : 's'} · ${TimeUtils.formatDuration(Math.max(0, total))}`;
+
+        const list = this.root.querySelector('#tl-steps');
+        list.innerHTML = '';
+        steps.forEach((step, index) => list.appendChild(this._renderRow(step, index, steps, first)));
+
+        if (steps.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'tl-empty';
+            empty.textContent = 'No steps recorded yet';
+            list.appendChild(empty);
+        }
+
+        this._loadThumbnails(steps);
+    }
+
+    // ─── Rendering ──────────────────────────────────────
+
+    /**
+     * @private
+     */
+    _build() {
+        const root = document.createElement('div');
+        root.id = 'timeline-view';
+        root.className = 'timeline-view';
+        root.innerHTML = `
+            <div class="tl-header">
+                <span class="tl-title">🕒 Timeline</span>
+                <span class="tl-summary" id="tl-summary" role="status" aria-live="polite"></span>
+            </div>
+
+            <ol class="tl-steps" id="tl-steps" aria-label="Recorded steps"></ol>
+
+            <button class="btn-secondary" id="tl-close">Close timeline</button>
+        `;
+
+        root.querySelector('#tl-close').onclick = () => this.close();
+
+        // Row actions (event delegation — list is re-rendered on each change)
+        const list = root.querySelector('#tl-steps');
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const row = e.target.closest('.tl-step');
+            if (button && row) this._onAction(button.dataset.action, row.dataset.id, Number(row.dataset.index));
+        });
+        list.addEventListener('change', (e) => {
+            if (e.target.classList.contains('tl-delay')) this._retime(e.target);
+        });
+        list.addEventListener('focusout', (e) => {
+            if (e.target.classList.contains('tl-label-input')) this._commitLabel(e.target);
+            else if (this._pendingRender) setTimeout(() => this.render(), 0);
+        });
+
+        // Enter confirma, Esc cancela a edição (sem deixar o Esc fechar o overlay inteiro)
+        root.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (!e.target.classList.contains('tl-label-input')) return;
+            if (e.key === 'Enter') e.target.blur();
+            if (e.key === 'Escape') {
+                e.target.dataset.cancelled = 'true';
+                e.target.blur();
+            }
+        });
+
+        this.root = root;
+    }
+
+    /**
+     * @private
+     */
+    _renderRow(step, index, steps, first) {
+        const trigger = step.trigger || {};
+        const item = document.createElement('li');
+        item.className = `tl-step${step.label ? ' relabeled' : ''}`;
+        item.dataset.id = step.step_id;
+        item.dataset.index = index;
+
+        const main = document.createElement('div');
+        main.className = 'tl-main';
+
+        const type = document.createElement('span');
+        type.className = 'tl-type';
+        type.textContent = `#${index + 1} ${(trigger.type || 'step').toUpperCase()}`;
+        main.appendChild(type);
+
+        if (this._editingId === step.step_id) {
+            const input = document.createElement('input');
+            input.className = 'tl-label-input';
+            input.type = 'text';
+            input.spellcheck = false;
+            input.value = step.label || '';
+            input.placeholder = this._generatedLabel(step);
+            input.setAttribute('aria-label', `Label of step ${index + 1} (empty restores the generated one)`);
+            main.appendChild(input);
+            requestAnimationFrame(() => input.focus());
+        } else {
+            const label = document.createElement('span');
+            label.className = 'tl-label';
+            label.textContent = this._labelOf(step);
+            label.title = step.label ? `${step.label} (generated: ${this._generatedLabel(step)})` : label.textContent;
+            main.appendChild(label);
+        }
+
+        main.appendChild(this._actionButton('up', '↑', `Move step ${index + 1} up`, index === 0));
+        main.appendChild(this._actionButton('down', '↓', `Move step ${index + 1} down`, index === steps.length - 1));
+        main.appendChild(this._actionButton('relabel', '✎', `Rename step ${index + 1}`));
+        main.appendChild(this._actionButton('delete', '✕', `Delete step ${index + 1}`));
+        item.appendChild(main);
+
+        const thumbnail = this._thumbnails.get(step.step_id);
+        if (thumbnail) {
+            const img = document.createElement('img');
+            img.className = 'tl-thumb';
+            img.src = thumbnail;
+            img.alt = `Page at step ${index + 1}`;
+            item.appendChild(img);
+        }
+
+        const timing = document.createElement('div');
+        timing.className = 'tl-timing';
+        const ts = trigger.timestamp || 0;
+        timing.textContent = `at ${TimeUtils.formatDuration(Math.max(0, ts - first))}`;
+
+        if (index > 0) {
+            const gap = Math.max(0, ts - (steps[index - 1].trigger?.timestamp || 0));
+            const delay = document.createElement('input');
+            delay.className = 'tl-delay';
+            delay.type = 'number';
+            delay.min = '0';
+            delay.step = '0.1';
+            delay.value = (gap / 1000).toFixed(1);
+            delay.setAttribute('aria-label', `Seconds between step ${index} and step ${index + 1}`);
+            timing.append(' · wait ', delay, ' s after previous');
+        }
+        item.appendChild(timing);
+
+        return item;
+    }
+
+    /**
+     * @private
+     */
+    _actionButton(action, text, label, disabled = false) {
+        const button = document.createElement('button');
+        button.className = `tl-action${action === 'delete' ? ' danger' : ''}`;
+        button.dataset.action = action;
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.disabled = disabled;
+        return button;
+    }
+
+    /**
+     * @private
+     */
+    _labelOf(step) {
+        return step.label || this._generatedLabel(step);
+    }
+
+    /**
+     * Same readable target the compiler puts in node labels
+     * @private
+     */
+    _generatedLabel(step) {
+        const trigger = step.trigger || {};
+        const meta = trigger.metadata || {};
+
+        switch (trigger.type) {
+            case 'capture_point': return trigger.captureLabel || 'Capture point';
+            case 'checkpoint': return 'Checkpoint';
+            case 'navigation': return trigger.url || 'Navigation';
+            case 'handle_dialog': return `${trigger.dialog?.dialogType || 'dialog'} "${trigger.dialog?.message || ''}"`;
+            case 'extract': return `${trigger.extraction?.field || 'field'} from ${this.compiler._getReadableSelector(trigger.selector)}`;
+            default: return this.compiler._getReadableSelector(trigger.selector, meta.text || meta.ariaLabel || '');
+        }
+    }
+
+    /**
+     * Fetch thumbnails of capture rows not cached yet; re-render once some arrive.
+     * Misses aren't cached: the capture may still be in flight (content.js renders again after it)
+     * @private
+     */
+    async _loadThumbnails(steps) {
+        const stepIds = steps
+            .filter(step => THUMBNAIL_TYPES.has(step.trigger?.type))
+            .map(step => step.step_id)
+            .filter(id => !this._thumbnails.has(id) && !this._loadingThumbnails.has(id));
+        if (stepIds.length === 0) return;
+
+        stepIds.forEach(id => this._loadingThumbnails.add(id));
+        try {
+            const response = await chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.GET_THUMBNAILS, stepIds });
+            const found = Object.entries(response?.thumbnails || {});
+            found.forEach(([id, dataUrl]) => this._thumbnails.set(id, dataUrl));
+            if (found.length > 0) this.render();
+        } catch (error) {
+            console.warn('TimelinePanel: Failed to load thumbnails:', error);
+        } finally {
+            stepIds.forEach(id => this._loadingThumbnails.delete(id));
+        }
+    }
+
+    // ─── Editing ────────────────────────────────────────
+
+    /**
+     * @private
+     */
+    _onAction(action, stepId, index) {
+        switch (action) {
+            case 'up':
+                this._edited(this.stateManager.moveStep(stepId, index - 1));
+                break;
+            case 'down':
+                this._edited(this.stateManager.moveStep(stepId, index + 1));
+                break;
+            case 'delete':
+                if (this._edited(this.stateManager.deleteStep(stepId))) {
+                    this.overlay.showToast(`Step #${index + 1} deleted`, 'info');
+                }
+                break;
+            case 'relabel':
+                this._editingId = stepId;
+                this.render();
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _commitLabel(input) {
+        const stepId = input.closest('.tl-step')?.dataset.id;
+        this._editingId = null;
+        if (stepId && input.dataset.cancelled !== 'true') {
+            this._edited(this.stateManager.relabelStep(stepId, input.value));
+        }
+        // Durante o focusout o input ainda conta como focado
+        setTimeout(() => this.render(), 0);
+    }
+
+    /**
+     * @private
+     */
+    _retime(input) {
+        const stepId = input.closest('.tl-step')?.dataset.id;
+        const seconds = Number(input.value);
+        if (!stepId || input.value === '' || !Number.isFinite(seconds) || seconds < 0) {
+            this.overlay.showToast('Wait must be a number of seconds ≥ 0', 'error');
+            this.render();
+            return;
+        }
+        this._edited(this.stateManager.retimeStep(stepId, seconds * 1000));
+    }
+
+    /**
+     * @returns {boolean} Whether the edit was applied
+     * @private
+     */
+    _edited(result) {
+        if (!result) return false;
+        this.onEdit?.(this.stateManager.getStepCount());
+        return true;
+    }
+
+    /**
+     * A label/delay input has focus: re-rendering now would drop what the user is typing
+     * @private
+     */
+    _isEditing() {
+        const active = this.overlay.shadow.activeElement;
+        return !!active && this.root.contains(active) && active.tagName === 'INPUT';
+    }
+}
@@ -44,6 +44,11 @@ export class VisualFeedback {
         const icons = {
             'capture': '📸',
             'expand': '📐',
+            'assert': '✔️',
+            'extract': '🧲',
+            'undo': '↩️',
+            'pause': '⏸️',
+            'resume': '⏺️',
             'adjust-up': '⬆️',
             'adjust-down': '⬇️'
         };
@@ -76,9 +81,10 @@ export class VisualFeedback {
     /**
      * Show element outline feedback (green/red/amber outline)
      * @param {Element} el
-     * @param {string} state - 'success' | 'error' | 'undo'
+     * @param {string} state - 'success' | 'error' | 'warning' | 'undo'
+     * @param {number} durationMs - How long the outline stays (default: 1500)
      */
-    showElementOutline(el, state = 'success') {
+    showElementOutline(el, state = 'success', durationMs = 1500) {
         if (!el) return;
 
         const origOutline = el.style.outline;
@@ -87,6 +93,7 @@ export class VisualFeedback {
         const colors = {
             'success': '#22c55e',   // green
             'error': '#ef4444',     // red
+            'warning': '#eab308',   // yellow
             'undo': '#f59e0b'       // amber
         };
 
@@ -96,7 +103,7 @@ export class VisualFeedback {
         setTimeout(() => {
             el.style.outline = origOutline;
             el.style.transition = origTransition;
-        }, 1500);
+        }, durationMs);
     }
 
     /**
@@ -8,6 +8,9 @@
  * - Loading states for buttons
  */
 
+import { Redactor } from '../shared/redactor.js';
+import { SelectorProfiles } from '../shared/selector-profiles.js';
+
 /**
  * Popup UI Manager - Handles all visual state updates
  */
@@ -17,6 +20,11 @@ export class PopupUI {
         this.el = {
             startBtn: document.getElementById('start-btn'),
             stopBtn: document.getElementById('stop-btn'),
+            pauseBtn: document.getElementById('pause-btn'),
+            pauseBtnIcon: document.getElementById('pause-btn-icon'),
+            pauseBtnText: document.getElementById('pause-btn-text'),
+            recordingBadge: document.getElementById('recording-badge'),
+            recordingBadgeText: document.getElementById('recording-badge-text'),
             downloadBtn: document.getElementById('download-btn'),
             downloadBtnText: document.getElementById('download-btn-text'),
             downloadDropdown: document.getElementById('download-dropdown'),
@@ -25,6 +33,10 @@ export class PopupUI {
             stateRecording: document.getElementById('state-recording'),
             stateResults: document.getElementById('state-results'),
             stateSettings: document.getElementById('state-settings'),
+            stateLibrary: document.getElementById('state-library'),
+            libraryBtn: document.getElementById('library-btn'),
+            libraryBackBtn: document.getElementById('library-back-btn'),
+            libraryList: document.getElementById('library-list'),
             timerDisplay: document.getElementById('timer'),
             eventCountDisplay: document.getElementById('event-count'),
             toast: document.getElementById('toast'),
@@ -34,16 +46,29 @@ export class PopupUI {
             shortcutDisplay: document.getElementById('shortcut-display'),
             expandShortcutBtn: document.getElementById('expand-shortcut-btn'),
             expandShortcutDisplay: document.getElementById('expand-shortcut-display'),
+            assertShortcutBtn: document.getElementById('assert-shortcut-btn'),
+            assertShortcutDisplay: document.getElementById('assert-shortcut-display'),
+            pauseShortcutBtn: document.getElementById('pause-shortcut-btn'),
+            pauseShortcutDisplay: document.getElementById('pause-shortcut-display'),
+            undoShortcutBtn: document.getElementById('undo-shortcut-btn'),
+            undoShortcutDisplay: document.getElementById('undo-shortcut-display'),
             exportFormatSelect: document.getElementById('export-format-select'),
             autoMinimizeToggle: document.getElementById('auto-minimize-toggle'),
+            bundleThumbnailsToggle: document.getElementById('bundle-thumbnails-toggle'),
             recordingIndicatorToggle: document.getElementById('recording-indicator-toggle'),
             manualExpandStepInput: document.getElementById('manual-expand-step'),
+            redactInputsToggle: document.getElementById('redact-inputs-toggle'),
+            redactionRulesInput: document.getElementById('redaction-rules-input'),
+            selectorProfilesInput: document.getElementById('selector-profiles-input'),
             screenshotModeGroup: document.getElementById('screenshot-mode-group'),
             viewportPresetGroup: document.getElementById('viewport-preset-group'),
             copyBtn: document.getElementById('copy-btn'),
             copySettingBtn: document.getElementById('copy-setting-btn')
         };
 
+        // Object URLs das miniaturas no results view (revogados a cada render)
+        this._thumbnailUrls = [];
+
         console.log('🎨 PopupUI initialized with elements:', {
             stateIdle: !!this.el.stateIdle,
             stateRecording: !!this.el.stateRecording,
@@ -172,10 +197,31 @@ export class PopupUI {
             this.el.startBtn.setAttribute('aria-pressed', 'false');
         }
 
+        this.setPaused(false);
         this.updateEventCount(eventCount);
         this._resetButtonStates();
     }
 
+    /**
+     * Reflect the paused state of the running recording
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (!this.el.pauseBtn) return;
+
+        this.el.pauseBtn.classList.toggle('paused', paused);
+        this.el.pauseBtn.setAttribute('aria-pressed', String(paused));
+        this.el.pauseBtn.setAttribute('aria-label', paused ? 'Resume recording' : 'Pause recording');
+        this.el.pauseBtnIcon.textContent = paused ? 'play_arrow' : 'pause';
+        this.el.pauseBtnText.textContent = paused ? 'Resume' : 'Pause';
+
+        this.el.recordingBadge.classList.toggle('paused', paused);
+        this.el.recordingBadge.setAttribute('aria-label', paused ? 'Recording paused' : 'Recording active');
+        this.el.recordingBadgeText.textContent = paused ? 'Paused' : 'Recording Active';
+
+        if (this.el.markCaptureBtn) this.el.markCaptureBtn.disabled = paused;
+    }
+
     /**
      * Update event count display
      * @param {number} count
@@ -247,6 +293,7 @@ export class PopupUI {
         this.el.stopBtn.classList.remove('loading');
         this.el.startBtn.disabled = false;
         this.el.stopBtn.disabled = false;
+        if (this.el.pauseBtn) this.el.pauseBtn.disabled = false;
     }
 
     /**
@@ -302,6 +349,13 @@ export class PopupUI {
         this.el.stopBtn.addEventListener('click', handler);
     }
 
+    /**
+     * @param {Function} handler
+     */
+    onPauseClick(handler) {
+        if (this.el.pauseBtn) this.el.pauseBtn.addEventListener('click', handler);
+    }
+
     /**
      * @param {Function} handler
      */
@@ -313,7 +367,7 @@ export class PopupUI {
 
     /**
      * Register handler for download format selection
-     * @param {Function} handler - Called with format ('intent' or 'workflow')
+     * @param {Function} handler - Called with format ('intent' | 'workflow' | 'playwright' | 'puppeteer' | 'recorder')
      */
     onDownloadFormatClick(handler) {
         if (!this.el.downloadDropdown) {
@@ -370,6 +424,7 @@ export class PopupUI {
     showSettings() {
         this.el.stateIdle.style.display = 'none';
         this.el.stateRecording.style.display = 'none';
+        if (this.el.stateLibrary) this.el.stateLibrary.style.display = 'none';
         this.el.stateSettings.style.display = 'flex';
     }
 
@@ -401,6 +456,15 @@ export class PopupUI {
         if (this.el.expandShortcutDisplay) {
             this.el.expandShortcutDisplay.textContent = this._formatShortcut(settings.expandShortcut);
         }
+        if (this.el.assertShortcutDisplay) {
+            this.el.assertShortcutDisplay.textContent = this._formatShortcut(settings.assertShortcut);
+        }
+        if (this.el.pauseShortcutDisplay) {
+            this.el.pauseShortcutDisplay.textContent = this._formatShortcut(settings.pauseShortcut);
+        }
+        if (this.el.undoShortcutDisplay) {
+            this.el.undoShortcutDisplay.textContent = this._formatShortcut(settings.undoShortcut);
+        }
         if (this.el.exportFormatSelect) {
             this.el.exportFormatSelect.value = settings.defaultExportFormat;
         }
@@ -410,9 +474,21 @@ export class PopupUI {
         if (this.el.recordingIndicatorToggle) {
             this.el.recordingIndicatorToggle.checked = settings.showRecordingIndicator;
         }
+        if (this.el.bundleThumbnailsToggle) {
+            this.el.bundleThumbnailsToggle.checked = !!settings.bundleThumbnails;
+        }
         if (this.el.manualExpandStepInput) {
             this.el.manualExpandStepInput.value = settings.manualExpandStep || 50;
         }
+        if (this.el.redactInputsToggle) {
+            this.el.redactInputsToggle.checked = settings.redactInputs;
+        }
+        if (this.el.redactionRulesInput) {
+            this.el.redactionRulesInput.value = Redactor.formatRules(settings.redactionRules);
+        }
+        if (this.el.selectorProfilesInput) {
+            this.el.selectorProfilesInput.value = SelectorProfiles.format(settings.selectorProfiles);
+        }
         if (this.el.screenshotModeGroup) {
             const radio = this.el.screenshotModeGroup.querySelector(`input[value="${settings.screenshotMode}"]`);
             if (radio) radio.checked = true;
@@ -477,6 +553,78 @@ export class PopupUI {
         }
     }
 
+    /**
+     * Toggle assert shortcut recording mode
+     * @param {boolean} isRecording
+     */
+    setAssertShortcutRecording(isRecording) {
+        if (!this.el.assertShortcutBtn) return;
+        if (isRecording) {
+            this.el.assertShortcutBtn.classList.add('recording');
+            this.el.assertShortcutDisplay.textContent = 'Press keys...';
+        } else {
+            this.el.assertShortcutBtn.classList.remove('recording');
+        }
+    }
+
+    /**
+     * Update assert shortcut display text
+     * @param {Object} shortcut
+     */
+    updateAssertShortcutDisplay(shortcut) {
+        if (this.el.assertShortcutDisplay) {
+            this.el.assertShortcutDisplay.textContent = this._formatShortcut(shortcut);
+        }
+    }
+
+    /**
+     * Toggle pause shortcut recording mode
+     * @param {boolean} isRecording
+     */
+    setPauseShortcutRecording(isRecording) {
+        if (!this.el.pauseShortcutBtn) return;
+        if (isRecording) {
+            this.el.pauseShortcutBtn.classList.add('recording');
+            this.el.pauseShortcutDisplay.textContent = 'Press keys...';
+        } else {
+            this.el.pauseShortcutBtn.classList.remove('recording');
+        }
+    }
+
+    /**
+     * Update pause shortcut display text
+     * @param {Object} shortcut
+     */
+    updatePauseShortcutDisplay(shortcut) {
+        if (this.el.pauseShortcutDisplay) {
+            this.el.pauseShortcutDisplay.textContent = this._formatShortcut(shortcut);
+        }
+    }
+
+    /**
+     * Toggle undo shortcut recording mode
+     * @param {boolean} isRecording
+     */
+    setUndoShortcutRecording(isRecording) {
+        if (!this.el.undoShortcutBtn) return;
+        if (isRecording) {
+            this.el.undoShortcutBtn.classList.add('recording');
+            this.el.undoShortcutDisplay.textContent = 'Press keys...';
+        } else {
+            this.el.undoShortcutBtn.classList.remove('recording');
+        }
+    }
+
+    /**
+     * Update undo shortcut display text
+     * @param {Object} shortcut
+     */
+    updateUndoShortcutDisplay(shortcut) {
+        if (this.el.undoShortcutDisplay) {
+            this.el.undoShortcutDisplay.textContent = this._formatShortcut(shortcut);
+        }
+    }
+
     /**
      * Update shortcut display text
      * @param {Object} shortcut
@@ -509,6 +657,21 @@ export class PopupUI {
         if (this.el.expandShortcutBtn) this.el.expandShortcutBtn.addEventListener('click', handler);
     }
 
+    /** @param {Function} handler */
+    onAssertShortcutRecordClick(handler) {
+        if (this.el.assertShortcutBtn) this.el.assertShortcutBtn.addEventListener('click', handler);
+    }
+
+    /** @param {Function} handler */
+    onPauseShortcutRecordClick(handler) {
+        if (this.el.pauseShortcutBtn) this.el.pauseShortcutBtn.addEventListener('click', handler);
+    }
+
+    /** @param {Function} handler */
+    onUndoShortcutRecordClick(handler) {
+        if (this.el.undoShortcutBtn) this.el.undoShortcutBtn.addEventListener('click', handler);
+    }
+
     /** @param {Function} handler */
     onExportFormatChange(handler) {
         if (this.el.exportFormatSelect) {
@@ -523,6 +686,13 @@ export class PopupUI {
         }
     }
 
+    /** @param {Function} handler */
+    onBundleThumbnailsChange(handler) {
+        if (this.el.bundleThumbnailsToggle) {
+            this.el.bundleThumbnailsToggle.addEventListener('change', (e) => handler(e.target.checked));
+        }
+    }
+
     /** @param {Function} handler */
     onRecordingIndicatorChange(handler) {
         if (this.el.recordingIndicatorToggle) {
@@ -537,6 +707,27 @@ export class PopupUI {
         }
     }
 
+    /** @param {Function} handler */
+    onRedactInputsChange(handler) {
+        if (this.el.redactInputsToggle) {
+            this.el.redactInputsToggle.addEventListener('change', (e) => handler(e.target.checked));
+        }
+    }
+
+    /** @param {Function} handler - Called with the raw rules text */
+    onRedactionRulesChange(handler) {
+        if (this.el.redactionRulesInput) {
+            this.el.redactionRulesInput.addEventListener('change', (e) => handler(e.target.value));
+        }
+    }
+
+    /** @param {Function} handler - Called with the raw profiles text */
+    onSelectorProfilesChange(handler) {
+        if (this.el.selectorProfilesInput) {
+            this.el.selectorProfilesInput.addEventListener('change', (e) => handler(e.target.value));
+        }
+    }
+
     /** @param {Function} handler - Called with 'dynamic' | 'fullpage' | 'viewport' */
     onScreenshotModeChange(handler) {
         if (this.el.screenshotModeGroup) {
@@ -555,6 +746,175 @@ export class PopupUI {
         }
     }
 
+    // ─── Library View ────────────────────────────────────
+
+    /**
+     * Show library view (hides main/settings views)
+     */
+    showLibrary() {
+        this.el.stateIdle.style.display = 'none';
+        this.el.stateRecording.style.display = 'none';
+        this.el.stateSettings.style.display = 'none';
+        this.el.stateLibrary.style.display = 'flex';
+    }
+
+    /**
+     * Hide library view, restore appropriate view
+     * @param {boolean} isRecording
+     * @param {number} eventCount
+     */
+    hideLibrary(isRecording, eventCount = 0) {
+        this.el.stateLibrary.style.display = 'none';
+        this.updateState(isRecording, eventCount);
+    }
+
+    /**
+     * Render saved sessions list
+     * @param {Array} sessions - SessionLibrary metadata (newest first)
+     */
+    renderLibrary(sessions) {
+        const list = this.el.libraryList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (!sessions || sessions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'library-empty';
+            empty.textContent = 'No saved recordings yet. Stopped recordings are saved here automatically.';
+            list.appendChild(empty);
+            return;
+        }
+
+        const actions = [
+            { action: 'open', icon: 'folder_open', title: 'Open (compile & export)' },
+            { action: 'rename', icon: 'edit', title: 'Rename' },
+            { action: 'duplicate', icon: 'content_copy', title: 'Duplicate' },
+            { action: 'delete', icon: 'delete_outline', title: 'Delete' }
+        ];
+
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+            item.dataset.id = session.id;
+
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+
+            const name = document.createElement('span');
+            name.className = 'library-item-name';
+            name.textContent = session.name;
+            name.title = session.name;
+            info.appendChild(name);
+
+            let host = session.url || '';
+            try { host = new URL(session.url).hostname; } catch { /* keep raw */ }
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = `${host} · ${new Date(session.createdAt).toLocaleString()} · ${session.stepCount} steps`;
+            meta.title = session.url || '';
+            info.appendChild(meta);
+
+            item.appendChild(info);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'library-item-actions';
+            actions.forEach(({ action, icon, title }) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn-icon';
+                btn.dataset.action = action;
+                btn.title = title;
+                btn.setAttribute('aria-label', `${title}: ${session.name}`);
+                btn.innerHTML = `<span class="material-icons-round" aria-hidden="true">${icon}</span>`;
+                buttons.appendChild(btn);
+            });
+            item.appendChild(buttons);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Swap a session name for an inline input
+     * @param {HTMLElement} item - .library-item
+     * @param {Function} onCommit - Called with the new name
+     * @private
+     */
+    _startLibraryRename(item, onCommit) {
+        const nameEl = item.querySelector('.library-item-name');
+        if (!nameEl || item.querySelector('.library-rename-input')) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'library-rename-input';
+        input.value = nameEl.textContent;
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            const value = input.value.trim();
+            input.replaceWith(nameEl);
+            if (commit && value && value !== nameEl.textContent) onCommit(value);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /** @param {Function} handler */
+    onLibraryClick(handler) {
+        if (this.el.libraryBtn) this.el.libraryBtn.addEventListener('click', handler);
+    }
+
+    /** @param {Function} handler */
+    onLibraryBackClick(handler) {
+        if (this.el.libraryBackBtn) this.el.libraryBackBtn.addEventListener('click', handler);
+    }
+
+    /**
+     * Register handler for library item actions.
+     * Rename acontece inline e delete pede um segundo clique de confirmação.
+     * @param {Function} handler - Called with (action, sessionId, value?)
+     *   action: 'open' | 'rename' | 'duplicate' | 'delete'
+     */
+    onLibraryAction(handler) {
+        if (!this.el.libraryList) return;
+
+        this.el.libraryList.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+
+            const item = btn.closest('.library-item');
+            const id = item?.dataset.id;
+            if (!id) return;
+
+            const action = btn.dataset.action;
+
+            if (action === 'rename') {
+                this._startLibraryRename(item, (name) => handler('rename', id, name));
+                return;
+            }
+
+            if (action === 'delete' && !btn.classList.contains('confirm')) {
+                btn.classList.add('confirm');
+                btn.title = 'Click again to delete';
+                setTimeout(() => {
+                    btn.classList.remove('confirm');
+                    btn.title = 'Delete';
+                }, 3000);
+                return;
+            }
+
+            handler(action, id);
+        });
+    }
+
     // ─── RESULTS VIEW METHODS ────────────────────────────
 
     /**
@@ -569,6 +929,7 @@ export class PopupUI {
         if (this.el.stateIdle) this.el.stateIdle.style.display = 'none';
         if (this.el.stateRecording) this.el.stateRecording.style.display = 'none';
         if (this.el.stateSettings) this.el.stateSettings.style.display = 'none';
+        if (this.el.stateLibrary) this.el.stateLibrary.style.display = 'none';
 
         // Show results view
         if (this.el.stateResults) {
@@ -786,6 +1147,357 @@ export class PopupUI {
         }
     }
 
+    /**
+     * Register handler for the DevTools Recorder import link.
+     * Opens the hidden file input; handler receives the chosen File.
+     * @param {Function} handler
+     */
+    onImportRecording(handler) {
+        const btn = document.getElementById('import-recording-btn');
+        const input = document.getElementById('import-recording-input');
+        if (!btn || !input) return;
+
+        btn.addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            input.value = '';
+            if (file) handler(file);
+        });
+    }
+
+    /**
+     * Register handler for the Playwright / Puppeteer buttons (inside More Options).
+     * Exportam o workflow atual, com variáveis e data table.
+     * @param {Function} handler - Receives 'playwright' | 'puppeteer'
+     */
+    onDownloadCurrentScript(handler) {
+        [['download-current-playwright-btn', 'playwright'], ['download-current-puppeteer-btn', 'puppeteer']]
+            .forEach(([id, format]) => {
+                const btn = document.getElementById(id);
+                if (btn) btn.addEventListener('click', () => handler(format));
+            });
+    }
+
+    /**
+     * Render the Parameters section of the results view
+     * @param {Object} params
+     * @param {Array} params.candidates - WorkflowVariables.findCandidates()
+     * @param {Object} params.variables - Declared variables { nome: default }
+     * @param {{columns: Array, rows: Array}|null} params.dataTable
+     */
+    renderParameters({ candidates = [], variables = {}, dataTable = null } = {}) {
+        const list = document.getElementById('params-list');
+        if (list) {
+            list.innerHTML = '';
+
+            if (candidates.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'params-empty';
+                empty.textContent = 'No typed values or URLs to parameterize.';
+                list.appendChild(empty);
+            }
+
+            candidates.forEach(candidate => {
+                const item = document.createElement('div');
+                item.className = 'params-item';
+                item.dataset.path = candidate.path.join('.');
+                item.dataset.field = candidate.field;
+
+                const info = document.createElement('div');
+                info.className = 'params-item-info';
+
+                const label = document.createElement('span');
+                label.className = 'params-item-label';
+                label.textContent = candidate.label;
+                info.appendChild(label);
+
+                const shown = candidate.variable && candidate.value === `{{${candidate.variable}}}`
+                    ? `${candidate.value} = ${variables[candidate.variable] ?? ''}`
+                    : candidate.value;
+                const value = document.createElement('span');
+                value.className = 'params-item-value';
+                value.textContent = shown;
+                value.title = shown;
+                info.appendChild(value);
+
+                item.appendChild(info);
+
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'params-item-input';
+                input.placeholder = 'variable';
+                input.value = candidate.variable || '';
+                input.setAttribute('aria-label', `Variable name for ${candidate.label}`);
+                item.appendChild(input);
+
+                list.appendChild(item);
+            });
+        }
+
+        const info = document.getElementById('params-data-info');
+        const text = document.getElementById('params-data-text');
+        if (info && text) {
+            info.style.display = dataTable ? 'flex' : 'none';
+            text.textContent = dataTable
+                ? `${dataTable.rows.length} row(s) · ${dataTable.columns.join(', ')}`
+                : '';
+        }
+    }
+
+    /**
+     * Register handler for the Parameters section
+     * @param {Function} handler - (action, payload)
+     *   'promote' → {path, field, name} | 'baseUrl' | 'attachData' → File | 'detachData'
+     */
+    onParametersAction(handler) {
+        const list = document.getElementById('params-list');
+        if (list) {
+            list.addEventListener('change', (e) => {
+                const input = e.target.closest('.params-item-input');
+                const item = input?.closest('.params-item');
+                if (!item || !input.value.trim()) return;
+
+                handler('promote', {
+                    path: item.dataset.path.split('.').map(Number),
+                    field: item.dataset.field,
+                    name: input.value.trim()
+                });
+            });
+        }
+
+        document.getElementById('params-base-url-btn')?.addEventListener('click', () => handler('baseUrl'));
+        document.getElementById('params-data-detach-btn')?.addEventListener('click', () => handler('detachData'));
+
+        const dataBtn = document.getElementById('params-data-btn');
+        const dataInput = document.getElementById('params-data-input');
+        if (dataBtn && dataInput) {
+            dataBtn.addEventListener('click', () => dataInput.click());
+            dataInput.addEventListener('change', () => {
+                const file = dataInput.files?.[0];
+                dataInput.value = '';
+                if (file) handler('attachData', file);
+            });
+        }
+    }
+
+    /**
+     * Register handler for replay workflow button
+     * @param {Function} handler
+     */
+    onReplayWorkflow(handler) {
+        const btn = document.getElementById('replay-workflow-btn');
+        if (btn) {
+            btn.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Register handler for debug workflow button
+     * @param {Function} handler
+     */
+    onDebugWorkflow(handler) {
+        const btn = document.getElementById('debug-workflow-btn');
+        if (btn) {
+            btn.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Register handler for the selector health check button
+     * @param {Function} handler
+     */
+    onValidateSelectors(handler) {
+        const btn = document.getElementById('validate-selectors-btn');
+        if (btn) {
+            btn.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Toggle loading state on the selector health check button
+     * @param {boolean} loading
+     */
+    setValidateLoading(loading) {
+        const btn = document.getElementById('validate-selectors-btn');
+        if (!btn) return;
+
+        btn.classList.toggle('loading', loading);
+        btn.disabled = loading;
+        const label = btn.querySelector('span:not(.material-icons-round)');
+        if (label) label.textContent = loading ? 'Validating...' : 'Validate on This Page';
+    }
+
+    /**
+     * Toggle loading state on replay button
+     * @param {boolean} loading
+     */
+    setReplayLoading(loading) {
+        const btn = document.getElementById('replay-workflow-btn');
+        if (!btn) return;
+
+        btn.classList.toggle('loading', loading);
+        btn.disabled = loading;
+        const label = btn.querySelector('span:not(.material-icons-round)');
+        if (label) label.textContent = loading ? 'Replaying...' : 'Replay Workflow';
+    }
+
+    /**
+     * Render per-node replay report
+     * @param {Object|null} report - { results, summary } from WorkflowReplayer (null hides it)
+     */
+    renderReplayReport(report) {
+        const container = document.getElementById('replay-report');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!report) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const { results = [], summary = {} } = report;
+        const icons = { passed: 'check_circle', failed: 'cancel', skipped: 'remove_circle_outline' };
+
+        const summaryEl = document.createElement('div');
+        summaryEl.className = 'replay-summary';
+        summaryEl.textContent = `${summary.passed || 0} passed · ${summary.failed || 0} failed · ${summary.skipped || 0} skipped`;
+        container.appendChild(summaryEl);
+
+        results.forEach(result => {
+            const row = document.createElement('div');
+            row.className = `replay-row ${result.status}`;
+
+            const icon = document.createElement('span');
+            icon.className = 'material-icons-round';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = icons[result.status] || 'help_outline';
+            row.appendChild(icon);
+
+            const text = document.createElement('div');
+            text.className = 'replay-row-text';
+
+            const title = document.createElement('span');
+            title.textContent = `#${result.index} ${result.type} — ${result.label}`;
+            text.appendChild(title);
+
+            const healed = result.healed && `Healed ${result.healed.from} → ${result.healed.selector} (${Math.round(result.healed.confidence * 100)}%)`;
+            const detail = result.error || healed || result.detail || result.matchedSelector;
+            if (detail) {
+                const detailEl = document.createElement('span');
+                detailEl.className = 'replay-row-detail';
+                detailEl.textContent = detail;
+                detailEl.title = detail;
+                text.appendChild(detailEl);
+            }
+
+            row.appendChild(text);
+            container.appendChild(row);
+        });
+
+        container.style.display = 'flex';
+    }
+
+    /**
+     * Render the selector health report (same panel as the replay report)
+     * @param {Object} report - { results, summary } from SelectorHealthCheck
+     */
+    renderHealthReport(report) {
+        const container = document.getElementById('replay-report');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const { results = [], summary = {} } = report;
+        const rowClass = { ok: 'passed', degraded: 'warning', ambiguous: 'failed', broken: 'failed' };
+        const icons = { ok: 'check_circle', degraded: 'warning', ambiguous: 'call_split', broken: 'cancel' };
+
+        const summaryEl = document.createElement('div');
+        summaryEl.className = 'replay-summary';
+        summaryEl.textContent = `${summary.ok || 0} ok · ${summary.degraded || 0} degraded · ` +
+            `${summary.ambiguous || 0} ambiguous · ${summary.broken || 0} broken`;
+        container.appendChild(summaryEl);
+
+        results.forEach(result => {
+            const row = document.createElement('div');
+            row.className = `replay-row ${rowClass[result.status] || 'skipped'}`;
+
+            const icon = document.createElement('span');
+            icon.className = 'material-icons-round';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = icons[result.status] || 'help_outline';
+            row.appendChild(icon);
+
+            const text = document.createElement('div');
+            text.className = 'replay-row-text';
+
+            const title = document.createElement('span');
+            title.textContent = `#${result.index} ${result.type} — ${result.label}`;
+            text.appendChild(title);
+
+            // Uma linha por candidato: "primary (0) //button[...]"
+            (result.candidates || []).forEach(candidate => {
+                const detailEl = document.createElement('span');
+                detailEl.className = 'replay-row-detail';
+                detailEl.textContent = `${candidate.source} (${candidate.matchCount}) ${candidate.selector}`;
+                detailEl.title = candidate.selector;
+                text.appendChild(detailEl);
+            });
+            if (result.detail && result.status !== 'ok') {
+                const detailEl = document.createElement('span');
+                detailEl.className = 'replay-row-detail';
+                detailEl.textContent = result.detail;
+                detailEl.title = result.detail;
+                text.appendChild(detailEl);
+            }
+
+            row.appendChild(text);
+            container.appendChild(row);
+        });
+
+        container.style.display = 'flex';
+    }
+
+    /**
+     * Render the capture point thumbnails of the results view
+     * @param {Array<{index: number, label: string, blob: Blob}>} items - index = step position (1-based); empty hides the section
+     */
+    renderThumbnails(items) {
+        const section = document.getElementById('results-thumbnails');
+        const grid = document.getElementById('thumbnails-grid');
+        if (!section || !grid) return;
+
+        this._thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this._thumbnailUrls = [];
+        grid.innerHTML = '';
+
+        if (!items?.length) {
+            section.style.display = 'none';
+            return;
+        }
+
+        items.forEach(({ index, label, blob }) => {
+            const url = URL.createObjectURL(blob);
+            this._thumbnailUrls.push(url);
+
+            const figure = document.createElement('figure');
+            figure.className = 'thumbnail-item';
+
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = `Page at step ${index}: ${label}`;
+            figure.appendChild(img);
+
+            const caption = document.createElement('figcaption');
+            caption.textContent = `#${index} ${label}`;
+            caption.title = label;
+            figure.appendChild(caption);
+
+            grid.appendChild(figure);
+        });
+
+        section.style.display = '';
+    }
+
     /**
      * Register handler for back to recording
      * @param {Function} handler
@@ -12,7 +12,13 @@ import { PopupUI } from './popup-ui.js';
 import { Timer } from '../shared/timer.js';
 import { StorageManager } from '../shared/storage.js';
 import { DownloadManager } from '../shared/download.js';
-import { MESSAGE_ACTIONS, DEFAULT_SETTINGS } from '../shared/constants.js';
+import { RecorderConverter } from '../shared/recorder-converter.js';
+import { SessionLibrary } from '../shared/session-library.js';
+import { Redactor } from '../shared/redactor.js';
+import { SelectorProfiles } from '../shared/selector-profiles.js';
+import { WorkflowVariables } from '../shared/workflow-variables.js';
+import { ThumbnailStore } from '../shared/thumbnail-store.js';
+import { MESSAGE_ACTIONS, DEFAULT_SETTINGS, STORAGE_KEYS } from '../shared/constants.js';
 
 // ─── Chrome API Async Helpers ──────────────────────────
 
@@ -28,6 +34,19 @@ async function getActiveTab() {
     });
 }
 
+/**
+ * Tab that owns the running recording: the active tab, unless it is a tab
+ * opened during the recording (popup / target=_blank) — then the tab that
+ * started it, where the StateManager lives
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+async function getRecordingTab() {
+    const active = await getActiveTab();
+    const { [STORAGE_KEYS.TAB_SESSION]: session } = await chrome.storage.session.get(STORAGE_KEYS.TAB_SESSION);
+    if (!active || !session || session.ownerTabId === active.id || !session.tabs.includes(active.id)) return active;
+    return chrome.tabs.get(session.ownerTabId).catch(() => active);
+}
+
 /**
  * Send message to tab with retry logic
  * @param {number} tabId
@@ -37,7 +56,8 @@ async function getActiveTab() {
  */
 async function sendTabMessage(tabId, message, retries = 0) {
     return new Promise((resolve, reject) => {
-        chrome.tabs.sendMessage(tabId, message, (response) => {
+        // Só o top frame responde: iframes encaminham seus steps para ele
+        chrome.tabs.sendMessage(tabId, message, { frameId: 0 }, (response) => {
             if (chrome.runtime.lastError) {
                 const error = chrome.runtime.lastError.message;
                 // If the content script isn't loaded yet, we could try to inject it
@@ -61,6 +81,12 @@ class PopupController {
         this._shortcutListener = null;
         this._isRecordingExpandShortcut = false;
         this._expandShortcutListener = null;
+        this._isRecordingAssertShortcut = false;
+        this._assertShortcutListener = null;
+        this._isRecordingPauseShortcut = false;
+        this._pauseShortcutListener = null;
+        this._isRecordingUndoShortcut = false;
+        this._undoShortcutListener = null;
         this._messageListener = null;
 
         // Store current workflow for conversion
@@ -103,9 +129,27 @@ class PopupController {
             this._expandShortcutListener = null;
         }
 
+        if (this._assertShortcutListener) {
+            document.removeEventListener('keydown', this._assertShortcutListener);
+            this._assertShortcutListener = null;
+        }
+
+        if (this._pauseShortcutListener) {
+            document.removeEventListener('keydown', this._pauseShortcutListener);
+            this._pauseShortcutListener = null;
+        }
+
+        if (this._undoShortcutListener) {
+            document.removeEventListener('keydown', this._undoShortcutListener);
+            this._undoShortcutListener = null;
+        }
+
         // Reset recording states
         this._isRecordingShortcut = false;
         this._isRecordingExpandShortcut = false;
+        this._isRecordingAssertShortcut = false;
+        this._isRecordingPauseShortcut = false;
+        this._isRecordingUndoShortcut = false;
     }
 
     /**
@@ -121,9 +165,7 @@ class PopupController {
 
             if (state.isRecording) {
                 this.ui.updateState(true, state.eventCount || 0);
-                if (state.startTime) {
-                    this.timer.start(state.startTime);
-                }
+                this._restoreTimer(state);
             } else if (state.eventCount > 0) {
                 this.ui.updateState(false, state.eventCount);
                 this.ui.enableDownload(state.eventCount);
@@ -149,7 +191,9 @@ class PopupController {
     _setupHandlers() {
         console.log('🔧 Setting up popup handlers...');
         this.ui.onStartClick(() => this._handleStart());
+        this.ui.onImportRecording((file) => this._handleImportRecording(file));
         this.ui.onStopClick(() => this._handleStop());
+        this.ui.onPauseClick(() => this._handlePauseToggle());
         this.ui.onMarkCaptureClick(() => this._handleMarkCapture());
         this.ui.onDownloadFormatClick((format) => this._handleDownload(format));
         this.ui.onCopyClick(() => this._handleCopy());
@@ -160,21 +204,36 @@ class PopupController {
         this.ui.onDownloadCurrentResult(() => this._handleCopyCurrentResult());
         this.ui.onDownloadWorkflow(() => this._handleDownloadWorkflow());
         this.ui.onDownloadIntent(() => this._handleDownloadIntent());
+        this.ui.onDownloadCurrentScript((format) => this._handleDownloadCurrentScript(format));
+        this.ui.onParametersAction((action, payload) => this._handleParametersAction(action, payload));
+        this.ui.onReplayWorkflow(() => this._handleReplayWorkflow());
+        this.ui.onDebugWorkflow(() => this._handleDebugWorkflow());
+        this.ui.onValidateSelectors(() => this._handleValidateSelectors());
         this.ui.onBackToRecording(() => this._handleBackToRecording());
 
         console.log('✅ All handlers registered');
 
         // Settings handlers
+        this.ui.onLibraryClick(() => this._handleOpenLibrary());
+        this.ui.onLibraryBackClick(() => this._handleCloseLibrary());
+        this.ui.onLibraryAction((action, id, value) => this._handleLibraryAction(action, id, value));
         this.ui.onSettingsClick(() => this._handleOpenSettings());
         this.ui.onSettingsBackClick(() => this._handleCloseSettings());
         this.ui.onShortcutRecordClick(() => this._handleShortcutRecord());
         this.ui.onExpandShortcutRecordClick(() => this._handleExpandShortcutRecord());
+        this.ui.onAssertShortcutRecordClick(() => this._handleAssertShortcutRecord());
+        this.ui.onPauseShortcutRecordClick(() => this._handlePauseShortcutRecord());
+        this.ui.onUndoShortcutRecordClick(() => this._handleUndoShortcutRecord());
         this.ui.onExportFormatChange((format) => this._handleSettingChange('defaultExportFormat', format));
         this.ui.onAutoMinimizeChange((val) => this._handleSettingChange('autoMinimizeOverlay', val));
+        this.ui.onBundleThumbnailsChange((val) => this._handleSettingChange('bundleThumbnails', val));
         this.ui.onRecordingIndicatorChange((val) => this._handleSettingChange('showRecordingIndicator', val));
         this.ui.onManualExpandStepChange((val) => this._handleSettingChange('manualExpandStep', val));
         this.ui.onScreenshotModeChange((mode) => this._handleSettingChange('screenshotMode', mode));
         this.ui.onViewportPresetChange((preset) => this._handleSettingChange('viewportPreset', preset));
+        this.ui.onRedactInputsChange((val) => this._handleSettingChange('redactInputs', val));
+        this.ui.onRedactionRulesChange((text) => this._handleRedactionRulesChange(text));
+        this.ui.onSelectorProfilesChange((text) => this._handleSelectorProfilesChange(text));
     }
 
     /**
@@ -202,7 +261,7 @@ class PopupController {
     async _injectAndRetry(tabId, message) {
         this.ui.showToast('Injecting recorder...', 'info', 2000);
         await chrome.scripting.executeScript({
-            target: { tabId },
+            target: { tabId, allFrames: true },
             files: ['src/content/content.js']
         });
         // Wait for script to initialize before retrying
@@ -266,7 +325,7 @@ class PopupController {
         this.ui.setStopLoading();
 
         try {
-            const tab = await getActiveTab();
+            const tab = await getRecordingTab();
             if (!tab) return;
 
             const response = await sendTabMessage(tab.id, { action: MESSAGE_ACTIONS.STOP_RECORDING });
@@ -292,12 +351,58 @@ class PopupController {
         }
     }
 
+    /**
+     * Handle Pause / Resume
+     */
+    async _handlePauseToggle() {
+        // Estado do storage: a pausa pode ter vindo do overlay ou do atalho
+        const { pause } = await StorageManager.getRecordingState();
+        const action = pause ? MESSAGE_ACTIONS.RESUME_RECORDING : MESSAGE_ACTIONS.PAUSE_RECORDING;
+        try {
+            const tab = await getRecordingTab();
+            if (!tab) return;
+
+            const response = await sendTabMessage(tab.id, { action });
+            this._setPaused(response?.status === 'paused');
+        } catch (error) {
+            console.error('Pause toggle failed:', error);
+            this.ui.showError(`Failed to ${pause ? 'resume' : 'pause'} recording`);
+        }
+    }
+
+    /**
+     * Reflect the paused state in the UI and the timer
+     * @param {boolean} paused
+     * @private
+     */
+    _setPaused(paused) {
+        this.ui.setPaused(paused);
+        if (paused) {
+            this.timer.pause();
+        } else {
+            this.timer.resume();
+        }
+    }
+
+    /**
+     * Restart the timer from the stored recording state (frozen when paused)
+     * @param {Object} state - StorageManager.getRecordingState()
+     * @private
+     */
+    _restoreTimer(state) {
+        if (!state.isRecording || !state.startTime) return;
+
+        const pausedFor = state.pause ? Date.now() - state.pause.at : 0;
+        this.timer.start(state.startTime + pausedFor);
+        if (state.pause) this._setPaused(true);
+    }
+
     /**
      * Handle Mark Capture (screenshot placeholder)
      */
     async _handleMarkCapture() {
         try {
-            const tab = await getActiveTab();
+            const tab = await getRecordingTab();
             if (!tab) return;
 
             await sendTabMessage(tab.id, { action: MESSAGE_ACTIONS.MARK_CAPTURE });
@@ -309,8 +414,8 @@ class PopupController {
     }
 
     /**
-     * Handle Download (both formats)
-     * @param {string} format - 'intent' or 'workflow'
+     * Handle Download (all formats)
+     * @param {string} format - 'intent' | 'workflow' | 'playwright' | 'puppeteer' | 'recorder'
      */
     async _handleDownload(format) {
         try {
@@ -381,9 +486,48 @@ class PopupController {
 
                 this.ui.closeDropdown();
                 this.ui.showResults(steps.length, this._settings.viewportPreset);
+                this._renderParameters();
+                this._renderThumbnails();
                 
                 this.ui.showSuccess(successMsg);
                 return;
+            } else if (format === 'playwright' || format === 'puppeteer') {
+                const compilerOptions = {
+                    screenshotMode: this._settings.screenshotMode,
+                    viewportPreset: this._settings.viewportPreset
+                };
+                const workflow = DownloadManager.createWorkflow(intent.url, steps, compilerOptions);
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+                const scriptFile = format === 'playwright'
+                    ? `flow_capture_${timestamp}.spec.js`
+                    : `flow_capture_${timestamp}.puppeteer.js`;
+                const ok = format === 'playwright'
+                    ? DownloadManager.downloadWorkflowAsPlaywright(workflow, scriptFile)
+                    : DownloadManager.downloadWorkflowAsPuppeteer(workflow, scriptFile);
+                const label = format === 'playwright' ? 'Playwright spec' : 'Puppeteer script';
+
+                this.ui.closeDropdown();
+                if (ok) {
+                    const images = await this._bundleThumbnails(steps, scriptFile);
+                    this.ui.showSuccess(`✓ ${label} generated (${workflow.length} nodes)${this._imagesNote(images)}`);
+                } else {
+                    this.ui.showError(`Failed to generate ${label}`);
+                }
+                return;
+            } else if (format === 'recorder') {
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+                const recordingFile = `flow_capture_${timestamp}.recording.json`;
+                const ok = DownloadManager.downloadStepsAsRecorder(steps, intent.url, recordingFile);
+
+                this.ui.closeDropdown();
+                if (ok) {
+                    const images = await this._bundleThumbnails(steps, recordingFile);
+                    this.ui.showSuccess(`✓ DevTools Recorder flow generated${this._imagesNote(images)}`);
+                } else {
+                    this.ui.showError('Failed to generate DevTools Recorder flow');
+                }
+                return;
             } else {
                 // Legacy intent format
                 data = intent;
@@ -393,7 +537,8 @@ class PopupController {
 
             // Download file
             DownloadManager.downloadJSON(data, filename);
-            this.ui.showSuccess(successMsg);
+            const images = await this._bundleThumbnails(steps, filename);
+            this.ui.showSuccess(`${successMsg}${this._imagesNote(images)}`);
 
         } catch (error) {
             console.error('%c❌ Download failed with error:', 'color: red; font-weight: bold', error);
@@ -401,6 +546,50 @@ class PopupController {
         }
     }
 
+    /**
+     * Handle import of a Chrome DevTools Recorder user flow (JSON file).
+     * Converte para captured steps e compila como uma gravação normal,
+     * abrindo o results view (replay, debug, export).
+     * @param {File} file
+     */
+    async _handleImportRecording(file) {
+        try {
+            const { title, url, steps, skipped } = RecorderConverter.toCapturedSteps(await file.text());
+
+            if (!url) {
+                this.ui.showError('Recording has no "navigate" step to start from');
+                return;
+            }
+            if (steps.length === 0) {
+                this.ui.showError('No importable steps in this recording');
+                return;
+            }
+
+            const compilerOptions = {
+                screenshotMode: this._settings.screenshotMode,
+                viewportPreset: this._settings.viewportPreset
+            };
+            this._currentWorkflow = DownloadManager.createWorkflow(url, steps, compilerOptions);
+            this._currentWorkflowUrl = url;
+            this._currentWorkflowSteps = steps;
+            this._resultsPrimaryAction = 'download';
+
+            console.log(`📂 Imported "${title}": ${steps.length} steps → ${this._currentWorkflow.length} nodes`);
+
+            this.ui.showResults(steps.length, this._settings.viewportPreset);
+            this._renderParameters();
+            this._renderThumbnails();
+            if (skipped.length > 0) {
+                this.ui.showToast(`Imported "${title}" (${skipped.length} step(s) skipped)`, 'info', 3200);
+            } else {
+                this.ui.showSuccess(`✓ Imported "${title}"`);
+            }
+        } catch (error) {
+            console.error('❌ Recorder import failed:', error);
+            this.ui.showError('Failed to import: ' + error.message);
+        }
+    }
+
     /**
      * Handle Copy to Clipboard
      * Specifically copies the Workflow (IR) format as requested
@@ -443,6 +632,8 @@ class PopupController {
             // Show results view so user can convert viewport then copy
             this.ui.closeDropdown();
             this.ui.showResults(capturedSteps.length, this._settings.viewportPreset);
+            this._renderParameters();
+            this._renderThumbnails();
             this.ui.showToast('Converta (opcional) e clique em "Copy Workflow".', 'info', 3200);
 
         } catch (error) {
@@ -451,6 +642,96 @@ class PopupController {
         }
     }
 
+    // ─── Library Handlers ────────────────────────────────
+
+    /**
+     * Open library view with saved sessions
+     */
+    async _handleOpenLibrary() {
+        try {
+            this.ui.renderLibrary(await SessionLibrary.list());
+            this.ui.showLibrary();
+        } catch (error) {
+            console.error('❌ Failed to load library:', error);
+            this.ui.showError('Failed to load library: ' + error.message);
+        }
+    }
+
+    /**
+     * Close library and return to main view
+     */
+    async _handleCloseLibrary() {
+        const state = await StorageManager.getRecordingState();
+        this.ui.hideLibrary(state.isRecording, state.eventCount || 0);
+        this._restoreTimer(state);
+    }
+
+    /**
+     * Handle library item action
+     * @param {string} action - 'open' | 'rename' | 'duplicate' | 'delete'
+     * @param {string} id - Session id
+     * @param {string} [value] - New name (rename)
+     */
+    async _handleLibraryAction(action, id, value) {
+        try {
+            switch (action) {
+                case 'open':
+                    await this._openLibrarySession(id);
+                    return;
+                case 'rename':
+                    await SessionLibrary.rename(id, value);
+                    break;
+                case 'duplicate':
+                    await SessionLibrary.duplicate(id);
+                    this.ui.showSuccess('✓ Recording duplicated');
+                    break;
+                case 'delete':
+                    await SessionLibrary.remove(id);
+                    this.ui.showSuccess('✓ Recording deleted');
+                    break;
+                default:
+                    return;
+            }
+
+            this.ui.renderLibrary(await SessionLibrary.list());
+        } catch (error) {
+            console.error(`❌ Library ${action} failed:`, error);
+            this.ui.showError(`Failed to ${action}: ` + error.message);
+        }
+    }
+
+    /**
+     * Re-open a saved session: compila com o snapshot de settings da gravação
+     * e abre o results view (copy, download, replay, debug).
+     * @param {string} id
+     * @private
+     */
+    async _openLibrarySession(id) {
+        const session = await SessionLibrary.get(id);
+        if (!session || session.steps.length === 0) {
+            this.ui.showError('Recording not found or empty');
+            return;
+        }
+
+        const compilerOptions = {
+            screenshotMode: session.settings?.screenshotMode || this._settings.screenshotMode,
+            viewportPreset: session.settings?.viewportPreset || this._settings.viewportPreset
+        };
+
+        this._currentWorkflow = DownloadManager.createWorkflow(session.url, session.steps, compilerOptions);
+        this._currentWorkflowUrl = session.url;
+        this._currentWorkflowSteps = session.steps;
+        this._resultsPrimaryAction = 'download';
+        this.ui.renderReplayReport(null);
+
+        console.log(`📚 Opened "${session.name}": ${this._currentWorkflow.length} nodes`);
+
+        this.ui.showResults(session.steps.length, compilerOptions.viewportPreset);
+        this._renderParameters();
+        this._renderThumbnails();
+        this.ui.showSuccess(`✓ Opened "${session.name}"`);
+    }
+
     // ─── Settings Handlers ───────────────────────────────
 
     /**
@@ -486,12 +767,39 @@ class PopupController {
             }
         }
 
-        const state = await StorageManager.getRecordingState();
-        this.ui.hideSettings(state.isRecording, state.eventCount || 0);
+        // Cancel assert shortcut recording if active
+        if (this._isRecordingAssertShortcut) {
+            this._isRecordingAssertShortcut = false;
+            this.ui.setAssertShortcutRecording(false);
+            this.ui.updateAssertShortcutDisplay(this._settings.assertShortcut);
+            if (this._assertShortcutListener) {
+                document.removeEventListener('keydown', this._assertShortcutListener);
+            }
+        }
+
+        // Cancel pause shortcut recording if active
+        if (this._isRecordingPauseShortcut) {
+            this._isRecordingPauseShortcut = false;
+            this.ui.setPauseShortcutRecording(false);
+            this.ui.updatePauseShortcutDisplay(this._settings.pauseShortcut);
+            if (this._pauseShortcutListener) {
+                document.removeEventListener('keydown', this._pauseShortcutListener);
+            }
+        }
 
-        if (state.isRecording && state.startTime && !this.timer._interval) {
-            this.timer.start(state.startTime);
+        // Cancel undo shortcut recording if active
+        if (this._isRecordingUndoShortcut) {
+            this._isRecordingUndoShortcut = false;
+            this.ui.setUndoShortcutRecording(false);
+            this.ui.updateUndoShortcutDisplay(this._settings.undoShortcut);
+            if (this._undoShortcutListener) {
+                document.removeEventListener('keydown', this._undoShortcutListener);
+            }
         }
+
+        const state = await StorageManager.getRecordingState();
+        this.ui.hideSettings(state.isRecording, state.eventCount || 0);
+        this._restoreTimer(state);
         if (!state.isRecording && state.eventCount > 0) {
             this.ui.enableDownload(state.eventCount);
         }
@@ -515,6 +823,36 @@ class PopupController {
         }
     }
 
+    /**
+     * Validate and save redaction rules edited in settings
+     * @param {string} text - "name = /pattern/flags" per line
+     */
+    async _handleRedactionRulesChange(text) {
+        const { rules, errors } = Redactor.parseRules(text);
+        if (errors.length > 0) {
+            this.ui.showError(errors[0]);
+            return;
+        }
+
+        await this._handleSettingChange('redactionRules', rules);
+        this.ui.showSuccess(`✓ ${rules.length} redaction rule(s) saved`);
+    }
+
+    /**
+     * Validate and save per-site selector profiles edited in settings
+     * @param {string} text - "host: attrs=...; ignore=...; ban=..." per line
+     */
+    async _handleSelectorProfilesChange(text) {
+        const { profiles, errors } = SelectorProfiles.parse(text);
+        if (errors.length > 0) {
+            this.ui.showError(errors[0]);
+            return;
+        }
+
+        await this._handleSettingChange('selectorProfiles', profiles);
+        this.ui.showSuccess(`✓ ${profiles.length} selector profile(s) saved`);
+    }
+
     /**
      * Handle shortcut recorder button click
      */
@@ -612,6 +950,147 @@ class PopupController {
         document.addEventListener('keydown', this._expandShortcutListener);
     }
 
+    /**
+     * Handle assert shortcut recorder button click
+     */
+    _handleAssertShortcutRecord() {
+        if (this._isRecordingAssertShortcut) {
+            this._isRecordingAssertShortcut = false;
+            this.ui.setAssertShortcutRecording(false);
+            this.ui.updateAssertShortcutDisplay(this._settings.assertShortcut);
+            if (this._assertShortcutListener) {
+                document.removeEventListener('keydown', this._assertShortcutListener);
+            }
+            return;
+        }
+
+        this._isRecordingAssertShortcut = true;
+        this.ui.setAssertShortcutRecording(true);
+
+        this._assertShortcutListener = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+            if (!e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey) {
+                this.ui.showError('Use at least one modifier (Ctrl, Shift, Alt)');
+                return;
+            }
+
+            const shortcut = {
+                ctrl: e.ctrlKey,
+                shift: e.shiftKey,
+                alt: e.altKey,
+                meta: e.metaKey,
+                key: e.key.length === 1 ? e.key.toUpperCase() : e.key
+            };
+
+            this._isRecordingAssertShortcut = false;
+            this.ui.setAssertShortcutRecording(false);
+            this.ui.updateAssertShortcutDisplay(shortcut);
+            document.removeEventListener('keydown', this._assertShortcutListener);
+
+            this._handleSettingChange('assertShortcut', shortcut);
+        };
+
+        document.addEventListener('keydown', this._assertShortcutListener);
+    }
+
+    /**
+     * Handle pause shortcut recorder button click
+     */
+    _handlePauseShortcutRecord() {
+        if (this._isRecordingPauseShortcut) {
+            this._isRecordingPauseShortcut = false;
+            this.ui.setPauseShortcutRecording(false);
+            this.ui.updatePauseShortcutDisplay(this._settings.pauseShortcut);
+            if (this._pauseShortcutListener) {
+                document.removeEventListener('keydown', this._pauseShortcutListener);
+            }
+            return;
+        }
+
+        this._isRecordingPauseShortcut = true;
+        this.ui.setPauseShortcutRecording(true);
+
+        this._pauseShortcutListener = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+            if (!e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey) {
+                this.ui.showError('Use at least one modifier (Ctrl, Shift, Alt)');
+                return;
+            }
+
+            const shortcut = {
+                ctrl: e.ctrlKey,
+                shift: e.shiftKey,
+                alt: e.altKey,
+                meta: e.metaKey,
+                key: e.key.length === 1 ? e.key.toUpperCase() : e.key
+            };
+
+            this._isRecordingPauseShortcut = false;
+            this.ui.setPauseShortcutRecording(false);
+            this.ui.updatePauseShortcutDisplay(shortcut);
+            document.removeEventListener('keydown', this._pauseShortcutListener);
+
+            this._handleSettingChange('pauseShortcut', shortcut);
+        };
+
+        document.addEventListener('keydown', this._pauseShortcutListener);
+    }
+
+    /**
+     * Handle undo shortcut recorder button click
+     */
+    _handleUndoShortcutRecord() {
+        if (this._isRecordingUndoShortcut) {
+            this._isRecordingUndoShortcut = false;
+            this.ui.setUndoShortcutRecording(false);
+            this.ui.updateUndoShortcutDisplay(this._settings.undoShortcut);
+            if (this._undoShortcutListener) {
+                document.removeEventListener('keydown', this._undoShortcutListener);
+            }
+            return;
+        }
+
+        this._isRecordingUndoShortcut = true;
+        this.ui.setUndoShortcutRecording(true);
+
+        this._undoShortcutListener = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+            if (!e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey) {
+                this.ui.showError('Use at least one modifier (Ctrl, Shift, Alt)');
+                return;
+            }
+
+            const shortcut = {
+                ctrl: e.ctrlKey,
+                shift: e.shiftKey,
+                alt: e.altKey,
+                meta: e.metaKey,
+                key: e.key.length === 1 ? e.key.toUpperCase() : e.key
+            };
+
+            this._isRecordingUndoShortcut = false;
+            this.ui.setUndoShortcutRecording(false);
+            this.ui.updateUndoShortcutDisplay(shortcut);
+            document.removeEventListener('keydown', this._undoShortcutListener);
+
+            this._handleSettingChange('undoShortcut', shortcut);
+        };
+
+        document.addEventListener('keydown', this._undoShortcutListener);
+    }
+
     /**
      * Handle viewport conversion request
      * @param {string} targetPreset - 'desktop' | 'mobile'
@@ -671,7 +1150,7 @@ class PopupController {
     /**
      * Handle download workflow (IR format) from More Options
      */
-    _handleDownloadWorkflow() {
+    async _handleDownloadWorkflow() {
         try {
             if (!this._currentWorkflow) {
                 this.ui.showError('No workflow data to download');
@@ -683,18 +1162,179 @@ class PopupController {
             const filename = `workflow_${currentPreset}_${timestamp}.json`;
 
             DownloadManager.downloadJSON(this._currentWorkflow, filename);
-            this.ui.showSuccess(`✓ Downloaded workflow (${currentPreset})`);
+            const images = await this._bundleThumbnails(this._currentWorkflowSteps, filename);
+            this.ui.showSuccess(`✓ Downloaded workflow (${currentPreset})${this._imagesNote(images)}`);
         } catch (error) {
             console.error('❌ Download workflow failed:', error);
             this.ui.showError('Failed to download: ' + error.message);
         }
     }
 
+    /**
+     * Handle Playwright / Puppeteer export of the current workflow from More Options
+     * (inclui variáveis promovidas e data table, ao contrário do dropdown do idle view)
+     * @param {'playwright'|'puppeteer'} format
+     */
+    async _handleDownloadCurrentScript(format) {
+        if (!this._currentWorkflow) {
+            this.ui.showError('No workflow data to export');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const scriptFile = format === 'playwright'
+            ? `flow_capture_${timestamp}.spec.js`
+            : `flow_capture_${timestamp}.puppeteer.js`;
+        const ok = format === 'playwright'
+            ? DownloadManager.downloadWorkflowAsPlaywright(this._currentWorkflow, scriptFile)
+            : DownloadManager.downloadWorkflowAsPuppeteer(this._currentWorkflow, scriptFile);
+        const label = format === 'playwright' ? 'Playwright spec' : 'Puppeteer script';
+
+        if (ok) {
+            const images = await this._bundleThumbnails(this._currentWorkflowSteps, scriptFile);
+            this.ui.showSuccess(`✓ ${label} generated${this._imagesNote(images)}`);
+        } else {
+            this.ui.showError(`Failed to generate ${label}`);
+        }
+    }
+
+    // ─── Thumbnails ─────────────────────────────────────
+
+    /**
+     * Thumbnails (ThumbnailStore) of the capture points / checkpoints among the steps
+     * @param {Array} steps - Captured steps
+     * @returns {Promise<Array<{index: number, label: string, blob: Blob}>>} In step order
+     * @private
+     */
+    async _captureImages(steps) {
+        const captures = (steps || [])
+            .map((step, i) => ({ step, index: i + 1 }))
+            .filter(({ step }) => ['capture_point', 'checkpoint'].includes(step.trigger?.type));
+        if (captures.length === 0) return [];
+
+        const records = await ThumbnailStore.getMany(captures.map(({ step }) => step.step_id));
+        return captures
+            .filter(({ step }) => records.has(step.step_id))
+            .map(({ step, index }) => ({
+                index,
+                label: step.label || step.trigger.captureLabel || (step.trigger.type === 'checkpoint' ? 'Checkpoint' : 'Capture point'),
+                blob: records.get(step.step_id).blob
+            }));
+    }
+
+    /**
+     * Refresh the Capture Points section of the results view
+     * @private
+     */
+    async _renderThumbnails() {
+        try {
+            this.ui.renderThumbnails(await this._captureImages(this._currentWorkflowSteps));
+        } catch (error) {
+            console.warn('⚠️ Failed to load thumbnails:', error);
+            this.ui.renderThumbnails([]);
+        }
+    }
+
+    /**
+     * Download the thumbnails next to an export when settings.bundleThumbnails is on
+     * @param {Array} steps - Captured steps of the export
+     * @param {string} exportFilename
+     * @returns {Promise<number>} Images downloaded
+     * @private
+     */
+    async _bundleThumbnails(steps, exportFilename) {
+        if (!this._settings.bundleThumbnails) return 0;
+        try {
+            return DownloadManager.downloadReferenceImages(await this._captureImages(steps), exportFilename);
+        } catch (error) {
+            console.warn('⚠️ Failed to bundle thumbnails:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * @param {number} images
+     * @returns {string} " + 2 reference images" (empty when none)
+     * @private
+     */
+    _imagesNote(images) {
+        return images > 0 ? ` + ${images} reference image${images === 1 ? '' : 's'}` : '';
+    }
+
+    // ─── Parameters ─────────────────────────────────────
+
+    /**
+     * Refresh the Parameters section from the current workflow
+     * @private
+     */
+    _renderParameters() {
+        if (!this._currentWorkflow) return;
+
+        this.ui.renderParameters({
+            candidates: WorkflowVariables.findCandidates(this._currentWorkflow),
+            variables: WorkflowVariables.getDeclared(this._currentWorkflow),
+            dataTable: WorkflowVariables.getDataTable(this._currentWorkflow)
+        });
+    }
+
+    /**
+     * Handle Parameters section actions (promote value, base URL, data table)
+     * @param {string} action - 'promote' | 'baseUrl' | 'attachData' | 'detachData'
+     * @param {*} payload
+     */
+    async _handleParametersAction(action, payload) {
+        if (!this._currentWorkflow) {
+            this.ui.showError('No workflow data to parameterize');
+            return;
+        }
+
+        try {
+            switch (action) {
+                case 'promote': {
+                    const { path, field, name } = payload;
+                    this._currentWorkflow = WorkflowVariables.promote(this._currentWorkflow, path, field, name);
+                    this.ui.showSuccess(`✓ Value now uses {{${WorkflowVariables.sanitizeName(name)}}}`);
+                    break;
+                }
+                case 'baseUrl':
+                    this._currentWorkflow = WorkflowVariables.promoteBaseUrl(this._currentWorkflow);
+                    this.ui.showSuccess('✓ URLs now use {{baseUrl}}');
+                    break;
+                case 'attachData': {
+                    const rows = WorkflowVariables.parseDataTable(await payload.text(), payload.name);
+                    this._currentWorkflow = WorkflowVariables.attachDataTable(this._currentWorkflow, rows);
+                    this.ui.showSuccess(`✓ Flow will run once per row (${rows.length} rows)`);
+                    break;
+                }
+                case 'detachData':
+                    this._currentWorkflow = WorkflowVariables.detachDataTable(this._currentWorkflow);
+                    this.ui.showSuccess('✓ Data table removed');
+                    break;
+                default:
+                    return;
+            }
+        } catch (error) {
+            console.error('❌ Parameters action failed:', error);
+            this.ui.showError(error.message);
+        }
+
+        this._renderParameters();
+    }
+
     /**
      * Handle download intent (legacy format) from More Options
      */
     async _handleDownloadIntent() {
         try {
+            // Sessão aberta da biblioteca / importada: os steps não estão na aba
+            if (this._currentWorkflowSteps) {
+                const intent = DownloadManager.createIntent(this._currentWorkflowUrl, this._currentWorkflowSteps);
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+                DownloadManager.downloadJSON(intent, `intent_${timestamp}.json`);
+                this.ui.showSuccess('✓ Downloaded intent (legacy)');
+                return;
+            }
+
             const tab = await getActiveTab();
             if (!tab) return;
 
@@ -713,6 +1353,160 @@ class PopupController {
         }
     }
 
+    /**
+     * Handle replay of the current workflow in the active tab
+     */
+    async _handleReplayWorkflow() {
+        if (!this._currentWorkflow) {
+            this.ui.showError('No workflow data to replay');
+            return;
+        }
+
+        this.ui.setReplayLoading(true);
+        this.ui.renderReplayReport(null);
+
+        try {
+            const tab = await getActiveTab();
+            if (!tab) {
+                this.ui.showError('No active tab found');
+                return;
+            }
+
+            const message = { action: MESSAGE_ACTIONS.REPLAY_WORKFLOW, workflow: this._currentWorkflow };
+            let response;
+            try {
+                response = await sendTabMessage(tab.id, message);
+            } catch (err) {
+                if (err.message?.includes('Could not establish connection') ||
+                    err.message?.includes('Receiving end does not exist')) {
+                    response = await this._injectAndRetry(tab.id, message);
+                } else {
+                    throw err;
+                }
+            }
+
+            if (response?.status !== 'completed') {
+                throw new Error(response?.message || 'Replay did not complete');
+            }
+
+            const { summary, extracted } = response.report;
+            this.ui.renderReplayReport(response.report);
+
+            // OUTPUT: dados dos EXTRACT viram o JSON configurado no node
+            if (extracted && Object.keys(extracted).length > 0) {
+                const output = this._currentWorkflow.find(n => n.type === 'OUTPUT');
+                const filename = output?.params?.extractedData?.filename || 'extracted-data.json';
+                DownloadManager.downloadJSON(extracted, filename);
+            }
+
+            if (summary.failed > 0) {
+                this.ui.showError(`Replay: ${summary.failed} of ${summary.total} nodes failed`);
+            } else {
+                this.ui.showSuccess(`✓ Replay passed (${summary.passed}/${summary.total} nodes)`);
+            }
+        } catch (error) {
+            console.error('❌ Replay failed:', error);
+            this.ui.showError('Replay failed: ' + error.message);
+        } finally {
+            this.ui.setReplayLoading(false);
+        }
+    }
+
+    /**
+     * Check the current workflow's selectors against the active tab (no actions run)
+     */
+    async _handleValidateSelectors() {
+        if (!this._currentWorkflow) {
+            this.ui.showError('No workflow data to validate');
+            return;
+        }
+
+        this.ui.setValidateLoading(true);
+        this.ui.renderReplayReport(null);
+
+        try {
+            const tab = await getActiveTab();
+            if (!tab) {
+                this.ui.showError('No active tab found');
+                return;
+            }
+
+            const message = { action: MESSAGE_ACTIONS.VALIDATE_SELECTORS, workflow: this._currentWorkflow };
+            let response;
+            try {
+                response = await sendTabMessage(tab.id, message);
+            } catch (err) {
+                if (err.message?.includes('Could not establish connection') ||
+                    err.message?.includes('Receiving end does not exist')) {
+                    response = await this._injectAndRetry(tab.id, message);
+                } else {
+                    throw err;
+                }
+            }
+
+            if (response?.status !== 'completed') {
+                throw new Error(response?.message || 'Validation did not complete');
+            }
+
+            const { summary } = response.report;
+            this.ui.renderHealthReport(response.report);
+
+            const problems = summary.degraded + summary.ambiguous + summary.broken;
+            if (summary.total === 0) {
+                this.ui.showSuccess('No CLICK/TYPE/EXPAND selectors to validate');
+            } else if (problems > 0) {
+                this.ui.showError(`Selectors: ${problems} of ${summary.total} nodes need attention`);
+            } else {
+                this.ui.showSuccess(`✓ All ${summary.total} selectors resolve`);
+            }
+        } catch (error) {
+            console.error('❌ Selector validation failed:', error);
+            this.ui.showError('Validation failed: ' + error.message);
+        } finally {
+            this.ui.setValidateLoading(false);
+        }
+    }
+
+    /**
+     * Open the step-through debugger for the current workflow in the active tab
+     */
+    async _handleDebugWorkflow() {
+        if (!this._currentWorkflow) {
+            this.ui.showError('No workflow data to debug');
+            return;
+        }
+
+        try {
+            const tab = await getActiveTab();
+            if (!tab) {
+                this.ui.showError('No active tab found');
+                return;
+            }
+
+            const message = { action: MESSAGE_ACTIONS.DEBUG_WORKFLOW, workflow: this._currentWorkflow };
+            let response;
+            try {
+                response = await sendTabMessage(tab.id, message);
+            } catch (err) {
+                if (err.message?.includes('Could not establish connection') ||
+                    err.message?.includes('Receiving end does not exist')) {
+                    response = await this._injectAndRetry(tab.id, message);
+                } else {
+                    throw err;
+                }
+            }
+
+            if (response?.status !== 'debugging') {
+                throw new Error(response?.message || 'Debugger did not open');
+            }
+
+            this.ui.showSuccess('✓ Debugger opened on the page');
+        } catch (error) {
+            console.error('❌ Debugger failed:', error);
+            this.ui.showError('Debugger failed: ' + error.message);
+        }
+    }
+
     /**
      * Handle back to recording button - reset to idle state
      */
@@ -723,6 +1517,7 @@ class PopupController {
             this._currentWorkflow = null;
             this._currentWorkflowUrl = null;
             this._currentWorkflowSteps = null;
+            this.ui.renderReplayReport(null);
 
             // Reset to idle state
             this.ui.hideResults();
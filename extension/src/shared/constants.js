@@ -35,7 +35,11 @@ export const CONFIG = {
     SELECTOR: {
         // Fixed: removed 'show', 'active', 'visible' - these are semantic, not utility classes
         UTILITY_CLASS_PATTERN: /^(d-|flex-|align-|justify-|m[tbrl]?-|p[tbrl]?-|w-|h-|text-|bg-|border-|gap-)/,
-        MAX_SELECTOR_LENGTH: 100
+        MAX_SELECTOR_LENGTH: 100,
+        // Score de estabilidade (SelectorEngine.scoreSelector) abaixo disso = seletor frágil
+        FRAGILE_SCORE: 50,
+        // host >>> inner: cada parte é resolvida no shadowRoot do elemento anterior
+        SHADOW_PIERCE: ' >>> '
     },
 
     MUTATION_OBSERVER: {
@@ -62,10 +66,23 @@ export const MESSAGE_ACTIONS = {
     TOGGLE_OVERLAY: 'toggleOverlay',
     START_RECORDING: 'startRecording',
     STOP_RECORDING: 'stopRecording',
+    PAUSE_RECORDING: 'pauseRecording',
+    RESUME_RECORDING: 'resumeRecording',
     CAPTURE_STATE: 'captureState',
     MARK_CAPTURE: 'markCapture',
     GET_INTENT: 'getIntent',
     INTENT_UPDATED: 'intentUpdated',
+    REPLAY_WORKFLOW: 'replayWorkflow',
+    DEBUG_WORKFLOW: 'debugWorkflow',
+    VALIDATE_SELECTORS: 'validateSelectors',
+    HEAL_STEP: 'healStep',
+    FRAME_STEP: 'frameStep',
+    FRAME_RECORDING: 'frameRecording',
+    TAB_ROLE: 'getTabRole',
+    TAB_EVENT: 'tabEvent',
+    FRAME_COMMAND: 'frameCommand',
+    CAPTURE_THUMBNAIL: 'captureThumbnail',
+    GET_THUMBNAILS: 'getThumbnails',
     LOG: 'log'
 };
 
@@ -89,19 +106,37 @@ export const SUCCESS_MESSAGES = {
 export const STORAGE_KEYS = {
     IS_RECORDING: 'isRecording',
     START_TIME: 'startTime',
+    START_URL: 'startUrl', // página onde a gravação começou (sobrevive às navegações)
     EVENT_COUNT: 'eventCount',
     INTENT_DATA: 'intentData',
     RECORDED_STEPS: 'recordedSteps',
-    SETTINGS: 'fcSettings'
+    RECORDING_PAUSE: 'recordingPause', // { at, url } enquanto pausado, null gravando
+    SETTINGS: 'fcSettings',
+    SESSION_LIBRARY: 'fcSessionLibrary',
+    SESSION_STEPS_PREFIX: 'fcSession:',
+    TAB_SESSION: 'fcTabSession' // chrome.storage.session, escrito pelo background
 };
 
 export const DEFAULT_SETTINGS = {
     captureShortcut: { ctrl: true, shift: true, key: 'C' },
     expandShortcut: { ctrl: true, shift: true, key: 'E' },
+    undoShortcut: { ctrl: true, shift: true, key: 'Backspace' }, // remove o último step gravado
+    assertShortcut: { ctrl: true, shift: true, key: 'K' }, // liga/desliga o modo assert
+    pauseShortcut: { ctrl: true, shift: true, key: 'P' }, // pausa/retoma a gravação
     defaultExportFormat: 'workflow',
+    bundleThumbnails: false, // exports também baixam as miniaturas dos capture points
     autoMinimizeOverlay: true,
     showRecordingIndicator: true,
     manualExpandStep: 50,
     screenshotMode: 'dynamic', // 'dynamic' | 'fullpage' | 'viewport'
-    viewportPreset: 'desktop' // 'desktop' | 'mobile'
+    viewportPreset: 'desktop', // 'desktop' | 'mobile'
+    redactInputs: true, // regras abaixo; password/cc-*/one-time-code são sempre mascarados
+    // CPF/CNPJ/telefone só formatados: números soltos (pedido, quantidade, conta) ficam como digitados
+    redactionRules: [
+        { name: 'email', pattern: '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}', flags: 'gi' },
+        { name: 'cnpj', pattern: '\\b\\d{2}\\.\\d{3}\\.\\d{3}\\/\\d{4}-\\d{2}\\b', flags: 'g' },
+        { name: 'cpf', pattern: '\\b\\d{3}\\.\\d{3}\\.\\d{3}-\\d{2}\\b', flags: 'g' },
+        { name: 'phone', pattern: '(?:\\+\\d{1,3}[\\s-]?\\(?\\d{2,3}\\)?|\\(\\d{2,3}\\))[\\s-]?\\d{4,5}[\\s-]\\d{4}\\b', flags: 'g' }
+    ],
+    selectorProfiles: [] // por hostname — ver SelectorProfiles (attrs de test-id, classes ignoradas, estratégias banidas)
 };
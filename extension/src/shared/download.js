@@ -1,11 +1,15 @@
 /**
  * FlowCapture - Download Manager
- * Gera intent estruturado e exporta em JSON/CSV/Markdown.
+ * Gera intent estruturado e exporta em JSON/CSV/Markdown/Playwright/Puppeteer/DevTools Recorder.
+ * Miniaturas dos capture points podem acompanhar o export como imagens de referência.
  */
 
 import { CONFIG } from './constants.js';
 import { TraceInterpreter } from './trace-interpreter.js';
 import { WorkflowCompiler } from './workflow-compiler.js';
+import { PlaywrightExporter } from './playwright-exporter.js';
+import { PuppeteerExporter } from './puppeteer-exporter.js';
+import { RecorderConverter } from './recorder-converter.js';
 
 export class DownloadManager {
     static createIntent(url, steps) {
@@ -223,8 +227,11 @@ export class DownloadManager {
     }
 
     static downloadText(text, filename, mimeType = 'text/plain;charset=utf-8') {
+        return this.downloadBlob(new Blob([text], { type: mimeType }), filename);
+    }
+
+    static downloadBlob(blob, filename) {
         try {
-            const blob = new Blob([text], { type: mimeType });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -241,11 +248,24 @@ export class DownloadManager {
 
             return true;
         } catch (error) {
-            console.error('Text download failed:', error);
+            console.error('Download failed:', error);
             return false;
         }
     }
 
+    /**
+     * Miniaturas (ThumbnailStore) ao lado de um export: <export>_ref_step03.jpg
+     * @param {Array<{index: number, blob: Blob}>} images - index = posição do step (1-based)
+     * @param {string} exportFilename - Arquivo principal; o nome sem extensão vira o prefixo
+     * @returns {number} Imagens baixadas
+     */
+    static downloadReferenceImages(images, exportFilename) {
+        const base = exportFilename.split('.')[0];
+        return (images || []).filter(({ index, blob }) =>
+            this.downloadBlob(blob, `${base}_ref_step${String(index).padStart(2, '0')}.jpg`)
+        ).length;
+    }
+
     /**
      * CSV com a nova estrutura: visual_settling ao invés de visual_changes array
      */
@@ -346,6 +366,54 @@ export class DownloadManager {
         }
     }
 
+    /**
+     * User flow JSON importável no Chrome DevTools Recorder
+     * @param {Array} steps - Captured steps
+     * @param {string} url - URL inicial da gravação
+     * @param {string} filename
+     */
+    static downloadStepsAsRecorder(steps, url, filename = 'flow_capture.recording.json') {
+        try {
+            const flow = RecorderConverter.fromCapturedSteps(steps, { url, title: `FlowCapture - ${url}` });
+            return this.downloadText(JSON.stringify(flow, null, 2), filename, 'application/json;charset=utf-8');
+        } catch (error) {
+            console.error('Recorder export failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Spec @playwright/test gerado a partir do workflow IR compilado
+     * @param {Array} workflow - Workflow IR
+     * @param {string} filename
+     * @param {Object} options - Repassado ao PlaywrightExporter (testName, screenshots)
+     */
+    static downloadWorkflowAsPlaywright(workflow, filename = 'flow_capture.spec.js', options = {}) {
+        try {
+            const spec = PlaywrightExporter.generate(workflow, options);
+            return this.downloadText(spec, filename, 'text/javascript;charset=utf-8');
+        } catch (error) {
+            console.error('Playwright export failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Script Node standalone para Puppeteer gerado a partir do workflow IR
+     * @param {Array} workflow - Workflow IR
+     * @param {string} filename
+     * @param {Object} options - Repassado ao PuppeteerExporter (headless)
+     */
+    static downloadWorkflowAsPuppeteer(workflow, filename = 'flow_capture.puppeteer.js', options = {}) {
+        try {
+            const script = PuppeteerExporter.generate(workflow, options);
+            return this.downloadText(script, filename, 'text/javascript;charset=utf-8');
+        } catch (error) {
+            console.error('Puppeteer export failed:', error);
+            return false;
+        }
+    }
+
     static async copyToClipboard(intentData) {
         try {
             const json = JSON.stringify(intentData, null, CONFIG.EXPORT.INDENT_SPACES);
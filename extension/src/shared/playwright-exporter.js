@@ -0,0 +1,895 @@
+/**
+ * FlowCapture - Playwright Exporter
+ * Converte o workflow IR compilado em um spec @playwright/test executável.
+ *
+ * Mapping:
+ * - START       → test.use({ viewport }) + page.goto
+ * - CLICK       → getByRole(elementRole, { name: elementName }) com fallbacks
+ * - TYPE        → locator.fill
+ * - DRAG        → locator.dragTo(target) ou dragBy(locator, offset) com mouse real
+ * - UPLOAD      → locator.setInputFiles(paths) ([] limpa); mode "drop" → dropFiles(locator, paths)
+ * - SELECT_OPTION → locator.selectOption (native) / fill (datalist); combobox → click + fill(query) + getByRole('option').click()
+ * - HANDLE_DIALOG → page.once('dialog', ...) registrado antes da ação que abre o dialog
+ * - WAIT        → page.waitForTimeout / waitForLoadState
+ * - SCREENSHOT  → expect(page).toHaveScreenshot ou page.screenshot
+ * - params.frame → page.frameLocator(...) encadeado (ações, asserts e EXTRACT; SCREENSHOT do <iframe>)
+ * - WAIT_FOR_POPUP → tabs[i] = waitForTab(context, tabs)
+ * - SWITCH_TAB  → page = tabs[i] (os nodes seguintes usam a aba nova)
+ * - ELEMENT_SCAN + FOR_EACH_ELEMENT → loop sobre locator.nth(i)
+ * - ASSERT_TEXT    → toHaveText / toContainText (ou toHaveAttribute / toHaveValue / toBeChecked)
+ * - ASSERT_VISIBLE → toBeVisible
+ * - ASSERT_COUNT   → toHaveCount
+ * - EXTRACT        → extracted.<field> (array dentro de loops); OUTPUT grava o JSON
+ * - {{variáveis}}  → VARIABLES (defaults do START, sobrescritos por FC_<NOME>)
+ * - DATA_TABLE + FOR_EACH data-driven → um test() por linha de DATA
+ * - params.selectorScore.fragile → comentário ⚠ com os motivos antes da ação
+ */
+
+import { WorkflowVariables } from './workflow-variables.js';
+
+/**
+ * Tag → implicit ARIA role (only tags where the role is unambiguous)
+ */
+const TAG_ROLES = {
+    a: 'link',
+    button: 'button',
+    select: 'combobox',
+    textarea: 'textbox',
+    h1: 'heading',
+    h2: 'heading',
+    h3: 'heading',
+    h4: 'heading',
+    h5: 'heading',
+    h6: 'heading',
+    li: 'listitem',
+    img: 'img',
+    option: 'option',
+    nav: 'navigation',
+    dialog: 'dialog',
+    th: 'columnheader',
+    td: 'cell'
+};
+
+/** Playwright modifier names for recorded { ctrl, shift, alt, meta } */
+const MODIFIER_KEYS = { ctrl: 'Control', shift: 'Shift', alt: 'Alt', meta: 'Meta' };
+
+/** Max accessible-name length used in getByRole (longer text is too brittle) */
+const MAX_ROLE_NAME_LENGTH = 80;
+
+export class PlaywrightExporter {
+    /**
+     * Generate a @playwright/test spec from a compiled workflow
+     * @param {Array} workflow - Compiled IR nodes
+     * @param {Object} options
+     * @param {string} [options.testName] - Title of the generated test
+     * @param {'assert'|'capture'} [options.screenshots] - toHaveScreenshot (default) or page.screenshot
+     * @returns {string} Spec source code
+     * @throws {Error} When a node has no mapping (the script would come out incomplete)
+     */
+    static generate(workflow, options = {}) {
+        const nodes = Array.isArray(workflow) ? workflow : [];
+        const screenshots = options.screenshots === 'capture' ? 'capture' : 'assert';
+        const start = nodes.find(n => n.type === 'START');
+        const startUrl = WorkflowVariables.resolve(start?.params?.url || '', WorkflowVariables.getDeclared(nodes));
+
+        const ctx = {
+            screenshots,
+            scanVars: new Map(), // ELEMENT_SCAN id → variable name
+            usesFirstMatch: false,
+            usesTables: false,
+            usesDragBy: false,
+            usesDropFiles: false
+        };
+
+        const { entries, rows } = this._flatten(nodes);
+        const variables = this._variables(nodes);
+        ctx.rows = !!rows;
+        const extracts = this._hasExtract(entries);
+        const usesTabs = this._hasTabs(entries);
+
+        const body = [];
+        if (variables || rows) {
+            body.push(rows ? 'const vars = { ...VARIABLES, ...row };' : 'const vars = { ...VARIABLES };', '');
+        }
+        if (extracts) body.push('const extracted = {};', '');
+        if (usesTabs) body.push('const tabs = [page];', '');
+        entries.forEach(({ node, index }) => {
+            const lines = this._nodeLines(node, index, ctx);
+            const note = this._fragileSelectorNote(node.params);
+            if (note && lines.length > 0) lines.splice(1, 0, note);
+            if (lines.length > 0) body.push(...lines, '');
+        });
+        while (body.length && body[body.length - 1] === '') body.pop();
+
+        const testName = options.testName || `Recorded flow on ${this._hostname(startUrl) || 'page'}`;
+
+        const out = [
+            '// Generated by FlowCapture from workflow IR',
+            screenshots === 'assert'
+                ? '// First run: npx playwright test --update-snapshots (creates the screenshot baselines)'
+                : '// Screenshots are written to ./screenshots',
+            "import { test, expect } from '@playwright/test';",
+            ...(extracts || ctx.usesDropFiles ? ["import fs from 'fs';"] : []),
+            ''
+        ];
+
+        if (start) {
+            const p = start.params || {};
+            out.push('test.use({');
+            out.push(`    viewport: { width: ${p.viewportWidth || 1440}, height: ${p.viewportHeight || 900} },`);
+            out.push(`    deviceScaleFactor: ${p.devicePixelRatio || 1}`);
+            out.push('});');
+            out.push('');
+        }
+
+        if (variables || rows) {
+            out.push(...this._variableLines(variables || {}), '');
+        }
+        if (rows) {
+            out.push(`const DATA = ${JSON.stringify(rows, null, 4)};`, '');
+        }
+
+        if (ctx.usesFirstMatch) {
+            out.push(...this._firstMatchHelper(), '');
+        }
+        if (ctx.usesTables) {
+            out.push(...this._readTableHelper(), '');
+        }
+        if (usesTabs) {
+            out.push(...this._waitForTabHelper(), '');
+        }
+        if (ctx.usesDragBy) {
+            out.push(...this._dragByHelper(), '');
+        }
+        if (ctx.usesDropFiles) {
+            out.push(...this._dropFilesHelper(), '');
+        }
+
+        const fixtures = usesTabs ? '{ page, context }' : '{ page }';
+        if (rows) {
+            out.push('for (const [rowIndex, row] of DATA.entries()) {');
+            out.push(`    test(\`${this._interpolate(testName)} (row \${rowIndex + 1})\`, async (${fixtures}) => {`);
+            // Linhas multi-line (firstMatch) já trazem a indentação do corpo de um test() simples
+            body.forEach(line => out.push(line ? `        ${line.replace(/\n/g, '\n    ')}` : ''));
+            out.push('    });');
+            out.push('}');
+        } else {
+            out.push(`test(${this._str(testName)}, async (${fixtures}) => {`);
+            body.forEach(line => out.push(line ? `    ${line}` : ''));
+            out.push('});');
+        }
+        out.push('');
+
+        return out.join('\n');
+    }
+
+    // ─── Node Mapping ───────────────────────────────────
+
+    /**
+     * Comment line flagging a node whose recorded selector scored as fragile
+     * @returns {string|null}
+     * @private
+     */
+    static _fragileSelectorNote(p) {
+        const quality = p?.selectorScore;
+        if (!quality?.fragile) return null;
+        const reasons = quality.reasons?.length ? `: ${quality.reasons.join(', ')}` : '';
+        return `// ⚠ Fragile selector (score ${quality.score}${reasons}) — consider adding a test id`;
+    }
+
+    /**
+     * Map one IR node to spec lines (unindented, relative to the test body)
+     * @private
+     */
+    static _nodeLines(node, index, ctx) {
+        const p = node.params || {};
+        const comment = `// #${index} ${node.label || node.type}`;
+
+        switch (node.type) {
+            case 'START':
+                return p.url
+                    ? [comment, `await page.goto(${this._str(p.url)});`]
+                    : [];
+
+            case 'GOTO':
+                return [comment, `await page.goto(${this._str(p.url)}, { waitUntil: ${this._str(this._waitUntil(p.waitUntil))} });`];
+
+            case 'WAIT':
+                return [comment, ...this._waitLines(p)];
+
+            case 'WAIT_FOR_POPUP':
+                return [comment, `tabs[${Number(p.tabIndex) || 0}] = await waitForTab(context, tabs, ${p.timeoutMs || 15000});`];
+
+            case 'SWITCH_TAB':
+                return [comment, `page = tabs[${Number(p.tabIndex) || 0}];`, 'await page.bringToFront();'];
+
+            case 'WAIT_FOR_NAVIGATION':
+                return [comment, `await page.waitForLoadState(${this._str(this._waitUntil(p.waitUntil))});`];
+
+            case 'CLICK': {
+                const target = this._target(this._clickCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                const lines = [comment, `await ${target}.click(${this._clickOptions(p)});`];
+                if (p.expectNavigation) lines.push("await page.waitForLoadState('load');");
+                return lines;
+            }
+
+            case 'TYPE': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                return [comment, `await ${target}.fill(${this._str(p.text ?? '')});`];
+            }
+
+            case 'DRAG': {
+                const source = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                if (p.mode === 'element' && p.target) {
+                    const target = this._target(this._selectorCandidates({
+                        selector: p.target,
+                        selectorFallbacks: p.targetFallbacks
+                    }).map(c => this._inFrame(c, p.frame)), ctx);
+                    return [comment, `await ${source}.dragTo(${target});`];
+                }
+                ctx.usesDragBy = true;
+                return [comment, `await dragBy(page, ${source}, ${p.offset?.x || 0}, ${p.offset?.y || 0});`];
+            }
+
+            case 'UPLOAD': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                const files = `[${(p.files || []).map(file => this._str(file)).join(', ')}]`;
+                if (p.mode === 'drop') {
+                    ctx.usesDropFiles = true;
+                    const types = `[${(p.fileInfo || []).map(file => this._quote(file.mimeType || '')).join(', ')}]`;
+                    return [comment, `await dropFiles(${target}, ${files}, ${types});`];
+                }
+                return [comment, `await ${target}.setInputFiles(${files});`];
+            }
+
+            case 'SELECT_OPTION': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                if (p.mode === 'datalist') return [comment, `await ${target}.fill(${this._str(p.value ?? '')});`];
+                if (p.mode === 'combobox') {
+                    const option = this._inFrame(`page.getByRole('option', { name: ${this._str(p.label || p.value || '')}, exact: true })`, p.frame);
+                    return [
+                        comment,
+                        `await ${target}.click();`,
+                        ...(p.query ? [`await ${target}.fill(${this._str(p.query)});`] : []),
+                        `await ${option}.click();`
+                    ];
+                }
+                const choice = p.multiple
+                    ? `[${(p.values || []).map(value => this._str(value)).join(', ')}]`
+                    : `{ label: ${this._str(p.label ?? '')} }`;
+                return [comment, `await ${target}.selectOption(${choice});`];
+            }
+
+            case 'HANDLE_DIALOG': {
+                const response = p.action === 'dismiss'
+                    ? 'dialog.dismiss()'
+                    : `dialog.accept(${p.dialogType === 'prompt' ? this._str(p.promptText ?? '') : ''})`;
+                return [comment, `page.once('dialog', (dialog) => ${response});`];
+            }
+
+            case 'HOVER': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                const lines = [comment, `await ${target}.hover();`];
+                if (p.delayMs) lines.push(`await page.waitForTimeout(${p.delayMs});`);
+                return lines;
+            }
+
+            case 'SCROLL':
+                return [comment, `await page.evaluate(([x, y]) => window.scrollTo(x, y), [${p.x || 0}, ${p.y || 0}]);`];
+
+            case 'EXPAND': {
+                const target = this._target(this._selectorCandidates({
+                    selector: p.container,
+                    selectorFallbacks: p.containerFallbacks
+                }).map(c => this._inFrame(c, p.frame)), ctx);
+                const height = p.mode === 'absolute' && p.value ? `'${p.value}px'` : '`${el.scrollHeight}px`';
+                return [
+                    comment,
+                    `await ${target}.evaluate((el) => {`,
+                    `    el.style.setProperty('height', ${height}, 'important');`,
+                    "    el.style.setProperty('max-height', 'none', 'important');",
+                    '});'
+                ];
+            }
+
+            case 'SET_STYLE':
+                return [
+                    comment,
+                    `await ${this._inFrame(this._locator(p.selector), p.frame)}.evaluate((el, [prop, value, priority]) => el.style.setProperty(prop, value, priority), ` +
+                    `[${this._str(p.property)}, ${this._str(String(p.value))}, ${this._str(p.priority || '')}]);`
+                ];
+
+            case 'SCREENSHOT':
+                return [comment, this._screenshotLine(p, this._str(`${p.filename || `screenshot-${index}`}.png`), ctx)];
+
+            case 'ASSERT_TEXT': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                return [comment, `await expect(${target}).${this._textMatcher(p)};`];
+            }
+
+            case 'ASSERT_VISIBLE': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                return [comment, `await expect(${target}).${p.visible === false ? 'toBeHidden' : 'toBeVisible'}({ timeout: ${p.timeoutMs || 5000} });`];
+            }
+
+            case 'ASSERT_COUNT':
+                return [comment, `await expect(${this._inFrame(this._locator(p.selector), p.frame)}).toHaveCount(${Number(p.expected) || 0}, { timeout: ${p.timeoutMs || 5000} });`];
+
+            case 'ELEMENT_SCAN': {
+                const varName = this._identifier(node.id || `scan${index}`);
+                ctx.scanVars.set(node.id, varName);
+                return [
+                    comment,
+                    `const ${varName} = ${this._locator(p.rootSelector)}.locator(${this._str(`:scope > ${p.itemSelector}`)});`
+                ];
+            }
+
+            case 'FOR_EACH_ELEMENT':
+                return this._forEachLines(node, comment, ctx);
+
+            case 'PRINT':
+                return [`// ${p.severity === 'warning' ? '⚠️' : 'ℹ️'} ${p.message || node.label || ''}`];
+
+            case 'EXTRACT': {
+                const target = this._target(this._selectorCandidates(p).map(c => this._inFrame(c, p.frame)), ctx);
+                return [comment, `extracted.${p.field} = ${this._extractRead(target, p, ctx)};`];
+            }
+
+            case 'OUTPUT': {
+                const data = p.extractedData;
+                if (!data) return [];
+                const base = (data.filename || 'extracted-data.json').replace(/\.json$/, '');
+                const name = ctx.rows ? `\`${base}_row-\${rowIndex + 1}.json\`` : this._quote(`${base}.json`);
+                return [comment, `fs.writeFileSync(${name}, JSON.stringify(extracted, null, 2));`];
+            }
+
+            default:
+                throw new Error(`${node.type} node has no Playwright mapping${node.label ? ` ("${node.label}")` : ''}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _forEachLines(node, comment, ctx) {
+        const p = node.params || {};
+        const items = ctx.scanVars.get(p.source);
+        if (!items) {
+            throw new Error(`FOR_EACH_ELEMENT source "${p.source}" has no ELEMENT_SCAN before it`);
+        }
+
+        const count = `${items}Count`;
+        const lines = [
+            comment,
+            `const ${count} = Math.min(await ${items}.count(), ${p.maxIterations || 50});`,
+            `for (let i = 0; i < ${count}; i++) {`,
+            `    const current = ${items}.nth(i);`
+        ];
+
+        (p.actions || []).forEach(action => {
+            const a = action.params || {};
+            switch (action.type) {
+                case 'CLICK': {
+                    const rest = (a.selector || '').replace('{{current.selector}}', '').trim();
+                    const target = rest ? `current.locator(${this._str(rest)}).first()` : 'current';
+                    lines.push(`    await ${target}.click();`);
+                    break;
+                }
+                case 'WAIT':
+                    lines.push(`    await page.waitForTimeout(${a.timeoutMs || 0});`);
+                    break;
+                case 'SCREENSHOT': {
+                    const name = this._interpolate(`${a.filename || 'item-{{loop.index}}'}.png`)
+                        .replace(/\{\{loop\.index\}\}/g, '${i}');
+                    lines.push(`    ${this._screenshotLine(a, `\`${name}\``, ctx)}`);
+                    break;
+                }
+                case 'EXTRACT': {
+                    // Relativo ao item ou absoluto (conteúdo que muda a cada click)
+                    const relative = (a.selector || '').includes('{{current.selector}}');
+                    const rest = (a.selector || '').replace('{{current.selector}}', '').trim();
+                    const target = !relative
+                        ? this._target(this._selectorCandidates(a), ctx).replace(/\n/g, '\n    ')
+                        : rest ? `current.locator(${this._str(rest)}).first()` : 'current';
+                    lines.push(`    (extracted.${a.field} ??= []).push(${this._extractRead(target, a, ctx)});`);
+                    break;
+                }
+                default:
+                    throw new Error(`${action.type} loop action has no Playwright mapping`);
+            }
+        });
+
+        lines.push('}');
+        return lines;
+    }
+
+    /**
+     * Expression that reads an EXTRACT value from a locator
+     * @private
+     */
+    static _extractRead(target, p, ctx) {
+        switch (p.extractType) {
+            case 'attribute':
+                return p.attribute === 'value'
+                    ? `await ${target}.inputValue()`
+                    : `await ${target}.getAttribute(${this._str(p.attribute || '')})`;
+            case 'html':
+                return `(await ${target}.innerHTML()).trim()`;
+            case 'table':
+                ctx.usesTables = true;
+                return `await ${target}.evaluate(readTable)`;
+            case 'text':
+            default:
+                return `(await ${target}.innerText()).replace(/\\s+/g, ' ').trim()`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _hasTabs(entries) {
+        return entries.some(({ node }) => node.type === 'WAIT_FOR_POPUP' || node.type === 'SWITCH_TAB');
+    }
+
+    /**
+     * @private
+     */
+    static _hasExtract(entries) {
+        return entries.some(({ node }) => node.type === 'EXTRACT' ||
+            (node.type === 'FOR_EACH_ELEMENT' && (node.params?.actions || []).some(a => a.type === 'EXTRACT')));
+    }
+
+    /**
+     * @private
+     */
+    static _waitLines(p) {
+        if (p.selector) {
+            return [`await ${this._locator(p.selector)}.waitFor({ state: 'visible', timeout: ${p.timeoutMs || 30000} });`];
+        }
+        if (p.condition === 'network-idle') {
+            return ["await page.waitForLoadState('networkidle');"];
+        }
+        return [`await page.waitForTimeout(${p.timeoutMs || 0});`];
+    }
+
+    /**
+     * @private
+     */
+    static _screenshotLine(p, nameExpr, ctx) {
+        const path = nameExpr.startsWith('`') ? `\`screenshots/${nameExpr.slice(1)}` : `'screenshots/${nameExpr.slice(1)}`;
+
+        // Captura dentro de iframe → screenshot do próprio <iframe>
+        const frameElement = this._frameElement(p.frame);
+        if (frameElement) {
+            return ctx.screenshots === 'assert'
+                ? `await expect(${frameElement}).toHaveScreenshot(${nameExpr});`
+                : `await ${frameElement}.screenshot({ path: ${path} });`;
+        }
+
+        const fullPage = !!(p.fullPage || p.useDynamicHeight);
+        if (ctx.screenshots === 'assert') {
+            return `await expect(page).toHaveScreenshot(${nameExpr}${fullPage ? ', { fullPage: true }' : ''});`;
+        }
+        return `await page.screenshot({ path: ${path}${fullPage ? ', fullPage: true' : ''} });`;
+    }
+
+    /**
+     * @private
+     */
+    static _clickOptions(p) {
+        const opts = [];
+        if (p.button && p.button !== 'left') opts.push(`button: '${p.button}'`);
+
+        const mods = Object.entries(p.modifiers || {})
+            .filter(([key, on]) => on && MODIFIER_KEYS[key])
+            .map(([key]) => `'${MODIFIER_KEYS[key]}'`);
+        if (mods.length) opts.push(`modifiers: [${mods.join(', ')}]`);
+
+        return opts.length ? `{ ${opts.join(', ')} }` : '';
+    }
+
+    // ─── Locators ───────────────────────────────────────
+
+    /**
+     * CLICK candidates: role-based locator first, then selector + fallbacks
+     * @private
+     */
+    static _clickCandidates(p) {
+        const candidates = [];
+        const role = TAG_ROLES[p.elementRole];
+        const name = (p.elementName || '').replace(/\s+/g, ' ').trim();
+
+        if (role && name && name.length <= MAX_ROLE_NAME_LENGTH) {
+            candidates.push(`page.getByRole('${role}', { name: ${this._str(name)} })`);
+        } else if (p.ariaLabel) {
+            candidates.push(`page.getByLabel(${this._str(p.ariaLabel)})`);
+        }
+
+        return [...candidates, ...this._selectorCandidates(p)];
+    }
+
+    /**
+     * ASSERT_TEXT → matcher call (texto, value, checked ou atributo)
+     * @private
+     */
+    static _textMatcher(p) {
+        const options = `{ timeout: ${p.timeoutMs || 5000} }`;
+        const expected = this._str(String(p.expected ?? ''));
+
+        switch (p.attribute) {
+            case undefined:
+            case null:
+            case '':
+                return p.match === 'contains'
+                    ? `toContainText(${expected}, ${options})`
+                    : `toHaveText(${expected}, ${options})`;
+            case 'checked':
+                return p.expected === 'false' ? `not.toBeChecked(${options})` : `toBeChecked(${options})`;
+            case 'value':
+                return `toHaveValue(${expected}, ${options})`;
+            default:
+                return `toHaveAttribute(${this._str(p.attribute)}, ${expected}, ${options})`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _selectorCandidates(p) {
+        return [p.selector, ...(p.selectorFallbacks || [])]
+            .filter(Boolean)
+            .map(selector => this._locator(selector));
+    }
+
+    /**
+     * Scope a page-level locator expression to the node's frame
+     * (page.frameLocator(outer).frameLocator(inner).locator(...))
+     * @param {string} locator - Expressão começando com "page."
+     * @param {{path: string[]}} [frame]
+     * @returns {string}
+     * @private
+     */
+    static _inFrame(locator, frame) {
+        if (!frame?.path?.length) return locator;
+        const scope = frame.path.reduce((expr, sel) => `${expr}.frameLocator(${this._str(this._frameSelector(sel))})`, 'page');
+        return locator.replace(/^page\./, `${scope}.`);
+    }
+
+    /**
+     * Locator of the innermost <iframe> element itself (screenshots)
+     * @returns {string|null}
+     * @private
+     */
+    static _frameElement(frame) {
+        if (!frame?.path?.length) return null;
+        const path = frame.path.slice(0, -1);
+        const iframe = `page.locator(${this._str(this._frameSelector(frame.path[frame.path.length - 1]))})`;
+        return this._inFrame(iframe, { path });
+    }
+
+    /**
+     * FlowCapture selector → plain Playwright selector string (frameLocator não aceita getBy*)
+     * @private
+     */
+    static _frameSelector(selector) {
+        const s = (selector || '').trim();
+        if (s.startsWith('//') || s.startsWith('(//')) return `xpath=${s}`;
+        if (s.startsWith('aria/')) return `[aria-label=${JSON.stringify(s.slice(5))}]`;
+        return s.split('>>>').map(part => part.trim()).join(' ');
+    }
+
+    /**
+     * Single candidate → direct locator; several → firstMatch() in recorded order
+     * @private
+     */
+    static _target(candidates, ctx) {
+        if (candidates.length === 0) return "page.locator('body')";
+        if (candidates.length === 1) return candidates[0];
+
+        ctx.usesFirstMatch = true;
+        return `(await firstMatch([\n        ${candidates.join(',\n        ')}\n    ]))`;
+    }
+
+    /**
+     * Convert a FlowCapture selector (CSS, XPath, aria/, text::) to a Playwright locator expression.
+     * Shadow chains (host >>> inner) become chained locators — Playwright CSS pierces open shadow roots.
+     * @param {string} selector
+     * @returns {string}
+     * @private
+     */
+    static _locator(selector) {
+        const s = (selector || '').trim();
+
+        const [head, ...inner] = s.split('>>>').map(part => part.trim());
+        if (inner.length > 0) {
+            return inner.reduce((locator, part) => `${locator}.locator(${this._str(part)})`, this._locator(head));
+        }
+
+        if (s.startsWith('//') || s.startsWith('(//')) {
+            return `page.locator(${this._str(`xpath=${s}`)})`;
+        }
+        if (s.startsWith('aria/')) {
+            return `page.getByLabel(${this._str(s.slice(5))}, { exact: true })`;
+        }
+        const text = s.match(/^text::"(.*)"$/);
+        if (text) {
+            return `page.getByText(${this._str(text[1].replace(/\\"/g, '"'))}, { exact: true })`;
+        }
+        return `page.locator(${this._str(s)})`;
+    }
+
+    /**
+     * Runtime helper emitted when the workflow opens or switches tabs
+     * @private
+     */
+    static _waitForTabHelper() {
+        return [
+            '/**',
+            ' * Wait for a tab (popup, target=_blank, window.open) that is not in `known` yet.',
+            " * Polls context.pages(): the 'page' event may have fired before this call.",
+            ' */',
+            'async function waitForTab(context, known, timeout) {',
+            '    const deadline = Date.now() + timeout;',
+            '    do {',
+            '        const tab = context.pages().find((p) => !known.includes(p));',
+            '        if (tab) {',
+            "            await tab.waitForLoadState('load');",
+            '            return tab;',
+            '        }',
+            '        await new Promise((resolve) => setTimeout(resolve, 100));',
+            '    } while (Date.now() < deadline);',
+            "    throw new Error('No new tab was opened');",
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helper emitted for DRAG nodes without a drop target
+     * @private
+     */
+    static _dragByHelper() {
+        return [
+            '/**',
+            ' * Drag a locator by an offset with real mouse events (sliders, sortable lists).',
+            ' */',
+            'async function dragBy(page, locator, dx, dy) {',
+            '    const box = await locator.boundingBox();',
+            "    if (!box) throw new Error('Drag source is not visible');",
+            '    const x = box.x + box.width / 2;',
+            '    const y = box.y + box.height / 2;',
+            '    await page.mouse.move(x, y);',
+            '    await page.mouse.down();',
+            '    await page.mouse.move(x + dx, y + dy, { steps: 10 });',
+            '    await page.mouse.up();',
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helper emitted for UPLOAD nodes recorded as a drop on a dropzone
+     * without a file input (setInputFiles needs an <input type=file>)
+     * @private
+     */
+    static _dropFilesHelper() {
+        return [
+            '/**',
+            ' * Drop fixture files on an element: dragenter → dragover → drop with a real DataTransfer.',
+            ' */',
+            'async function dropFiles(locator, paths, types) {',
+            '    const files = paths.map((path, i) => ({',
+            "        name: path.split(/[\\\\/]/).pop(),",
+            "        type: types[i] || '',",
+            "        data: fs.readFileSync(path).toString('base64')",
+            '    }));',
+            '    await locator.evaluate((el, files) => {',
+            '        const dataTransfer = new DataTransfer();',
+            '        for (const file of files) {',
+            '            const bytes = Uint8Array.from(atob(file.data), (c) => c.charCodeAt(0));',
+            '            dataTransfer.items.add(new File([bytes], file.name, { type: file.type }));',
+            '        }',
+            "        for (const type of ['dragenter', 'dragover', 'drop']) {",
+            '            el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer }));',
+            '        }',
+            '    }, files);',
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helper emitted into the spec when a node has fallback locators
+     * @private
+     */
+    static _firstMatchHelper() {
+        return [
+            '/**',
+            ' * Return the first candidate that matches, in the recorded fallback order.',
+            ' * Falls back to the first candidate (auto-waiting) when none match yet.',
+            ' */',
+            'async function firstMatch(candidates) {',
+            '    for (const candidate of candidates) {',
+            '        if (await candidate.count() > 0) return candidate.first();',
+            '    }',
+            '    return candidates[0];',
+            '}'
+        ];
+    }
+
+    /**
+     * In-page table reader emitted when an EXTRACT node has extractType "table"
+     * (same shape as ExtractionRecorder.readTable)
+     * @private
+     */
+    static _readTableHelper() {
+        return [
+            '/**',
+            ' * Table → rows: objects keyed by header, or arrays of cells when there is no header.',
+            ' * Runs in the page via locator.evaluate.',
+            ' */',
+            'function readTable(el) {',
+            "    const text = (cell) => (cell.innerText || cell.textContent || '').replace(/\\s+/g, ' ').trim();",
+            "    const table = el.tagName === 'TABLE' ? el : el.querySelector('table');",
+            '    if (!table) return [...el.children].map(text).filter(Boolean);',
+            '',
+            '    const rows = [...table.rows];',
+            '    const header = table.tHead?.rows[0] ||',
+            "        (rows[0] && [...rows[0].cells].every((cell) => cell.tagName === 'TH') ? rows[0] : null);",
+            '    const keys = header && [...header.cells].map((cell, i) =>',
+            "        text(cell).replace(/[^\\w]+/g, '_').replace(/^_+|_+$/g, '').replace(/^(\\d)/, '_$1') || `col${i + 1}`);",
+            '',
+            '    return rows',
+            "        .filter((row) => row !== header && row.parentElement?.tagName !== 'THEAD')",
+            '        .map((row) => {',
+            '            const cells = [...row.cells].map(text);',
+            "            return keys ? Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])) : cells;",
+            '        });',
+            '}'
+        ];
+    }
+
+    // ─── Variables ──────────────────────────────────────
+
+    /**
+     * Nodes to emit, with a data-driven FOR_EACH unrolled into the test body
+     * (the per-row loop is emitted around the whole test instead)
+     * @private
+     */
+    static _flatten(nodes) {
+        const entries = [];
+        let rows = null;
+
+        nodes.forEach((node, index) => {
+            if (node.type === 'DATA_TABLE') return;
+            if (node.type === 'FOR_EACH_ELEMENT' && node.params?.mode === 'data-driven') {
+                rows = nodes.find(n => n.type === 'DATA_TABLE' && n.id === node.params.source)?.params?.rows || [];
+                (node.params.actions || []).forEach((action, k) => entries.push({ node: action, index: `${index}.${k}` }));
+                return;
+            }
+            entries.push({ node, index });
+        });
+
+        return { entries, rows };
+    }
+
+    /**
+     * Declared variables plus any referenced but undeclared ones (default '')
+     * @private
+     */
+    static _variables(nodes) {
+        const referenced = [...WorkflowVariables.references(nodes)].map(name => [name, '']);
+        const variables = { ...Object.fromEntries(referenced), ...WorkflowVariables.getDeclared(nodes) };
+        return Object.keys(variables).length > 0 ? variables : null;
+    }
+
+    /**
+     * @private
+     */
+    static _variableLines(variables) {
+        return [
+            '// Workflow variables: override any of them with FC_<NAME> environment variables',
+            'const VARIABLES = {',
+            ...Object.entries(variables).map(([name, value], i, all) =>
+                `    ${this._key(name)}: process.env.${this._envName(name)} ?? ${this._quote(value)}${i < all.length - 1 ? ',' : ''}`
+            ),
+            '};'
+        ];
+    }
+
+    /**
+     * Template literal body: {{name}} → ${vars.name}, {{row.col}} → ${vars.col}, {{rowIndex}} → ${rowIndex}, {{rowNumber}} → ${rowIndex + 1}.
+     * {{current.*}} / {{loop.*}} ficam intactos para o mapeamento do FOR_EACH.
+     * @private
+     */
+    static _interpolate(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/`/g, '\\`')
+            .replace(/\$\{/g, '\\${')
+            .replace(/\r/g, '\\r')
+            .replace(/\n/g, '\\n')
+            .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, expr) => {
+                if (expr === 'rowIndex') return '${rowIndex}';
+                if (expr === 'rowNumber') return '${rowIndex + 1}';
+                if (expr.startsWith('row.')) return `\${${this._varRef(expr.slice(4))}}`;
+                if (WorkflowVariables.isReserved(expr)) return match;
+                return `\${${this._varRef(expr)}}`;
+            });
+    }
+
+    /**
+     * @private
+     */
+    static _varRef(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? `vars.${name}` : `vars[${this._quote(name)}]`;
+    }
+
+    /**
+     * @private
+     */
+    static _key(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? name : this._quote(name);
+    }
+
+    /**
+     * @private
+     */
+    static _envName(name) {
+        return `FC_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\W+/g, '_').toUpperCase()}`;
+    }
+
+    // ─── Helpers ────────────────────────────────────────
+
+    /**
+     * JS string literal: single-quoted, or a template literal when the value has {{variables}}
+     * @private
+     */
+    static _str(value) {
+        const text = String(value ?? '');
+        if (WorkflowVariables.templatesIn(text).some(expr => !/^(current|loop)\./.test(expr))) {
+            return `\`${this._interpolate(text)}\``;
+        }
+        return this._quote(text);
+    }
+
+    /**
+     * Single-quoted JS string literal ({{templates}} kept as text)
+     * @private
+     */
+    static _quote(value) {
+        return `'${String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/\r/g, '\\r')
+            .replace(/\n/g, '\\n')}'`;
+    }
+
+    /**
+     * @private
+     */
+    static _identifier(id) {
+        const camel = String(id).replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+        return /^[a-zA-Z_]/.test(camel) ? camel : `scan${camel}`;
+    }
+
+    /**
+     * Puppeteer-style waitUntil → Playwright load state
+     * @private
+     */
+    static _waitUntil(waitUntil) {
+        if (waitUntil === 'networkidle0' || waitUntil === 'networkidle2' || waitUntil === 'networkidle') {
+            return 'networkidle';
+        }
+        if (waitUntil === 'domcontentloaded') return 'domcontentloaded';
+        return 'load';
+    }
+
+    /**
+     * @private
+     */
+    static _hostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch {
+            return '';
+        }
+    }
+}
@@ -0,0 +1,924 @@
+/**
+ * FlowCapture - Puppeteer Exporter
+ * Converte o workflow IR compilado em um script Node standalone para Puppeteer.
+ *
+ * Mapping:
+ * - START       → page.setViewport + page.goto
+ * - CLICK/TYPE  → findElement([selector, ...selectorFallbacks]) na ordem do compilador
+ * - DRAG        → drag(page, from, to) com mouse real (centro do alvo ou offset gravado)
+ * - UPLOAD      → el.uploadFile(...paths) (sem paths limpa); mode "drop" → dropFiles(el, paths)
+ * - SELECT_OPTION → el.select(value) (native) / type (datalist); combobox → click + type(query) + click na [role=option]
+ * - HANDLE_DIALOG → page.once('dialog', ...) registrado antes da ação que abre o dialog
+ * - WAIT        → sleep / waitForSelector / waitForNavigation
+ * - SCREENSHOT  → page.screenshot({ path })
+ * - params.frame → frameFor(page, path) (ações, asserts e EXTRACT no frame; SCREENSHOT do <iframe>)
+ * - WAIT_FOR_POPUP → tabs[i] = waitForTab(browser, tabs)
+ * - SWITCH_TAB  → page = tabs[i] (os nodes seguintes usam a aba nova)
+ * - ELEMENT_SCAN + FOR_EACH_ELEMENT → loop JS sobre o resultado de $$
+ * - ASSERT_TEXT / ASSERT_VISIBLE / ASSERT_COUNT → assertEventually (falha lança Error)
+ * - EXTRACT     → extracted.<field> (array dentro de loops); OUTPUT grava o JSON
+ * - {{variáveis}}  → VARIABLES (defaults do START, sobrescritos por FC_<NOME>)
+ * - DATA_TABLE + FOR_EACH data-driven → fluxo inteiro repetido por linha de DATA
+ * - params.selectorScore.fragile → comentário ⚠ com os motivos antes da ação
+ */
+
+import { WorkflowVariables } from './workflow-variables.js';
+
+/** Puppeteer key names for recorded { ctrl, shift, alt, meta } */
+const MODIFIER_KEYS = { ctrl: 'Control', shift: 'Shift', alt: 'Alt', meta: 'Meta' };
+
+export class PuppeteerExporter {
+    /**
+     * Generate a standalone Puppeteer script from a compiled workflow
+     * @param {Array} workflow - Compiled IR nodes
+     * @param {Object} options
+     * @param {boolean} [options.headless] - Launch headless (default: true)
+     * @returns {string} Script source code (CommonJS)
+     * @throws {Error} When a node has no mapping (the script would come out incomplete)
+     */
+    static generate(workflow, options = {}) {
+        const nodes = Array.isArray(workflow) ? workflow : [];
+        const headless = options.headless !== false;
+        const ctx = { scanVars: new Map(), usesAssertions: false, usesTables: false, usesFrames: false, usesDrag: false, usesDropFiles: false };
+
+        const { entries, rows } = this._flatten(nodes);
+        const variables = this._variables(nodes);
+        const usesTabs = this._hasTabs(entries);
+        ctx.rows = !!rows;
+
+        const body = [];
+        if (variables || rows) {
+            body.push(rows ? 'const vars = { ...VARIABLES, ...row };' : 'const vars = { ...VARIABLES };', '');
+        }
+        // Cada linha recomeça na primeira aba
+        if (usesTabs && rows) body.push('page = tabs[0];', '');
+        if (this._hasExtract(entries)) body.push('const extracted = {};', '');
+        entries.forEach(({ node, index }) => {
+            const lines = this._nodeLines(node, index, ctx);
+            const note = this._fragileSelectorNote(node.params);
+            if (note && lines.length > 0) lines.splice(1, 0, note);
+            if (lines.length > 0) body.push(...lines, '');
+        });
+        while (body.length && body[body.length - 1] === '') body.pop();
+
+        const hasScreenshots = entries.some(({ node: n }) =>
+            n.type === 'SCREENSHOT' ||
+            (n.type === 'FOR_EACH_ELEMENT' && (n.params?.actions || []).some(a => a.type === 'SCREENSHOT'))
+        );
+
+        const out = [
+            '// Generated by FlowCapture from workflow IR',
+            '// Usage: npm install puppeteer && node <this file>',
+            "const puppeteer = require('puppeteer');",
+            "const fs = require('fs');",
+            '',
+            'const SELECTOR_TIMEOUT_MS = 5000;',
+            '',
+            ...(variables || rows ? [...this._variableLines(variables || {}), ''] : []),
+            ...(rows ? [`const DATA = ${JSON.stringify(rows, null, 4)};`, ''] : []),
+            ...this._helpers(),
+            '',
+            ...(ctx.usesAssertions ? [...this._assertHelper(), ''] : []),
+            ...(ctx.usesTables ? [...this._readTableHelper(), ''] : []),
+            ...(ctx.usesFrames ? [...this._frameHelper(), ''] : []),
+            ...(usesTabs ? [...this._waitForTabHelper(), ''] : []),
+            ...(ctx.usesDrag ? [...this._dragHelper(), ''] : []),
+            ...(ctx.usesDropFiles ? [...this._dropFilesHelper(), ''] : []),
+            '(async () => {',
+            `    const browser = await puppeteer.launch({ headless: ${headless} });`,
+            ...(usesTabs
+                // A aba do launch vira tabs[0]: senão waitForTab a confundiria com o popup
+                ? ['    let page = (await browser.pages())[0] || (await browser.newPage());', '    const tabs = [page];']
+                : ['    const page = await browser.newPage();']),
+            ''
+        ];
+
+        if (hasScreenshots) {
+            out.push("    fs.mkdirSync('screenshots', { recursive: true });", '');
+        }
+
+        out.push('    try {');
+        if (rows) {
+            // Cada linha reinicia do START (page.goto) com as colunas como variáveis
+            out.push('        for (const [rowIndex, row] of DATA.entries()) {');
+            out.push('            console.log(`▶️ Row ${rowIndex + 1}/${DATA.length}`);');
+            body.forEach(line => out.push(line ? `            ${line}` : ''));
+            out.push('        }');
+        } else {
+            body.forEach(line => out.push(line ? `        ${line}` : ''));
+        }
+        out.push('    } finally {');
+        out.push('        await browser.close();');
+        out.push('    }');
+        out.push('})().catch((error) => {');
+        out.push("    console.error('❌ Workflow failed:', error);");
+        out.push('    process.exit(1);');
+        out.push('});');
+        out.push('');
+
+        return out.join('\n');
+    }
+
+    // ─── Node Mapping ───────────────────────────────────
+
+    /**
+     * Comment line flagging a node whose recorded selector scored as fragile
+     * @returns {string|null}
+     * @private
+     */
+    static _fragileSelectorNote(p) {
+        const quality = p?.selectorScore;
+        if (!quality?.fragile) return null;
+        const reasons = quality.reasons?.length ? `: ${quality.reasons.join(', ')}` : '';
+        return `// ⚠ Fragile selector (score ${quality.score}${reasons}) — consider adding a test id`;
+    }
+
+    /**
+     * Map one IR node to script lines (unindented, relative to the try block)
+     * @private
+     */
+    static _nodeLines(node, index, ctx) {
+        const p = node.params || {};
+        const comment = `// #${index} ${node.label || node.type}`;
+
+        switch (node.type) {
+            case 'START': {
+                const lines = [
+                    comment,
+                    `await page.setViewport({ width: ${p.viewportWidth || 1440}, height: ${p.viewportHeight || 900}, deviceScaleFactor: ${p.devicePixelRatio || 1} });`
+                ];
+                if (p.url) lines.push(`await page.goto(${this._str(p.url)}, { waitUntil: 'networkidle2' });`);
+                return lines;
+            }
+
+            case 'GOTO':
+                return [comment, `await page.goto(${this._str(p.url)}, { waitUntil: ${this._str(p.waitUntil || 'networkidle2')}, timeout: ${p.timeoutMs || 30000} });`];
+
+            case 'WAIT':
+                if (p.selector) {
+                    return [comment, `await page.waitForSelector(${this._str(this._selector(p.selector))}, { visible: true, timeout: ${p.timeoutMs || 30000} });`];
+                }
+                return [comment, `await sleep(${p.timeoutMs || 0});`];
+
+            case 'WAIT_FOR_POPUP':
+                return [comment, `tabs[${Number(p.tabIndex) || 0}] = await waitForTab(browser, tabs, ${p.timeoutMs || 15000});`];
+
+            case 'SWITCH_TAB':
+                return [comment, `page = tabs[${Number(p.tabIndex) || 0}];`, 'await page.bringToFront();'];
+
+            case 'WAIT_FOR_NAVIGATION':
+                return [
+                    comment,
+                    `await page.waitForNavigation({ waitUntil: ${this._str(p.waitUntil || 'networkidle2')}, timeout: ${p.timeoutMs || 15000} }).catch(() => {});`
+                ];
+
+            case 'CLICK':
+                return [comment, '{', ...this._indent([...this._frameLines(p.frame, ctx), ...this._clickLines(p)]), '}'];
+
+            case 'TYPE':
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${this._scope(p.frame)}, ${this._selectorList(p)});`,
+                    ...(p.clearFirst ? ["    await el.evaluate((e) => { if ('value' in e) e.value = ''; else e.textContent = ''; });"] : []),
+                    `    await el.type(${this._str(p.text ?? '')}, { delay: ${p.delayMs || 0} });`,
+                    '}'
+                ];
+
+            case 'DRAG': {
+                ctx.usesDrag = true;
+                const scope = this._scope(p.frame);
+                const to = p.mode === 'element' && p.target
+                    ? `await center(await findElement(${scope}, ${this._selectorList({ selector: p.target, selectorFallbacks: p.targetFallbacks })}))`
+                    : `{ x: from.x + ${p.offset?.x || 0}, y: from.y + ${p.offset?.y || 0} }`;
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const from = await center(await findElement(${scope}, ${this._selectorList(p)}));`,
+                    `    await drag(page, from, ${to});`,
+                    '}'
+                ];
+            }
+
+            case 'UPLOAD': {
+                const files = (p.files || []).map(file => this._str(file)).join(', ');
+                let action = `    await el.uploadFile(${files});`;
+                if (p.mode === 'drop') {
+                    ctx.usesDropFiles = true;
+                    const types = (p.fileInfo || []).map(file => this._str(file.mimeType || '')).join(', ');
+                    action = `    await dropFiles(el, [${files}], [${types}]);`;
+                }
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${this._scope(p.frame)}, ${this._selectorList(p)});`,
+                    action,
+                    '}'
+                ];
+            }
+
+            case 'SELECT_OPTION': {
+                const scope = this._scope(p.frame);
+                let action = [`    await el.select(${(p.multiple ? (p.values || []) : [p.value ?? '']).map(value => this._str(value)).join(', ')});`];
+                if (p.mode === 'datalist') {
+                    action = [
+                        "    await el.evaluate((e) => { e.value = ''; });",
+                        `    await el.type(${this._str(p.value ?? '')});`,
+                        "    await el.evaluate((e) => e.dispatchEvent(new Event('change', { bubbles: true })));"
+                    ];
+                } else if (p.mode === 'combobox') {
+                    const option = `aria/${p.label || p.value || ''}[role="option"]`;
+                    action = [
+                        '    await el.click();',
+                        ...(p.query ? [`    await el.type(${this._str(p.query)});`] : []),
+                        `    const option = await ${scope}.waitForSelector(${this._str(option)});`,
+                        '    await option.click();'
+                    ];
+                }
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${scope}, ${this._selectorList(p)});`,
+                    ...action,
+                    '}'
+                ];
+            }
+
+            case 'HANDLE_DIALOG': {
+                const response = p.action === 'dismiss'
+                    ? 'dialog.dismiss()'
+                    : `dialog.accept(${p.dialogType === 'prompt' ? this._str(p.promptText ?? '') : ''})`;
+                return [comment, `page.once('dialog', (dialog) => ${response});`];
+            }
+
+            case 'HOVER':
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${this._scope(p.frame)}, ${this._selectorList(p)});`,
+                    '    await el.hover();',
+                    ...(p.delayMs ? [`    await sleep(${p.delayMs});`] : []),
+                    '}'
+                ];
+
+            case 'SCROLL':
+                return [comment, `await page.evaluate((x, y) => window.scrollTo(x, y), ${p.x || 0}, ${p.y || 0});`];
+
+            case 'EXPAND': {
+                const selectors = this._selectorList({ selector: p.container, selectorFallbacks: p.containerFallbacks });
+                const height = p.mode === 'absolute' && p.value ? String(p.value) : 'null';
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${this._scope(p.frame)}, ${selectors});`,
+                    '    await el.evaluate((e, height) => {',
+                    "        e.style.setProperty('height', `${height ?? e.scrollHeight}px`, 'important');",
+                    "        e.style.setProperty('max-height', 'none', 'important');",
+                    `    }, ${height});`,
+                    '}'
+                ];
+            }
+
+            case 'SET_STYLE':
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${this._scope(p.frame)}, ${this._selectorList(p)});`,
+                    '    await el.evaluate((e, prop, value, priority) => e.style.setProperty(prop, value, priority), ' +
+                    `${this._str(p.property)}, ${this._str(String(p.value))}, ${this._str(p.priority || '')});`,
+                    '}'
+                ];
+
+            case 'SCREENSHOT': {
+                const path = this._str(`screenshots/${p.filename || `screenshot-${index}`}.png`);
+                if (!p.frame?.path?.length) return [comment, this._screenshotLine(p, path)];
+
+                // Captura dentro de iframe → screenshot do próprio <iframe>
+                const parent = { path: p.frame.path.slice(0, -1) };
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(parent, ctx)),
+                    `    const iframe = await findElement(${this._scope(parent)}, [${this._str(this._selector(p.frame.path[p.frame.path.length - 1]))}]);`,
+                    `    await iframe.screenshot({ path: ${path} });`,
+                    '}'
+                ];
+            }
+
+            case 'ASSERT_TEXT':
+            case 'ASSERT_VISIBLE':
+            case 'ASSERT_COUNT':
+                ctx.usesAssertions = true;
+                return [comment, '{', ...this._indent([...this._frameLines(p.frame, ctx), ...this._assertLines(node.type, p)]), '}'];
+
+            case 'ELEMENT_SCAN': {
+                const varName = this._identifier(node.id || `scan${index}`);
+                ctx.scanVars.set(node.id, varName);
+                return [
+                    comment,
+                    `const ${varName}Root = await findElement(page, ${this._selectorList({ selector: p.rootSelector })});`,
+                    `let ${varName} = await ${varName}Root.$$(${this._str(`:scope > ${p.itemSelector}`)});`,
+                    `if (${varName}.length === 0) ${varName} = await ${varName}Root.$$(${this._str(p.itemSelector)});`
+                ];
+            }
+
+            case 'FOR_EACH_ELEMENT':
+                return this._forEachLines(node, comment, ctx);
+
+            case 'PRINT':
+                return [`console.log(${this._str(`${p.severity === 'warning' ? '⚠️' : 'ℹ️'} ${p.message || node.label || ''}`)});`];
+
+            case 'EXTRACT':
+                return [
+                    comment,
+                    '{',
+                    ...this._indent(this._frameLines(p.frame, ctx)),
+                    `    const el = await findElement(${this._scope(p.frame)}, ${this._selectorList(p)});`,
+                    `    extracted.${p.field} = await ${this._extractRead(p, ctx)};`,
+                    '}'
+                ];
+
+            case 'OUTPUT': {
+                const lines = [comment];
+                if (p.extractedData) {
+                    const base = (p.extractedData.filename || 'extracted-data.json').replace(/\.json$/, '');
+                    const name = ctx.rows ? `\`${base}_row-\${rowIndex + 1}.json\`` : this._quote(`${base}.json`);
+                    lines.push(`fs.writeFileSync(${name}, JSON.stringify(extracted, null, 2));`);
+                }
+                lines.push("console.log('✅ Workflow finished');");
+                return lines;
+            }
+
+            default:
+                throw new Error(`${node.type} node has no Puppeteer mapping${node.label ? ` ("${node.label}")` : ''}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _clickLines(p) {
+        const lines = [`const el = await findElement(${this._scope(p.frame)}, ${this._selectorList(p)});`];
+        const mods = Object.entries(p.modifiers || {})
+            .filter(([key, on]) => on && MODIFIER_KEYS[key])
+            .map(([key]) => MODIFIER_KEYS[key]);
+
+        mods.forEach(key => lines.push(`await page.keyboard.down('${key}');`));
+
+        const clickCall = p.button && p.button !== 'left'
+            ? `el.click({ button: '${p.button}' })`
+            : 'el.click()';
+
+        if (p.expectNavigation) {
+            lines.push('await Promise.all([');
+            lines.push("    page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => {}),");
+            lines.push(`    ${clickCall}`);
+            lines.push(']);');
+        } else {
+            lines.push(`await ${clickCall};`);
+        }
+
+        mods.forEach(key => lines.push(`await page.keyboard.up('${key}');`));
+        return lines;
+    }
+
+    /**
+     * @private
+     */
+    static _forEachLines(node, comment, ctx) {
+        const p = node.params || {};
+        const items = ctx.scanVars.get(p.source);
+        if (!items) {
+            throw new Error(`FOR_EACH_ELEMENT source "${p.source}" has no ELEMENT_SCAN before it`);
+        }
+
+        const lines = [
+            comment,
+            `for (let i = 0; i < Math.min(${items}.length, ${p.maxIterations || 50}); i++) {`,
+            `    const current = ${items}[i];`
+        ];
+
+        (p.actions || []).forEach((action, actionIndex) => {
+            const a = action.params || {};
+            switch (action.type) {
+                case 'CLICK': {
+                    const rest = (a.selector || '').replace('{{current.selector}}', '').trim();
+                    if (rest) {
+                        const target = `target${actionIndex}`;
+                        lines.push(`    const ${target} = (await current.$(${this._str(`:scope > ${rest}`)})) || (await current.$(${this._str(rest)}));`);
+                        lines.push(`    if (!${target}) throw new Error(\`Item \${i}: no match for \${${this._str(rest)}}\`);`);
+                        lines.push(`    await ${target}.click();`);
+                    } else {
+                        lines.push('    await current.click();');
+                    }
+                    break;
+                }
+                case 'WAIT':
+                    lines.push(`    await sleep(${a.timeoutMs || 0});`);
+                    break;
+                case 'SCREENSHOT': {
+                    const name = this._interpolate(`screenshots/${a.filename || 'item-{{loop.index}}'}.png`)
+                        .replace(/\{\{loop\.index\}\}/g, '${i}');
+                    lines.push(`    ${this._screenshotLine(a, `\`${name}\``)}`);
+                    break;
+                }
+                case 'EXTRACT': {
+                    // Relativo ao item ou absoluto (conteúdo que muda a cada click)
+                    const rest = (a.selector || '').replace('{{current.selector}}', '').trim();
+                    const el = `extract${actionIndex}`;
+                    if (!(a.selector || '').includes('{{current.selector}}')) {
+                        lines.push(`    const ${el} = await findElement(page, ${this._selectorList(a)});`);
+                    } else if (rest) {
+                        lines.push(`    const ${el} = (await current.$(${this._str(`:scope > ${rest}`)})) || (await current.$(${this._str(rest)}));`);
+                        lines.push(`    if (!${el}) throw new Error(\`Item \${i}: no match for \${${this._str(rest)}}\`);`);
+                    } else {
+                        lines.push(`    const ${el} = current;`);
+                    }
+                    lines.push(`    (extracted.${a.field} ??= []).push(await ${this._extractRead(a, ctx, el)});`);
+                    break;
+                }
+                default:
+                    throw new Error(`${action.type} loop action has no Puppeteer mapping`);
+            }
+        });
+
+        lines.push('}');
+        return lines;
+    }
+
+    /**
+     * Expression (sem await) that reads an EXTRACT value from an element handle
+     * @private
+     */
+    static _extractRead(p, ctx, el = 'el') {
+        switch (p.extractType) {
+            case 'attribute':
+                return p.attribute === 'value'
+                    ? `${el}.evaluate((e) => e.value ?? '')`
+                    : `${el}.evaluate((e, name) => e.getAttribute(name), ${this._str(p.attribute || '')})`;
+            case 'html':
+                return `${el}.evaluate((e) => e.innerHTML.trim())`;
+            case 'table':
+                ctx.usesTables = true;
+                return `${el}.evaluate(readTable)`;
+            case 'text':
+            default:
+                return `${el}.evaluate((e) => (e.innerText || e.textContent || '').replace(/\\s+/g, ' ').trim())`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _hasTabs(entries) {
+        return entries.some(({ node }) => node.type === 'WAIT_FOR_POPUP' || node.type === 'SWITCH_TAB');
+    }
+
+    /**
+     * @private
+     */
+    static _hasExtract(entries) {
+        return entries.some(({ node }) => node.type === 'EXTRACT' ||
+            (node.type === 'FOR_EACH_ELEMENT' && (node.params?.actions || []).some(a => a.type === 'EXTRACT')));
+    }
+
+    /**
+     * @private
+     */
+    static _screenshotLine(p, pathExpr) {
+        const fullPage = !!(p.fullPage || p.useDynamicHeight);
+        return `await page.screenshot({ path: ${pathExpr}${fullPage ? ', fullPage: true' : ''} });`;
+    }
+
+    /**
+     * ASSERT_* node → polling check via assertEventually
+     * (no frame do node: as linhas de _frameLines vêm antes)
+     * @private
+     */
+    static _assertLines(type, p) {
+        const timeout = p.timeoutMs || 5000;
+        const scope = this._scope(p.frame);
+
+        if (type === 'ASSERT_COUNT') {
+            const expected = Number(p.expected) || 0;
+            return [
+                'await assertEventually(async () => {',
+                `    const count = (await ${scope}.$$(${this._str(this._selector(p.selector))})).length;`,
+                `    return [count === ${expected}, count];`,
+                `}, ${this._str(`${expected} element(s) matching ${p.selector}`)}, ${timeout});`
+            ];
+        }
+
+        const lines = [`const el = await findElement(${scope}, ${this._selectorList(p)});`];
+
+        if (type === 'ASSERT_VISIBLE') {
+            const expected = p.visible !== false;
+            return [
+                ...lines,
+                'await assertEventually(async () => {',
+                '    const visible = await el.isVisible();',
+                `    return [visible === ${expected}, visible];`,
+                `}, ${this._str(`element to be ${expected ? 'visible' : 'hidden'}`)}, ${timeout});`
+            ];
+        }
+
+        const expected = this._str(String(p.expected ?? ''));
+        const contains = p.match === 'contains' && !p.attribute;
+        let read;
+        switch (p.attribute) {
+            case undefined:
+            case null:
+            case '':
+                read = "el.evaluate((e) => (e.innerText || e.textContent || '').replace(/\\s+/g, ' ').trim())";
+                break;
+            case 'checked':
+                read = 'el.evaluate((e) => String(e.checked))';
+                break;
+            case 'value':
+                read = "el.evaluate((e) => e.value ?? '')";
+                break;
+            default:
+                read = `el.evaluate((e, name) => e.getAttribute(name), ${this._str(p.attribute)})`;
+        }
+
+        const what = p.attribute ? `[${p.attribute}]` : 'text';
+        return [
+            ...lines,
+            'await assertEventually(async () => {',
+            `    const actual = await ${read};`,
+            `    return [${contains ? `actual.includes(${expected})` : `actual === ${expected}`}, actual];`,
+            `}, \`${what} ${contains ? 'to contain' : 'to be'} \${JSON.stringify(${expected})}\`, ${timeout});`
+        ];
+    }
+
+    /**
+     * Runtime helper emitted when the workflow has ASSERT_* nodes
+     * @private
+     */
+    static _assertHelper() {
+        return [
+            '/**',
+            ' * Poll check() until it reports [true, actual]; throw with the last actual value on timeout.',
+            ' */',
+            'async function assertEventually(check, description, timeout = SELECTOR_TIMEOUT_MS) {',
+            '    const deadline = Date.now() + timeout;',
+            '    let actual;',
+            '    do {',
+            '        const [passed, value] = await check();',
+            '        if (passed) return;',
+            '        actual = value;',
+            '        await sleep(100);',
+            '    } while (Date.now() < deadline);',
+            '    throw new Error(`Assertion failed: expected ${description}, got ${JSON.stringify(actual)}`);',
+            '}'
+        ];
+    }
+
+    /**
+     * In-page table reader emitted when an EXTRACT node has extractType "table"
+     * (same shape as ExtractionRecorder.readTable)
+     * @private
+     */
+    static _readTableHelper() {
+        return [
+            '/**',
+            ' * Table → rows: objects keyed by header, or arrays of cells when there is no header.',
+            ' * Runs in the page via elementHandle.evaluate.',
+            ' */',
+            'function readTable(el) {',
+            "    const text = (cell) => (cell.innerText || cell.textContent || '').replace(/\\s+/g, ' ').trim();",
+            "    const table = el.tagName === 'TABLE' ? el : el.querySelector('table');",
+            '    if (!table) return [...el.children].map(text).filter(Boolean);',
+            '',
+            '    const rows = [...table.rows];',
+            '    const header = table.tHead?.rows[0] ||',
+            "        (rows[0] && [...rows[0].cells].every((cell) => cell.tagName === 'TH') ? rows[0] : null);",
+            '    const keys = header && [...header.cells].map((cell, i) =>',
+            "        text(cell).replace(/[^\\w]+/g, '_').replace(/^_+|_+$/g, '').replace(/^(\\d)/, '_$1') || `col${i + 1}`);",
+            '',
+            '    return rows',
+            "        .filter((row) => row !== header && row.parentElement?.tagName !== 'THEAD')",
+            '        .map((row) => {',
+            '            const cells = [...row.cells].map(text);',
+            "            return keys ? Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])) : cells;",
+            '        });',
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helper emitted when the workflow opens or switches tabs
+     * @private
+     */
+    static _waitForTabHelper() {
+        return [
+            '/**',
+            ' * Wait for a tab (popup, target=_blank, window.open) that is not in `known` yet.',
+            ' */',
+            'async function waitForTab(browser, known, timeout) {',
+            '    const deadline = Date.now() + timeout;',
+            '    do {',
+            '        const tab = (await browser.pages()).find((p) => !known.includes(p));',
+            '        if (tab) {',
+            "            await tab.waitForFunction(() => document.readyState === 'complete', { timeout }).catch(() => {});",
+            '            return tab;',
+            '        }',
+            '        await sleep(100);',
+            '    } while (Date.now() < deadline);',
+            "    throw new Error('No new tab was opened');",
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helpers emitted for DRAG nodes
+     * @private
+     */
+    static _dragHelper() {
+        return [
+            '/**',
+            ' * Viewport center of an element handle (coordinates for page.mouse).',
+            ' */',
+            'async function center(el) {',
+            '    const box = await el.boundingBox();',
+            "    if (!box) throw new Error('Element is not visible');",
+            '    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };',
+            '}',
+            '',
+            '/**',
+            ' * Press at `from`, move to `to` in small steps and release (sliders, sortable lists, drag-and-drop).',
+            ' */',
+            'async function drag(page, from, to) {',
+            '    await page.mouse.move(from.x, from.y);',
+            '    await page.mouse.down();',
+            '    await page.mouse.move(to.x, to.y, { steps: 10 });',
+            '    await page.mouse.up();',
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helper emitted for UPLOAD nodes recorded as a drop on a dropzone
+     * without a file input (uploadFile needs an <input type=file>)
+     * @private
+     */
+    static _dropFilesHelper() {
+        return [
+            '/**',
+            ' * Drop fixture files on an element: dragenter → dragover → drop with a real DataTransfer.',
+            ' */',
+            'async function dropFiles(el, paths, types) {',
+            '    const files = paths.map((path, i) => ({',
+            "        name: path.split(/[\\\\/]/).pop(),",
+            "        type: types[i] || '',",
+            "        data: fs.readFileSync(path).toString('base64')",
+            '    }));',
+            '    await el.evaluate((target, files) => {',
+            '        const dataTransfer = new DataTransfer();',
+            '        for (const file of files) {',
+            '            const bytes = Uint8Array.from(atob(file.data), (c) => c.charCodeAt(0));',
+            '            dataTransfer.items.add(new File([bytes], file.name, { type: file.type }));',
+            '        }',
+            "        for (const type of ['dragenter', 'dragover', 'drop']) {",
+            '            target.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer }));',
+            '        }',
+            '    }, files);',
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helper emitted when a node runs inside an iframe
+     * @private
+     */
+    static _frameHelper() {
+        return [
+            '/**',
+            ' * Walk the recorded <iframe> selector path (outermost first) down to its Frame.',
+            ' */',
+            'async function frameFor(page, path) {',
+            '    let frame = page.mainFrame();',
+            '    for (const selector of path) {',
+            '        const iframe = await findElement(frame, [selector]);',
+            '        frame = await iframe.contentFrame();',
+            '        if (!frame) throw new Error(`Not a frame: ${selector}`);',
+            '    }',
+            '    return frame;',
+            '}'
+        ];
+    }
+
+    /**
+     * Runtime helpers emitted at the top of the script
+     * @private
+     */
+    static _helpers() {
+        return [
+            'const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));',
+            '',
+            '/**',
+            ' * Return the first element matched by any selector, tried in recorded fallback order.',
+            ' * Polls until the timeout so elements rendered after an action are still found.',
+            ' */',
+            'async function findElement(page, selectors, timeout = SELECTOR_TIMEOUT_MS) {',
+            '    const deadline = Date.now() + timeout;',
+            '    do {',
+            '        for (const selector of selectors) {',
+            '            const handle = await page.$(selector).catch(() => null);',
+            '            if (handle) return handle;',
+            '        }',
+            '        await sleep(100);',
+            '    } while (Date.now() < deadline);',
+            "    throw new Error(`No element matched: ${selectors.join(' | ')}`);",
+            '}'
+        ];
+    }
+
+    // ─── Selectors ──────────────────────────────────────
+
+    /**
+     * "const frame = await frameFor(...)" for nodes with a frame context
+     * @private
+     */
+    static _frameLines(frame, ctx) {
+        if (!frame?.path?.length) return [];
+        ctx.usesFrames = true;
+        const path = frame.path.map(selector => this._str(this._selector(selector)));
+        return [`const frame = await frameFor(page, [${path.join(', ')}]);`];
+    }
+
+    /**
+     * Where findElement looks: the node's frame or the page
+     * @private
+     */
+    static _scope(frame) {
+        return frame?.path?.length ? 'frame' : 'page';
+    }
+
+    /**
+     * @private
+     */
+    static _selectorList(p) {
+        const selectors = [p.selector, ...(p.selectorFallbacks || [])]
+            .filter(Boolean)
+            .map(selector => this._str(this._selector(selector)));
+        return `[${selectors.join(', ')}]`;
+    }
+
+    /**
+     * Convert a FlowCapture selector (CSS, XPath, aria/, text::) to Puppeteer query syntax.
+     * Shadow chains (host >>> inner) pass through: ">>>" is Puppeteer's deep combinator.
+     * @param {string} selector
+     * @returns {string}
+     * @private
+     */
+    static _selector(selector) {
+        const s = (selector || '').trim();
+
+        if (s.startsWith('//') || s.startsWith('(//')) return `xpath/${s}`;
+        if (s.startsWith('aria/')) return s;
+
+        const text = s.match(/^text::"(.*)"$/);
+        if (text) return `text/${text[1].replace(/\\"/g, '"')}`;
+
+        return s;
+    }
+
+    // ─── Variables ──────────────────────────────────────
+
+    /**
+     * Nodes to emit, with a data-driven FOR_EACH unrolled into the script body
+     * (the per-row loop is emitted around the whole body instead)
+     * @private
+     */
+    static _flatten(nodes) {
+        const entries = [];
+        let rows = null;
+
+        nodes.forEach((node, index) => {
+            if (node.type === 'DATA_TABLE') return;
+            if (node.type === 'FOR_EACH_ELEMENT' && node.params?.mode === 'data-driven') {
+                rows = nodes.find(n => n.type === 'DATA_TABLE' && n.id === node.params.source)?.params?.rows || [];
+                (node.params.actions || []).forEach((action, k) => entries.push({ node: action, index: `${index}.${k}` }));
+                return;
+            }
+            entries.push({ node, index });
+        });
+
+        return { entries, rows };
+    }
+
+    /**
+     * Declared variables plus any referenced but undeclared ones (default '')
+     * @private
+     */
+    static _variables(nodes) {
+        const referenced = [...WorkflowVariables.references(nodes)].map(name => [name, '']);
+        const variables = { ...Object.fromEntries(referenced), ...WorkflowVariables.getDeclared(nodes) };
+        return Object.keys(variables).length > 0 ? variables : null;
+    }
+
+    /**
+     * @private
+     */
+    static _variableLines(variables) {
+        return [
+            '// Workflow variables: override any of them with FC_<NAME> environment variables',
+            'const VARIABLES = {',
+            ...Object.entries(variables).map(([name, value], i, all) =>
+                `    ${this._key(name)}: process.env.${this._envName(name)} ?? ${this._quote(value)}${i < all.length - 1 ? ',' : ''}`
+            ),
+            '};'
+        ];
+    }
+
+    /**
+     * Template literal body: {{name}} → ${vars.name}, {{row.col}} → ${vars.col}, {{rowIndex}} → ${rowIndex}, {{rowNumber}} → ${rowIndex + 1}.
+     * {{current.*}} / {{loop.*}} ficam intactos para o mapeamento do FOR_EACH.
+     * @private
+     */
+    static _interpolate(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/`/g, '\\`')
+            .replace(/\$\{/g, '\\${')
+            .replace(/\r/g, '\\r')
+            .replace(/\n/g, '\\n')
+            .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, expr) => {
+                if (expr === 'rowIndex') return '${rowIndex}';
+                if (expr === 'rowNumber') return '${rowIndex + 1}';
+                if (expr.startsWith('row.')) return `\${${this._varRef(expr.slice(4))}}`;
+                if (WorkflowVariables.isReserved(expr)) return match;
+                return `\${${this._varRef(expr)}}`;
+            });
+    }
+
+    /**
+     * @private
+     */
+    static _varRef(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? `vars.${name}` : `vars[${this._quote(name)}]`;
+    }
+
+    /**
+     * @private
+     */
+    static _key(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? name : this._quote(name);
+    }
+
+    /**
+     * @private
+     */
+    static _envName(name) {
+        return `FC_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\W+/g, '_').toUpperCase()}`;
+    }
+
+    // ─── Helpers ────────────────────────────────────────
+
+    /**
+     * @private
+     */
+    static _indent(lines) {
+        return lines.map(line => `    ${line}`);
+    }
+
+    /**
+     * JS string literal: single-quoted, or a template literal when the value has {{variables}}
+     * @private
+     */
+    static _str(value) {
+        const text = String(value ?? '');
+        if (WorkflowVariables.templatesIn(text).some(expr => !/^(current|loop)\./.test(expr))) {
+            return `\`${this._interpolate(text)}\``;
+        }
+        return this._quote(text);
+    }
+
+    /**
+     * Single-quoted JS string literal ({{templates}} kept as text)
+     * @private
+     */
+    static _quote(value) {
+        return `'${String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/\r/g, '\\r')
+            .replace(/\n/g, '\\n')}'`;
+    }
+
+    /**
+     * @private
+     */
+    static _identifier(id) {
+        const camel = String(id).replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+        return /^[a-zA-Z_]/.test(camel) ? camel : `scan${camel}`;
+    }
+}
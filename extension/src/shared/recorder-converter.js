@@ -0,0 +1,442 @@
+/**
+ * FlowCapture - Chrome DevTools Recorder Converter
+ * Converte entre o formato JSON de user flow do DevTools Recorder
+ * e os captured steps do FlowCapture (trigger + selectorFallbacks).
+ *
+ * Mapping (Recorder ↔ trigger.type):
+ * - setViewport          ↔ trigger.viewport
+ * - navigate (1º)        ↔ URL inicial do fluxo
+ * - navigate             ↔ navigation
+ * - click / doubleClick  ↔ click
+ * - change               ↔ input_change
+ * - change               ← select (<select> / datalist)
+ * - keyDown              ↔ keydown (keyUp é descartado no import)
+ * - scroll (janela)      ↔ scroll
+ * - hover                ↔ hover
+ * - waitForElement       ↔ assert (visible / count / attributes / properties.innerText)
+ *
+ * Notações de seletor:
+ * - aria/Name     ↔ aria/Name
+ * - xpath//div    ↔ //div
+ * - text/Label    ↔ text::"Label"
+ * - pierce/.x     → .x (import apenas)
+ * - [host, inner] ↔ host >>> inner (cadeia através de shadow roots, só CSS)
+ *
+ * Steps sem equivalente (customStep, checkpoints, style
+ * changes, ...) são ignorados e reportados em `skipped`.
+ */
+
+/** Intervalo sintético entre steps importados (abaixo do limiar de pausa do compiler) */
+const IMPORT_STEP_INTERVAL_MS = 500;
+
+/** Recorder button, indexado por MouseEvent.button (trigger.button) */
+const RECORDER_BUTTONS = ['primary', 'auxiliary', 'secondary'];
+
+export class RecorderConverter {
+    // ─── Recorder → FlowCapture ───────────────────────────
+
+    /**
+     * Converte um user flow do DevTools Recorder em captured steps,
+     * prontos para WorkflowCompiler / DownloadManager.createWorkflow.
+     * @param {Object|string} flow - Recording JSON (objeto ou texto)
+     * @returns {{title: string, url: string|null, steps: Array, skipped: Array<{index: number, type: string, reason: string}>}}
+     */
+    static toCapturedSteps(flow) {
+        const recording = typeof flow === 'string' ? JSON.parse(flow) : flow;
+        if (!recording || !Array.isArray(recording.steps)) {
+            throw new Error('Invalid DevTools Recorder flow: missing "steps" array');
+        }
+
+        const steps = [];
+        const skipped = [];
+        const skip = (index, type, reason) => skipped.push({ index, type, reason });
+
+        let url = null;
+        let viewport = null;
+        let timestamp = Date.now();
+        let lastSelector = null;
+
+        const pushStep = (trigger) => {
+            timestamp += IMPORT_STEP_INTERVAL_MS;
+            const step = {
+                step_id: Math.random().toString(36).substr(2, 9),
+                trigger: {
+                    ...trigger,
+                    timestamp,
+                    metadata: trigger.metadata || {}
+                },
+                effects: {},
+                duration_ms: 0
+            };
+            if (viewport) step.trigger.viewport = { ...viewport };
+            steps.push(step);
+            if (trigger.selector) lastSelector = trigger.selector;
+        };
+
+        recording.steps.forEach((rs, index) => {
+            const type = rs?.type;
+
+            if (rs?.target && rs.target !== 'main') {
+                skip(index, type, `target "${rs.target}" is not the main page`);
+                return;
+            }
+            if (Array.isArray(rs?.frame) && rs.frame.length > 0) {
+                skip(index, type, 'steps inside iframes are not supported');
+                return;
+            }
+
+            switch (type) {
+                case 'setViewport':
+                    viewport = {
+                        width: rs.width,
+                        height: rs.height,
+                        devicePixelRatio: rs.deviceScaleFactor || 1
+                    };
+                    break;
+
+                case 'navigate':
+                    if (!url) {
+                        url = rs.url;
+                    } else {
+                        pushStep({ type: 'navigation', url: rs.url });
+                    }
+                    break;
+
+                case 'click':
+                case 'doubleClick':
+                case 'hover':
+                case 'change': {
+                    const target = this._targetFromRecorder(rs.selectors);
+                    if (!target) {
+                        skip(index, type, 'no selector usable outside shadow roots/frames');
+                        return;
+                    }
+
+                    if (type === 'change') {
+                        pushStep({ type: 'input_change', ...target, value: rs.value ?? '' });
+                    } else if (type === 'hover') {
+                        pushStep({ type: 'hover', ...target });
+                    } else {
+                        const button = Math.max(RECORDER_BUTTONS.indexOf(rs.button), 0);
+                        const trigger = { type: 'click', ...target, button };
+                        pushStep(trigger);
+                        if (type === 'doubleClick') pushStep({ ...trigger });
+                    }
+                    break;
+                }
+
+                case 'waitForElement': {
+                    const target = this._targetFromRecorder(rs.selectors);
+                    const assertion = target && this._assertionFromRecorder(rs, target);
+                    if (!assertion) {
+                        skip(index, type, target ? 'only visible / count == / attribute / innerText checks are supported' : 'no selector usable outside shadow roots/frames');
+                        return;
+                    }
+                    pushStep({ type: 'assert', ...target, assertion });
+                    break;
+                }
+
+                case 'keyDown':
+                    // Recorder não diz o alvo da tecla: usa o último elemento interagido (foco)
+                    pushStep({ type: 'keydown', key: rs.key, selector: lastSelector, selectorFallbacks: [] });
+                    break;
+
+                case 'keyUp':
+                    break;
+
+                case 'scroll':
+                    if (rs.selectors?.length) {
+                        skip(index, type, 'element scroll is not supported, only window scroll');
+                        return;
+                    }
+                    pushStep({
+                        type: 'scroll',
+                        scroll: {
+                            from: { x: 0, y: 0 },
+                            to: { x: rs.x || 0, y: rs.y || 0 },
+                            delta: { x: rs.x || 0, y: rs.y || 0 }
+                        }
+                    });
+                    break;
+
+                default:
+                    skip(index, type, 'no FlowCapture equivalent');
+            }
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`⚠️ RecorderConverter: ${skipped.length} Recorder step(s) skipped`, skipped);
+        }
+
+        return {
+            title: recording.title || 'DevTools Recording',
+            url,
+            steps,
+            skipped
+        };
+    }
+
+    /**
+     * Recorder selectors ([[sel], [host, inner], ...]) → selector + fallbacks.
+     * Cadeias de shadow DOM viram host >>> inner quando todas as partes são CSS
+     * (as demais são descartadas); CSS vem primeiro, como no SelectorEngine.
+     * @private
+     */
+    static _targetFromRecorder(selectors) {
+        const isNotation = (s) => s.startsWith('aria/') || s.startsWith('text::') || s.startsWith('//') || s.startsWith('(//');
+
+        const converted = (selectors || [])
+            .map(entry => Array.isArray(entry) ? entry : [entry])
+            .filter(entry => entry.length > 0 && entry.every(part => typeof part === 'string'))
+            .map(entry => {
+                if (entry.length === 1) return this._fromRecorderSelector(entry[0]);
+                if (entry.some(part => /^(aria|xpath|text)\//.test(part))) return null;
+                return entry.map(part => this._fromRecorderSelector(part)).join(' >>> ');
+            })
+            .filter(Boolean);
+
+        const unique = [...new Set(converted)];
+        if (unique.length === 0) return null;
+        const ordered = [...unique.filter(s => !isNotation(s)), ...unique.filter(isNotation)];
+
+        const metadata = {};
+        const aria = unique.find(s => s.startsWith('aria/'));
+        if (aria) metadata.text = aria.slice(5);
+
+        return {
+            selector: ordered[0],
+            selectorFallbacks: ordered.slice(1),
+            metadata
+        };
+    }
+
+    /**
+     * @private
+     */
+    static _fromRecorderSelector(selector) {
+        if (selector.startsWith('aria/')) return selector;
+        if (selector.startsWith('xpath/')) return selector.slice(6);
+        if (selector.startsWith('pierce/')) return selector.slice(7);
+        if (selector.startsWith('text/')) {
+            const text = selector.slice(5).replace(/"/g, '\\"').replace(/\n/g, ' ');
+            return `text::"${text}"`;
+        }
+        return selector;
+    }
+
+    // ─── FlowCapture → Recorder ───────────────────────────
+
+    /**
+     * Converte captured steps em um user flow do DevTools Recorder.
+     * @param {Array} steps - Captured steps (intent_analysis.steps)
+     * @param {Object} options
+     * @param {string} options.url - URL inicial (gera o primeiro navigate)
+     * @param {string} options.title - Título da gravação
+     * @returns {Object} Recording JSON ({title, steps})
+     */
+    static fromCapturedSteps(steps, options = {}) {
+        const { url = null, title = 'FlowCapture Recording' } = options;
+        const flow = { title, steps: [] };
+        let skipped = 0;
+
+        const viewport = steps.find(s => s.trigger?.viewport)?.trigger.viewport;
+        if (viewport) {
+            flow.steps.push({
+                type: 'setViewport',
+                width: viewport.width,
+                height: viewport.height,
+                deviceScaleFactor: viewport.devicePixelRatio || 1,
+                isMobile: false,
+                hasTouch: false,
+                isLandscape: viewport.width > viewport.height
+            });
+        }
+
+        if (url) {
+            flow.steps.push({
+                type: 'navigate',
+                url,
+                assertedEvents: [{ type: 'navigation', url, title: '' }]
+            });
+        }
+
+        for (const step of steps) {
+            const trigger = step.trigger || {};
+
+            switch (trigger.type) {
+                case 'click': {
+                    const selectors = this._selectorsToRecorder(trigger);
+                    if (!selectors) { skipped++; break; }
+                    flow.steps.push({
+                        type: 'click',
+                        target: 'main',
+                        selectors,
+                        // Recorder usa offset relativo ao elemento; só temos coordenadas de viewport
+                        offsetX: 1,
+                        offsetY: 1,
+                        button: RECORDER_BUTTONS[trigger.button] || 'primary'
+                    });
+                    break;
+                }
+
+                case 'hover': {
+                    const selectors = this._selectorsToRecorder(trigger);
+                    if (!selectors) { skipped++; break; }
+                    flow.steps.push({ type: 'hover', target: 'main', selectors });
+                    break;
+                }
+
+                case 'input':
+                case 'input_change': {
+                    const selectors = this._selectorsToRecorder(trigger);
+                    if (!selectors) { skipped++; break; }
+                    flow.steps.push({
+                        type: 'change',
+                        target: 'main',
+                        selectors,
+                        value: trigger.value || ''
+                    });
+                    break;
+                }
+
+                case 'select': {
+                    // Comboboxes ARIA ficam como os clicks brutos (o fold é do TraceInterpreter)
+                    const selectors = this._selectorsToRecorder(trigger);
+                    if (!selectors) { skipped++; break; }
+                    flow.steps.push({ type: 'change', target: 'main', selectors, value: trigger.select?.value ?? '' });
+                    break;
+                }
+
+                case 'keydown':
+                    if (!trigger.key) { skipped++; break; }
+                    flow.steps.push({ type: 'keyDown', target: 'main', key: trigger.key });
+                    flow.steps.push({ type: 'keyUp', target: 'main', key: trigger.key });
+                    break;
+
+                case 'scroll': {
+                    const to = trigger.scroll?.to;
+                    if (!to) { skipped++; break; }
+                    flow.steps.push({ type: 'scroll', target: 'main', x: to.x || 0, y: to.y || 0 });
+                    break;
+                }
+
+                case 'assert': {
+                    const waitStep = this._assertionToRecorder(trigger);
+                    if (!waitStep) { skipped++; break; }
+                    flow.steps.push(waitStep);
+                    break;
+                }
+
+                case 'navigation':
+                    if (!trigger.url) { skipped++; break; }
+                    flow.steps.push({
+                        type: 'navigate',
+                        url: trigger.url,
+                        assertedEvents: [{ type: 'navigation', url: trigger.url, title: '' }]
+                    });
+                    break;
+
+                default:
+                    // focus/submit são efeitos de outros steps; checkpoints e estilos não existem no Recorder
+                    skipped++;
+            }
+        }
+
+        if (skipped > 0) {
+            console.log(`ℹ️ RecorderConverter: ${skipped} step(s) without Recorder equivalent omitted`);
+        }
+
+        return flow;
+    }
+
+    /**
+     * waitForElement → trigger.assertion (null quando não há equivalente)
+     * @private
+     */
+    static _assertionFromRecorder(rs, target) {
+        if (rs.count !== undefined) {
+            if ((rs.operator || '>=') !== '==') return null;
+            return { kind: 'count', selector: target.selector, expected: rs.count };
+        }
+        if (rs.visible === false) return null;
+
+        const innerText = rs.properties?.innerText;
+        if (typeof innerText === 'string') {
+            return { kind: 'text', expected: innerText.replace(/\s+/g, ' ').trim(), match: 'equals' };
+        }
+
+        const property = ['checked', 'value'].find(name => rs.properties?.[name] !== undefined);
+        if (property) {
+            return { kind: 'attribute', attribute: property, expected: String(rs.properties[property]) };
+        }
+
+        const [attribute] = Object.keys(rs.attributes || {});
+        if (attribute) {
+            return { kind: 'attribute', attribute, expected: String(rs.attributes[attribute]) };
+        }
+
+        return { kind: 'visible', expected: true };
+    }
+
+    /**
+     * trigger.assertion → waitForElement
+     * @private
+     */
+    static _assertionToRecorder(trigger) {
+        const assertion = trigger.assertion || {};
+        const timeout = 5000;
+
+        if (assertion.kind === 'count') {
+            const selector = this._toRecorderSelector(assertion.selector || '');
+            if (!selector) return null;
+            return { type: 'waitForElement', target: 'main', selectors: [[selector]], operator: '==', count: assertion.expected, timeout };
+        }
+
+        const selectors = this._selectorsToRecorder(trigger);
+        if (!selectors) return null;
+        const step = { type: 'waitForElement', target: 'main', selectors, visible: true, timeout };
+
+        if (assertion.kind === 'text') {
+            // Recorder só compara igualdade: "contains" não tem equivalente
+            if (assertion.match === 'contains') return step;
+            step.properties = { innerText: assertion.expected };
+        } else if (assertion.kind === 'attribute') {
+            if (assertion.attribute === 'checked' || assertion.attribute === 'value') {
+                step.properties = { [assertion.attribute]: assertion.attribute === 'checked' ? assertion.expected === 'true' : assertion.expected };
+            } else {
+                step.attributes = { [assertion.attribute]: assertion.expected };
+            }
+        }
+        return step;
+    }
+
+    /**
+     * trigger.selector + selectorFallbacks → [[sel], [host, inner], ...]
+     * @private
+     */
+    static _selectorsToRecorder(trigger) {
+        const candidates = [trigger.selector, ...(trigger.selectorFallbacks || [])]
+            .filter(Boolean)
+            .map(selector => selector.split('>>>').map(part => this._toRecorderSelector(part)))
+            .filter(parts => parts.every(Boolean));
+
+        const unique = [...new Map(candidates.map(parts => [parts.join(' >>> '), parts])).values()];
+        return unique.length > 0 ? unique : null;
+    }
+
+    /**
+     * @private
+     */
+    static _toRecorderSelector(selector) {
+        const trimmed = selector.trim();
+        if (trimmed.startsWith('//') || trimmed.startsWith('(//')) return `xpath/${trimmed}`;
+        if (trimmed.startsWith('aria/')) return trimmed;
+
+        const text = trimmed.match(/^text::"(.*)"$/);
+        if (text) return `text/${text[1].replace(/\\"/g, '"')}`;
+
+        // text:: embutido em CSS (ex: :has(h2:is(text::"..."))) não é CSS válido
+        if (trimmed.includes('text::')) return null;
+        return trimmed;
+    }
+}
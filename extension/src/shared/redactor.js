@@ -0,0 +1,237 @@
+/**
+ * FlowCapture - Redactor
+ * Remove PII e segredos dos valores digitados antes de virarem step.
+ *
+ * - Campos sensíveis (password, autocomplete cc-* / one-time-code / *-password)
+ *   são sempre mascarados, independente das regras.
+ * - Regras regex configuráveis (email, CPF/CNPJ, telefone...) substituem
+ *   cada ocorrência dentro do valor.
+ *
+ * Valores mascarados viram {{variáveis}} nomeadas, que o WorkflowCompiler
+ * repassa para os nodes TYPE (params.text + params.variables).
+ */
+
+/** autocomplete tokens que sempre indicam segredo */
+const SENSITIVE_AUTOCOMPLETE = /^(cc-|one-time-code$|current-password$|new-password$)/;
+
+export class Redactor {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.enabled - Aplica as regras regex (campos sensíveis são sempre mascarados)
+     * @param {Array<{name: string, pattern: string, flags?: string}>} options.rules
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? true;
+        this.rules = [];
+        this._variables = new Map(); // variable → field key
+        this.setRules(options.rules || []);
+    }
+
+    /**
+     * Atualiza configuração (settings redactInputs / redactionRules)
+     * @param {Object} options
+     */
+    configure({ enabled, rules } = {}) {
+        if (enabled !== undefined) this.enabled = enabled;
+        if (rules) this.setRules(rules);
+    }
+
+    /**
+     * Compila as regras; regras com regex inválida são ignoradas
+     * @param {Array<{name: string, pattern: string, flags?: string}>} rules
+     */
+    setRules(rules) {
+        this.rules = rules.map(rule => {
+            try {
+                const flags = rule.flags || 'gi';
+                return {
+                    name: rule.name,
+                    regex: new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g')
+                };
+            } catch (error) {
+                console.warn(`Redactor: Invalid rule "${rule.name}" ignored:`, error.message);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Esquece os nomes de variáveis atribuídos (nova gravação)
+     */
+    reset() {
+        this._variables.clear();
+    }
+
+    /**
+     * Motivo pelo qual o campo é sempre mascarado, ou null
+     * @param {Element} el
+     * @returns {string|null} 'password' | 'autocomplete:<token>'
+     */
+    sensitiveReason(el) {
+        if (!el || el.nodeType !== 1) return null;
+        if ((el.getAttribute('type') || '').toLowerCase() === 'password') return 'password';
+
+        const tokens = (el.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+        const token = tokens.find(t => SENSITIVE_AUTOCOMPLETE.test(t));
+        return token ? `autocomplete:${token}` : null;
+    }
+
+    /**
+     * Mascara o valor digitado em um campo
+     * @param {Element} el - Campo de origem
+     * @param {string|boolean} value - Valor bruto (boolean: checked de checkbox/radio)
+     * @param {string} fieldKey - Identifica o campo (selector) para nomear variáveis
+     * @returns {{value: string|boolean, redaction: Object|null}}
+     *   redaction: {variable?, variables, reason}
+     */
+    redactValue(el, value, fieldKey = '') {
+        if (value === undefined || value === null || value === '') return { value, redaction: null };
+
+        const reason = this.sensitiveReason(el);
+        if (reason) {
+            const base = reason === 'password' ? 'password' : reason.split(':')[1];
+            const variable = this._variableFor(this._fieldName(el) || base, fieldKey);
+            return {
+                value: `{{${variable}}}`,
+                redaction: { variable, variables: [variable], reason }
+            };
+        }
+
+        // checked de checkbox/radio não tem o que mascarar: segue boolean no export
+        if (typeof value !== 'string') return { value, redaction: null };
+        const text = value;
+
+        if (!this.enabled) return { value: text, redaction: null };
+
+        // Valor inteiro bate com uma regra → variável com nome do campo
+        for (const rule of this.rules) {
+            const match = text.trim().match(rule.regex);
+            rule.regex.lastIndex = 0;
+            if (match && match.length === 1 && match[0] === text.trim()) {
+                const variable = this._variableFor(this._fieldName(el) || rule.name, fieldKey);
+                return {
+                    value: `{{${variable}}}`,
+                    redaction: { variable, variables: [variable], reason: `rule:${rule.name}` }
+                };
+            }
+        }
+
+        // Ocorrências dentro de texto livre → uma variável por ocorrência
+        const variables = [];
+        const reasons = [];
+        let redacted = text;
+        for (const rule of this.rules) {
+            redacted = redacted.replace(rule.regex, () => {
+                const variable = this._variableFor(rule.name, `${fieldKey}#${variables.length}`);
+                variables.push(variable);
+                if (!reasons.includes(rule.name)) reasons.push(rule.name);
+                return `{{${variable}}}`;
+            });
+        }
+
+        if (variables.length === 0) return { value: text, redaction: null };
+        return {
+            value: redacted,
+            redaction: { variables, reason: reasons.map(r => `rule:${r}`).join(',') }
+        };
+    }
+
+    /**
+     * Valor do campo contém algo que seria mascarado?
+     * Usado para não vazar o valor em metadata.text.
+     * @param {Element} el
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isSensitive(el, value) {
+        if (this.sensitiveReason(el)) return true;
+        if (!this.enabled || !value) return false;
+
+        return this.rules.some(rule => {
+            rule.regex.lastIndex = 0;
+            const found = rule.regex.test(String(value));
+            rule.regex.lastIndex = 0;
+            return found;
+        });
+    }
+
+    /**
+     * Nome de variável único por campo: mesmo campo → mesmo nome,
+     * campos diferentes com o mesmo nome base → sufixo _2, _3...
+     * @private
+     */
+    _variableFor(base, fieldKey) {
+        const name = this._sanitize(base) || 'value';
+        let candidate = name;
+        let n = 1;
+
+        while (this._variables.has(candidate) && this._variables.get(candidate) !== fieldKey) {
+            candidate = `${name}_${++n}`;
+        }
+
+        this._variables.set(candidate, fieldKey);
+        return candidate;
+    }
+
+    /**
+     * @private
+     */
+    _fieldName(el) {
+        if (!el || el.nodeType !== 1) return '';
+        return el.getAttribute('name') || el.id || '';
+    }
+
+    /**
+     * @private
+     */
+    _sanitize(name) {
+        return String(name)
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .replace(/^(\d)/, '_$1');
+    }
+
+    // ─── Settings helpers (popup) ─────────────────────────
+
+    /**
+     * "name = /pattern/flags" por linha → regras
+     * @param {string} text
+     * @returns {{rules: Array, errors: Array<string>}}
+     */
+    static parseRules(text) {
+        const rules = [];
+        const errors = [];
+
+        (text || '').split('\n').forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const match = trimmed.match(/^([\w-]+)\s*=\s*\/(.+)\/([a-z]*)$/);
+            if (!match) {
+                errors.push(`Line ${i + 1}: expected "name = /pattern/flags"`);
+                return;
+            }
+
+            const [, name, pattern, flags] = match;
+            try {
+                new RegExp(pattern, flags);
+                rules.push({ name, pattern, flags: flags || 'gi' });
+            } catch (error) {
+                errors.push(`Line ${i + 1}: ${error.message}`);
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    /**
+     * Regras → texto editável (inverso de parseRules)
+     * @param {Array<{name: string, pattern: string, flags?: string}>} rules
+     * @returns {string}
+     */
+    static formatRules(rules) {
+        return (rules || []).map(r => `${r.name} = /${r.pattern}/${r.flags || 'gi'}`).join('\n');
+    }
+}
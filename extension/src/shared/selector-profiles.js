@@ -0,0 +1,131 @@
+/**
+ * FlowCapture - Selector Profiles
+ * Ajustes do SelectorEngine por site (settings.selectorProfiles).
+ *
+ * Profile:
+ * { host, attributes: string[], ignoreClasses: string[], bannedStrategies: string[] }
+ * - host: hostname exato ou "*.dominio.com" (subdomínios e o próprio domínio)
+ * - attributes: atributos de test-id em ordem de prioridade (data-qa, data-cy...)
+ * - ignoreClasses: regex de classes a ignorar, somadas ao UTILITY_CLASS_PATTERN
+ *   e às classes de estado do SelectorEngine
+ * - bannedStrategies: estratégias que não geram candidatos (nth-of-type, text...)
+ *
+ * Texto editável no popup, um profile por linha:
+ *   app.example.com: attrs=data-qa,data-cy; ignore=^u-,^js-; ban=nth-of-type,text
+ */
+
+/** Strategy names emitted by SelectorEngine (selectorStrategies[].strategy) */
+export const SELECTOR_STRATEGIES = [
+    'preferred-attribute', 'id', 'xpath', 'aria', 'attribute', 'class', 'modal-scope',
+    'path', 'path-short', 'nth-of-type', 'text', 'img-alt', 'heading-context', 'tag'
+];
+
+/** Atributos de test-id sempre reconhecidos (metadata.testId), depois dos do profile */
+export const DEFAULT_TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-qa', 'data-cy', 'data-test', 'data-automation-id'];
+
+export class SelectorProfiles {
+    /**
+     * Profile that applies to a hostname: exact host wins, then the longest wildcard
+     * @param {Array<Object>} profiles - settings.selectorProfiles
+     * @param {string} hostname
+     * @returns {Object|null}
+     */
+    static forHost(profiles, hostname) {
+        const host = String(hostname || '').toLowerCase();
+        if (!host || !Array.isArray(profiles)) return null;
+
+        let best = null;
+        let bestScore = -1;
+        for (const profile of profiles) {
+            const pattern = String(profile?.host || '').toLowerCase();
+            let score = -1;
+            if (pattern === host) {
+                score = Infinity;
+            } else if (pattern.startsWith('*.')) {
+                const domain = pattern.slice(2);
+                if (host === domain || host.endsWith(`.${domain}`)) score = domain.length;
+            }
+            if (score > bestScore) {
+                best = profile;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * "host: attrs=a,b; ignore=re1,re2; ban=s1,s2" por linha → profiles
+     * @param {string} text
+     * @returns {{profiles: Array, errors: Array<string>}}
+     */
+    static parse(text) {
+        const profiles = [];
+        const errors = [];
+
+        (text || '').split('\n').forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const match = trimmed.match(/^(\*\.)?([\w.-]+)\s*:\s*(.*)$/);
+            if (!match) {
+                errors.push(`Line ${i + 1}: expected "host: attrs=...; ignore=...; ban=..."`);
+                return;
+            }
+
+            const profile = { host: `${match[1] || ''}${match[2]}`.toLowerCase(), attributes: [], ignoreClasses: [], bannedStrategies: [] };
+            const lineErrors = [];
+
+            match[3].split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+                const [key, ...rest] = part.split('=');
+                const values = rest.join('=').split(',').map(v => v.trim()).filter(Boolean);
+
+                switch (key.trim()) {
+                    case 'attrs':
+                        profile.attributes = values;
+                        break;
+                    case 'ignore':
+                        values.forEach(pattern => {
+                            try {
+                                new RegExp(pattern);
+                                profile.ignoreClasses.push(pattern);
+                            } catch (error) {
+                                lineErrors.push(`Line ${i + 1}: ${error.message}`);
+                            }
+                        });
+                        break;
+                    case 'ban': {
+                        const unknown = values.filter(v => !SELECTOR_STRATEGIES.includes(v));
+                        if (unknown.length > 0) lineErrors.push(`Line ${i + 1}: unknown strategy "${unknown[0]}"`);
+                        profile.bannedStrategies = values.filter(v => SELECTOR_STRATEGIES.includes(v));
+                        break;
+                    }
+                    default:
+                        lineErrors.push(`Line ${i + 1}: unknown key "${key.trim()}" (attrs, ignore, ban)`);
+                }
+            });
+
+            if (lineErrors.length > 0) {
+                errors.push(...lineErrors);
+                return;
+            }
+            profiles.push(profile);
+        });
+
+        return { profiles, errors };
+    }
+
+    /**
+     * Profiles → texto editável (inverso de parse)
+     * @param {Array<Object>} profiles
+     * @returns {string}
+     */
+    static format(profiles) {
+        return (profiles || []).map(profile => {
+            const parts = [];
+            if (profile.attributes?.length) parts.push(`attrs=${profile.attributes.join(',')}`);
+            if (profile.ignoreClasses?.length) parts.push(`ignore=${profile.ignoreClasses.join(',')}`);
+            if (profile.bannedStrategies?.length) parts.push(`ban=${profile.bannedStrategies.join(',')}`);
+            return `${profile.host}: ${parts.join('; ')}`;
+        }).join('\n');
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * FlowCapture - Session Library
+ * Biblioteca persistente de gravações nomeadas em chrome.storage.local,
+ * compartilhada entre content script e popup.
+ *
+ * Layout no storage:
+ * - fcSessionLibrary   → índice [{id, name, url, createdAt, updatedAt, stepCount, settings}]
+ * - fcSession:<id>     → steps capturados da sessão
+ *
+ * Os steps ficam fora do índice para que listar a biblioteca não
+ * carregue gravações inteiras.
+ *
+ * As miniaturas (ThumbnailStore) vivem enquanto a sessão existir: remove() apaga
+ * as da sessão e o limite do ThumbnailStore não recicla as de sessões salvas.
+ */
+
+import { StorageManager } from './storage.js';
+import { ThumbnailStore } from './thumbnail-store.js';
+import { STORAGE_KEYS } from './constants.js';
+
+export class SessionLibrary {
+    /**
+     * Lista as sessões salvas (mais recentes primeiro)
+     * @returns {Promise<Array>} Metadados das sessões, sem steps
+     */
+    static async list() {
+        const index = await this._readIndex();
+        return [...index].sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Carrega uma sessão com os steps
+     * @param {string} id
+     * @returns {Promise<Object|null>} {...meta, steps} ou null
+     */
+    static async get(id) {
+        const meta = (await this._readIndex()).find(s => s.id === id);
+        if (!meta) return null;
+
+        const key = this._stepsKey(id);
+        const result = await StorageManager.get(key);
+        return { ...meta, steps: result[key] || [] };
+    }
+
+    /**
+     * Salva uma nova sessão
+     * @param {Object} session
+     * @param {string} session.url - URL inicial da gravação
+     * @param {Array} session.steps - Steps capturados
+     * @param {Object} session.settings - Snapshot das settings no momento da gravação
+     * @param {string} [session.name] - Default: "<data> <hora> - <hostname>"
+     * @returns {Promise<Object>} Metadados da sessão criada
+     */
+    static async save({ url, steps, settings = {}, name = null }) {
+        const now = Date.now();
+        const meta = {
+            id: this._generateId(),
+            name: name || this.defaultName(url, new Date(now)),
+            url,
+            createdAt: now,
+            updatedAt: now,
+            stepCount: steps.length,
+            settings: { ...settings }
+        };
+
+        await StorageManager.set({ [this._stepsKey(meta.id)]: steps });
+        const index = await this._readIndex();
+        index.push(meta);
+        await this._writeIndex(index);
+
+        console.log(`📚 SessionLibrary: saved "${meta.name}" (${meta.stepCount} steps)`);
+        return meta;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     * @returns {Promise<Object>} Metadados atualizados
+     */
+    static async rename(id, name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new Error('Session name cannot be empty');
+
+        return this._updateMeta(id, { name: trimmed });
+    }
+
+    /**
+     * Cria uma cópia independente da sessão (steps + settings)
+     * @param {string} id
+     * @returns {Promise<Object>} Metadados da cópia
+     */
+    static async duplicate(id) {
+        const session = await this.get(id);
+        if (!session) throw new Error('Session not found');
+
+        return this.save({
+            url: session.url,
+            steps: session.steps,
+            settings: session.settings,
+            name: `${session.name} (copy)`
+        });
+    }
+
+    /**
+     * Remove a sessão e as miniaturas dos steps dela (as compartilhadas com uma
+     * cópia feita por duplicate() ficam). Chamado do popup: a IndexedDB das
+     * miniaturas é a da origem da extensão.
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    static async remove(id) {
+        const session = await this.get(id);
+        const index = await this._readIndex();
+        await this._writeIndex(index.filter(s => s.id !== id));
+        await StorageManager.remove(this._stepsKey(id));
+
+        if (!session?.steps.length) return;
+        const kept = await this.stepIds();
+        const orphaned = session.steps.map(step => step.step_id).filter(stepId => stepId && !kept.has(stepId));
+        await ThumbnailStore.remove(orphaned).catch(err => {
+            console.warn('SessionLibrary: Failed to remove thumbnails:', err);
+        });
+    }
+
+    /**
+     * step_ids de todas as sessões salvas (miniaturas que o ThumbnailStore não recicla)
+     * @returns {Promise<Set<string>>}
+     */
+    static async stepIds() {
+        const keys = (await this._readIndex()).map(s => this._stepsKey(s.id));
+        if (keys.length === 0) return new Set();
+
+        const result = await StorageManager.get(keys);
+        return new Set(keys.flatMap(key => (result[key] || []).map(step => step.step_id)));
+    }
+
+    /**
+     * Nome padrão no mesmo formato do sync com o Screenshot Tool
+     * @param {string} url
+     * @param {Date} date
+     * @returns {string}
+     */
+    static defaultName(url, date = new Date()) {
+        let host = url || 'recording';
+        try {
+            host = new URL(url).hostname;
+        } catch {
+            // URL inválida: usa como veio
+        }
+        const dateStr = date.toLocaleDateString('pt-BR');
+        const timeStr = date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+        return `${dateStr} ${timeStr} - ${host}`;
+    }
+
+    /**
+     * @private
+     */
+    static async _updateMeta(id, changes) {
+        const index = await this._readIndex();
+        const meta = index.find(s => s.id === id);
+        if (!meta) throw new Error('Session not found');
+
+        Object.assign(meta, changes, { updatedAt: Date.now() });
+        await this._writeIndex(index);
+        return meta;
+    }
+
+    /**
+     * @private
+     */
+    static async _readIndex() {
+        const result = await StorageManager.get(STORAGE_KEYS.SESSION_LIBRARY);
+        return result[STORAGE_KEYS.SESSION_LIBRARY] || [];
+    }
+
+    /**
+     * @private
+     */
+    static async _writeIndex(index) {
+        return StorageManager.set({ [STORAGE_KEYS.SESSION_LIBRARY]: index });
+    }
+
+    /**
+     * @private
+     */
+    static _stepsKey(id) {
+        return `${STORAGE_KEYS.SESSION_STEPS_PREFIX}${id}`;
+    }
+
+    /**
+     * @private
+     */
+    static _generateId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+    }
+}
@@ -103,17 +103,22 @@ export class StorageManager {
             const result = await this.get([
                 STORAGE_KEYS.IS_RECORDING,
                 STORAGE_KEYS.START_TIME,
+                STORAGE_KEYS.START_URL,
                 STORAGE_KEYS.EVENT_COUNT,
                 STORAGE_KEYS.INTENT_DATA,
-                STORAGE_KEYS.RECORDED_STEPS
+                STORAGE_KEYS.RECORDED_STEPS,
+                STORAGE_KEYS.RECORDING_PAUSE
             ]);
 
+            const isRecording = result[STORAGE_KEYS.IS_RECORDING] || false;
             return {
-                isRecording: result[STORAGE_KEYS.IS_RECORDING] || false,
+                isRecording,
                 startTime: result[STORAGE_KEYS.START_TIME] || null,
+                startUrl: result[STORAGE_KEYS.START_URL] || null,
                 eventCount: result[STORAGE_KEYS.EVENT_COUNT] || 0,
                 intentData: result[STORAGE_KEYS.INTENT_DATA] || null,
-                recordedSteps: result[STORAGE_KEYS.RECORDED_STEPS] || []
+                recordedSteps: result[STORAGE_KEYS.RECORDED_STEPS] || [],
+                pause: isRecording ? result[STORAGE_KEYS.RECORDING_PAUSE] || null : null
             };
         } catch (error) {
             console.error('Failed to get recording state:', error);
@@ -121,9 +126,11 @@ export class StorageManager {
             return {
                 isRecording: false,
                 startTime: null,
+                startUrl: null,
                 eventCount: 0,
                 intentData: null,
-                recordedSteps: []
+                recordedSteps: [],
+                pause: null
             };
         }
     }
@@ -133,18 +140,34 @@ export class StorageManager {
      * @param {boolean} isRecording - Whether recording is active
      * @param {number|null} startTime - Recording start timestamp
      * @param {number} eventCount - Number of events recorded
+     * @param {string|null} startUrl - Page the recording started on
      * @returns {Promise<void>}
      */
-    static async setRecordingState(isRecording, startTime = null, eventCount = 0) {
+    static async setRecordingState(isRecording, startTime = null, eventCount = 0, startUrl = null) {
         const data = {
             [STORAGE_KEYS.IS_RECORDING]: isRecording,
             [STORAGE_KEYS.START_TIME]: startTime,
-            [STORAGE_KEYS.EVENT_COUNT]: eventCount
+            [STORAGE_KEYS.START_URL]: startUrl,
+            [STORAGE_KEYS.EVENT_COUNT]: eventCount,
+            [STORAGE_KEYS.RECORDING_PAUSE]: null // start/stop sempre saem da pausa
         };
 
         return this.set(data);
     }
 
+    /**
+     * Set/clear the paused state of the running recording
+     * @param {{at: number, url: string}|null} pause - Pause info, or null when resuming
+     * @param {number} startTime - Recording start timestamp (shifted on resume so the timer skips the pause)
+     * @returns {Promise<void>}
+     */
+    static async setRecordingPause(pause, startTime) {
+        return this.set({
+            [STORAGE_KEYS.RECORDING_PAUSE]: pause,
+            [STORAGE_KEYS.START_TIME]: startTime
+        });
+    }
+
     /**
      * Update event count
      * @param {number} count - New event count
@@ -206,9 +229,11 @@ export class StorageManager {
         return this.remove([
             STORAGE_KEYS.IS_RECORDING,
             STORAGE_KEYS.START_TIME,
+            STORAGE_KEYS.START_URL,
             STORAGE_KEYS.EVENT_COUNT,
             STORAGE_KEYS.INTENT_DATA,
-            STORAGE_KEYS.RECORDED_STEPS
+            STORAGE_KEYS.RECORDED_STEPS,
+            STORAGE_KEYS.RECORDING_PAUSE
         ]);
     }
 
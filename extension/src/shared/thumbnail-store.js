@@ -0,0 +1,184 @@
+/**
+ * FlowCapture - Thumbnail Store
+ * Miniaturas dos capture points / checkpoints em IndexedDB, ligadas ao step_id.
+ *
+ * A IndexedDB é a da origem da extensão: o background grava (captureVisibleTab),
+ * o popup lê direto e o content script pede ao background — no content script
+ * indexedDB é o da página.
+ *
+ * Record:
+ * { stepId, blob, width, height, url, capturedAt }
+ * - blob: JPEG reduzido para THUMB_WIDTH de largura
+ *
+ * Vida útil ligada à SessionLibrary: remover uma sessão apaga as miniaturas dela,
+ * e MAX_THUMBNAILS (as mais antigas saem primeiro) só recicla as que não estão em
+ * nenhuma sessão salva (steps desfeitos, gravação descartada).
+ */
+
+const DB_NAME = 'fcThumbnails';
+const DB_VERSION = 1;
+const STORE = 'thumbnails';
+
+/** Largura da miniatura (altura segue a proporção do viewport) */
+const THUMB_WIDTH = 320;
+const THUMB_QUALITY = 0.7;
+
+const MAX_THUMBNAILS = 300;
+
+export class ThumbnailStore {
+    /**
+     * Reduz e salva o screenshot de um step
+     * @param {string} stepId
+     * @param {string} dataUrl - Screenshot do captureVisibleTab
+     * @param {Object} [meta]
+     * @param {string} [meta.url] - Página capturada
+     * @param {Function} [meta.keep] - () => Promise<Set<string>>: step_ids que o limite não
+     *   apaga (SessionLibrary.stepIds). Só é chamado quando o limite foi passado.
+     * @returns {Promise<Object>} Record salvo
+     */
+    static async save(stepId, dataUrl, { url = null, keep = async () => new Set() } = {}) {
+        const { blob, width, height } = await this.compress(dataUrl);
+        const record = { stepId, blob, width, height, url, capturedAt: Date.now() };
+
+        const db = await this._open();
+        const tx = db.transaction(STORE, 'readwrite');
+        tx.objectStore(STORE).put(record);
+        await this._done(tx);
+
+        await this._prune(db, keep);
+        return record;
+    }
+
+    /**
+     * @param {string[]} stepIds
+     * @returns {Promise<Map<string, Object>>} stepId → record (só os que existem)
+     */
+    static async getMany(stepIds) {
+        const found = new Map();
+        if (!stepIds?.length) return found;
+
+        const db = await this._open();
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        const records = await Promise.all(stepIds.map(id => this._request(store.get(id))));
+        records.forEach(record => {
+            if (record) found.set(record.stepId, record);
+        });
+        return found;
+    }
+
+    /**
+     * @param {string[]} stepIds
+     */
+    static async remove(stepIds) {
+        if (!stepIds?.length) return;
+        const db = await this._open();
+        const tx = db.transaction(STORE, 'readwrite');
+        stepIds.forEach(id => tx.objectStore(STORE).delete(id));
+        await this._done(tx);
+    }
+
+    /**
+     * Screenshot → JPEG de THUMB_WIDTH px (OffscreenCanvas: funciona no service worker)
+     * @param {string} dataUrl
+     * @returns {Promise<{blob: Blob, width: number, height: number}>}
+     */
+    static async compress(dataUrl) {
+        const source = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(source);
+
+        const width = Math.min(THUMB_WIDTH, bitmap.width);
+        const height = Math.round(bitmap.height * (width / bitmap.width));
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: THUMB_QUALITY });
+        return { blob, width, height };
+    }
+
+    /**
+     * Blob → data URL (para mandar por mensagem ou embutir num <img>)
+     * @param {Blob} blob
+     * @returns {Promise<string>}
+     */
+    static toDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * @private
+     */
+    static _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'stepId' });
+                    store.createIndex('capturedAt', 'capturedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this._db = null;
+                throw error;
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * Apaga as miniaturas mais antigas acima de MAX_THUMBNAILS, fora as de keep
+     * @param {IDBDatabase} db
+     * @param {Function} keep - () => Promise<Set<string>> com os step_ids de sessões salvas
+     * @private
+     */
+    static async _prune(db, keep) {
+        const count = await this._request(db.transaction(STORE, 'readonly').objectStore(STORE).count());
+        if (count <= MAX_THUMBNAILS) return;
+
+        // Lido fora da transação: esperar o chrome.storage dentro dela a encerraria
+        const kept = await keep();
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        const stepIds = await this._request(store.getAllKeys());
+        let excess = stepIds.filter(id => !kept.has(id)).length - MAX_THUMBNAILS;
+
+        if (excess > 0) {
+            store.index('capturedAt').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor || excess <= 0) return;
+                if (!kept.has(cursor.primaryKey)) {
+                    cursor.delete();
+                    excess--;
+                }
+                cursor.continue();
+            };
+        }
+        await this._done(tx);
+    }
+
+    /**
+     * @private
+     */
+    static _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    static _done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+    }
+}
@@ -6,10 +6,14 @@
  *
  * Usa visual_settling (frame-level) ao invés de visual_changes (property-level).
  * Detecta coleções via seletores irmãos, efeitos via class_toggles e new_elements.
+ * Comboboxes ARIA (abrir → digitar → escolher opção) viram um único step 'select'.
  */
 
 import { CONFIG } from './constants.js';
 
+/** Keys that only move through a combobox popup (não mudam a escolha sozinhas) */
+const COMBOBOX_NAV_KEYS = new Set(['ArrowDown', 'ArrowUp', 'Home', 'End', 'PageDown', 'PageUp']);
+
 export class TraceInterpreter {
     constructor() {
         this.collectionThreshold = 2;
@@ -26,6 +30,8 @@ export class TraceInterpreter {
             };
         }
 
+        steps = this.foldSelectSequences(steps);
+
         const collections = this._detectCollections(steps);
         const actions = this._deriveSemanticActions(steps, collections);
         const patterns = this._identifyPatterns(actions, collections);
@@ -48,6 +54,88 @@ export class TraceInterpreter {
         };
     }
 
+    // ─── Comboboxes ───────────────────────────────────────
+
+    /**
+     * Junta a sequência abrir → digitar → escolher opção de um combobox ARIA
+     * (react-select, MUI Autocomplete) num único step 'select' (mode 'combobox').
+     * O step resultante aponta para o combobox (onde o replay clica/digita) e
+     * guarda a opção em trigger.select { value, label, index, query, optionSelector }.
+     * Clicks em opção sem combobox antes (listbox sempre visível) ficam como click.
+     * @param {Array} steps - Captured steps (trigger.combobox vem do SelectRecorder)
+     * @returns {Array} New array; steps that are not folded are kept as-is
+     */
+    foldSelectSequences(steps) {
+        const folded = [];
+
+        for (const step of steps || []) {
+            const option = step.trigger?.type === 'click' && step.trigger.combobox?.role === 'option'
+                ? step.trigger.combobox
+                : null;
+            if (!option) {
+                folded.push(step);
+                continue;
+            }
+
+            // Volta pelos steps do mesmo widget: teclas de navegação, digitação e o click que abriu
+            let start = folded.length;
+            let opener = null;
+            let query = null;
+            while (start > 0 && !opener) {
+                const trigger = folded[start - 1].trigger || {};
+                if (trigger.type === 'click' && trigger.combobox?.role === 'combobox') {
+                    opener = folded[start - 1];
+                } else if (!this._isComboboxTyping(trigger)) {
+                    break;
+                }
+                if ((trigger.type === 'input' || trigger.type === 'input_change') && query === null) {
+                    query = trigger.value ?? '';
+                }
+                start--;
+            }
+
+            const typed = folded.slice(start).find(s => s.trigger?.type === 'input' || s.trigger?.type === 'input_change');
+            const anchor = typed || opener;
+            if (!anchor) {
+                folded.push(step);
+                continue;
+            }
+
+            const select = {
+                mode: 'combobox',
+                value: option.value,
+                label: option.label,
+                index: option.index,
+                optionSelector: step.trigger.selector
+            };
+            if (step.trigger.selectorFallbacks?.length) select.optionFallbacks = step.trigger.selectorFallbacks;
+            if (query) select.query = query;
+
+            folded.length = start;
+            folded.push({
+                ...step,
+                trigger: {
+                    ...anchor.trigger,
+                    type: 'select',
+                    timestamp: step.trigger.timestamp,
+                    select
+                }
+            });
+        }
+
+        return folded;
+    }
+
+    /**
+     * Digitação / navegação por teclado dentro do input de um combobox
+     * @private
+     */
+    _isComboboxTyping(trigger) {
+        if (trigger.metadata?.role !== 'combobox') return false;
+        if (trigger.type === 'input' || trigger.type === 'input_change' || trigger.type === 'focus') return true;
+        return trigger.type === 'keydown' && COMBOBOX_NAV_KEYS.has(trigger.key);
+    }
+
     // ─── Detecção de Coleções ─────────────────────────────
 
     /**
@@ -112,7 +200,8 @@ export class TraceInterpreter {
                     selector: isCollectionItem ? normalizedSelector : trigger.selector,
                     is_collection: isCollectionItem,
                     original_selector: trigger.selector,
-                    metadata: trigger.metadata || {}
+                    metadata: trigger.metadata || {},
+                    ...(trigger.select ? { select: trigger.select } : {})
                 },
                 effects: this._deriveEffects(step),
                 requires_stabilization: this._needsStabilization(step)
@@ -140,6 +229,8 @@ export class TraceInterpreter {
         const meta = trigger.metadata || {};
         const type = trigger.type?.toUpperCase() || 'ACTION';
 
+        if (step.label) return step.label;
+        if (trigger.select) return `${type} "${trigger.select.label || trigger.select.value}"`;
         if (meta.ariaLabel) return `${type} ["${meta.ariaLabel}"]`;
         if (meta.testId) return `${type} (tid: ${meta.testId})`;
         if (meta.text) return `${type} "${meta.text}"`;
@@ -368,7 +459,10 @@ export class TraceInterpreter {
                 nodes.push({
                     id: currentNodeId,
                     node_type: action.trigger.type.toUpperCase(),
-                    config: { selector: action.trigger.selector }
+                    config: {
+                        selector: action.trigger.selector,
+                        ...(action.trigger.select || {})
+                    }
                 });
 
                 connections.push({ source: lastNodeIndex, target: nodes.length - 1 });
@@ -473,6 +567,7 @@ export class TraceInterpreter {
             'ELEMENT_SCAN': 'ELEMENT_SCAN',
             'FOR_EACH_ITEM': 'FOR_EACH_ELEMENT',
             'CLICK': 'CLICK',
+            'SELECT': 'SELECT_OPTION',
             'INPUT': 'TYPE',
             'INPUT_CHANGE': 'TYPE',
             'KEYDOWN': 'CLICK',  // Simplified
@@ -584,7 +679,8 @@ export class TraceInterpreter {
             const selector = node.config.selector;
 
             // Try to infer root from selector (e.g., "ul > li" -> root="ul", item="li")
-            const parts = selector?.split(/\s*>\s*/);
+            // ">" mas não o ">>>" das cadeias de shadow DOM (host >>> inner)
+            const parts = selector?.split(/\s*(?<!>)>(?!>)\s*/);
 
             if (parts && parts.length > 1) {
                 params.rootSelector = parts.slice(0, -1).join(' > ');
@@ -6,6 +6,18 @@
  * DOCUMENTO_TECNICO_WORKFLOW_IR_BASED.md
  */
 
+import { WorkflowVariables } from './workflow-variables.js';
+import { TraceInterpreter } from './trace-interpreter.js';
+
+/** How long ASSERT_* nodes wait for the expected state before failing */
+const ASSERT_TIMEOUT_MS = 5000;
+
+/** Nodes that can open a JavaScript dialog (HANDLE_DIALOG goes right before them) */
+const DIALOG_TRIGGER_NODES = new Set(['CLICK', 'TYPE', 'SELECT_OPTION', 'DRAG', 'UPLOAD', 'HOVER', 'GOTO']);
+
+/** Child combinator ">" — but not the shadow-piercing ">>>" of host >>> inner chains */
+const CHILD_COMBINATOR = /\s*(?<!>)>(?!>)\s*/;
+
 export class WorkflowCompiler {
     constructor(options = {}) {
         this.nodeIdCounter = 0;
@@ -31,6 +43,7 @@ export class WorkflowCompiler {
         this.screenshotCounter = 0;
         this.loopCounter = 0;
         this.workflow = [];
+        this._variableDefaults = {};
 
         this._addStartNode(startUrl);
         this._addWaitNode('Wait for initial page load', {
@@ -38,18 +51,39 @@ export class WorkflowCompiler {
             timeoutMs: 2000
         });
 
-        capturedSteps.forEach((step, index) => {
-            this._processStep(step, index, capturedSteps);
+        // Comboboxes ARIA: abrir → digitar → escolher vira um único step 'select'
+        const steps = new TraceInterpreter().foldSelectSequences(capturedSteps);
+        steps.forEach((step, index) => {
+            const existing = new Set(this.workflow);
+            this._processStep(step, index, steps);
+            if (step.label) this._applyStepLabel(step.label, existing);
         });
 
         this.workflow = this._optimizeRepetitivePatterns(this.workflow);
 
         this._addOutputNode();
+
+        // Variáveis referenciadas (ex: mascaradas pelo Redactor) entram no header do START
+        WorkflowVariables.declare(this.workflow, this._variableDefaults);
         this._validateWorkflow(this.workflow);
 
         return this.workflow;
     }
 
+    /**
+     * Label editado na timeline (step.label) substitui o gerado no primeiro
+     * node de ação que o step produziu (WAITs de timing ficam como estão).
+     * Procura pelos nodes novos, não pelo fim do workflow: HANDLE_DIALOG é inserido
+     * antes da ação que abriu o dialog e SELECT_OPTION remove os nodes de foco.
+     * @param {string} label
+     * @param {Set<Object>} existing - Nodes que já existiam antes do step
+     * @private
+     */
+    _applyStepLabel(label, existing) {
+        const node = this.workflow.find(n => !existing.has(n) && n.type !== 'WAIT');
+        if (node) node.label = label;
+    }
+
     /**
      * Processa um step individual
      * @private
@@ -177,6 +211,38 @@ export class WorkflowCompiler {
                 this._handleCapturePoint(step);
                 break;
 
+            case 'assert':
+                this._handleAssert(step);
+                break;
+
+            case 'extract':
+                this._handleExtract(step);
+                break;
+
+            case 'drag':
+                this._handleDrag(step);
+                break;
+
+            case 'upload':
+                this._handleUpload(step);
+                break;
+
+            case 'select':
+                this._handleSelect(step);
+                break;
+
+            case 'handle_dialog':
+                this._handleDialog(step, index, allSteps);
+                break;
+
+            case 'popup':
+                this._handlePopup(step);
+                break;
+
+            case 'switch_tab':
+                this._handleSwitchTab(step);
+                break;
+
             default:
                 console.warn(`WorkflowCompiler: Unknown trigger type "${triggerType}"`);
         }
@@ -230,6 +296,7 @@ export class WorkflowCompiler {
 
         const params = { selector };
         this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
 
         if (step.trigger.coordinates) {
             params.coordinates = {
@@ -289,6 +356,67 @@ export class WorkflowCompiler {
         console.log(`🧭 WorkflowCompiler: GOTO node added → ${url}`);
     }
 
+    /**
+     * Tab opened from a recorded tab (target=_blank, window.open, OAuth popup).
+     * tabIndex numera as abas na ordem de abertura (0 = aba do START).
+     * @param {Object} step - Step com trigger.tab { index, openerIndex, url }
+     * @private
+     */
+    _handlePopup(step) {
+        const tab = step.trigger?.tab;
+        if (!tab || tab.index === undefined) return;
+
+        const currentIndex = this.workflow.length;
+        const url = this._isBlankUrl(tab.url) ? null : tab.url;
+
+        this.workflow.push({
+            type: 'WAIT_FOR_POPUP',
+            label: url ? `Wait for new tab → ${this._shortenUrl(url)}` : 'Wait for new tab',
+            params: {
+                tabIndex: tab.index,
+                openerIndex: tab.openerIndex ?? 0,
+                url,
+                timeoutMs: 15000
+            },
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+
+        console.log(`🗂️ WorkflowCompiler: WAIT_FOR_POPUP node added → tab #${tab.index}`);
+    }
+
+    /**
+     * Focus moved to another tab of the recording: following nodes run there
+     * @param {Object} step - Step com trigger.tab { index, url }
+     * @private
+     */
+    _handleSwitchTab(step) {
+        const tab = step.trigger?.tab;
+        if (!tab || tab.index === undefined) return;
+
+        const currentIndex = this.workflow.length;
+        const url = this._isBlankUrl(tab.url) ? null : tab.url;
+
+        this.workflow.push({
+            type: 'SWITCH_TAB',
+            label: tab.index === 0 ? 'Switch back to first tab' : `Switch to tab #${tab.index}`,
+            params: {
+                tabIndex: tab.index,
+                url
+            },
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+    }
+
+    /**
+     * about:blank / chrome://newtab: URL de aba recém-criada, ainda sem destino
+     * @private
+     */
+    _isBlankUrl(url) {
+        return !url || url === 'about:blank' || url.startsWith('chrome://');
+    }
+
     /**
      * Shorten a URL to a readable label (hostname + pathname, max 60 chars)
      * @param {string} url
@@ -356,6 +484,7 @@ export class WorkflowCompiler {
 
         // Add fallback selectors for robustness
         this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
 
         // Emit click coordinates for precise replay (fallback if selector is ambiguous)
         if (step.trigger.coordinates) {
@@ -411,6 +540,267 @@ export class WorkflowCompiler {
         }
     }
 
+    /**
+     * Drag gesture → DRAG node.
+     * mode "element": solta sobre params.target (card → outra coluna);
+     * mode "offset": move pelo offset gravado (sliders, reordenar na mesma lista).
+     * from/to/path guardam o gesto original para replay por coordenadas.
+     * @param {Object} step - Step com trigger.drag (DragRecorder)
+     * @private
+     */
+    _handleDrag(step) {
+        const selector = step.trigger?.selector;
+        const drag = step.trigger?.drag;
+        if (!selector || !drag) return;
+        const currentIndex = this.workflow.length;
+
+        const metadata = step.trigger.metadata || {};
+        const params = { selector };
+        this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
+
+        if (drag.targetSelector) {
+            params.target = drag.targetSelector;
+            const targetFallbacks = this._filterBadFallbacks(drag.targetFallbacks || []);
+            if (targetFallbacks.length > 0) params.targetFallbacks = targetFallbacks;
+        }
+        params.mode = params.target ? 'element' : 'offset';
+
+        const round = (point) => ({ x: Math.round(point?.x || 0), y: Math.round(point?.y || 0) });
+        params.offset = round(drag.offset);
+        params.from = round(drag.from);
+        params.to = round(drag.to);
+        if (drag.path?.length > 2) params.path = drag.path.map(p => ({ ...round(p), t: p.t || 0 }));
+        if (drag.native) params.native = true;
+
+        const source = this._getReadableSelector(selector, metadata.text || metadata.ariaLabel || '');
+        this.workflow.push({
+            type: 'DRAG',
+            label: params.mode === 'element'
+                ? `Drag ${source} to ${this._getReadableSelector(params.target)}`
+                : `Drag ${source} by (${params.offset.x}, ${params.offset.y})`,
+            params,
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+
+        // Listas reordenadas animam os itens até a posição final
+        const settlingMs = Math.max(step.visual_settling?.total_ms || 0, step.visual_settling?.max_css_duration_ms || 0);
+        if (settlingMs > 150) {
+            this._addWaitNode('Wait for DOM to settle', { condition: 'fixed-time', timeoutMs: Math.min(Math.max(settlingMs, 400), 5000) });
+        }
+    }
+
+    /**
+     * File selection → UPLOAD node.
+     * params espelham o setInputFiles do Playwright: files são caminhos de fixture
+     * ({{upload_<arquivo>}}, default fixtures/<arquivo>), [] limpa a seleção.
+     * mode "input": setInputFiles no input; mode "drop": arquivos soltos numa
+     * dropzone sem input (o executor dispara o drop com um DataTransfer).
+     * fileInfo guarda nome/tamanho/MIME gravados — nunca o conteúdo.
+     * @param {Object} step - Step com trigger.upload (UploadRecorder)
+     * @private
+     */
+    _handleUpload(step) {
+        const selector = step.trigger?.selector;
+        const upload = step.trigger?.upload;
+        if (!selector || !upload) return;
+
+        // Dropzone custom que abriu o seletor via input.click(): o UPLOAD substitui o click
+        if (upload.openedBy === 'page') this._dropChooserClick();
+
+        const currentIndex = this.workflow.length;
+        const fileInfo = (upload.files || []).map(file => ({
+            name: file.name,
+            size: file.size || 0,
+            mimeType: file.mimeType || 'application/octet-stream'
+        }));
+
+        const params = {
+            selector,
+            files: fileInfo.map(file => `{{${this._fixtureVariable(file.name)}}}`),
+            fileInfo,
+            mode: upload.via === 'drop' ? 'drop' : 'input',
+            multiple: !!upload.multiple
+        };
+        if (upload.accept) params.accept = upload.accept;
+        this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
+
+        this.workflow.push({
+            type: 'UPLOAD',
+            label: fileInfo.length === 0 ? 'Clear file selection'
+                : fileInfo.length === 1 ? `Upload ${fileInfo[0].name}`
+                    : `Upload ${fileInfo.length} files`,
+            params,
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+    }
+
+    /**
+     * Variable holding the fixture path of an uploaded file (same file name → same variable)
+     * @param {string} fileName
+     * @returns {string}
+     * @private
+     */
+    _fixtureVariable(fileName) {
+        const name = `upload_${WorkflowVariables.sanitizeName(fileName) || 'file'}`;
+        this._variableDefaults[name] = `fixtures/${fileName}`;
+        return name;
+    }
+
+    /**
+     * Remove the CLICK (and its settle WAIT) that only opened the file chooser
+     * @private
+     */
+    _dropChooserClick() {
+        let end = this.workflow.length;
+        while (end > 0 && this.workflow[end - 1].type === 'WAIT' && this.workflow[end - 1].label === 'Wait for DOM to settle') end--;
+        const click = this.workflow[end - 1];
+        if (click?.type !== 'CLICK' || click.params.expectNavigation) return;
+
+        const removed = this.workflow.length - (end - 1);
+        this.workflow.length = end - 1;
+        this.nodeIdCounter -= removed;
+    }
+
+    /**
+     * Option pick → SELECT_OPTION node.
+     * value/label/index identificam a opção (o executor tenta nessa ordem).
+     * mode "native": selectOption no <select>; mode "datalist": preenche o input
+     * com o value da <option>; mode "combobox": widget ARIA — clica no combobox,
+     * digita query (se houve) e clica na opção (optionSelector ou role=option + label).
+     * @param {Object} step - Step com trigger.select (SelectRecorder / TraceInterpreter)
+     * @private
+     */
+    _handleSelect(step) {
+        const selector = step.trigger?.selector;
+        const select = step.trigger?.select;
+        if (!selector || !select) return;
+
+        // Focus/digitação no mesmo campo só levavam até a escolha
+        this._dropLeadInto(selector);
+
+        const currentIndex = this.workflow.length;
+        const metadata = step.trigger.metadata || {};
+        const fieldName = metadata.ariaLabel || metadata.name || metadata.placeholder || 'field';
+
+        const params = {
+            selector,
+            mode: select.mode || 'native',
+            value: select.value ?? '',
+            label: select.label ?? '',
+            index: select.index ?? -1
+        };
+        if (select.multiple) {
+            params.multiple = true;
+            params.values = select.values || [];
+            params.labels = select.labels || [];
+        }
+        if (select.query) params.query = select.query;
+        if (select.optionSelector) {
+            params.optionSelector = select.optionSelector;
+            const optionFallbacks = this._filterBadFallbacks(select.optionFallbacks || []);
+            if (optionFallbacks.length > 0) params.optionFallbacks = optionFallbacks;
+        }
+        this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
+
+        const choice = params.multiple ? `${params.values.length} option(s)` : `"${params.label || params.value}"`;
+        this.workflow.push({
+            type: 'SELECT_OPTION',
+            label: `Select ${choice} in ${fieldName}`,
+            params,
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+
+        // Popups custom fecham com animação antes do próximo passo
+        if (params.mode === 'combobox') {
+            const settlingMs = Math.max(step.visual_settling?.total_ms || 0, step.visual_settling?.max_css_duration_ms || 0);
+            if (settlingMs > 150) {
+                this._addWaitNode('Wait for DOM to settle', { condition: 'fixed-time', timeoutMs: Math.min(Math.max(settlingMs, 400), 5000) });
+            }
+        }
+    }
+
+    /**
+     * alert/confirm/prompt/beforeunload answered while recording → HANDLE_DIALOG node.
+     * O executor registra a resposta (accept + promptText) antes da ação que abre o
+     * dialog e responde só o próximo dialog do tipo (page.once('dialog')).
+     * O step chega antes da ação quando a sessão dela ainda estava aberta (o caso
+     * comum: dialog aberto no handler do click); senão vem depois e o node é
+     * inserido antes da última ação.
+     * @param {Object} step - Step com trigger.dialog (DialogRecorder)
+     * @private
+     */
+    _handleDialog(step, index, allSteps) {
+        const dialog = step.trigger?.dialog;
+        if (!dialog?.dialogType) return;
+
+        const params = {
+            dialogType: dialog.dialogType,
+            action: dialog.accepted ? 'accept' : 'dismiss'
+        };
+        if (dialog.dialogType === 'prompt' && dialog.accepted) params.promptText = dialog.promptText ?? '';
+        if (dialog.message) params.message = dialog.message;
+        if (step.trigger.redaction) params.variables = step.trigger.redaction.variables;
+
+        const verb = params.action === 'accept' ? 'Accept' : 'Dismiss';
+        const message = dialog.message ? ` "${dialog.message.length > 40 ? dialog.message.substring(0, 37) + '…' : dialog.message}"` : '';
+        const node = {
+            type: 'HANDLE_DIALOG',
+            label: `${verb} ${dialog.dialogType}${message}`,
+            params,
+            connections: []
+        };
+
+        const next = allSteps[index + 1];
+        const beforeNext = next && (next.trigger?.timestamp || 0) <= (dialog.openedAt || step.trigger.timestamp || 0);
+        const at = beforeNext ? this.workflow.length : this._lastDialogTriggerIndex();
+        this._insertNode(at, node);
+    }
+
+    /**
+     * Index of the last node that may have opened a dialog (end of workflow if none)
+     * @private
+     */
+    _lastDialogTriggerIndex() {
+        for (let i = this.workflow.length - 1; i > 0; i--) {
+            if (DIALOG_TRIGGER_NODES.has(this.workflow[i].type)) return i;
+        }
+        return this.workflow.length;
+    }
+
+    /**
+     * Insert a node in the linear flow, relinking the nodes from that point on
+     * @private
+     */
+    _insertNode(at, node) {
+        this.workflow.splice(at, 0, node);
+        for (let i = at; i < this.workflow.length; i++) {
+            this.workflow[i].connections = [{ to: i + 1, condition: 'success' }];
+        }
+        this.nodeIdCounter++;
+    }
+
+    /**
+     * Remove focus CLICKs and TYPEs on the field right before a SELECT_OPTION
+     * @param {string} selector
+     * @private
+     */
+    _dropLeadInto(selector) {
+        while (this.workflow.length > 0) {
+            const last = this.workflow[this.workflow.length - 1];
+            const isLeadIn = (last.type === 'TYPE' || (last.type === 'CLICK' && !last.params.expectNavigation)) &&
+                last.params.selector === selector;
+            if (!isLeadIn) return;
+            this.workflow.pop();
+            this.nodeIdCounter--;
+        }
+    }
+
     _handleInput(step) {
         const selector = step.trigger?.selector;
         if (!selector) return;
@@ -427,6 +817,12 @@ export class WorkflowCompiler {
             delayMs: 50
         };
         this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
+
+        // Valor mascarado na captura (Redactor): text já é "{{variável}}"
+        if (step.trigger.redaction) {
+            params.variables = step.trigger.redaction.variables;
+        }
 
         this.workflow.push({
             type: 'TYPE',
@@ -469,13 +865,16 @@ export class WorkflowCompiler {
         if (!selector) return;
         const currentIndex = this.workflow.length;
 
+        const params = {
+            selector: selector + ' button[type="submit"], ' + selector + ' input[type="submit"]',
+            expectNavigation: true
+        };
+        this._addFrameContext(params, step);
+
         this.workflow.push({
             type: 'CLICK',
             label: 'Submit form',
-            params: {
-                selector: selector + ' button[type="submit"], ' + selector + ' input[type="submit"]',
-                expectNavigation: true
-            },
+            params,
             connections: [{ to: currentIndex + 1, condition: 'success' }]
         });
         this.nodeIdCounter++;
@@ -502,10 +901,13 @@ export class WorkflowCompiler {
             if (!selector) return;
             const currentIndex = this.workflow.length;
 
+            const params = { selector };
+            this._addFrameContext(params, step);
+
             this.workflow.push({
                 type: 'CLICK',
                 label: `Press Enter on ${this._getReadableSelector(selector)}`,
-                params: { selector },
+                params,
                 connections: [{ to: currentIndex + 1, condition: 'success' }]
             });
             this.nodeIdCounter++;
@@ -524,6 +926,7 @@ export class WorkflowCompiler {
 
         const params = { selector };
         this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
 
         this.workflow.push({
             type: 'CLICK',
@@ -559,6 +962,7 @@ export class WorkflowCompiler {
         if (!modeParams.useDynamicHeight) {
             params.viewportHeight = viewport.height || null;
         }
+        this._addFrameContext(params, step);
 
         this.workflow.push({
             type: 'SCREENSHOT',
@@ -600,17 +1004,59 @@ export class WorkflowCompiler {
     }
 
     _addOutputNode() {
+        const params = {
+            folderName: 'flow-capture-output',
+            zip: false
+        };
+
+        // EXTRACT fora de loop → valor; dentro de FOR_EACH → array (um item por iteração)
+        const fields = this._collectExtractFields(this.workflow);
+        if (fields.length > 0) {
+            params.extractedData = { format: 'json', filename: 'extracted-data.json', fields };
+        }
+
         this.workflow.push({
             type: 'OUTPUT',
-            label: 'Save results',
-            params: {
-                folderName: 'flow-capture-output',
-                zip: false
-            }
+            label: fields.length > 0 ? `Save results + ${fields.length} extracted field(s)` : 'Save results',
+            params
         });
         this.nodeIdCounter++;
     }
 
+    /**
+     * EXTRACT fields in workflow order; duplicated names get a _2, _3... suffix
+     * so each field maps to one key in the JSON output
+     * @param {Array} workflow
+     * @returns {Array<{name: string, extractType: string, repeated: boolean}>}
+     * @private
+     */
+    _collectExtractFields(workflow) {
+        const fields = [];
+        const visit = (node, repeated) => {
+            if (node.type === 'EXTRACT') {
+                const base = node.params.field;
+                let name = base;
+                let n = 1;
+                while (fields.some(f => f.name === name)) name = `${base}_${++n}`;
+
+                if (name !== base) {
+                    console.warn(`WorkflowCompiler: Extract field "${base}" is used more than once, renamed to "${name}"`);
+                    node.params.field = name;
+                    if (node.label) node.label = node.label.replace(`Extract ${base} `, `Extract ${name} `);
+                }
+                fields.push({ name, extractType: node.params.extractType, repeated });
+            }
+            if (node.type === 'FOR_EACH_ELEMENT') {
+                // Data-driven repete o fluxo inteiro por linha: cada execução gera seu próprio JSON
+                const inLoop = repeated || node.params?.mode !== 'data-driven';
+                (node.params?.actions || []).forEach(action => visit(action, inLoop));
+            }
+        };
+
+        workflow.forEach(node => visit(node, false));
+        return fields;
+    }
+
     _hasSignificantVisualChanges(step) {
         const effects = step.effects || {};
         const settling = step.visual_settling || {};
@@ -630,6 +1076,11 @@ export class WorkflowCompiler {
 
         if (!selector) return 'element';
 
+        // Shadow DOM: host >>> inner → descreve o elemento interno
+        if (selector.includes('>>>')) {
+            return this._getReadableSelector(selector.split('>>>').pop().trim());
+        }
+
         if (selector.startsWith('#')) {
             return selector.split(' ')[0];
         }
@@ -708,14 +1159,47 @@ export class WorkflowCompiler {
     }
 
     _addFallbacks(params, step) {
+        const scores = this._selectorScores(step);
+
         const fallbacks = step.trigger?.selectorFallbacks;
         if (fallbacks && fallbacks.length > 0) {
             // Filter out generic selectors that would match wrong elements
-            const validFallbacks = this._filterBadFallbacks(fallbacks);
+            // and candidates that matched nothing when they were scored
+            const validFallbacks = this._filterBadFallbacks(fallbacks)
+                .filter(selector => scores.get(selector)?.matches !== 0);
             if (validFallbacks.length > 0) {
                 params.selectorFallbacks = validFallbacks;
             }
         }
+
+        // Qualidade do seletor primário (exporters e overlay avisam quando é frágil)
+        const primary = scores.get(params.selector);
+        if (primary) {
+            params.selectorScore = { strategy: primary.strategy, score: primary.score, reasons: primary.reasons };
+            if (primary.fragile) params.selectorScore.fragile = true;
+        }
+    }
+
+    /**
+     * trigger.selectorStrategies → Map(selector → { strategy, score, reasons, matches, fragile })
+     * (gravações antigas guardavam só o nome da estratégia: Map vazio)
+     * @private
+     */
+    _selectorScores(step) {
+        const entries = (step.trigger?.selectorStrategies || [])
+            .filter(entry => entry && typeof entry === 'object' && entry.selector);
+        return new Map(entries.map(entry => [entry.selector, entry]));
+    }
+
+    /**
+     * Steps gravados dentro de iframes → params.frame = { path, url }
+     * (path: selectors dos <iframe>, do documento principal até o frame do elemento)
+     * @private
+     */
+    _addFrameContext(params, step) {
+        const path = step.trigger?.framePath;
+        if (!path || path.length === 0) return;
+        params.frame = { path, url: step.trigger.frameUrl || null };
     }
 
     /**
@@ -775,20 +1259,23 @@ export class WorkflowCompiler {
      * @param {string} property
      * @param {string} value
      * @param {string} priority
+     * @param {Object} [step] - Step de origem (frame do elemento)
      * @private
      */
-    _addSetStyle(selector, property, value, priority = 'important') {
+    _addSetStyle(selector, property, value, priority = 'important', step = null) {
         const currentIndex = this.workflow.length;
+        const params = {
+            selector,
+            property,
+            value,
+            priority
+        };
+        if (step) this._addFrameContext(params, step);
 
         this.workflow.push({
             type: 'SET_STYLE',
             label: `Set ${property} on ${this._getReadableSelector(selector)}`,
-            params: {
-                selector,
-                property,
-                value,
-                priority
-            },
+            params,
             connections: [{ to: currentIndex + 1, condition: 'success' }]
         });
         this.nodeIdCounter++;
@@ -807,7 +1294,8 @@ export class WorkflowCompiler {
             styleChange.selector,
             styleChange.property,
             styleChange.value,
-            styleChange.priority
+            styleChange.priority,
+            step
         );
     }
 
@@ -857,6 +1345,7 @@ export class WorkflowCompiler {
                 params.containerFallbacks = validFallbacks;
             }
         }
+        this._addFrameContext(params, step);
 
         this.workflow.push({
             type: 'EXPAND',
@@ -873,6 +1362,110 @@ export class WorkflowCompiler {
         });
     }
 
+    /**
+     * Processa asserção gravada no assert mode
+     * - text / attribute → ASSERT_TEXT (params.attribute quando é atributo)
+     * - visible          → ASSERT_VISIBLE
+     * - count            → ASSERT_COUNT (selector dos itens, não do elemento clicado)
+     * @param {Object} step
+     * @private
+     */
+    _handleAssert(step) {
+        const assertion = step.trigger?.assertion;
+        const selector = step.trigger?.selector;
+        if (!assertion) return;
+
+        const currentIndex = this.workflow.length;
+        const metadata = step.trigger.metadata || {};
+        const readable = this._getReadableSelector(selector || assertion.selector || '', metadata.text || metadata.ariaLabel || '');
+        let node;
+
+        if (assertion.kind === 'count') {
+            if (!assertion.selector) return;
+            node = {
+                type: 'ASSERT_COUNT',
+                label: `Assert ${assertion.expected} × ${this._getReadableSelector(assertion.selector)}`,
+                params: {
+                    selector: assertion.selector,
+                    expected: assertion.expected,
+                    timeoutMs: ASSERT_TIMEOUT_MS
+                }
+            };
+        } else if (assertion.kind === 'visible') {
+            if (!selector) return;
+            node = {
+                type: 'ASSERT_VISIBLE',
+                label: `Assert ${readable} is visible`,
+                params: { selector, visible: true, timeoutMs: ASSERT_TIMEOUT_MS }
+            };
+        } else {
+            if (!selector) return;
+            const params = {
+                selector,
+                expected: String(assertion.expected ?? ''),
+                match: assertion.match || 'equals',
+                timeoutMs: ASSERT_TIMEOUT_MS
+            };
+            if (assertion.attribute) params.attribute = assertion.attribute;
+
+            const preview = params.expected.length > 40 ? `${params.expected.substring(0, 37)}…` : params.expected;
+            node = {
+                type: 'ASSERT_TEXT',
+                label: assertion.attribute
+                    ? `Assert ${readable} [${assertion.attribute}] = "${preview}"`
+                    : `Assert ${readable} ${params.match === 'contains' ? 'contains' : 'has text'} "${preview}"`,
+                params
+            };
+        }
+
+        if (node.type !== 'ASSERT_COUNT') this._addFallbacks(node.params, step);
+        this._addFrameContext(node.params, step);
+
+        this.workflow.push({
+            ...node,
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+    }
+
+    /**
+     * Processa extração gravada no extract mode → EXTRACT
+     * (valor vai para o JSON coletado pelo OUTPUT, em params.field)
+     * @param {Object} step
+     * @private
+     */
+    _handleExtract(step) {
+        const extraction = step.trigger?.extraction;
+        const selector = step.trigger?.selector;
+        if (!extraction?.field || !selector) return;
+
+        const currentIndex = this.workflow.length;
+        const params = {
+            field: extraction.field,
+            selector,
+            extractType: extraction.type || 'text'
+        };
+        if (extraction.attribute) params.attribute = extraction.attribute;
+        this._addFallbacks(params, step);
+        this._addFrameContext(params, step);
+
+        this.workflow.push({
+            type: 'EXTRACT',
+            label: `Extract ${extraction.field} (${this._extractDescription(params)})`,
+            params,
+            connections: [{ to: currentIndex + 1, condition: 'success' }]
+        });
+        this.nodeIdCounter++;
+    }
+
+    /**
+     * "text" / "href attribute" / "html" / "table"
+     * @private
+     */
+    _extractDescription(params) {
+        return params.extractType === 'attribute' ? `${params.attribute} attribute` : params.extractType;
+    }
+
     /**
      * Processa lote de mudanças de estilo (captureStyles)
      * @param {Object} step
@@ -886,7 +1479,7 @@ export class WorkflowCompiler {
 
         // Adiciona um node SET_STYLE para cada propriedade
         Object.entries(styles).forEach(([property, value]) => {
-            this._addSetStyle(selector, property, value, priority);
+            this._addSetStyle(selector, property, value, priority, step);
         });
     }
 
@@ -924,6 +1517,7 @@ export class WorkflowCompiler {
         if (!modeParams.useDynamicHeight) {
             params.viewportHeight = viewport.height || null;
         }
+        this._addFrameContext(params, step);
 
         this.workflow.push({
             type: 'SCREENSHOT',
@@ -972,14 +1566,17 @@ export class WorkflowCompiler {
     // ─── Loop Pattern Optimization ──────────────────────────
 
     /**
-     * Post-compilation pass: detect consecutive CLICK→SCREENSHOT pairs
-     * targeting sibling elements and replace with ELEMENT_SCAN + FOR_EACH
+     * Post-compilation pass: detect consecutive CLICK→SCREENSHOT pairs (or
+     * EXTRACTs of the same field) targeting sibling elements and replace
+     * with ELEMENT_SCAN + FOR_EACH
      * @param {Array} workflow - Compiled workflow nodes
      * @returns {Array} Optimized workflow
      * @private
      */
     _optimizeRepetitivePatterns(workflow) {
-        const groups = this._findClickCaptureGroups(workflow);
+        const clickGroups = this._findClickCaptureGroups(workflow);
+        const covered = (idx) => clickGroups.some(g => idx >= g.startIdx && idx <= g.endIdx);
+        const groups = [...clickGroups, ...this._findExtractGroups(workflow, covered)];
         if (groups.length === 0) return workflow;
 
         const result = [];
@@ -1000,7 +1597,9 @@ export class WorkflowCompiler {
                     this.loopCounter++;
                     const scanId = `scan-loop-${this.loopCounter}`;
                     result.push(this._buildScanNode(group, scanId));
-                    result.push(this._buildLoopNode(group, scanId));
+                    result.push(group.kind === 'extract'
+                        ? this._buildExtractLoopNode(group, scanId)
+                        : this._buildLoopNode(group, scanId));
                 }
                 continue;
             }
@@ -1025,15 +1624,18 @@ export class WorkflowCompiler {
         const groups = [];
         let i = 0;
 
-        // Skip all consecutive WAIT nodes starting at idx, return index of first non-WAIT node
+        // Skip all consecutive WAIT (and EXTRACT) nodes starting at idx, return index of the next node
         const skipWaits = (idx) => {
-            while (workflow[idx]?.type === 'WAIT') idx++;
+            while (workflow[idx]?.type === 'WAIT' || workflow[idx]?.type === 'EXTRACT') idx++;
             return idx;
         };
 
+        // ELEMENT_SCAN roda no documento principal: clicks dentro de iframes não viram loop
+        const isLoopClick = (node) => node?.type === 'CLICK' && !node.params?.frame;
+
         while (i < workflow.length) {
             // Look for CLICK followed by SCREENSHOT (with any number of WAITs in between)
-            if (workflow[i].type !== 'CLICK') {
+            if (!isLoopClick(workflow[i])) {
                 i++;
                 continue;
             }
@@ -1047,7 +1649,7 @@ export class WorkflowCompiler {
             const pairs = [];
             let j = i;
             while (j < workflow.length) {
-                if (workflow[j].type !== 'CLICK') break;
+                if (!isLoopClick(workflow[j])) break;
                 const ssIdx = skipWaits(j + 1);
                 if (workflow[ssIdx]?.type !== 'SCREENSHOT') break;
 
@@ -1055,7 +1657,8 @@ export class WorkflowCompiler {
                     clickIdx: j,
                     screenshotIdx: ssIdx,
                     clickNode: workflow[j],
-                    screenshotNode: workflow[ssIdx]
+                    screenshotNode: workflow[ssIdx],
+                    extractNodes: workflow.slice(j + 1, ssIdx).filter(n => n.type === 'EXTRACT')
                 });
                 j = ssIdx + 1;
             }
@@ -1063,12 +1666,14 @@ export class WorkflowCompiler {
             // Need at least 2 consecutive pairs to form a loop
             if (pairs.length >= 2) {
                 const loopInfo = this._analyzeSiblings(pairs);
-                if (loopInfo) {
+                const extractActions = loopInfo && this._loopExtractActions(pairs, loopInfo);
+                if (loopInfo && extractActions) {
                     groups.push({
                         startIdx: pairs[0].clickIdx,
                         endIdx: pairs[pairs.length - 1].screenshotIdx,
                         itemCount: pairs.length,
                         pairs,
+                        extractActions,
                         ...loopInfo
                     });
                     i = pairs[pairs.length - 1].screenshotIdx + 1;
@@ -1082,6 +1687,96 @@ export class WorkflowCompiler {
         return groups;
     }
 
+    /**
+     * EXTRACTs recorded between each CLICK and SCREENSHOT → loop actions.
+     * Every pair must extract the same fields; selectors that vary with the
+     * item become relative to it, identical ones stay absolute (ex: painel da aba).
+     * @returns {Array|null} Actions, or null when the extracts can't be folded into the loop
+     * @private
+     */
+    _loopExtractActions(pairs, loopInfo) {
+        const fieldsOf = (pair) => pair.extractNodes.map(n => n.params.field).join('|');
+        if (pairs.some(pair => fieldsOf(pair) !== fieldsOf(pairs[0]))) return null;
+
+        const actions = [];
+        for (let k = 0; k < pairs[0].extractNodes.length; k++) {
+            const nodes = pairs.map(pair => pair.extractNodes[k]);
+            const first = nodes[0].params;
+
+            if (nodes.every(n => n.params.selector === first.selector)) {
+                actions.push({ type: 'EXTRACT', params: { ...first } });
+                continue;
+            }
+
+            const info = this._analyzeSiblings(nodes.map(clickNode => ({ clickNode })));
+            if (!info || info.rootSelector !== loopInfo.rootSelector || info.itemSelector !== loopInfo.itemSelector) {
+                return null;
+            }
+
+            const { selectorFallbacks, ...params } = first;
+            actions.push({
+                type: 'EXTRACT',
+                params: { ...params, selector: info.clickPath ? `{{current.selector}} ${info.clickPath}` : '{{current.selector}}' }
+            });
+        }
+        return actions;
+    }
+
+    /**
+     * Find runs of EXTRACT nodes (WAITs in between allowed) reading the same
+     * field from sibling elements — ex: o preço de cada card da lista
+     * @param {Array} workflow
+     * @param {Function} covered - (index) → true when already part of a click group
+     * @private
+     */
+    _findExtractGroups(workflow, covered) {
+        const groups = [];
+        const sameExtraction = (a, b) => a.params.field === b.params.field &&
+            a.params.extractType === b.params.extractType &&
+            a.params.attribute === b.params.attribute;
+
+        let i = 0;
+        while (i < workflow.length) {
+            if (workflow[i].type !== 'EXTRACT' || covered(i)) {
+                i++;
+                continue;
+            }
+
+            const indexes = [i];
+            let j = i + 1;
+            while (j < workflow.length && !covered(j)) {
+                if (workflow[j].type === 'WAIT') {
+                    j++;
+                    continue;
+                }
+                if (workflow[j].type !== 'EXTRACT' || !sameExtraction(workflow[j], workflow[i])) break;
+                indexes.push(j);
+                j++;
+            }
+
+            if (indexes.length >= 2) {
+                const nodes = indexes.map(idx => workflow[idx]);
+                const loopInfo = this._analyzeSiblings(nodes.map(clickNode => ({ clickNode })));
+                if (loopInfo) {
+                    groups.push({
+                        kind: 'extract',
+                        startIdx: indexes[0],
+                        endIdx: indexes[indexes.length - 1],
+                        itemCount: nodes.length,
+                        extractNode: nodes[0],
+                        ...loopInfo
+                    });
+                    i = indexes[indexes.length - 1] + 1;
+                    continue;
+                }
+            }
+
+            i++;
+        }
+
+        return groups;
+    }
+
     /**
      * Check if CLICKs in a group target sibling elements
      * Uses selector skeleton matching (primary + fallbacks)
@@ -1164,7 +1859,7 @@ export class WorkflowCompiler {
     _extractLoopInfo(skeleton) {
         // CSS path with nth-of-type(*)
         if (!skeleton.startsWith('//') && skeleton.includes(':nth-of-type(*)')) {
-            const parts = skeleton.split(/\s*>\s*/);
+            const parts = skeleton.split(CHILD_COMBINATOR);
             const varyingIdx = parts.findIndex(p => p.includes(':nth-of-type(*)'));
             if (varyingIdx < 0) return null;
 
@@ -1194,7 +1889,7 @@ export class WorkflowCompiler {
 
         // CSS path with nth-child(*)
         if (!skeleton.startsWith('//') && skeleton.includes(':nth-child(*)')) {
-            const parts = skeleton.split(/\s*>\s*/);
+            const parts = skeleton.split(CHILD_COMBINATOR);
             const varyingIdx = parts.findIndex(p => p.includes(':nth-child(*)'));
             if (varyingIdx < 0) return null;
 
@@ -1276,6 +1971,9 @@ export class WorkflowCompiler {
             params: { timeoutMs: Math.max(500, this.preScreenshotDelay) }
         });
 
+        // EXTRACT: gravados entre o click e o screenshot (viram arrays no OUTPUT)
+        actions.push(...(group.extractActions || []));
+
         // SCREENSHOT: capture with loop-indexed filename
         actions.push({
             type: 'SCREENSHOT',
@@ -1298,6 +1996,32 @@ export class WorkflowCompiler {
         };
     }
 
+    /**
+     * Build FOR_EACH_ELEMENT node for a run of same-field EXTRACTs
+     * @private
+     */
+    _buildExtractLoopNode(group, scanId) {
+        const { selectorFallbacks, ...params } = group.extractNode.params;
+
+        return {
+            type: 'FOR_EACH_ELEMENT',
+            label: `Extract ${params.field} from each ${group.itemSelector}`,
+            params: {
+                mode: 'for-each',
+                source: scanId,
+                maxIterations: 50,
+                actions: [{
+                    type: 'EXTRACT',
+                    params: {
+                        ...params,
+                        selector: group.clickPath ? `{{current.selector}} ${group.clickPath}` : '{{current.selector}}'
+                    }
+                }]
+            },
+            connections: [{ to: 0, condition: 'success' }]
+        };
+    }
+
     /**
      * Validate compiled workflow for common issues
      * Logs warnings but does not block compilation
@@ -1331,12 +2055,12 @@ export class WorkflowCompiler {
             }
 
             // Selector-based nodes must have selector
-            if (['CLICK', 'TYPE'].includes(node.type) && !node.params?.selector) {
+            if (['CLICK', 'TYPE', 'UPLOAD', 'SELECT_OPTION', 'ASSERT_TEXT', 'ASSERT_VISIBLE', 'ASSERT_COUNT', 'EXTRACT'].includes(node.type) && !node.params?.selector) {
                 console.warn(`WorkflowCompiler: ${node.type} node at index ${i} missing selector`);
             }
 
-            // Track ELEMENT_SCAN ids and FOR_EACH sources
-            if (node.type === 'ELEMENT_SCAN' && node.id) {
+            // Track ELEMENT_SCAN / DATA_TABLE ids and FOR_EACH sources
+            if ((node.type === 'ELEMENT_SCAN' || node.type === 'DATA_TABLE') && node.id) {
                 scanIds.add(node.id);
             }
             if (node.type === 'FOR_EACH_ELEMENT' && node.params?.source) {
@@ -1344,10 +2068,10 @@ export class WorkflowCompiler {
             }
         }
 
-        // Validate FOR_EACH sources match ELEMENT_SCAN ids
+        // Validate FOR_EACH sources match ELEMENT_SCAN / DATA_TABLE ids
         for (const { index, source } of forEachSources) {
             if (!scanIds.has(source)) {
-                console.warn(`WorkflowCompiler: FOR_EACH at index ${index} references source '${source}' but no ELEMENT_SCAN has that id`);
+                console.warn(`WorkflowCompiler: FOR_EACH at index ${index} references source '${source}' but no ELEMENT_SCAN or DATA_TABLE has that id`);
             }
         }
     }
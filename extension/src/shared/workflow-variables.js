@@ -0,0 +1,505 @@
+/**
+ * FlowCapture - Workflow Variables
+ * Parametrização do workflow IR: {{variáveis}} nomeadas e execuções data-driven.
+ *
+ * - Header: START.params.variables = { nome: valorDefault }
+ * - Qualquer string de params pode conter {{nome}} (TYPE.text, GOTO.url, selectors...)
+ * - Data table: DATA_TABLE (id "data-N", rows) + FOR_EACH_ELEMENT { mode: 'data-driven' }
+ *   cujas actions são o fluxo inteiro; cada linha reinicia a partir do START
+ *   e sobrescreve as variáveis com as colunas da linha.
+ *
+ * Nomes reservados (resolvidos pelo executor, nunca declarados):
+ * - {{current.selector}}, {{loop.index}} → FOR_EACH sobre ELEMENT_SCAN
+ * - {{row.<coluna>}}, {{rowIndex}}       → FOR_EACH data-driven
+ * - {{rowNumber}} = rowIndex + 1: numeração dos arquivos por linha (screenshots,
+ *   JSON extraído) e dos nomes de teste, sempre a partir de 1
+ */
+
+/** Reserved template roots */
+const RESERVED = new Set(['current', 'loop', 'row', 'rowIndex', 'rowNumber']);
+
+/** Suffix appended to screenshot filenames inside a data-driven loop */
+const ROW_FILENAME_SUFFIX = '_row-{{rowNumber}}';
+
+/** Suffixes already applied (workflows salvos antes do {{rowNumber}} usavam rowIndex) */
+const ROW_FILENAME_SUFFIX_PATTERN = /_row-\{\{row(?:Index|Number)\}\}/g;
+
+export class WorkflowVariables {
+    /**
+     * @param {string} value
+     * @returns {Array<string>} Full template expressions found ("username", "row.email"...)
+     */
+    static templatesIn(value) {
+        if (typeof value !== 'string') return [];
+        return [...value.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(m => m[1]);
+    }
+
+    /**
+     * @param {string} expression - Template expression ("username", "loop.index")
+     * @returns {boolean}
+     */
+    static isReserved(expression) {
+        return RESERVED.has(String(expression).split('.')[0]);
+    }
+
+    /**
+     * Variables declared in the START header
+     * @param {Array} workflow
+     * @returns {Object} { nome: default }
+     */
+    static getDeclared(workflow) {
+        const start = (workflow || []).find(n => n.type === 'START');
+        return { ...(start?.params?.variables || {}) };
+    }
+
+    /**
+     * Non-reserved variable names referenced anywhere in node params
+     * @param {Array} workflow
+     * @returns {Set<string>}
+     */
+    static references(workflow) {
+        const names = new Set();
+        const visit = (value) => {
+            if (typeof value === 'string') {
+                this.templatesIn(value).forEach(expr => {
+                    if (!this.isReserved(expr)) names.add(expr);
+                });
+            } else if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, v]) => {
+                    if (key !== 'variables') visit(v);
+                });
+            }
+        };
+        (workflow || []).forEach(node => visit(node.params));
+        return names;
+    }
+
+    /**
+     * Garante que toda variável referenciada está declarada no header do START.
+     * Variáveis sem valor conhecido (ex: mascaradas pelo Redactor) ficam com default ''.
+     * @param {Array} workflow - Mutated in place
+     * @param {Object} defaults - Defaults to use for newly declared variables
+     * @returns {Array} workflow
+     */
+    static declare(workflow, defaults = {}) {
+        const start = (workflow || []).find(n => n.type === 'START');
+        if (!start) return workflow;
+
+        const declared = { ...(start.params.variables || {}) };
+        for (const name of this.references(workflow)) {
+            if (!(name in declared)) declared[name] = defaults[name] ?? '';
+        }
+
+        if (Object.keys(declared).length > 0) {
+            start.params.variables = declared;
+        }
+        return workflow;
+    }
+
+    // ─── Promotion ────────────────────────────────────────
+
+    /**
+     * Recorded values that can be promoted to variables.
+     * Percorre também as actions de um loop data-driven.
+     * @param {Array} workflow
+     * @returns {Array<{path: Array, field: string, label: string, value: string, variable: string|null}>}
+     */
+    static findCandidates(workflow) {
+        const candidates = [];
+
+        const inspect = (node, path) => {
+            const p = node.params || {};
+            const fields = node.type === 'TYPE' ? ['text']
+                : (node.type === 'GOTO' || node.type === 'START') ? ['url']
+                    : node.type === 'HANDLE_DIALOG' ? ['promptText']
+                        : [];
+
+            fields.forEach(field => {
+                if (typeof p[field] !== 'string' || p[field] === '') return;
+                const templates = this.templatesIn(p[field]).filter(t => !this.isReserved(t));
+                const whole = p[field].match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+                candidates.push({
+                    path,
+                    field,
+                    label: node.label || node.type,
+                    value: p[field],
+                    variable: whole ? whole[1] : (templates[0] || null)
+                });
+            });
+
+            if (node.type === 'FOR_EACH_ELEMENT' && p.mode === 'data-driven') {
+                (p.actions || []).forEach((action, k) => inspect(action, [...path, k]));
+            }
+        };
+
+        (workflow || []).forEach((node, index) => inspect(node, [index]));
+        return candidates;
+    }
+
+    /**
+     * Promote a recorded value to {{name}} and declare it with the recorded value as default
+     * @param {Array} workflow
+     * @param {Array} path - [nodeIndex] ou [loopIndex, actionIndex]
+     * @param {string} field - 'text' | 'url'
+     * @param {string} name - Variable name
+     * @returns {Array} New workflow
+     */
+    static promote(workflow, path, field, name) {
+        const variable = this.sanitizeName(name);
+        if (!variable) throw new Error('Invalid variable name');
+        if (this.isReserved(variable)) throw new Error(`"${variable}" is a reserved name`);
+
+        const result = structuredClone(workflow);
+        const node = this._nodeAt(result, path);
+        if (!node || typeof node.params?.[field] !== 'string') {
+            throw new Error('Value not found in workflow');
+        }
+
+        const recorded = node.params[field];
+        const alreadyTemplate = /^\{\{\s*[\w.]+\s*\}\}$/.test(recorded);
+        node.params[field] = `{{${variable}}}`;
+
+        const start = result.find(n => n.type === 'START');
+        if (start) {
+            const previous = alreadyTemplate ? this.getDeclared(result)[recorded.slice(2, -2).trim()] : recorded;
+            start.params.variables = {
+                ...(start.params.variables || {}),
+                [variable]: start.params.variables?.[variable] ?? previous ?? ''
+            };
+        }
+
+        return this._pruneUnused(result);
+    }
+
+    /**
+     * Replace the origin of START/GOTO URLs with {{name}} (default: recorded origin)
+     * @param {Array} workflow
+     * @param {string} name
+     * @returns {Array} New workflow
+     */
+    static promoteBaseUrl(workflow, name = 'baseUrl') {
+        const result = structuredClone(workflow);
+        const start = result.find(n => n.type === 'START');
+        if (!start?.params?.url) throw new Error('Workflow has no START url');
+
+        let origin;
+        try {
+            origin = new URL(start.params.url).origin;
+        } catch {
+            throw new Error(`Invalid START url: ${start.params.url}`);
+        }
+
+        const replace = (node) => {
+            if ((node.type === 'START' || node.type === 'GOTO') && typeof node.params?.url === 'string'
+                && node.params.url.startsWith(origin)) {
+                node.params.url = `{{${name}}}${node.params.url.slice(origin.length)}`;
+            }
+            if (node.type === 'FOR_EACH_ELEMENT' && node.params?.mode === 'data-driven') {
+                (node.params.actions || []).forEach(replace);
+            }
+        };
+        result.forEach(replace);
+
+        start.params.variables = { ...(start.params.variables || {}), [name]: origin };
+        return result;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string} Identifier-safe name ('' if nothing usable)
+     */
+    static sanitizeName(name) {
+        return String(name || '')
+            .trim()
+            .replace(/[^\w]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .replace(/^(\d)/, '_$1');
+    }
+
+    // ─── Binding ──────────────────────────────────────────
+
+    /**
+     * Build the runtime scope: header defaults < overrides < data row
+     * @param {Array} workflow
+     * @param {Object} overrides
+     * @param {Object|null} row - Data table row
+     * @param {number} rowIndex
+     * @returns {Object}
+     */
+    static scopeFor(workflow, overrides = {}, row = null, rowIndex = 0) {
+        const scope = { ...this.getDeclared(workflow), ...overrides };
+        if (row) {
+            Object.assign(scope, row);
+            scope.row = { ...row };
+            scope.rowIndex = rowIndex;
+            scope.rowNumber = rowIndex + 1;
+        }
+        return scope;
+    }
+
+    /**
+     * Substitute {{templates}} in strings (deep for objects/arrays).
+     * Expressões desconhecidas (ex: {{current.selector}} fora de loop) ficam intactas.
+     * @param {*} value
+     * @param {Object} scope
+     * @returns {*}
+     */
+    static resolve(value, scope) {
+        if (typeof value === 'string') {
+            return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, expr) => {
+                const resolved = expr.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), scope);
+                return resolved === undefined || resolved === null || typeof resolved === 'object'
+                    ? match
+                    : String(resolved);
+            });
+        }
+        if (Array.isArray(value)) return value.map(v => this.resolve(v, scope));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.resolve(v, scope)]));
+        }
+        return value;
+    }
+
+    /**
+     * Node copy with params resolved against the scope.
+     * Actions de loops são resolvidas pelo executor a cada iteração.
+     * @param {Object} node
+     * @param {Object} scope
+     * @returns {Object}
+     */
+    static bindNode(node, scope) {
+        if (!node?.params) return node;
+        const { actions, variables, ...rest } = node.params;
+        const params = this.resolve(rest, scope);
+        if (actions) params.actions = actions;
+        if (variables) params.variables = variables;
+        return { ...node, params };
+    }
+
+    // ─── Data Tables ──────────────────────────────────────
+
+    /**
+     * Parse a CSV or JSON data table
+     * @param {string} text - File contents
+     * @param {string} filename - Used to pick the format (.json / .csv)
+     * @returns {Array<Object>} Rows (all values as strings for CSV)
+     */
+    static parseDataTable(text, filename = '') {
+        const trimmed = (text || '').replace(/^﻿/, '').trim();
+        if (!trimmed) throw new Error('Data file is empty');
+
+        const isJson = /\.json$/i.test(filename) || trimmed.startsWith('[') || trimmed.startsWith('{');
+        const rows = isJson ? this._parseJsonRows(trimmed) : this._parseCsvRows(trimmed);
+
+        if (rows.length === 0) throw new Error('Data file has no rows');
+        return rows;
+    }
+
+    /**
+     * Wrap the recorded flow in a data-driven FOR_EACH: one run per row.
+     * START fica fora (header + URL de reinício); os demais nodes viram actions.
+     * @param {Array} workflow
+     * @param {Array<Object>} rows
+     * @returns {Array} New workflow
+     */
+    static attachDataTable(workflow, rows) {
+        const base = this.detachDataTable(workflow);
+        const startIndex = base.findIndex(n => n.type === 'START');
+        const start = base[startIndex];
+        const outputIndex = base.findIndex(n => n.type === 'OUTPUT');
+        const end = outputIndex === -1 ? base.length : outputIndex;
+
+        const body = base.slice(startIndex + 1, end).map(node => this._withRowFilenames(node));
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+        const dataNode = {
+            type: 'DATA_TABLE',
+            id: 'data-1',
+            label: `Data table (${rows.length} rows)`,
+            params: { columns, rows },
+            connections: [{ to: 0, condition: 'success' }]
+        };
+
+        const loopNode = {
+            type: 'FOR_EACH_ELEMENT',
+            label: `Run flow for each data row`,
+            params: {
+                mode: 'data-driven',
+                source: dataNode.id,
+                restartFrom: 'START',
+                maxIterations: rows.length,
+                actions: body.map(({ connections, ...action }) => action)
+            },
+            connections: [{ to: 0, condition: 'success' }]
+        };
+
+        const result = [
+            ...base.slice(0, startIndex + 1),
+            dataNode,
+            loopNode,
+            ...base.slice(end)
+        ];
+
+        // Colunas viram variáveis declaradas (default = primeira linha)
+        if (start) {
+            const declared = { ...(start.params.variables || {}) };
+            columns.forEach(col => {
+                if (!(col in declared)) declared[col] = rows[0][col] ?? '';
+            });
+            start.params.variables = declared;
+        }
+
+        return this._reindex(result);
+    }
+
+    /**
+     * Undo attachDataTable: loop actions become top-level nodes again
+     * @param {Array} workflow
+     * @returns {Array} New workflow (copy, even when there is no data table)
+     */
+    static detachDataTable(workflow) {
+        const nodes = structuredClone(workflow || []);
+        const loopIndex = nodes.findIndex(n => n.type === 'FOR_EACH_ELEMENT' && n.params?.mode === 'data-driven');
+        if (loopIndex === -1) return nodes;
+
+        const actions = (nodes[loopIndex].params.actions || [])
+            .map(action => this._withRowFilenames(action, false));
+        const result = [];
+        nodes.forEach((node, i) => {
+            if (node.type === 'DATA_TABLE' && node.id === nodes[loopIndex].params.source) return;
+            if (i === loopIndex) {
+                result.push(...actions.map(action => ({ ...action, connections: [{ to: 0, condition: 'success' }] })));
+                return;
+            }
+            result.push(node);
+        });
+
+        return this._reindex(result);
+    }
+
+    /**
+     * @param {Array} workflow
+     * @returns {{columns: Array, rows: Array}|null}
+     */
+    static getDataTable(workflow) {
+        const node = (workflow || []).find(n => n.type === 'DATA_TABLE');
+        return node ? { columns: node.params.columns || [], rows: node.params.rows || [] } : null;
+    }
+
+    // ─── Private ──────────────────────────────────────────
+
+    /** @private */
+    static _nodeAt(workflow, path) {
+        let node = workflow[path[0]];
+        for (let i = 1; i < path.length && node; i++) {
+            node = node.params?.actions?.[path[i]];
+        }
+        return node || null;
+    }
+
+    /**
+     * Drop declared variables that are no longer referenced (after re-promotion)
+     * mas preserva colunas da data table.
+     * @private
+     */
+    static _pruneUnused(workflow) {
+        const start = workflow.find(n => n.type === 'START');
+        if (!start?.params?.variables) return workflow;
+
+        const used = this.references(workflow);
+        const columns = new Set(this.getDataTable(workflow)?.columns || []);
+        start.params.variables = Object.fromEntries(
+            Object.entries(start.params.variables).filter(([name]) => used.has(name) || columns.has(name))
+        );
+        return workflow;
+    }
+
+    /**
+     * Add (or strip) the per-row suffix on screenshot filenames, including nested loop actions
+     * @private
+     */
+    static _withRowFilenames(node, add = true) {
+        const copy = structuredClone(node);
+        const apply = (n) => {
+            if (n.type === 'SCREENSHOT' && typeof n.params?.filename === 'string') {
+                const name = n.params.filename.replace(ROW_FILENAME_SUFFIX_PATTERN, '');
+                n.params.filename = add ? `${name}${ROW_FILENAME_SUFFIX}` : name;
+            }
+            (n.params?.actions || []).forEach(apply);
+        };
+        apply(copy);
+        return copy;
+    }
+
+    /**
+     * Sequential success connections (same rule as WorkflowCompiler)
+     * @private
+     */
+    static _reindex(nodes) {
+        nodes.forEach((node, i) => {
+            if (node.type === 'OUTPUT') {
+                delete node.connections;
+            } else {
+                node.connections = [{ to: i + 1, condition: 'success' }];
+            }
+        });
+        return nodes;
+    }
+
+    /** @private */
+    static _parseJsonRows(text) {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data?.rows;
+        if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+            throw new Error('JSON data must be an array of objects (or { "rows": [...] })');
+        }
+        return rows.map(row => Object.fromEntries(
+            Object.entries(row).map(([k, v]) => [this.sanitizeName(k), v === null || v === undefined ? '' : String(v)])
+        ));
+    }
+
+    /**
+     * Minimal RFC 4180 parser; detecta ';' (Excel pt-BR) ou ','
+     * @private
+     */
+    static _parseCsvRows(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field); field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field); field = '';
+                records.push(record); record = [];
+            } else {
+                field += char;
+            }
+        }
+        record.push(field);
+        records.push(record);
+
+        const nonEmpty = records.filter(r => r.some(cell => cell.trim() !== ''));
+        const header = (nonEmpty.shift() || []).map(h => this.sanitizeName(h));
+        if (header.length === 0 || header.some(h => !h)) {
+            throw new Error('CSV header must name every column');
+        }
+
+        return nonEmpty.map(cells => Object.fromEntries(header.map((h, i) => [h, (cells[i] ?? '').trim()])));
+    }
+}